@@ -0,0 +1,141 @@
+/**
+ * ABI Registry
+ * Derives event topics from ETHERFI_ABIS and validates configured addresses
+ *
+ * An address fails validation when it is not EIP-55 checksummed, is the zero
+ * address, or is a known placeholder. Unconfigured (null) addresses are
+ * reported but do not fail.
+ */
+
+const { ethers } = require('ethers');
+
+const {
+  ETHERFI_ADDRESSES,
+  ETHERFI_ABIS,
+  KNOWN_ADDRESSES,
+} = require('./contracts');
+const { ConfigError } = require('../src/utils/error-handler');
+
+// Addresses that have been used as stand-ins and must never reach a live collector
+const PLACEHOLDER_ADDRESSES = new Set([
+  ethers.ZeroAddress,
+  '0x000000000000000000000000000000000000dead',
+  '0x3dd0d77fcb9e7f1d5f8b1a4b5e7d1b5f1c1f1f1f', // Former NFT_MANAGER placeholder
+]);
+
+// Labels that are expected to point at the zero address
+const ZERO_ADDRESS_LABELS = new Set(['Null Address']);
+
+/**
+ * Validate a single address
+ * @param {string|null} address
+ * @returns {string|null} Failure reason, or null if the address is valid
+ */
+function validateAddress(address) {
+  if (!ethers.isAddress(address)) {
+    return `"${address}" is not a valid address (bad length, characters or EIP-55 checksum)`;
+  }
+
+  if (ethers.getAddress(address) !== address) {
+    return `"${address}" is not EIP-55 checksummed (expected ${ethers.getAddress(address)})`;
+  }
+
+  if (PLACEHOLDER_ADDRESSES.has(address.toLowerCase())) {
+    return `"${address}" is the zero address or a known placeholder`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the registry of configured contracts with their derived event topics
+ * @returns {Object} { contracts, failures }
+ */
+function buildRegistry() {
+  const contracts = [];
+  const failures = [];
+
+  for (const [name, address] of Object.entries(ETHERFI_ADDRESSES)) {
+    const abi = ETHERFI_ABIS[name] || [];
+    const iface = new ethers.Interface(abi);
+
+    const events = [];
+    iface.forEachEvent((fragment) => {
+      events.push({
+        name: fragment.name,
+        signature: fragment.format('sighash'),
+        topic: fragment.topicHash,
+      });
+    });
+
+    let error = null;
+    if (address !== null) {
+      error = validateAddress(address);
+      if (error) {
+        failures.push({ contract: name, address, error });
+      }
+    }
+
+    contracts.push({
+      name,
+      address,
+      configured: address !== null,
+      valid: address !== null && error === null,
+      hasAbi: abi.length > 0,
+      events,
+    });
+  }
+
+  for (const [address, { label }] of Object.entries(KNOWN_ADDRESSES)) {
+    if (ZERO_ADDRESS_LABELS.has(label) && address === ethers.ZeroAddress) {
+      continue;
+    }
+    const error = validateAddress(address);
+    if (error) {
+      failures.push({ contract: `KNOWN_ADDRESSES[${label}]`, address, error });
+    }
+  }
+
+  return { contracts, failures };
+}
+
+/**
+ * Look up the topic hash for a contract event
+ * @param {string} contractName - Key in ETHERFI_ABIS
+ * @param {string} eventName - Event name in that ABI
+ * @returns {string} Topic hash
+ */
+function getEventTopic(contractName, eventName) {
+  const abi = ETHERFI_ABIS[contractName];
+  if (!abi) {
+    throw new ConfigError(`No ABI configured for ${contractName}`);
+  }
+
+  const fragment = new ethers.Interface(abi).getEvent(eventName);
+  if (!fragment) {
+    throw new ConfigError(`${contractName} ABI has no event named ${eventName}`);
+  }
+
+  return fragment.topicHash;
+}
+
+/**
+ * Throw if any configured address is invalid
+ * Called before collectors start so a placeholder can never be queried silently.
+ */
+function assertValidConfig() {
+  const { failures } = buildRegistry();
+
+  if (failures.length > 0) {
+    const details = failures.map(failure => `${failure.contract}: ${failure.error}`).join('; ');
+    throw new ConfigError(`Invalid contract configuration: ${details}`, failures);
+  }
+}
+
+module.exports = {
+  buildRegistry,
+  validateAddress,
+  getEventTopic,
+  assertValidConfig,
+  PLACEHOLDER_ADDRESSES,
+};
@@ -0,0 +1,77 @@
+/**
+ * Claude Analysis Configuration
+ * Model, schedule, retry and pricing settings for src/analysis/claude-analyzer.js
+ */
+
+require('dotenv').config();
+
+const { ConfigError } = require('../src/utils/error-handler');
+
+const MODEL = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
+const MAX_TOKENS = parseInt(process.env.CLAUDE_MAX_TOKENS || '4096');
+
+// Attempts per run when the model returns JSON that fails schema validation
+const MAX_ATTEMPTS = parseInt(process.env.CLAUDE_MAX_ATTEMPTS || '3');
+
+// Minutes between scheduled analyses: a divisor of 60, or whole hours that divide 24
+const ANALYSIS_INTERVAL_MINUTES = parseInt(process.env.ANALYSIS_INTERVAL_MINUTES || '30');
+
+// Hours of time series and sentiment included in each prompt
+const RECENT_HOURS = 24;
+
+// USD per million tokens
+const MODEL_PRICING = {
+  'claude-opus-4-20250514': { input: 15, output: 75 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+  'claude-3-5-sonnet-20241022': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+};
+
+/**
+ * Cost of a call in USD, or null when the model has no pricing entry
+ * @param {string} model
+ * @param {Object} usage - { input_tokens, output_tokens }
+ * @returns {number|null}
+ */
+function estimateCost(model, usage) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return null;
+
+  return (usage.input_tokens * pricing.input + usage.output_tokens * pricing.output) / 1000000;
+}
+
+/**
+ * Cron expression for a run every `minutes` minutes
+ * A step only spaces runs evenly when it divides its field, so an interval must
+ * divide an hour (e.g. 15) or be whole hours that divide a day (e.g. 120, 1440).
+ * @param {number} minutes - Default ANALYSIS_INTERVAL_MINUTES
+ * @returns {string}
+ * @throws {ConfigError} When the interval can't be spaced evenly
+ */
+function getAnalysisCron(minutes = ANALYSIS_INTERVAL_MINUTES) {
+  if (Number.isInteger(minutes) && minutes > 0) {
+    if (minutes < 60 && 60 % minutes === 0) return `*/${minutes} * * * *`;
+
+    const hours = minutes / 60;
+    if (Number.isInteger(hours) && 24 % hours === 0) {
+      return hours === 24 ? '0 0 * * *' : `0 */${hours} * * *`;
+    }
+  }
+
+  throw new ConfigError(
+    `ANALYSIS_INTERVAL_MINUTES must divide an hour or be whole hours that divide a day, got ${minutes}`
+  );
+}
+
+module.exports = {
+  MODEL,
+  MAX_TOKENS,
+  MAX_ATTEMPTS,
+  ANALYSIS_INTERVAL_MINUTES,
+  RECENT_HOURS,
+  MODEL_PRICING,
+  estimateCost,
+  getAnalysisCron,
+};
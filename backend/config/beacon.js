@@ -0,0 +1,71 @@
+/**
+ * Beacon Node and Validator Set Configuration
+ * Used by src/collectors/validator-collector.js
+ *
+ * EtherFi's validators are listed by index or public key, either inline in
+ * ETHERFI_VALIDATORS (comma-separated) or in the file named by
+ * ETHERFI_VALIDATORS_FILE (a JSON array, or one id per line / comma-separated).
+ *
+ * NETWORK_AVG_APR overrides the network APR baseline, which otherwise is the
+ * attestation APR of an ideally performing 32 ETH validator in the same epoch.
+ */
+
+const fs = require('fs');
+require('dotenv').config();
+
+const { ConfigError } = require('../src/utils/error-handler');
+
+const BEACON_API_URL = process.env.BEACON_API_URL || 'http://localhost:5052';
+const BEACON_TIMEOUT_MS = parseInt(process.env.BEACON_TIMEOUT_MS || '30000');
+
+// Validator ids per GET /eth/v1/beacon/states/{state}/validators request
+const VALIDATOR_BATCH_SIZE = parseInt(process.env.BEACON_VALIDATOR_BATCH_SIZE || '100');
+
+// One epoch (32 slots x 12s)
+const VALIDATOR_INTERVAL_MS = parseInt(process.env.VALIDATOR_INTERVAL_MS || '384000');
+
+const NETWORK_AVG_APR = process.env.NETWORK_AVG_APR ? parseFloat(process.env.NETWORK_AVG_APR) : null;
+
+const VALIDATOR_ID_PATTERN = /^(\d+|0x[0-9a-fA-F]{96})$/;
+
+/**
+ * Validate validator ids (decimal indices or 48-byte public keys)
+ * @returns {Array<string>} Unique ids, public keys lowercased
+ */
+function validateValidatorIds(ids) {
+  const invalid = ids.filter(id => !VALIDATOR_ID_PATTERN.test(id));
+  if (invalid.length > 0) {
+    throw new ConfigError(
+      `Invalid validator ids (expected an index or 0x-prefixed 48-byte public key): ${invalid.slice(0, 5).join(', ')}`,
+      invalid.map(id => ({ id, error: 'not a validator index or public key' }))
+    );
+  }
+  return [...new Set(ids.map(id => id.toLowerCase()))];
+}
+
+function splitIds(text) {
+  return text.split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Get the configured EtherFi validator ids (empty when none are configured)
+ */
+function getValidatorIds() {
+  if (process.env.ETHERFI_VALIDATORS_FILE) {
+    const text = fs.readFileSync(process.env.ETHERFI_VALIDATORS_FILE, 'utf8');
+    const ids = text.trim().startsWith('[') ? JSON.parse(text).map(String) : splitIds(text);
+    return validateValidatorIds(ids);
+  }
+
+  return validateValidatorIds(splitIds(process.env.ETHERFI_VALIDATORS || ''));
+}
+
+module.exports = {
+  BEACON_API_URL,
+  BEACON_TIMEOUT_MS,
+  VALIDATOR_BATCH_SIZE,
+  VALIDATOR_INTERVAL_MS,
+  NETWORK_AVG_APR,
+  validateValidatorIds,
+  getValidatorIds,
+};
@@ -2,8 +2,13 @@
  * EtherFi Protocol Contract Addresses and ABIs
  * Network: Ethereum Mainnet
  * All addresses verified on Etherscan
+ *
+ * Addresses that are not known yet are null. Run `npm run verify-config` to
+ * check checksums and print the event topics derived from the ABIs.
  */
 
+const { ethers } = require('ethers');
+
 // Verified EtherFi Contract Addresses on Ethereum Mainnet
 const ETHERFI_ADDRESSES = {
   // eETH Token Contract
@@ -13,10 +18,11 @@ const ETHERFI_ADDRESSES = {
   LIQUIDITY_POOL: '0x308861A430be4cce5502d0A12724771Fc6DaF216', // Main liquidity pool
   STAKING_MANAGER: '0x3d320286E014C3e1ce99Af6d6B00f0C1D63E3000', // Staking manager
   WITHDRAWAL_QUEUE: '0x7d5706f6ef3F89B3951E23e557CDFBC3239D4E2c', // Withdrawal queue
-  NFT_MANAGER: '0x3Dd0d77Fcb9e7f1D5f8b1a4B5e7d1B5f1C1F1f1f', // NFT manager (approximate)
+  NFT_MANAGER: null, // NFT manager (address not verified yet)
 
-  // Oracle and Price Feeds (if available)
-  PRICE_ORACLE: '0x0000000000000000000000000000000000000000', // To be updated if found
+  // Oracle and Price Feeds (if available). The eETH/ETH peg is priced from the
+  // DEX pools in config/peg-pools.js instead.
+  PRICE_ORACLE: null, // To be updated if found
 
   // Additional relevant contracts
   ETHERFI_ADMIN: '0x0EF8fa4760Db8f5Cd4d993f3e3416f30f942D705', // Admin contract
@@ -37,8 +43,13 @@ const ETHERFI_ABIS = {
     'function symbol() view returns (string)',
     'function decimals() view returns (uint8)',
 
+    // Rebasing shares (balance = shares * getTotalPooledEther / totalShares)
+    'function shares(address account) view returns (uint256)',
+    'function totalShares() view returns (uint256)',
+
     // Events
     'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'event TransferShares(address indexed from, address indexed to, uint256 sharesValue)',
     'event Approval(address indexed owner, address indexed spender, uint256 value)',
   ],
 
@@ -50,6 +61,8 @@ const ETHERFI_ABIS = {
     'function getTotalEthBalance() view returns (uint256)',
     'function totalValueOutOfLp() view returns (uint256)',
     'function totalValueInLp() view returns (uint256)',
+    'function amountForShare(uint256 share) view returns (uint256)',
+    'function sharesForAmount(uint256 amount) view returns (uint256)',
 
     // Events to track
     'event Deposit(address indexed sender, uint256 amount, bool indexed isRestake)',
@@ -77,18 +90,29 @@ const ETHERFI_ABIS = {
   ],
 };
 
-// Event signatures for filtering logs
+/**
+ * Compute an event's topic hash from its ABI fragment
+ * @param {Array<string>} abi - Human-readable ABI
+ * @param {string} eventName - Event name
+ * @returns {string} keccak256 of the canonical event signature
+ */
+function eventTopic(abi, eventName) {
+  return new ethers.Interface(abi).getEvent(eventName).topicHash;
+}
+
+// Event signatures for filtering logs, derived from the ABIs above
 const EVENT_SIGNATURES = {
-  // ERC20 Transfer
-  TRANSFER: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+  // ERC20 Transfer and the matching eETH share movement
+  TRANSFER: eventTopic(ETHERFI_ABIS.EETH_TOKEN, 'Transfer'),
+  TRANSFER_SHARES: eventTopic(ETHERFI_ABIS.EETH_TOKEN, 'TransferShares'),
 
   // Deposits and Withdrawals
-  DEPOSIT: '0xe1fffcc4923d04b559f4d29a8bfc6cda04eb5b0d3c460751c2402c5c5cc9109c',
-  WITHDRAW: '0x884edad9ce6fa2440d8a54cc123490eb96d2768479d49ff9c7366125a9424364',
+  DEPOSIT: eventTopic(ETHERFI_ABIS.LIQUIDITY_POOL, 'Deposit'),
+  WITHDRAW: eventTopic(ETHERFI_ABIS.LIQUIDITY_POOL, 'Withdraw'),
 
   // Withdrawal Requests
-  WITHDRAWAL_REQUESTED: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-  WITHDRAWAL_PROCESSED: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
+  WITHDRAWAL_REQUESTED: eventTopic(ETHERFI_ABIS.WITHDRAWAL_QUEUE, 'WithdrawalRequested'),
+  WITHDRAWAL_PROCESSED: eventTopic(ETHERFI_ABIS.WITHDRAWAL_QUEUE, 'WithdrawalProcessed'),
 };
 
 // Contract deployment blocks (for efficient event filtering)
@@ -99,38 +123,47 @@ const DEPLOYMENT_BLOCKS = {
   STAKING_MANAGER: 17900000,
 };
 
-// Known whale addresses and labels
+// Built-in address labels, seeded into address_labels by `npm run labels -- seed`.
+// Larger label sets are imported from CSV/JSON instead of being added here.
 const KNOWN_ADDRESSES = {
-  '0x0000000000000000000000000000000000000000': 'Null Address',
-  '0x308861A430be4cce5502d0A12724771Fc6DaF216': 'EtherFi Liquidity Pool',
-  '0x7d5706f6ef3F89B3951E23e557CDFBC3239D4E2c': 'EtherFi Withdrawal Queue',
-
-  // Common exchanges (to be expanded)
-  '0x28C6c06298d514Db089934071355E5743bf21d60': 'Binance 14',
-  '0x21a31Ee1afC51d94C2eFcCAa2092aD1028285549': 'Binance 15',
-  '0x47ac0Fb4F2D84898e4D9E7b4DaB3C24507a6D503': 'Binance Deposit',
-  '0x56Eddb7aa87536c09CCc2793473599fD21A8b17F': 'Binance Hot Wallet',
+  '0x0000000000000000000000000000000000000000': { label: 'Null Address', category: 'other' },
+  '0x308861A430be4cce5502d0A12724771Fc6DaF216': { label: 'EtherFi Liquidity Pool', category: 'protocol' },
+  '0x7d5706f6ef3F89B3951E23e557CDFBC3239D4E2c': { label: 'EtherFi Withdrawal Queue', category: 'protocol' },
+
+  // Common exchanges
+  '0x28C6c06298d514Db089934071355E5743bf21d60': { label: 'Binance 14', category: 'exchange' },
+  '0x21a31Ee1afC51d94C2eFcCAa2092aD1028285549': { label: 'Binance 15', category: 'exchange' },
+  '0x47ac0Fb4F2D84898e4D9E7b4DaB3C24507a6D503': { label: 'Binance Deposit', category: 'exchange' },
+  '0x56Eddb7aa87536c09CCc2793473599fD21A8b17F': { label: 'Binance Hot Wallet', category: 'exchange' },
 };
 
+// Lowercase lookups so helpers accept any address casing
+const KNOWN_ADDRESSES_BY_LOWERCASE = new Map(
+  Object.entries(KNOWN_ADDRESSES).map(([address, entry]) => [address.toLowerCase(), entry])
+);
+const ETHERFI_CONTRACTS_LOWERCASE = new Set(
+  Object.values(ETHERFI_ADDRESSES).filter(Boolean).map(address => address.toLowerCase())
+);
+
 // Helper functions for contract interaction
 const contractHelpers = {
   /**
-   * Check if an address is a contract
-   * @param {string} address - Ethereum address
+   * Check if an address is one of the configured EtherFi contracts
+   * Other contracts are detected on-chain by the label service (eth_getCode).
+   * @param {string} address - Ethereum address, any casing
    * @returns {boolean}
    */
   isContractAddress: (address) => {
-    const knownContracts = Object.values(ETHERFI_ADDRESSES);
-    return knownContracts.includes(address.toLowerCase());
+    return ETHERFI_CONTRACTS_LOWERCASE.has(address.toLowerCase());
   },
 
   /**
-   * Get label for a known address
-   * @param {string} address - Ethereum address
+   * Get the built-in label for a known address
+   * @param {string} address - Ethereum address, any casing
    * @returns {string|null}
    */
   getAddressLabel: (address) => {
-    return KNOWN_ADDRESSES[address] || null;
+    return KNOWN_ADDRESSES_BY_LOWERCASE.get(address.toLowerCase())?.label || null;
   },
 
   /**
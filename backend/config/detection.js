@@ -0,0 +1,213 @@
+/**
+ * Statistical Anomaly Detection Thresholds
+ * Per-metric settings for the deterministic detector in src/analysis/statistical-detector.js
+ *
+ * Override any value without editing this file by setting DETECTION_THRESHOLDS
+ * to a JSON object keyed by metric, e.g.
+ *   DETECTION_THRESHOLDS='{"peg_deviation_percent":{"zScore":2.5}}'
+ */
+
+require('dotenv').config();
+
+// Defaults shared by every metric unless overridden below
+const DEFAULTS = {
+  enabled: true,
+  zScore: 3, // |z| against the 30-day baseline
+  rollingWindow: 288, // Points in the rolling window (288 x 5 min = 24h)
+  rollingZScore: 3.5, // |z| against the rolling window
+  ewmaLambda: 0.2, // EWMA smoothing factor (0 < lambda <= 1)
+  ewmaLimit: 3, // Control limit width in standard deviations
+  rateOfChangeLookback: 12, // Points to look back (12 x 5 min = 1h)
+  rateOfChangePercent: null, // Max absolute % change over the lookback (null disables)
+  minDataPoints: 24, // Skip the metric until this many points exist
+};
+
+// Minimum |z| for each severity; anything that triggers below MEDIUM is LOW
+const SEVERITY_Z_LEVELS = {
+  MEDIUM: 3.5,
+  HIGH: 4.5,
+  CRITICAL: 6,
+};
+
+// Same for rate-of-change tests, as a multiple of the metric's configured limit
+const SEVERITY_RATE_LEVELS = {
+  MEDIUM: 1.5,
+  HIGH: 2.5,
+  CRITICAL: 4,
+};
+
+// Don't re-raise an active anomaly for the same metric within this many hours
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.DETECTION_DUPLICATE_WINDOW_HOURS || '6');
+
+// Whale transfers into labelled exchanges (src/analysis/exchange-flows.js)
+const EXCHANGE_FLOW = {
+  // Flag a transfer moving at least this share of the whale's balance
+  minShareOfBalance: parseFloat(process.env.EXCHANGE_FLOW_MIN_SHARE || '0.1'),
+  // Minimum share of balance for each severity; anything flagged below MEDIUM is LOW
+  severityShares: {
+    MEDIUM: 0.25,
+    HIGH: 0.5,
+    CRITICAL: 0.9,
+  },
+  // Transfers older than this are not evaluated
+  lookbackHours: parseInt(process.env.EXCHANGE_FLOW_LOOKBACK_HOURS || '24'),
+};
+
+// Missing or failed 5-minute snapshots (src/analysis/gap-detector.js)
+const DATA_GAP = {
+  // Raise a data_gap anomaly for a gap at least this long
+  minGapMinutes: parseInt(process.env.DATA_GAP_MIN_MINUTES || '15'),
+  // Minimum gap length for each severity; shorter flagged gaps are LOW
+  severityMinutes: {
+    MEDIUM: 60,
+    HIGH: 240,
+    CRITICAL: 720,
+  },
+  // Raise a coverage anomaly, and tell the AI analysis the baseline is
+  // incomplete, below this share of collected snapshots
+  minCoveragePercent: parseFloat(process.env.DATA_GAP_MIN_COVERAGE || '95'),
+  // Window scanned for gaps on each run
+  lookbackHours: parseInt(process.env.DATA_GAP_LOOKBACK_HOURS || '24'),
+  // Window whose coverage decides whether the baseline is complete
+  baselineDays: 30,
+  // Hand closed gaps to the historical loader
+  autoBackfill: process.env.DATA_GAP_AUTO_BACKFILL === 'true',
+};
+
+// Social sentiment against on-chain stress (src/analysis/sentiment-correlation.js)
+const SENTIMENT_CORRELATION = {
+  // Hours of hourly buckets to correlate and scan for shocks
+  lookbackHours: parseInt(process.env.SENTIMENT_CORRELATION_HOURS || '168'),
+  // Lags tried in each direction; a positive lag means sentiment moved first
+  maxLagHours: 12,
+  // Hour pairs needed before a correlation is reported
+  minPairs: 24,
+  // Preceding hours that make up the baseline for a shock, and the fewest that count
+  baselineHours: 72,
+  minBaselineHours: 24,
+  // A shock hour has at least this many negative posts, this far above the baseline
+  minNegativePosts: parseInt(process.env.SENTIMENT_SHOCK_MIN_POSTS || '5'),
+  negativeZScore: parseFloat(process.env.SENTIMENT_SHOCK_Z || '2.5'),
+  // Queue growth or whale outflow this far above its baseline, in the shock or the
+  // hours after it, confirms the shock
+  onChainZScore: 2,
+  confirmHours: 3,
+  // Peg deviation (%) in the window that makes a confirmed shock CRITICAL
+  criticalPegDeviationPercent: 1,
+};
+
+// Metric name in time_series_data -> detection settings
+const METRIC_THRESHOLDS = {
+  tvl_eth: {
+    anomalyType: 'tvl_change',
+    label: 'TVL (ETH)',
+    rateOfChangePercent: 5,
+  },
+  tvl_usd: {
+    anomalyType: 'tvl_change',
+    label: 'TVL (USD)',
+    baseline: { mean: 'avg_tvl_usd', stddev: 'stddev_tvl_usd' },
+    rateOfChangePercent: 10,
+  },
+  unique_stakers: {
+    anomalyType: 'staker_change',
+    label: 'Unique stakers',
+    baseline: { mean: 'avg_stakers', stddev: 'stddev_stakers' },
+    rateOfChangePercent: 5,
+  },
+  withdrawal_queue_size: {
+    anomalyType: 'queue_spike',
+    label: 'Withdrawal queue size',
+    baseline: { mean: 'avg_queue_size', stddev: 'stddev_queue_size' },
+    zScore: 2.5,
+    rateOfChangePercent: 50,
+  },
+  withdrawal_queue_eth: {
+    anomalyType: 'queue_spike',
+    label: 'Withdrawal queue (ETH)',
+    zScore: 2.5,
+    rateOfChangePercent: 50,
+  },
+  // Oldest pending requests aging is an early sign of withdrawal liquidity stress
+  withdrawal_age_p99_hours: {
+    anomalyType: 'queue_spike',
+    label: 'Pending withdrawal age p99 (hours)',
+    zScore: 2.5,
+    rateOfChangePercent: 25,
+  },
+  peg_deviation_percent: {
+    anomalyType: 'peg_deviation',
+    label: 'eETH/ETH peg deviation',
+    baseline: { mean: 'avg_peg_deviation', stddev: 'stddev_peg_deviation' },
+    zScore: 2.5,
+    rollingZScore: 3,
+  },
+  total_volume_eth_24h: {
+    anomalyType: 'volume_spike',
+    label: '24h volume (ETH)',
+    baseline: { mean: 'avg_volume', stddev: 'stddev_volume' },
+    rateOfChangePercent: 100,
+  },
+  deposit_count_24h: {
+    anomalyType: 'volume_spike',
+    label: '24h deposits',
+  },
+  withdrawal_count_24h: {
+    anomalyType: 'volume_spike',
+    label: '24h withdrawals',
+  },
+  avg_gas_price_gwei: {
+    anomalyType: 'gas_spike',
+    label: 'Average gas price (gwei)',
+    zScore: 4,
+    rollingZScore: 4,
+  },
+};
+
+/**
+ * Parse DETECTION_THRESHOLDS overrides from environment
+ */
+function getEnvOverrides() {
+  if (!process.env.DETECTION_THRESHOLDS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.DETECTION_THRESHOLDS);
+  } catch (error) {
+    throw new Error(`DETECTION_THRESHOLDS is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Get resolved thresholds for every metric (defaults + metric settings + env overrides)
+ * @param {Object} overrides - Extra per-metric overrides, applied last
+ * @returns {Object} Metric name -> settings
+ */
+function getMetricThresholds(overrides = {}) {
+  const envOverrides = getEnvOverrides();
+  const resolved = {};
+
+  for (const [metric, settings] of Object.entries(METRIC_THRESHOLDS)) {
+    resolved[metric] = {
+      ...DEFAULTS,
+      ...settings,
+      ...envOverrides[metric],
+      ...overrides[metric],
+    };
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  DEFAULTS,
+  SEVERITY_Z_LEVELS,
+  SEVERITY_RATE_LEVELS,
+  DUPLICATE_WINDOW_HOURS,
+  EXCHANGE_FLOW,
+  DATA_GAP,
+  SENTIMENT_CORRELATION,
+  METRIC_THRESHOLDS,
+  getMetricThresholds,
+};
@@ -0,0 +1,99 @@
+/**
+ * Job Schedule Configuration
+ * Cron schedules for the jobs in src/jobs/job-definitions.js
+ *
+ * Override a schedule with JOB_<NAME>_CRON, the job name upper-cased with
+ * dashes as underscores, e.g.
+ *   JOB_COLLECT_METRICS_CRON='*\/10 * * * *'
+ * Disable jobs with JOBS_DISABLED (comma-separated names). Disabled jobs can
+ * still be run by hand through the API or the CLI.
+ */
+
+const cron = require('node-cron');
+require('dotenv').config();
+
+const { getAnalysisCron } = require('./analysis');
+const { ConfigError } = require('../src/utils/error-handler');
+
+const DEFAULT_SCHEDULES = {
+  'ingest-events': '* * * * *',
+  'collect-metrics': '*/5 * * * *',
+  'holder-index': '*/5 * * * *',
+  validators: '*/10 * * * *',
+  sentiment: '*/15 * * * *',
+  // One minute after each collection
+  detect: '1-59/5 * * * *',
+  'exchange-flows': '10 * * * *',
+  'data-gaps': '3-59/15 * * * *',
+  'sentiment-correlation': '20 * * * *',
+  // Built from ANALYSIS_INTERVAL_MINUTES by getJobSchedules()
+  analyze: null,
+  cleanup: '30 3 * * *',
+};
+
+// A running job refreshes its heartbeat this often, however long the run takes
+const JOB_HEARTBEAT_SECONDS = parseInt(process.env.JOB_HEARTBEAT_SECONDS || '60');
+
+// A run with no heartbeat for this long is treated as abandoned (crashed process)
+const JOB_STALE_AFTER_MINUTES = parseInt(process.env.JOB_STALE_AFTER_MINUTES || '5');
+
+const JOBS_DISABLED = (process.env.JOBS_DISABLED || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+function envName(jobName) {
+  return `JOB_${jobName.toUpperCase().replace(/-/g, '_')}_CRON`;
+}
+
+/**
+ * Resolve every job's schedule from the environment and validate it
+ * @returns {Object} Job name -> cron expression
+ */
+function getJobSchedules() {
+  const schedules = {};
+  const failures = [];
+
+  for (const [name, fallback] of Object.entries(DEFAULT_SCHEDULES)) {
+    let schedule = process.env[envName(name)] || fallback;
+    if (!schedule) {
+      try {
+        schedule = getAnalysisCron();
+      } catch (error) {
+        failures.push({ name, error: error.message });
+        continue;
+      }
+    }
+    if (!cron.validate(schedule)) {
+      failures.push({ name, error: `${envName(name)} is not a valid cron expression: ${schedule}` });
+    }
+    schedules[name] = schedule;
+  }
+
+  // Allow a missed heartbeat before a live run is taken for dead
+  if (!(JOB_STALE_AFTER_MINUTES * 60 >= 2 * JOB_HEARTBEAT_SECONDS)) {
+    failures.push({
+      name: 'heartbeat',
+      error: 'JOB_STALE_AFTER_MINUTES must cover at least two JOB_HEARTBEAT_SECONDS intervals',
+    });
+  }
+
+  const unknown = JOBS_DISABLED.filter(name => !DEFAULT_SCHEDULES[name]);
+  for (const name of unknown) {
+    failures.push({ name, error: 'JOBS_DISABLED names an unknown job' });
+  }
+
+  if (failures.length > 0) {
+    throw new ConfigError(`Invalid job configuration: ${failures.map(f => f.error).join('; ')}`, failures);
+  }
+
+  return schedules;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULES,
+  JOB_HEARTBEAT_SECONDS,
+  JOB_STALE_AFTER_MINUTES,
+  JOBS_DISABLED,
+  getJobSchedules,
+};
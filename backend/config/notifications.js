@@ -0,0 +1,120 @@
+/**
+ * Alert Notification Configuration
+ * Sinks and routing rules for src/notifications/dispatcher.js
+ *
+ * A sink is only enabled when its environment variables are set; rules that
+ * reference a disabled sink skip it. Replace the default rules without editing
+ * this file by setting NOTIFICATION_RULES to a JSON array, e.g.
+ *   NOTIFICATION_RULES='[{"name":"all-to-slack","match":{},"sinks":["slack"]}]'
+ *
+ * Rule fields:
+ *   name          - Unique name, stored on every delivery
+ *   match         - { severity: [...], minSeverity, anomalyType: [...] } (all optional)
+ *   sinks         - Sink names to notify
+ *   digest        - true to hold matches for the daily digest instead of sending immediately
+ *   rateLimit     - { max, windowMinutes } per sink; extra matches are logged as rate_limited
+ *   dedupMinutes  - Skip an anomaly with the same type and metrics sent within this window
+ */
+
+require('dotenv').config();
+
+const SINKS = {
+  webhook: {
+    type: 'webhook',
+    enabled: Boolean(process.env.NOTIFY_WEBHOOK_URL),
+    url: process.env.NOTIFY_WEBHOOK_URL,
+    secret: process.env.NOTIFY_WEBHOOK_SECRET || null,
+  },
+  slack: {
+    type: 'slack',
+    enabled: Boolean(process.env.SLACK_WEBHOOK_URL),
+    url: process.env.SLACK_WEBHOOK_URL,
+  },
+  email: {
+    type: 'smtp',
+    enabled: Boolean(process.env.SMTP_HOST && process.env.NOTIFY_EMAIL_TO),
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null,
+    from: process.env.NOTIFY_EMAIL_FROM || 'etherfi-anomaly@localhost',
+    to: process.env.NOTIFY_EMAIL_TO,
+  },
+};
+
+const DEFAULT_RULES = [
+  {
+    name: 'critical-peg-page',
+    match: { severity: ['CRITICAL'], anomalyType: ['peg_deviation'] },
+    sinks: ['webhook', 'slack', 'email'],
+    rateLimit: { max: 10, windowMinutes: 60 },
+    dedupMinutes: 30,
+  },
+  {
+    name: 'high-severity',
+    match: { minSeverity: 'HIGH' },
+    sinks: ['slack', 'email'],
+    rateLimit: { max: 20, windowMinutes: 60 },
+    dedupMinutes: 120,
+  },
+  {
+    name: 'medium-severity',
+    match: { severity: ['MEDIUM'] },
+    sinks: ['slack'],
+    rateLimit: { max: 10, windowMinutes: 60 },
+    dedupMinutes: 360,
+  },
+  {
+    name: 'daily-digest',
+    match: { severity: ['LOW'] },
+    sinks: ['email'],
+    digest: true,
+  },
+];
+
+// Cron expression for the digest (default 08:00 server time)
+const DIGEST_CRON = process.env.NOTIFY_DIGEST_CRON || '0 8 * * *';
+
+// Delay before each retry; the delivery fails after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFY_POLL_INTERVAL_MS || '30000');
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Link included in notifications, e.g. http://localhost:3000
+const DASHBOARD_URL = process.env.DASHBOARD_URL || null;
+
+/**
+ * Get routing rules (NOTIFICATION_RULES overrides the defaults)
+ * @returns {Array<Object>}
+ */
+function getRules() {
+  if (!process.env.NOTIFICATION_RULES) {
+    return DEFAULT_RULES;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(process.env.NOTIFICATION_RULES);
+  } catch (error) {
+    throw new Error(`NOTIFICATION_RULES is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(rules) || rules.some(rule => !rule.name || !Array.isArray(rule.sinks))) {
+    throw new Error('NOTIFICATION_RULES must be an array of rules with a name and sinks');
+  }
+
+  return rules;
+}
+
+module.exports = {
+  SINKS,
+  DEFAULT_RULES,
+  DIGEST_CRON,
+  RETRY_DELAYS_MINUTES,
+  POLL_INTERVAL_MS,
+  REQUEST_TIMEOUT_MS,
+  DASHBOARD_URL,
+  getRules,
+};
@@ -0,0 +1,100 @@
+/**
+ * eETH/ETH Peg Pools
+ * DEX pools read by src/collectors/peg-monitor.js to price eETH against ETH
+ *
+ * No pools are built in; set PEG_POOLS to a JSON array of pools whose addresses
+ * you have verified, e.g.
+ *   PEG_POOLS='[{"name":"Curve weETH/WETH","type":"curve","address":"0x...","token":"weETH","tokenIndex":0,"ethIndex":1}]'
+ *
+ * Pool fields:
+ *   name        - Label used in logs and readings
+ *   type        - curve (get_dy), uniswap_v2 (getReserves) or uniswap_v3 (slot0)
+ *   address     - Pool address
+ *   token       - eETH or weETH; weETH prices are divided by the protocol's share rate
+ *   tokenIndex  - Index of the eETH/weETH coin in the pool (0 or 1 for Uniswap)
+ *   ethIndex    - Index of the ETH/WETH coin (Curve only; default 1 - tokenIndex)
+ *
+ * Every token in these pools is assumed to have 18 decimals.
+ */
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { ConfigError } = require('../src/utils/error-handler');
+
+const POOL_TYPES = ['curve', 'uniswap_v2', 'uniswap_v3'];
+const PEG_TOKENS = ['eETH', 'weETH'];
+
+// Pools with less liquidity than this (in ETH) are read but not used
+const MIN_POOL_LIQUIDITY_ETH = parseFloat(process.env.PEG_MIN_POOL_LIQUIDITY_ETH || '100');
+
+// Amount of eETH/weETH quoted through Curve's get_dy
+const QUOTE_AMOUNT = process.env.PEG_QUOTE_AMOUNT || '1';
+
+/**
+ * Validate pool settings
+ * @returns {Array<Object>} Pools with defaults applied
+ * @throws {ConfigError} Listing every invalid pool
+ */
+function validatePools(pools) {
+  if (!Array.isArray(pools)) {
+    throw new ConfigError('PEG_POOLS must be a JSON array of pools');
+  }
+
+  const failures = [];
+  const resolved = pools.map((pool, i) => {
+    const name = pool.name || `pool ${i}`;
+    const check = (ok, message) => {
+      if (!ok) failures.push({ name, error: message });
+    };
+
+    check(POOL_TYPES.includes(pool.type), `type must be one of ${POOL_TYPES.join(', ')}`);
+    check(typeof pool.address === 'string' && ethers.isAddress(pool.address), 'address is not a valid address');
+    check(PEG_TOKENS.includes(pool.token), `token must be one of ${PEG_TOKENS.join(', ')}`);
+    check(Number.isInteger(pool.tokenIndex) && pool.tokenIndex >= 0, 'tokenIndex must be a non-negative integer');
+    if (pool.type !== 'curve') {
+      check(pool.tokenIndex === 0 || pool.tokenIndex === 1, 'tokenIndex must be 0 or 1');
+    }
+
+    return {
+      ...pool,
+      name,
+      ethIndex: pool.ethIndex ?? 1 - pool.tokenIndex,
+    };
+  });
+
+  if (failures.length > 0) {
+    throw new ConfigError(
+      `Invalid PEG_POOLS: ${failures.map(failure => `${failure.name}: ${failure.error}`).join('; ')}`,
+      failures
+    );
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the configured pools (empty when PEG_POOLS is not set)
+ */
+function getPegPools() {
+  if (!process.env.PEG_POOLS) {
+    return [];
+  }
+
+  let pools;
+  try {
+    pools = JSON.parse(process.env.PEG_POOLS);
+  } catch (error) {
+    throw new ConfigError(`PEG_POOLS is not valid JSON: ${error.message}`);
+  }
+
+  return validatePools(pools);
+}
+
+module.exports = {
+  POOL_TYPES,
+  MIN_POOL_LIQUIDITY_ETH,
+  QUOTE_AMOUNT,
+  validatePools,
+  getPegPools,
+};
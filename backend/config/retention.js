@@ -0,0 +1,115 @@
+/**
+ * Data Retention Configuration
+ * How long each table keeps its rows, for src/database/retention.js
+ *
+ * Override a policy's age with RETENTION_<NAME>_DAYS, the policy name upper-cased,
+ * e.g. RETENTION_SENTIMENT_DAYS=30. Expired rows are written to gzipped NDJSON
+ * files under RETENTION_ARCHIVE_DIR before they are deleted, unless
+ * RETENTION_ARCHIVE=false.
+ */
+
+const path = require('path');
+require('dotenv').config();
+
+const { ConfigError } = require('../src/utils/error-handler');
+
+// name -> table, the column that dates a row, and optionally the statuses a row
+// must have to expire
+const DEFAULT_POLICIES = {
+  time_series: {
+    table: 'time_series_data',
+    timestampColumn: 'timestamp',
+    days: 90,
+    // Raw snapshots only: the hourly and daily rollups are refreshed first and kept
+    rollups: true,
+  },
+  sentiment: {
+    table: 'twitter_sentiment',
+    timestampColumn: 'timestamp',
+    days: 60,
+  },
+  closed_anomalies: {
+    table: 'anomalies',
+    timestampColumn: 'resolved_at', // Also set when marked false_positive
+    statuses: ['resolved', 'false_positive'],
+    days: 90,
+  },
+  validator_metrics: {
+    table: 'validator_metrics',
+    timestampColumn: 'timestamp',
+    days: 90,
+  },
+  job_runs: {
+    table: 'job_runs',
+    timestampColumn: 'started_at',
+    statuses: ['success', 'failed', 'skipped', 'abandoned'],
+    days: 30,
+  },
+};
+
+const RETENTION_ARCHIVE = process.env.RETENTION_ARCHIVE !== 'false';
+const RETENTION_ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || path.join(__dirname, '..', 'archive');
+
+// Rows read, written and deleted per round trip
+const RETENTION_BATCH_SIZE = parseInt(process.env.RETENTION_BATCH_SIZE || '5000');
+
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+function envName(policyName) {
+  return `RETENTION_${policyName.toUpperCase()}_DAYS`;
+}
+
+/**
+ * Resolve every policy from the environment and validate it
+ * @returns {Array<Object>} { name, table, timestampColumn, statuses, days, rollups }
+ */
+function getRetentionPolicies() {
+  const policies = [];
+  const failures = [];
+
+  for (const [name, policy] of Object.entries(DEFAULT_POLICIES)) {
+    const raw = process.env[envName(name)];
+    const days = raw !== undefined ? Number(raw) : policy.days;
+
+    if (!Number.isInteger(days) || days < 1) {
+      failures.push({ name, error: `${envName(name)} must be a whole number of days, at least 1: ${raw}` });
+    }
+    // Table and column names go into SQL as identifiers
+    if (!IDENTIFIER_PATTERN.test(policy.table) || !IDENTIFIER_PATTERN.test(policy.timestampColumn)) {
+      failures.push({ name, error: `Retention policy ${name} has an invalid table or column name` });
+    }
+
+    policies.push({ name, statuses: null, rollups: false, ...policy, days });
+  }
+
+  if (failures.length > 0) {
+    throw new ConfigError(`Invalid retention configuration: ${failures.map(f => f.error).join('; ')}`, failures);
+  }
+
+  return policies;
+}
+
+/**
+ * Rows dated before this expire
+ * Rollup policies cut at a UTC midnight so a bucket is never rolled up from
+ * partly deleted rows.
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Date} now
+ * @returns {Date}
+ */
+function retentionCutoff(policy, now = new Date()) {
+  const cutoff = new Date(now.getTime() - policy.days * 24 * 60 * 60 * 1000);
+  if (policy.rollups) {
+    cutoff.setUTCHours(0, 0, 0, 0);
+  }
+  return cutoff;
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  RETENTION_ARCHIVE,
+  RETENTION_ARCHIVE_DIR,
+  RETENTION_BATCH_SIZE,
+  getRetentionPolicies,
+  retentionCutoff,
+};
@@ -0,0 +1,89 @@
+/**
+ * Sentiment Collection Configuration
+ * Sources and scoring settings for src/sentiment/sentiment-collector.js
+ *
+ * A source is only enabled when its environment variables are set:
+ *   twitter  - TWITTER_BEARER_TOKEN (Twitter API v2 recent search)
+ *   feed     - SENTIMENT_FEED_URLS, comma-separated RSS, Atom or JSON Feed URLs
+ *   fixture  - SENTIMENT_FIXTURE_FILE, a JSON file of posts (offline runs and tests)
+ *
+ * SENTIMENT_TERMS are the words that mark a post as being about EtherFi. They
+ * build the Twitter search query, filter feed items, and together with
+ * RISK_KEYWORDS decide which posts go to the risk feed.
+ */
+
+require('dotenv').config();
+
+const SENTIMENT_TERMS = (process.env.SENTIMENT_TERMS || 'etherfi,ether.fi,ether_fi,eeth,weeth,ethfi')
+  .split(',')
+  .map(term => term.trim().toLowerCase())
+  .filter(Boolean);
+
+const SOURCES = {
+  twitter: {
+    enabled: Boolean(process.env.TWITTER_BEARER_TOKEN),
+    bearerToken: process.env.TWITTER_BEARER_TOKEN,
+    baseUrl: process.env.TWITTER_API_URL || 'https://api.twitter.com',
+    query: process.env.TWITTER_SEARCH_QUERY
+      || `(${SENTIMENT_TERMS.map(term => (term.includes('.') ? `"${term}"` : term)).join(' OR ')}) -is:retweet lang:en`,
+    // Pages of up to 100 tweets per run
+    maxPages: parseInt(process.env.TWITTER_MAX_PAGES || '5'),
+  },
+  feed: {
+    enabled: Boolean(process.env.SENTIMENT_FEED_URLS),
+    urls: (process.env.SENTIMENT_FEED_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+  },
+  fixture: {
+    enabled: Boolean(process.env.SENTIMENT_FIXTURE_FILE),
+    file: process.env.SENTIMENT_FIXTURE_FILE,
+  },
+};
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.SENTIMENT_TIMEOUT_MS || '15000');
+
+// Authors with at least this many followers are marked is_influential
+const INFLUENTIAL_FOLLOWERS = parseInt(process.env.SENTIMENT_INFLUENTIAL_FOLLOWERS || '10000');
+
+// How far back the first run of a source looks
+const LOOKBACK_HOURS = parseInt(process.env.SENTIMENT_LOOKBACK_HOURS || '24');
+
+// Scores at or beyond +/- this are labelled positive / negative
+const LABEL_THRESHOLD = 0.1;
+
+// A post about EtherFi that matches any of these goes to the risk feed
+const RISK_KEYWORDS = [
+  'depeg',
+  'exploit',
+  'exploited',
+  'hack',
+  'hacked',
+  'rug',
+  'rugpull',
+  'drain',
+  'drained',
+  'insolvent',
+  'insolvency',
+  'bankrun',
+  'compromised',
+  'vulnerability',
+  'phishing',
+  'scam',
+  'fraud',
+  'paused',
+  'halted',
+  'frozen',
+  'slashed',
+  'slashing',
+  'liquidation',
+  'contagion',
+];
+
+module.exports = {
+  SENTIMENT_TERMS,
+  SOURCES,
+  REQUEST_TIMEOUT_MS,
+  INFLUENTIAL_FOLLOWERS,
+  LOOKBACK_HOURS,
+  LABEL_THRESHOLD,
+  RISK_KEYWORDS,
+};
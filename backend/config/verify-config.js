@@ -0,0 +1,53 @@
+/**
+ * Contract Configuration Verification Script
+ * Prints every configured contract, its derived event topics and any validation failures
+ */
+
+const { buildRegistry } = require('./abi-registry');
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('EtherFi Anomaly Detection - Contract Configuration');
+  console.log('='.repeat(60));
+  console.log();
+
+  const { contracts, failures } = buildRegistry();
+
+  for (const contract of contracts) {
+    let status = '✅';
+    if (!contract.configured) status = '⚪';
+    else if (!contract.valid) status = '❌';
+
+    console.log(`${status} ${contract.name}`);
+    console.log(`   Address: ${contract.address || '(not configured)'}`);
+
+    if (!contract.hasAbi) {
+      console.log('   ABI:     (none)');
+    }
+
+    for (const event of contract.events) {
+      console.log(`   ${event.signature}`);
+      console.log(`     topic: ${event.topic}`);
+    }
+    console.log();
+  }
+
+  console.log('='.repeat(60));
+  if (failures.length === 0) {
+    console.log('✅ All configured addresses are valid');
+  } else {
+    console.log(`❌ ${failures.length} validation failure(s):`);
+    for (const failure of failures) {
+      console.log(`   - ${failure.contract}: ${failure.error}`);
+    }
+    process.exitCode = 1;
+  }
+  console.log('='.repeat(60));
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,39 @@
+/**
+ * Anomaly Lifecycle
+ * Status state machine used by the triage queries and API routes
+ *
+ *   active -> acknowledged -> resolved
+ *   active | acknowledged -> false_positive
+ *   resolved | false_positive -> active (reopen)
+ */
+
+const ANOMALY_STATUSES = ['active', 'acknowledged', 'resolved', 'false_positive'];
+
+// Statuses that still need attention (used for duplicate suppression)
+const OPEN_STATUSES = ['active', 'acknowledged'];
+
+// Action -> allowed source statuses and resulting status
+const ANOMALY_TRANSITIONS = {
+  acknowledge: { from: ['active'], to: 'acknowledged' },
+  resolve: { from: ['acknowledged'], to: 'resolved' },
+  false_positive: { from: ['active', 'acknowledged'], to: 'false_positive' },
+  reopen: { from: ['resolved', 'false_positive'], to: 'active' },
+};
+
+/**
+ * Actions available from a status
+ * @param {string} status
+ * @returns {Array<string>}
+ */
+function getAllowedActions(status) {
+  return Object.entries(ANOMALY_TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(status))
+    .map(([action]) => action);
+}
+
+module.exports = {
+  ANOMALY_STATUSES,
+  OPEN_STATUSES,
+  ANOMALY_TRANSITIONS,
+  getAllowedActions,
+};
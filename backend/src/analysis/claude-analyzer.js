@@ -0,0 +1,335 @@
+/**
+ * Claude Analysis Orchestrator
+ * Builds the analysis prompt from stored data, asks Claude for anomalies,
+ * validates the JSON reply and stores the results with token usage and cost
+ *
+ * Each run is recorded in analysis_runs. A reply that fails schema validation is
+ * sent back to the model with the validation errors, up to CLAUDE_MAX_ATTEMPTS.
+ *
+ * Usage:
+ *   node src/analysis/claude-analyzer.js              # Run once
+ *   node src/analysis/claude-analyzer.js --dry-run    # Run once without storing anomalies
+ *   node src/analysis/claude-analyzer.js --schedule   # Run every ANALYSIS_INTERVAL_MINUTES
+ */
+
+const cron = require('node-cron');
+require('dotenv').config();
+
+const {
+  MODEL,
+  MAX_TOKENS,
+  MAX_ATTEMPTS,
+  ANALYSIS_INTERVAL_MINUTES,
+  RECENT_HOURS,
+  estimateCost,
+  getAnalysisCron,
+} = require('../../config/analysis');
+const { DUPLICATE_WINDOW_HOURS } = require('../../config/detection');
+const { OPEN_STATUSES } = require('./anomaly-lifecycle');
+const { getBaselineCoverage } = require('./gap-detector');
+const { buildAnalysisPrompt } = require('./prompt-builder');
+const { parseResponseText, validateAnalysisResponse } = require('./response-schema');
+const { detectAnomalies } = require('./statistical-detector');
+const { ClaudeError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+/**
+ * Create the default Anthropic client from environment
+ */
+function createDefaultClient() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new ClaudeError('ANTHROPIC_API_KEY is not set');
+  }
+
+  const Anthropic = require('@anthropic-ai/sdk');
+  return new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+}
+
+/**
+ * Concatenate the text blocks of a Messages API response
+ */
+function getResponseText(response) {
+  return (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+/**
+ * Create an analyzer
+ * @param {Object} options
+ * @param {Object} options.client - Anthropic client, or any object with messages.create()
+ * @param {Object} options.store - Query overrides for testing
+ * @param {string} options.model - Model id (default CLAUDE_MODEL)
+ * @param {number} options.maxAttempts - Attempts when the reply fails validation
+ * @param {number} options.maxTokens - max_tokens per request
+ * @returns {Object} Analyzer with runAnalysis(), start() and stop()
+ */
+function createClaudeAnalyzer(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const model = options.model || MODEL;
+  const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+  const maxTokens = options.maxTokens || MAX_TOKENS;
+
+  let client = options.client || null;
+  let task = null;
+  let running = false;
+
+  /**
+   * Load everything the prompt needs
+   */
+  async function loadContext() {
+    const [baseline, timeSeries, whaleMovements, sentiment, coverage] = await Promise.all([
+      store.getBaselineStats(30),
+      store.getTimeSeriesData(RECENT_HOURS),
+      store.getRecentWhaleMovements(),
+      store.getSentimentStats(RECENT_HOURS),
+      getBaselineCoverage({ store, days: 30 }),
+    ]);
+
+    const candidates = detectAnomalies(timeSeries, baseline);
+    return { baseline, timeSeries, whaleMovements, sentiment, coverage, candidates };
+  }
+
+  /**
+   * Ask the model until it returns a valid reply or attempts run out
+   * @returns {Promise<Object>} { response, text, attempts, usage, errors }
+   */
+  async function requestAnalysis(system, prompt) {
+    const messages = [{ role: 'user', content: prompt }];
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let errors = [];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let reply;
+      try {
+        reply = await client.messages.create({
+          model,
+          max_tokens: maxTokens,
+          system,
+          messages,
+        });
+      } catch (error) {
+        const claudeError = new ClaudeError(`Claude API request failed: ${error.message}`, error);
+        claudeError.attempts = attempt;
+        claudeError.usage = usage;
+        throw claudeError;
+      }
+
+      usage.input_tokens += reply.usage?.input_tokens || 0;
+      usage.output_tokens += reply.usage?.output_tokens || 0;
+
+      const text = getResponseText(reply);
+      const parsed = parseResponseText(text);
+      errors = parsed.error ? [parsed.error] : validateAnalysisResponse(parsed.value).errors;
+
+      if (errors.length === 0) {
+        return { response: parsed.value, text, attempts: attempt, usage, errors };
+      }
+
+      logger.warn('[ANALYZER] Claude response failed validation', { attempt, errors });
+
+      messages.push(
+        { role: 'assistant', content: text || '(empty response)' },
+        {
+          role: 'user',
+          content: `Your reply did not match the required schema:\n- ${errors.join('\n- ')}\n`
+            + 'Reply again with only the corrected JSON object.',
+        }
+      );
+    }
+
+    return { response: null, text: null, attempts: maxAttempts, usage, errors };
+  }
+
+  /**
+   * Skip anomalies already open (active or acknowledged) for the same type and metrics
+   */
+  async function isDuplicate(anomaly) {
+    const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+    const existing = await store.getAnomalies({
+      status: OPEN_STATUSES,
+      type: anomaly.anomaly_type,
+      since,
+    });
+
+    return existing.some(row =>
+      anomaly.affected_metrics.every(metric => (row.affected_metrics || []).includes(metric))
+    );
+  }
+
+  /**
+   * Run one analysis and store the result
+   * @param {Object} runOptions
+   * @param {boolean} runOptions.dryRun - Call Claude but don't store anomalies
+   * @returns {Promise<Object>} { runId, summary, anomalies, inserted, usage, costUsd }
+   */
+  async function runAnalysis(runOptions = {}) {
+    if (!client) {
+      client = createDefaultClient();
+    }
+
+    const startTime = Date.now();
+    const run = await store.createAnalysisRun(model);
+
+    try {
+      const context = await loadContext();
+      const { system, prompt } = buildAnalysisPrompt(context);
+      const result = await requestAnalysis(system, prompt);
+
+      const durationMs = Date.now() - startTime;
+      const costUsd = estimateCost(model, result.usage);
+
+      if (!result.response) {
+        await store.completeAnalysisRun(run.id, {
+          status: 'invalid_response',
+          attempts: result.attempts,
+          error_message: result.errors.join('; '),
+          ...result.usage,
+          cost_usd: costUsd,
+          duration_ms: durationMs,
+        });
+        const error = new ClaudeError(
+          `Claude returned an invalid response after ${result.attempts} attempt(s): ${result.errors.join('; ')}`
+        );
+        error.runCompleted = true;
+        throw error;
+      }
+
+      const inserted = [];
+      if (!runOptions.dryRun) {
+        for (const anomaly of result.response.anomalies) {
+          if (await isDuplicate(anomaly)) continue;
+
+          const row = await store.insertAnomaly({
+            ...anomaly,
+            recommendation: anomaly.recommendation || null,
+            baseline_data: context.baseline,
+            recent_data: { latest: context.timeSeries[0] || null, candidates: context.candidates },
+            claude_prompt: prompt,
+            claude_response: result.response,
+            analysis_duration_ms: durationMs,
+            analysis_run_id: run.id,
+            status: 'active',
+          });
+          inserted.push({ ...anomaly, ...row });
+        }
+      }
+
+      await store.completeAnalysisRun(run.id, {
+        status: 'success',
+        attempts: result.attempts,
+        anomalies_detected: inserted.length,
+        ...result.usage,
+        cost_usd: costUsd,
+        duration_ms: durationMs,
+      });
+
+      logger.analyzer('Claude analysis completed', {
+        runId: run.id,
+        attempts: result.attempts,
+        anomalies: result.response.anomalies.length,
+        inserted: inserted.length,
+        inputTokens: result.usage.input_tokens,
+        outputTokens: result.usage.output_tokens,
+        costUsd,
+        durationMs,
+      });
+
+      return {
+        runId: run.id,
+        summary: result.response.summary,
+        anomalies: result.response.anomalies,
+        inserted,
+        usage: result.usage,
+        costUsd,
+      };
+    } catch (error) {
+      if (!error.runCompleted) {
+        const usage = error.usage || {};
+        await store.completeAnalysisRun(run.id, {
+          status: 'failed',
+          attempts: error.attempts || 0,
+          error_message: error.message,
+          ...usage,
+          cost_usd: usage.input_tokens !== undefined ? estimateCost(model, usage) : null,
+          duration_ms: Date.now() - startTime,
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run every ANALYSIS_INTERVAL_MINUTES; a run still in progress is not overlapped
+   */
+  function start() {
+    if (task) return;
+
+    task = cron.schedule(getAnalysisCron(), async () => {
+      if (running) {
+        logger.warn('[ANALYZER] Previous analysis still running, skipping this slot');
+        return;
+      }
+
+      running = true;
+      try {
+        await runAnalysis();
+      } catch (error) {
+        logger.error('[ANALYZER] Scheduled analysis failed', { error: error.message });
+      } finally {
+        running = false;
+      }
+    });
+
+    logger.analyzer(`Claude analysis scheduled every ${ANALYSIS_INTERVAL_MINUTES} minutes`, { model });
+  }
+
+  function stop() {
+    if (task) {
+      task.stop();
+      task = null;
+    }
+  }
+
+  return { runAnalysis, start, stop };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const analyzer = createClaudeAnalyzer();
+
+  if (process.argv.includes('--schedule')) {
+    analyzer.start();
+    return;
+  }
+
+  try {
+    const result = await analyzer.runAnalysis({ dryRun: process.argv.includes('--dry-run') });
+
+    console.log(result.summary);
+    console.log();
+    for (const anomaly of result.anomalies) {
+      console.log(`[${anomaly.severity}] ${anomaly.anomaly_type}: ${anomaly.title}`);
+    }
+    console.log();
+    console.log(`${result.anomalies.length} anomaly(ies), ${result.inserted.length} stored`);
+    console.log(`Tokens: ${result.usage.input_tokens} in / ${result.usage.output_tokens} out`
+      + (result.costUsd !== null ? `, $${result.costUsd.toFixed(4)}` : ''));
+  } catch (error) {
+    console.error('\n❌ Analysis failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createClaudeAnalyzer,
+  getResponseText,
+};
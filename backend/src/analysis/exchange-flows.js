@@ -0,0 +1,190 @@
+/**
+ * Exchange Flow Analyzer
+ * Aggregates eETH Transfer events into and out of exchange-labelled addresses
+ * (address_labels category 'exchange', seeded from KNOWN_ADDRESSES) per hour, and
+ * raises a whale_movement anomaly for each whale transfer to an exchange that moves
+ * at least EXCHANGE_FLOW.minShareOfBalance of the whale's balance.
+ *
+ * Transfers already recorded in a whale_movement anomaly (by tx hash and log index)
+ * are skipped, so the analyzer can be re-run over the same window.
+ *
+ * Usage:
+ *   node src/analysis/exchange-flows.js [--dry-run] [--hours 24]
+ */
+
+const { EXCHANGE_FLOW } = require('../../config/detection');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function severityFromShare(share, levels) {
+  if (share >= levels.CRITICAL) return 'CRITICAL';
+  if (share >= levels.HIGH) return 'HIGH';
+  if (share >= levels.MEDIUM) return 'MEDIUM';
+  return 'LOW';
+}
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Turn flagged whale transfers into whale_movement anomalies
+ * @param {Array<Object>} transfers - Rows from getUnflaggedWhaleExchangeTransfers
+ * @param {Array<Object>} flows - Rows from getExchangeFlowsHourly, for the exchange's hourly context
+ * @param {Object} settings - EXCHANGE_FLOW overrides
+ * @returns {Array<Object>} Candidate anomalies ready for insertAnomaly()
+ */
+function detectWhaleExchangeTransfers(transfers, flows = [], settings = {}) {
+  const { minShareOfBalance, severityShares } = { ...EXCHANGE_FLOW, ...settings };
+  const flowsByHour = new Map(flows.map(flow => [
+    `${new Date(flow.hour).getTime()}:${flow.exchange_address}`,
+    flow,
+  ]));
+
+  const candidates = [];
+
+  for (const transfer of transfers) {
+    const amount = Number(transfer.amount_eeth);
+    const balanceBefore = Number(transfer.balance_before_eeth);
+    if (!(amount > 0) || !(balanceBefore > 0)) continue;
+
+    // A stale snapshot can be smaller than what was sent since
+    const share = Math.min(1, amount / balanceBefore);
+    if (share < minShareOfBalance) continue;
+
+    const hour = Math.floor(new Date(transfer.block_timestamp).getTime() / HOUR_MS) * HOUR_MS;
+    const flow = flowsByHour.get(`${hour}:${transfer.exchange_address}`);
+    const whale = transfer.whale_label || transfer.whale_address;
+    const rank = transfer.rank_position ? ` (rank #${transfer.rank_position})` : '';
+    const percent = Number((share * 100).toFixed(1));
+
+    candidates.push({
+      anomaly_type: 'whale_movement',
+      severity: severityFromShare(share, severityShares),
+      // Estimated balances (no snapshot before the transfer) make the share less certain
+      confidence: transfer.balance_from_snapshot ? 0.9 : 0.7,
+      title: `Whale sent ${formatAmount(amount)} eETH to ${transfer.exchange_label}`,
+      description: `${whale}${rank} sent ${formatAmount(amount)} eETH, ${percent}% of its balance, `
+        + `to ${transfer.exchange_label} in ${transfer.tx_hash}. Whale deposits to exchanges often `
+        + 'come before selling pressure on the eETH/ETH peg.',
+      recommendation: 'Watch the eETH/ETH peg and exchange liquidity, and whether the wallet moves more of its balance.',
+      affected_metrics: ['whale_exchange_inflow'],
+      baseline_data: {
+        whale_address: transfer.whale_address,
+        balance_before_eeth: transfer.balance_before_eeth,
+        balance_from_snapshot: Boolean(transfer.balance_from_snapshot),
+        min_share_of_balance: minShareOfBalance,
+      },
+      recent_data: {
+        tx_hash: transfer.tx_hash,
+        log_index: transfer.log_index,
+        block_number: Number(transfer.block_number),
+        block_timestamp: transfer.block_timestamp,
+        from_address: transfer.whale_address,
+        from_label: transfer.whale_label || null,
+        rank_position: transfer.rank_position ?? null,
+        counterparty_address: transfer.exchange_address,
+        counterparty_label: transfer.exchange_label,
+        amount_eeth: transfer.amount_eeth,
+        share_of_balance: Number(share.toFixed(4)),
+        exchange_hour: flow
+          ? {
+            hour: flow.hour,
+            inflow_eeth: flow.inflow_eeth,
+            outflow_eeth: flow.outflow_eeth,
+            net_flow_eeth: flow.net_flow_eeth,
+          }
+          : null,
+      },
+      statistical_significance: null,
+      status: 'active',
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Load recent transfers, flag whale deposits to exchanges and store them
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Detect but don't insert
+ * @param {number} options.hours - Hours of transfers to evaluate
+ * @param {Object} options.settings - EXCHANGE_FLOW overrides
+ * @param {Object} options.store - Query overrides for testing
+ * @returns {Promise<Object>} { flows, candidates, inserted }
+ */
+async function runExchangeFlowDetection(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const hours = options.hours || EXCHANGE_FLOW.lookbackHours;
+
+  const [flows, transfers] = await Promise.all([
+    store.getExchangeFlowsHourly(hours),
+    store.getUnflaggedWhaleExchangeTransfers(hours),
+  ]);
+
+  const candidates = detectWhaleExchangeTransfers(transfers, flows, options.settings);
+  const inserted = [];
+
+  if (!options.dryRun) {
+    for (const candidate of candidates) {
+      const row = await store.insertAnomaly(candidate);
+      inserted.push({ ...candidate, ...row });
+    }
+  }
+
+  logger.analyzer('Exchange flow detection completed', {
+    hours,
+    exchangeHours: flows.length,
+    whaleTransfers: transfers.length,
+    candidates: candidates.length,
+    inserted: inserted.length,
+    dryRun: Boolean(options.dryRun),
+  });
+
+  return { flows, candidates, inserted };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+  const hoursIndex = process.argv.indexOf('--hours');
+  const hours = hoursIndex !== -1 ? parseInt(process.argv[hoursIndex + 1]) : undefined;
+
+  try {
+    const { flows, candidates, inserted } = await runExchangeFlowDetection({ dryRun, hours });
+
+    console.log('='.repeat(60));
+    console.log('Hourly exchange flows (eETH)');
+    console.log('='.repeat(60));
+    for (const flow of flows) {
+      console.log(`${new Date(flow.hour).toISOString()}  ${flow.exchange_label.padEnd(24)}`
+        + `  in ${formatAmount(flow.inflow_eeth)}  out ${formatAmount(flow.outflow_eeth)}`
+        + `  net ${formatAmount(flow.net_flow_eeth)}`);
+    }
+
+    console.log();
+    for (const candidate of candidates) {
+      console.log(`[${candidate.severity}] ${candidate.anomaly_type}: ${candidate.title}`);
+      console.log(`    ${candidate.description}`);
+    }
+
+    console.log();
+    console.log(`${candidates.length} candidate(s), ${inserted.length} stored${dryRun ? ' (dry run)' : ''}`);
+  } catch (error) {
+    console.error('\n❌ Exchange flow detection failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  detectWhaleExchangeTransfers,
+  runExchangeFlowDetection,
+};
@@ -0,0 +1,456 @@
+/**
+ * Data Gap Detector
+ * Scans time_series_data for 5-minute buckets with no successful snapshot, either
+ * missing entirely (the collector wasn't running) or stored as failed collections,
+ * and reports coverage per UTC day.
+ *
+ * Each gap of at least DATA_GAP.minGapMinutes raises a data_gap anomaly, and so
+ * does lookback coverage below DATA_GAP.minCoveragePercent. A gap is reported once
+ * (matched on its start bucket); a gap that is still open when first reported is
+ * not reported again as it grows. Closed gaps can be handed to the historical
+ * loader to backfill (--backfill, or DATA_GAP_AUTO_BACKFILL=true).
+ *
+ * getBaselineCoverage() tells the AI analysis whether its 30-day baseline is
+ * complete, and getCollectionFreshness()/getCollectionHealth() feed GET /health.
+ *
+ * Usage:
+ *   node src/analysis/gap-detector.js [--dry-run] [--backfill] [--hours 24]
+ */
+
+const { DATA_GAP, DUPLICATE_WINDOW_HOURS } = require('../../config/detection');
+const { SNAPSHOT_INTERVAL_SECONDS } = require('../collectors/metrics-collector');
+const { OPEN_STATUSES } = require('./anomaly-lifecycle');
+const logger = require('../utils/logger');
+
+const INTERVAL_MS = SNAPSHOT_INTERVAL_SECONDS * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function severityFromMinutes(minutes, levels) {
+  if (minutes >= levels.CRITICAL) return 'CRITICAL';
+  if (minutes >= levels.HIGH) return 'HIGH';
+  if (minutes >= levels.MEDIUM) return 'MEDIUM';
+  return 'LOW';
+}
+
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Last bucket that should have been collected by now
+ * The current bucket is still being written, so it isn't expected yet.
+ */
+function lastExpectedBucket(now) {
+  return new Date(Math.floor(now.getTime() / INTERVAL_MS) * INTERVAL_MS - INTERVAL_MS);
+}
+
+/**
+ * Total coverage over rows from getCoverageByDay
+ * @returns {Object} { expected_buckets, collected_buckets, failed_buckets, missing_buckets, coverage_percent }
+ */
+function summarizeCoverage(days) {
+  const totals = { expected_buckets: 0, collected_buckets: 0, failed_buckets: 0, missing_buckets: 0 };
+  for (const day of days) {
+    for (const key of Object.keys(totals)) {
+      totals[key] += Number(day[key]);
+    }
+  }
+
+  const coverage = totals.expected_buckets > 0
+    ? (100 * totals.collected_buckets) / totals.expected_buckets
+    : null;
+
+  return { ...totals, coverage_percent: coverage === null ? null : Number(coverage.toFixed(2)) };
+}
+
+/**
+ * Gap length in minutes from a getDataGaps row
+ */
+function gapMinutes(gap) {
+  return (Number(gap.buckets) * SNAPSHOT_INTERVAL_SECONDS) / 60;
+}
+
+/**
+ * Turn gaps and coverage into data_gap anomalies
+ * @param {Object} scan
+ * @param {Array<Object>} scan.gaps - Rows from getDataGaps
+ * @param {Array<Object>} scan.coverage - Rows from getCoverageByDay
+ * @param {Date} scan.windowStart - First bucket scanned; gaps starting there began earlier and are skipped
+ * @param {Date} scan.lastBucket - Last bucket scanned; gaps ending there are still open
+ * @param {Object} settings - DATA_GAP overrides
+ * @returns {Array<Object>} Candidate anomalies ready for insertAnomaly()
+ */
+function detectDataGaps(scan, settings = {}) {
+  const { minGapMinutes, severityMinutes, minCoveragePercent } = { ...DATA_GAP, ...settings };
+  const windowStart = new Date(scan.windowStart).getTime();
+  const lastBucket = new Date(scan.lastBucket).getTime();
+  const candidates = [];
+
+  for (const gap of scan.gaps) {
+    const minutes = gapMinutes(gap);
+    const start = new Date(gap.gap_start);
+    const end = new Date(gap.gap_end);
+    if (minutes < minGapMinutes || start.getTime() <= windowStart) continue;
+
+    const ongoing = end.getTime() >= lastBucket;
+    const failed = Number(gap.failed_buckets);
+    const cause = failed > 0
+      ? `${failed} of ${gap.buckets} collections failed${gap.last_error ? ` (last error: ${gap.last_error})` : ''}`
+      : 'no collection ran';
+
+    candidates.push({
+      anomaly_type: 'data_gap',
+      severity: severityFromMinutes(minutes, severityMinutes),
+      confidence: 1,
+      title: ongoing
+        ? `No metrics collected since ${start.toISOString()}`
+        : `${formatDuration(minutes)} gap in metrics collection`,
+      description: `No successful snapshot from ${start.toISOString()} to `
+        + `${ongoing ? 'now' : new Date(end.getTime() + INTERVAL_MS).toISOString()} `
+        + `(${gap.buckets} missed 5-minute collections, ${formatDuration(minutes)}${ongoing ? ' so far' : ''}): ${cause}. `
+        + 'Detection and the AI analysis have no data for this window.',
+      recommendation: ongoing
+        ? 'Check the collector process and RPC endpoints (GET /api/v1/jobs/collect-metrics/runs).'
+        : 'Backfill the window with the historical loader (npm run gaps -- --backfill).',
+      affected_metrics: ['collection_coverage'],
+      baseline_data: { min_gap_minutes: minGapMinutes },
+      recent_data: {
+        kind: 'gap',
+        gap_start: start.toISOString(),
+        gap_end: end.toISOString(),
+        buckets: Number(gap.buckets),
+        missing_buckets: Number(gap.missing_buckets),
+        failed_buckets: failed,
+        last_error: gap.last_error || null,
+        ongoing,
+      },
+      statistical_significance: null,
+      status: 'active',
+    });
+  }
+
+  const summary = summarizeCoverage(scan.coverage);
+  if (summary.coverage_percent !== null && summary.coverage_percent < minCoveragePercent) {
+    candidates.push({
+      anomaly_type: 'data_gap',
+      severity: summary.coverage_percent < minCoveragePercent / 2 ? 'HIGH' : 'MEDIUM',
+      confidence: 1,
+      title: `Metrics coverage ${summary.coverage_percent}% over the last ${Math.round((lastBucket - windowStart) / HOUR_MS)}h`,
+      description: `${summary.collected_buckets} of ${summary.expected_buckets} expected snapshots were collected `
+        + `(${summary.missing_buckets} missing, ${summary.failed_buckets} failed), below the `
+        + `${minCoveragePercent}% minimum. Baselines and detection are computed on incomplete data.`,
+      recommendation: 'Find the gaps (npm run gaps -- --dry-run) and backfill them.',
+      affected_metrics: ['collection_coverage'],
+      baseline_data: { min_coverage_percent: minCoveragePercent },
+      recent_data: {
+        kind: 'coverage',
+        window_start: new Date(windowStart).toISOString(),
+        window_end: new Date(lastBucket).toISOString(),
+        ...summary,
+        days: scan.coverage.map(day => ({ day: day.day, coverage_percent: Number(day.coverage_percent) })),
+      },
+      statistical_significance: null,
+      status: 'active',
+    });
+  }
+
+  return candidates;
+}
+
+/**
+ * Drop candidates already on record
+ * Gaps match on their start bucket whatever the anomaly's status, so a resolved
+ * gap isn't raised again; coverage matches any open coverage anomaly in the
+ * duplicate window.
+ */
+async function filterReported(store, candidates, windowStart) {
+  if (candidates.length === 0) return [];
+
+  const existing = await store.getAnomalies({
+    type: 'data_gap',
+    since: new Date(Math.min(windowStart.getTime(), Date.now() - DUPLICATE_WINDOW_HOURS * HOUR_MS)),
+  });
+  const reportedGaps = new Set(existing
+    .filter(anomaly => anomaly.recent_data?.kind === 'gap')
+    .map(anomaly => new Date(anomaly.recent_data.gap_start).getTime()));
+  const duplicateWindowStart = Date.now() - DUPLICATE_WINDOW_HOURS * HOUR_MS;
+  const openCoverage = existing.some(anomaly => anomaly.recent_data?.kind === 'coverage'
+    && OPEN_STATUSES.includes(anomaly.status)
+    && new Date(anomaly.detected_at).getTime() >= duplicateWindowStart);
+
+  return candidates.filter(candidate => (candidate.recent_data.kind === 'gap'
+    ? !reportedGaps.has(new Date(candidate.recent_data.gap_start).getTime())
+    : !openCoverage));
+}
+
+/**
+ * Backfill closed gaps with the historical loader, one loader job per gap
+ * The loader writes a snapshot at every bucket after the block before the gap,
+ * up to the block before the bucket after it.
+ * @param {Array<Object>} gaps - Rows from getDataGaps
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - JSON-RPC provider (default: getProvider())
+ * @param {Function} options.createLoader - Loader factory (default: createHistoricalLoader)
+ * @returns {Promise<Array<Object>>} { gap_start, gap_end, snapshots_written | error } per gap
+ */
+async function backfillGaps(gaps, options = {}) {
+  if (gaps.length === 0) return [];
+
+  const provider = options.provider || require('../collectors/rpc-provider').getProvider();
+  const createLoader = options.createLoader || require('../collectors/historical-loader').createHistoricalLoader;
+  const latest = await provider.getBlock('latest');
+  const hint = timestamp => Math.max(0, latest.number - Math.floor((latest.timestamp - timestamp) / 12));
+  const results = [];
+
+  for (const gap of gaps) {
+    const start = Math.floor(new Date(gap.gap_start).getTime() / 1000);
+    const end = Math.floor(new Date(gap.gap_end).getTime() / 1000);
+    const loader = createLoader({ provider, jobName: `gap_${new Date(start * 1000).toISOString()}` });
+
+    try {
+      const fromBlock = await loader.findBlockAtOrBefore(start - 1, hint(start - 1));
+      const toBlock = await loader.findBlockAtOrBefore(end + SNAPSHOT_INTERVAL_SECONDS - 1, hint(end));
+      const summary = await loader.run({ fromBlock: fromBlock.number, toBlock: toBlock.number });
+      results.push({ gap_start: gap.gap_start, gap_end: gap.gap_end, snapshots_written: summary.snapshotsWritten });
+    } catch (error) {
+      logger.warn('[ANALYZER] Gap backfill failed', { gapStart: gap.gap_start, error: error.message });
+      results.push({ gap_start: gap.gap_start, gap_end: gap.gap_end, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Scan recent buckets for gaps, store data_gap anomalies and optionally backfill
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Detect but don't insert or backfill
+ * @param {boolean} options.backfill - Backfill closed gaps (default: DATA_GAP.autoBackfill)
+ * @param {number} options.hours - Hours to scan
+ * @param {Date} options.now - Scan end (for testing)
+ * @param {Object} options.settings - DATA_GAP overrides
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Object} options.backfillOptions - Passed to backfillGaps()
+ * @returns {Promise<Object>} { gaps, coverage, summary, candidates, inserted, backfilled }
+ */
+async function runGapDetection(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const settings = { ...DATA_GAP, ...options.settings };
+  const hours = options.hours || settings.lookbackHours;
+  const lastBucket = lastExpectedBucket(options.now || new Date());
+  const windowStart = new Date(lastBucket.getTime() - hours * HOUR_MS + INTERVAL_MS);
+
+  const [gaps, coverage] = await Promise.all([
+    store.getDataGaps(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+    store.getCoverageByDay(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+  ]);
+
+  const candidates = detectDataGaps({ gaps, coverage, windowStart, lastBucket }, settings);
+  const inserted = [];
+  let backfilled = [];
+
+  if (!options.dryRun) {
+    for (const candidate of await filterReported(store, candidates, windowStart)) {
+      const row = await store.insertAnomaly(candidate);
+      inserted.push({ ...candidate, ...row });
+    }
+
+    if (options.backfill ?? settings.autoBackfill) {
+      const closed = gaps.filter(gap => new Date(gap.gap_end).getTime() < lastBucket.getTime());
+      backfilled = await backfillGaps(closed, options.backfillOptions);
+    }
+  }
+
+  const summary = summarizeCoverage(coverage);
+
+  logger.analyzer('Gap detection completed', {
+    hours,
+    gaps: gaps.length,
+    coveragePercent: summary.coverage_percent,
+    candidates: candidates.length,
+    inserted: inserted.length,
+    backfilled: backfilled.length,
+    dryRun: Boolean(options.dryRun),
+  });
+
+  return { gaps, coverage, summary, candidates, inserted, backfilled };
+}
+
+/**
+ * Coverage of the baseline window, for the AI analysis prompt
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {number} options.days - Baseline window (default: DATA_GAP.baselineDays)
+ * @param {Date} options.now - Window end (for testing)
+ * @returns {Promise<Object>} Coverage totals plus days, incomplete and the largest gaps (at most 5)
+ */
+async function getBaselineCoverage(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const days = options.days || DATA_GAP.baselineDays;
+  const lastBucket = lastExpectedBucket(options.now || new Date());
+  const windowStart = new Date(lastBucket.getTime() - days * 24 * HOUR_MS + INTERVAL_MS);
+
+  const [coverage, gaps] = await Promise.all([
+    store.getCoverageByDay(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+    store.getDataGaps(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+  ]);
+
+  const summary = summarizeCoverage(coverage);
+  const largest = gaps
+    .filter(gap => gapMinutes(gap) >= DATA_GAP.minGapMinutes)
+    .sort((a, b) => Number(b.buckets) - Number(a.buckets))
+    .slice(0, 5)
+    .map(gap => ({
+      gap_start: new Date(gap.gap_start).toISOString(),
+      gap_end: new Date(gap.gap_end).toISOString(),
+      minutes: gapMinutes(gap),
+    }));
+
+  return {
+    ...summary,
+    days,
+    incomplete: summary.coverage_percent !== null && summary.coverage_percent < DATA_GAP.minCoveragePercent,
+    gaps: largest,
+  };
+}
+
+/**
+ * Whether snapshots are still arriving, from the newest one alone
+ * Cheap enough for every GET /health; stale once the open gap reaches
+ * DATA_GAP.minGapMinutes, or when nothing was ever collected.
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Promise<Object>} { last_successful_collection, current_gap, stale }
+ */
+async function getCollectionFreshness(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const lastBucket = lastExpectedBucket(options.now || new Date());
+  const { last_successful_collection: lastCollection, last_error: lastError } = await store.getLastCollection();
+
+  if (!lastCollection) {
+    return {
+      last_successful_collection: null,
+      current_gap: { since: null, minutes: null, last_error: lastError || null },
+      stale: true,
+    };
+  }
+
+  const last = new Date(lastCollection);
+  const minutes = Math.max(lastBucket.getTime() - last.getTime(), 0) / 60000;
+
+  return {
+    last_successful_collection: last.toISOString(),
+    current_gap: minutes > 0
+      ? {
+        since: new Date(last.getTime() + INTERVAL_MS).toISOString(),
+        minutes,
+        last_error: lastError || null,
+      }
+      : null,
+    stale: minutes >= DATA_GAP.minGapMinutes,
+  };
+}
+
+/**
+ * 24h coverage and the current gap, from a scan of every bucket in the window
+ * Heavier than getCollectionFreshness; GET /health runs it with details=true.
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Date} options.now - Window end (for testing)
+ * @returns {Promise<Object>} { coverage_24h_percent, current_gap, stale }
+ */
+async function getCollectionHealth(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const lastBucket = lastExpectedBucket(options.now || new Date());
+  const windowStart = new Date(lastBucket.getTime() - 24 * HOUR_MS + INTERVAL_MS);
+
+  const [coverage, gaps] = await Promise.all([
+    store.getCoverageByDay(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+    store.getDataGaps(windowStart, lastBucket, SNAPSHOT_INTERVAL_SECONDS),
+  ]);
+
+  const open = gaps.find(gap => new Date(gap.gap_end).getTime() >= lastBucket.getTime());
+  const currentGap = open
+    ? {
+      since: new Date(open.gap_start).toISOString(),
+      minutes: gapMinutes(open),
+      last_error: open.last_error || null,
+    }
+    : null;
+
+  return {
+    coverage_24h_percent: summarizeCoverage(coverage).coverage_percent,
+    current_gap: currentGap,
+    stale: Boolean(currentGap && currentGap.minutes >= DATA_GAP.minGapMinutes),
+  };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+  const backfill = process.argv.includes('--backfill') || undefined;
+  const hoursIndex = process.argv.indexOf('--hours');
+  const hours = hoursIndex !== -1 ? parseInt(process.argv[hoursIndex + 1]) : undefined;
+
+  try {
+    const { gaps, coverage, summary, candidates, inserted, backfilled } = await runGapDetection({
+      dryRun,
+      backfill,
+      hours,
+    });
+
+    console.log('='.repeat(60));
+    console.log('Snapshot coverage by day (UTC)');
+    console.log('='.repeat(60));
+    for (const day of coverage) {
+      console.log(`${day.day}  ${String(day.coverage_percent).padStart(6)}%  `
+        + `${day.collected_buckets}/${day.expected_buckets} collected, `
+        + `${day.missing_buckets} missing, ${day.failed_buckets} failed`);
+    }
+    console.log(`Total: ${summary.coverage_percent ?? 'n/a'}%`);
+
+    console.log();
+    for (const gap of gaps) {
+      console.log(`Gap ${new Date(gap.gap_start).toISOString()} -> ${new Date(gap.gap_end).toISOString()}  `
+        + `${formatDuration(gapMinutes(gap))}${gap.last_error ? `  (${gap.last_error})` : ''}`);
+    }
+
+    console.log();
+    for (const candidate of candidates) {
+      console.log(`[${candidate.severity}] ${candidate.anomaly_type}: ${candidate.title}`);
+    }
+    for (const result of backfilled) {
+      console.log(result.error
+        ? `❌ Backfill ${new Date(result.gap_start).toISOString()} failed: ${result.error}`
+        : `✅ Backfilled ${new Date(result.gap_start).toISOString()}: ${result.snapshots_written} snapshots`);
+    }
+
+    console.log();
+    console.log(`${gaps.length} gap(s), ${candidates.length} candidate(s), ${inserted.length} stored`
+      + `${dryRun ? ' (dry run)' : ''}`);
+  } catch (error) {
+    console.error('\n❌ Gap detection failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  summarizeCoverage,
+  detectDataGaps,
+  backfillGaps,
+  runGapDetection,
+  getBaselineCoverage,
+  getCollectionFreshness,
+  getCollectionHealth,
+};
@@ -0,0 +1,236 @@
+/**
+ * Claude Prompt Builder
+ * Renders baseline statistics and their coverage, recent time series, whale movements,
+ * sentiment and statistical candidates into the analysis prompt (pure, no I/O)
+ */
+
+const { SEVERITIES, ANOMALY_TYPES } = require('./response-schema');
+const { toNumber, mean } = require('./statistics');
+
+// Metrics summarised in the prompt, in display order
+const PROMPT_METRICS = [
+  'tvl_eth',
+  'tvl_usd',
+  'eeth_total_supply',
+  'unique_stakers',
+  'deposit_count_24h',
+  'withdrawal_count_24h',
+  'total_volume_eth_24h',
+  'avg_transaction_size_eth',
+  'withdrawal_queue_size',
+  'withdrawal_queue_eth',
+  'withdrawal_age_p99_hours',
+  'withdrawal_backlog_clear_hours',
+  'peg_deviation_percent',
+  'avg_gas_price_gwei',
+  'active_validators',
+];
+
+const SNAPSHOTS_PER_HOUR = 12; // 5-minute collection interval
+
+const SYSTEM_PROMPT = `You are a DeFi risk analyst monitoring the EtherFi liquid restaking protocol on Ethereum mainnet.
+You receive 30-day baseline statistics, the last 24 hours of 5-minute metric snapshots, large eETH holder
+movements, social sentiment and the output of a deterministic statistical detector.
+
+Identify genuine anomalies that a protocol risk team should act on. Prefer no anomaly over a weak one:
+normal daily variation, gas noise and single missing data points are not anomalies. Statistical
+candidates are hints, not conclusions; confirm or dismiss them using the surrounding context.
+
+Reply with a single JSON object and nothing else, using exactly this shape:
+{
+  "summary": "One or two sentences on overall protocol health",
+  "anomalies": [
+    {
+      "anomaly_type": "one of: ${ANOMALY_TYPES.join(', ')}",
+      "severity": "one of: ${SEVERITIES.join(', ')}",
+      "confidence": 0.0 to 1.0,
+      "title": "Short headline, at most 200 characters",
+      "description": "What happened, with the numbers that support it",
+      "recommendation": "What the risk team should do",
+      "affected_metrics": ["metric names from the data, e.g. peg_deviation_percent"]
+    }
+  ]
+}
+Use an empty "anomalies" array when nothing is anomalous. Do not add other fields.`;
+
+/**
+ * Format a number compactly for the prompt
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (Number.isInteger(value)) return String(value);
+  return Math.abs(value) >= 1000 ? value.toFixed(2) : Number(value.toPrecision(6)).toString();
+}
+
+function formatBaseline(baseline) {
+  if (!baseline || !Number(baseline.data_points)) {
+    return 'No baseline data available.';
+  }
+
+  const pairs = [
+    ['TVL (USD)', 'avg_tvl_usd', 'stddev_tvl_usd'],
+    ['Unique stakers', 'avg_stakers', 'stddev_stakers'],
+    ['Withdrawal queue size', 'avg_queue_size', 'stddev_queue_size'],
+    ['Peg deviation (%)', 'avg_peg_deviation', 'stddev_peg_deviation'],
+    ['24h volume (ETH)', 'avg_volume', 'stddev_volume'],
+  ];
+
+  const lines = pairs.map(([label, avgKey, stddevKey]) =>
+    `- ${label}: mean ${formatValue(toNumber(baseline[avgKey]))}, stddev ${formatValue(toNumber(baseline[stddevKey]))}`
+  );
+
+  const period = [baseline.period_start, baseline.period_end].map(date => new Date(date).toISOString());
+  lines.push(`- Data points: ${baseline.data_points} (${period[0]} to ${period[1]})`);
+  return lines.join('\n');
+}
+
+/**
+ * Per-metric summary: latest value, 1h and 6h ago, and 24h range
+ */
+function formatMetricSummary(series) {
+  const lines = [];
+
+  for (const metric of PROMPT_METRICS) {
+    const values = series.map(row => toNumber(row[metric]));
+    const present = values.filter(value => value !== null);
+    if (present.length === 0) continue;
+
+    const at = (pointsAgo) => {
+      const index = values.length - 1 - pointsAgo;
+      return index >= 0 ? values[index] : null;
+    };
+
+    lines.push(
+      `- ${metric}: latest ${formatValue(at(0))}, 1h ago ${formatValue(at(SNAPSHOTS_PER_HOUR))}, `
+      + `6h ago ${formatValue(at(6 * SNAPSHOTS_PER_HOUR))}, 24h min ${formatValue(Math.min(...present))}, `
+      + `max ${formatValue(Math.max(...present))}, mean ${formatValue(mean(present))}`
+    );
+  }
+
+  return lines.length > 0 ? lines.join('\n') : 'No metric values in the window.';
+}
+
+/**
+ * Hourly samples as a compact CSV table, oldest first
+ */
+function formatHourlyTable(series) {
+  const columns = PROMPT_METRICS.filter(metric => series.some(row => toNumber(row[metric]) !== null));
+  if (columns.length === 0) return '';
+
+  const sampled = series.filter((row, index) => (series.length - 1 - index) % SNAPSHOTS_PER_HOUR === 0);
+  const rows = sampled.map(row => [
+    new Date(row.timestamp).toISOString(),
+    ...columns.map(metric => formatValue(toNumber(row[metric]))),
+  ].join(','));
+
+  return ['timestamp,' + columns.join(','), ...rows].join('\n');
+}
+
+function formatWhaleMovements(whales) {
+  if (!whales || whales.length === 0) {
+    return 'No whale balance moved more than 5% in the last 24 hours.';
+  }
+
+  return whales.slice(0, 10).map(whale =>
+    `- ${whale.label || whale.address} (rank ${whale.rank_position ?? 'n/a'}): `
+    + `balance ${formatValue(toNumber(whale.current_balance_eeth))} eETH, `
+    + `24h change ${formatValue(toNumber(whale.change_24h_eeth))} eETH `
+    + `(${formatValue(toNumber(whale.change_24h_percent))}%)`
+  ).join('\n');
+}
+
+function formatSentiment(sentiment) {
+  if (!sentiment || !Number(sentiment.total_tweets)) {
+    return 'No sentiment data in the last 24 hours.';
+  }
+
+  return [
+    `- Average sentiment score: ${formatValue(toNumber(sentiment.avg_sentiment))} (-1 to 1)`,
+    `- Tweets: ${sentiment.total_tweets} (${sentiment.positive_count} positive, `
+      + `${sentiment.negative_count} negative, ${sentiment.neutral_count} neutral)`,
+    `- Engagement: ${sentiment.total_retweets || 0} retweets, ${sentiment.total_likes || 0} likes`,
+  ].join('\n');
+}
+
+function formatCoverage(coverage) {
+  if (!coverage || coverage.coverage_percent === null || coverage.coverage_percent === undefined) {
+    return 'Collection coverage unknown.';
+  }
+
+  const lines = [
+    `- ${coverage.collected_buckets} of ${coverage.expected_buckets} 5-minute snapshots collected over `
+      + `${coverage.days} days (${coverage.coverage_percent}%)`,
+  ];
+
+  if (coverage.incomplete) {
+    lines.unshift('WARNING: the baseline is incomplete. Baseline statistics cover only part of the window, '
+      + 'so treat deviations from them with lower confidence, and do not report the missing data itself as an anomaly.');
+  }
+
+  for (const gap of coverage.gaps || []) {
+    lines.push(`- No data from ${gap.gap_start} to ${gap.gap_end} (${gap.minutes} minutes)`);
+  }
+
+  return lines.join('\n');
+}
+
+function formatCandidates(candidates) {
+  if (!candidates || candidates.length === 0) {
+    return 'The statistical detector found no candidates.';
+  }
+
+  return candidates.map(candidate =>
+    `- [${candidate.severity}] ${candidate.anomaly_type} on ${candidate.affected_metrics.join(', ')}: `
+    + `${candidate.description}`
+  ).join('\n');
+}
+
+/**
+ * Build the analysis prompt
+ * @param {Object} context
+ * @param {Object} context.baseline - Row from getBaselineStats
+ * @param {Array<Object>} context.timeSeries - time_series_data rows (any order)
+ * @param {Array<Object>} context.whaleMovements - Rows from getRecentWhaleMovements
+ * @param {Object} context.sentiment - Row from getSentimentStats
+ * @param {Object} context.coverage - Baseline coverage from getBaselineCoverage (optional)
+ * @param {Array<Object>} context.candidates - Statistical detector candidates
+ * @returns {Object} { system, prompt }
+ */
+function buildAnalysisPrompt(context) {
+  const series = (context.timeSeries || [])
+    .filter(row => !row.collection_status || row.collection_status === 'success')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const hourlyTable = formatHourlyTable(series);
+
+  const sections = [
+    `## 30-day baseline\n${formatBaseline(context.baseline)}`,
+  ];
+
+  if (context.coverage) {
+    sections.push(`## Data completeness\n${formatCoverage(context.coverage)}`);
+  }
+
+  sections.push(`## Last 24 hours (${series.length} snapshots)\n${formatMetricSummary(series)}`);
+
+  if (hourlyTable) {
+    sections.push(`## Hourly samples\n${hourlyTable}`);
+  }
+
+  sections.push(
+    `## Whale movements (24h)\n${formatWhaleMovements(context.whaleMovements)}`,
+    `## Social sentiment (24h)\n${formatSentiment(context.sentiment)}`,
+    `## Statistical detector candidates\n${formatCandidates(context.candidates)}`
+  );
+
+  return {
+    system: SYSTEM_PROMPT,
+    prompt: `${sections.join('\n\n')}\n\nAnalyze this data and reply with the JSON object described above.`,
+  };
+}
+
+module.exports = {
+  SYSTEM_PROMPT,
+  PROMPT_METRICS,
+  buildAnalysisPrompt,
+};
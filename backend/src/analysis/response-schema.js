@@ -0,0 +1,166 @@
+/**
+ * Claude Response Schema
+ * Parses and strictly validates the JSON returned by the analysis prompt
+ *
+ * Expected shape:
+ *   {
+ *     "summary": "string",
+ *     "anomalies": [{
+ *       "anomaly_type": "peg_deviation",
+ *       "severity": "LOW | MEDIUM | HIGH | CRITICAL",
+ *       "confidence": 0.0 - 1.0,
+ *       "title": "string (max 200 chars)",
+ *       "description": "string",
+ *       "recommendation": "string",
+ *       "affected_metrics": ["metric_name", ...]
+ *     }]
+ *   }
+ */
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const ANOMALY_TYPES = [
+  'whale_movement',
+  'peg_deviation',
+  'tvl_change',
+  'staker_change',
+  'queue_spike',
+  'volume_spike',
+  'gas_spike',
+  'sentiment_shift',
+  'validator_slashed',
+  'unusual_pattern',
+];
+
+const TOP_LEVEL_FIELDS = ['summary', 'anomalies'];
+const ANOMALY_FIELDS = [
+  'anomaly_type',
+  'severity',
+  'confidence',
+  'title',
+  'description',
+  'recommendation',
+  'affected_metrics',
+];
+
+const MAX_TITLE_LENGTH = 200; // anomalies.title is VARCHAR(200)
+const METRIC_NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Extract the JSON object from a model reply
+ * Tolerates a surrounding ```json fence but nothing else.
+ * @param {string} text
+ * @returns {Object} { value } on success or { error }
+ */
+function parseResponseText(text) {
+  const trimmed = (text || '').trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  const body = fenced ? fenced[1] : trimmed;
+
+  if (!body) {
+    return { error: 'Response is empty' };
+  }
+
+  try {
+    return { value: JSON.parse(body) };
+  } catch (error) {
+    return { error: `Response is not valid JSON: ${error.message}` };
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function checkUnknownFields(value, allowed, path, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${path}.${key} is not an allowed field`);
+    }
+  }
+}
+
+function validateAnomaly(anomaly, path, errors) {
+  if (!isPlainObject(anomaly)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  checkUnknownFields(anomaly, ANOMALY_FIELDS, path, errors);
+
+  if (!ANOMALY_TYPES.includes(anomaly.anomaly_type)) {
+    errors.push(`${path}.anomaly_type must be one of ${ANOMALY_TYPES.join(', ')}`);
+  }
+
+  if (!SEVERITIES.includes(anomaly.severity)) {
+    errors.push(`${path}.severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  if (typeof anomaly.confidence !== 'number' || !(anomaly.confidence >= 0 && anomaly.confidence <= 1)) {
+    errors.push(`${path}.confidence must be a number between 0 and 1`);
+  }
+
+  if (!isNonEmptyString(anomaly.title)) {
+    errors.push(`${path}.title must be a non-empty string`);
+  } else if (anomaly.title.length > MAX_TITLE_LENGTH) {
+    errors.push(`${path}.title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+
+  if (!isNonEmptyString(anomaly.description)) {
+    errors.push(`${path}.description must be a non-empty string`);
+  }
+
+  if (anomaly.recommendation !== undefined && typeof anomaly.recommendation !== 'string') {
+    errors.push(`${path}.recommendation must be a string`);
+  }
+
+  if (!Array.isArray(anomaly.affected_metrics) || anomaly.affected_metrics.length === 0) {
+    errors.push(`${path}.affected_metrics must be a non-empty array`);
+  } else {
+    anomaly.affected_metrics.forEach((metric, index) => {
+      if (typeof metric !== 'string' || !METRIC_NAME_PATTERN.test(metric)) {
+        errors.push(`${path}.affected_metrics[${index}] must be a snake_case metric name`);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a parsed response against the schema
+ * @param {*} response - Parsed JSON
+ * @returns {Object} { valid, errors }
+ */
+function validateAnalysisResponse(response) {
+  const errors = [];
+
+  if (!isPlainObject(response)) {
+    return { valid: false, errors: ['Response must be a JSON object'] };
+  }
+
+  checkUnknownFields(response, TOP_LEVEL_FIELDS, 'response', errors);
+
+  if (typeof response.summary !== 'string') {
+    errors.push('response.summary must be a string');
+  }
+
+  if (!Array.isArray(response.anomalies)) {
+    errors.push('response.anomalies must be an array');
+  } else {
+    response.anomalies.forEach((anomaly, index) => {
+      validateAnomaly(anomaly, `response.anomalies[${index}]`, errors);
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+module.exports = {
+  SEVERITIES,
+  ANOMALY_TYPES,
+  parseResponseText,
+  validateAnalysisResponse,
+};
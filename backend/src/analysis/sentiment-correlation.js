@@ -0,0 +1,464 @@
+/**
+ * Sentiment / On-Chain Correlation
+ * Lines hourly social sentiment up with on-chain stress signals (withdrawal queue
+ * growth, peg deviation and eETH outflows from tracked whales) to answer whether
+ * social panic leads on-chain stress, and raises a sentiment_shock anomaly when a
+ * burst of negative posts comes with a rising queue or whale outflows.
+ *
+ * Correlations are Pearson coefficients between a sentiment signal at hour t and an
+ * on-chain signal at hour t + lag, for lags of -maxLagHours..maxLagHours. Both sides
+ * are oriented so that higher means more stress; the best lag is the one with the
+ * highest coefficient, and a positive best lag means sentiment moved first.
+ *
+ * A shock is a run of hours whose negative post count is at least minNegativePosts
+ * and negativeZScore above the preceding baselineHours. It is confirmed when queue
+ * growth or whale outflow goes onChainZScore above its own baseline during the run
+ * or the confirmHours after it. Shocks already recorded (by window start) are skipped.
+ *
+ * Usage:
+ *   node src/analysis/sentiment-correlation.js [--dry-run] [--hours 168]
+ */
+
+const { SENTIMENT_CORRELATION } = require('../../config/detection');
+const { toNumber, round, mean, stddev, zScore, correlation } = require('./statistics');
+const logger = require('../utils/logger');
+
+// Sentiment side: higher means more negative
+const SIGNALS = {
+  negative_posts: 'Negative posts',
+  sentiment_drop: 'Hourly drop in average sentiment',
+};
+
+// On-chain side: higher means more stress
+const TARGETS = {
+  queue_growth_eth: 'Withdrawal queue growth (ETH)',
+  peg_deviation_percent: 'Peg deviation (%)',
+  whale_outflow_eeth: 'Whale outflows (eETH)',
+};
+
+function formatAmount(value) {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Turn getSentimentOnChainHourly rows into numeric hourly points with the
+ * hour-over-hour changes the analysis uses
+ * @param {Array<Object>} rows - Oldest first
+ * @returns {Array<Object>} Points
+ */
+function buildHourlySeries(rows) {
+  return rows.map((row, index) => {
+    const previous = rows[index - 1];
+    const avgSentiment = toNumber(row.avg_sentiment);
+    const previousSentiment = previous ? toNumber(previous.avg_sentiment) : null;
+    const queue = toNumber(row.withdrawal_queue_eth);
+    const previousQueue = previous ? toNumber(previous.withdrawal_queue_eth) : null;
+
+    return {
+      hour: new Date(row.hour),
+      posts: Number(row.posts),
+      avg_sentiment: avgSentiment,
+      negative_posts: Number(row.negative_posts),
+      influential_negative_posts: Number(row.influential_negative_posts),
+      withdrawal_queue_eth: queue,
+      peg_deviation_percent: toNumber(row.peg_deviation_percent),
+      whale_outflow_eeth: Number(row.whale_outflow_eeth),
+      sentiment_drop: avgSentiment !== null && previousSentiment !== null ? previousSentiment - avgSentiment : null,
+      queue_growth_eth: queue !== null && previousQueue !== null ? queue - previousQueue : null,
+    };
+  });
+}
+
+/**
+ * Correlation of signal[t] with target[t + lag] for every lag
+ * @param {Array<number|null>} signal - Hourly values, oldest first
+ * @param {Array<number|null>} target - Same hours as signal
+ * @param {Object} options
+ * @param {number} options.maxLagHours - Largest lag in either direction
+ * @param {number} options.minPairs - Fewer non-null pairs than this gives r = null
+ * @returns {Array<Object>} { lag, r, pairs } from -maxLagHours to maxLagHours
+ */
+function crossCorrelation(signal, target, { maxLagHours, minPairs }) {
+  const lags = [];
+
+  for (let lag = 0 - maxLagHours; lag <= maxLagHours; lag++) {
+    const xs = [];
+    const ys = [];
+    for (let t = Math.max(0, -lag); t < signal.length && t + lag < target.length; t++) {
+      if (signal[t] !== null && target[t + lag] !== null) {
+        xs.push(signal[t]);
+        ys.push(target[t + lag]);
+      }
+    }
+    lags.push({ lag, r: xs.length >= minPairs ? round(correlation(xs, ys), 3) : null, pairs: xs.length });
+  }
+
+  return lags;
+}
+
+/**
+ * Which side leads, from the lag with the highest positive correlation
+ * @returns {Object} { best_lag_hours, r, pairs, leader } (leader null without a positive r)
+ */
+function summarizeLead(lags) {
+  const best = lags
+    .filter(lag => lag.r !== null && lag.r > 0)
+    .reduce((top, lag) => (!top || lag.r > top.r ? lag : top), null);
+
+  if (!best) {
+    return { best_lag_hours: null, r: null, pairs: 0, leader: null };
+  }
+
+  let leader = 'simultaneous';
+  if (best.lag > 0) leader = 'sentiment';
+  if (best.lag < 0) leader = 'on_chain';
+
+  return { best_lag_hours: best.lag, r: best.r, pairs: best.pairs, leader };
+}
+
+/**
+ * Lagged cross-correlation of every sentiment signal against every on-chain signal
+ * @param {Array<Object>} series - From buildHourlySeries
+ * @param {Object} settings - SENTIMENT_CORRELATION overrides
+ * @returns {Array<Object>} { signal, target, label, best_lag_hours, r, pairs, leader, lags }
+ */
+function correlateSentimentOnChain(series, settings = {}) {
+  const config = { ...SENTIMENT_CORRELATION, ...settings };
+  const results = [];
+
+  for (const [signal, signalLabel] of Object.entries(SIGNALS)) {
+    for (const [target, targetLabel] of Object.entries(TARGETS)) {
+      const lags = crossCorrelation(
+        series.map(point => point[signal]),
+        series.map(point => point[target]),
+        config
+      );
+      results.push({
+        signal,
+        target,
+        label: `${signalLabel} vs ${targetLabel}`,
+        ...summarizeLead(lags),
+        lags,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Compare a value with a baseline of earlier values
+ * A flat baseline has no spread, so any value above it counts and z is null.
+ */
+function compareToBaseline(value, history, threshold) {
+  const values = history.filter(item => item !== null);
+  const avg = mean(values);
+  const sd = stddev(values);
+  const z = zScore(value, avg, sd);
+  const above = value !== null && avg !== null && (z !== null ? z >= threshold : value > avg);
+  return { z, mean: avg, stddev: sd, points: values.length, above };
+}
+
+/**
+ * Find negative-volume shocks and check the on-chain response to each
+ * @param {Array<Object>} series - From buildHourlySeries
+ * @param {Object} settings - SENTIMENT_CORRELATION overrides
+ * @returns {Array<Object>} Shock windows, confirmed or not
+ */
+function detectSentimentShocks(series, settings = {}) {
+  const config = { ...SENTIMENT_CORRELATION, ...settings };
+  const baselineOf = (index, key) => series
+    .slice(Math.max(0, index - config.baselineHours), index)
+    .map(point => point[key]);
+
+  // Hour index -> baseline comparison, for hours that are shocks
+  const shockHours = new Map();
+  series.forEach((point, index) => {
+    if (index < config.minBaselineHours || point.negative_posts < config.minNegativePosts) return;
+    const comparison = compareToBaseline(
+      point.negative_posts,
+      baselineOf(index, 'negative_posts'),
+      config.negativeZScore
+    );
+    if (comparison.above) {
+      shockHours.set(index, comparison);
+    }
+  });
+
+  // Consecutive shock hours form one window; on-chain baselines end at its first hour
+  const windows = [];
+  for (const [index, comparison] of shockHours) {
+    const current = windows[windows.length - 1];
+    if (current && current.end === index - 1) {
+      current.end = index;
+      current.hours.push({ index, comparison });
+    } else {
+      windows.push({ start: index, end: index, hours: [{ index, comparison }] });
+    }
+  }
+
+  return windows.map(({ start, end, hours }) => {
+    const responseEnd = Math.min(series.length - 1, end + config.confirmHours);
+    const response = series.slice(start, responseEnd + 1);
+    const shock = series.slice(start, end + 1);
+    const peak = hours.reduce((top, hour) => (
+      series[hour.index].negative_posts > series[top.index].negative_posts ? hour : top
+    ));
+
+    const onChain = {};
+    for (const key of ['queue_growth_eth', 'whale_outflow_eeth']) {
+      const history = baselineOf(start, key);
+      const values = response.map(point => point[key]).filter(value => value !== null);
+      const largest = values.length > 0 ? Math.max(...values) : null;
+      const comparison = compareToBaseline(largest, history, config.onChainZScore);
+      const firstAbove = response.findIndex(point => point[key] > 0
+        && compareToBaseline(point[key], history, config.onChainZScore).above);
+      onChain[key] = {
+        largest,
+        total: values.reduce((sum, value) => sum + value, 0),
+        ...comparison,
+        above: comparison.above && largest > 0,
+        first_hour: firstAbove,
+      };
+    }
+
+    const pegValues = response.map(point => point.peg_deviation_percent).filter(value => value !== null);
+    const responseHours = Object.values(onChain)
+      .filter(metric => metric.above && metric.first_hour !== -1)
+      .map(metric => metric.first_hour);
+
+    return {
+      window_start: series[start].hour,
+      window_end: series[end].hour,
+      response_end: series[responseEnd].hour,
+      negative_posts: shock.reduce((sum, point) => sum + point.negative_posts, 0),
+      influential_negative_posts: shock.reduce((sum, point) => sum + point.influential_negative_posts, 0),
+      peak_negative_posts: series[peak.index].negative_posts,
+      peak_z: peak.comparison.z,
+      negative_baseline: {
+        mean: peak.comparison.mean,
+        stddev: peak.comparison.stddev,
+        points: peak.comparison.points,
+      },
+      queue: onChain.queue_growth_eth,
+      outflows: onChain.whale_outflow_eeth,
+      max_peg_deviation_percent: pegValues.length > 0 ? Math.max(...pegValues) : null,
+      confirmed: onChain.queue_growth_eth.above || onChain.whale_outflow_eeth.above,
+      // Hours from the first shock hour to the first on-chain response
+      lead_hours: responseHours.length > 0 ? Math.min(...responseHours) : null,
+    };
+  });
+}
+
+/**
+ * Turn a confirmed shock into a sentiment_shock anomaly
+ * @param {Object} shock - From detectSentimentShocks
+ * @param {Object} settings - SENTIMENT_CORRELATION overrides
+ * @returns {Object} Candidate anomaly ready for insertAnomaly()
+ */
+function buildShockCandidate(shock, settings = {}) {
+  const config = { ...SENTIMENT_CORRELATION, ...settings };
+  const queueRising = shock.queue.above;
+  const outflowsRising = shock.outflows.above;
+  const pegStressed = shock.max_peg_deviation_percent !== null
+    && shock.max_peg_deviation_percent >= config.criticalPegDeviationPercent;
+
+  let severity = 'MEDIUM';
+  if (queueRising && outflowsRising) severity = 'HIGH';
+  if (pegStressed) severity = 'CRITICAL';
+
+  const confidence = Math.min(0.95, 0.6
+    + (queueRising && outflowsRising ? 0.15 : 0)
+    + (shock.influential_negative_posts > 0 ? 0.1 : 0)
+    + (shock.peak_z !== null ? 0.05 : 0));
+
+  const rising = [
+    queueRising ? 'the withdrawal queue' : null,
+    outflowsRising ? 'whale outflows' : null,
+  ].filter(Boolean).join(' and ');
+
+  const details = [
+    queueRising ? `the withdrawal queue grew by up to ${formatAmount(shock.queue.largest)} ETH in an hour` : null,
+    outflowsRising ? `tracked whales sent out ${formatAmount(shock.outflows.total)} eETH` : null,
+    shock.max_peg_deviation_percent !== null
+      ? `the peg deviated by up to ${round(shock.max_peg_deviation_percent, 4)}%`
+      : null,
+  ].filter(Boolean).join(', ');
+
+  const zText = shock.peak_z !== null ? `${round(shock.peak_z, 1)} standard deviations` : 'well';
+  const lead = shock.lead_hours === 0
+    ? 'in the same hour'
+    : `${shock.lead_hours} hour(s) after the posts started`;
+
+  return {
+    anomaly_type: 'sentiment_shock',
+    severity,
+    confidence: round(confidence, 2),
+    title: `Sentiment shock: ${shock.peak_negative_posts} negative posts in an hour as ${rising} rose`,
+    description: `${shock.negative_posts} negative posts about EtherFi between `
+      + `${shock.window_start.toISOString()} and ${shock.window_end.toISOString()} `
+      + `(${shock.influential_negative_posts} from influential accounts), peaking at `
+      + `${shock.peak_negative_posts} in an hour, ${zText} above the baseline of `
+      + `${round(shock.negative_baseline.mean, 1)} per hour. Over the same window ${details}; `
+      + `on-chain stress showed up ${lead}.`,
+    recommendation: 'Check the risk feed for what is driving the posts, and watch withdrawal queue growth, '
+      + 'whale wallets and the eETH/ETH peg over the next hours.',
+    affected_metrics: [
+      'negative_posts',
+      ...(queueRising ? ['withdrawal_queue_eth'] : []),
+      ...(outflowsRising ? ['whale_outflow_eeth'] : []),
+    ],
+    baseline_data: {
+      baseline_hours: shock.negative_baseline.points,
+      negative_posts_mean: round(shock.negative_baseline.mean, 3),
+      negative_posts_stddev: round(shock.negative_baseline.stddev, 3),
+      queue_growth_mean_eth: round(shock.queue.mean, 3),
+      queue_growth_stddev_eth: round(shock.queue.stddev, 3),
+      whale_outflow_mean_eeth: round(shock.outflows.mean, 3),
+      whale_outflow_stddev_eeth: round(shock.outflows.stddev, 3),
+    },
+    recent_data: {
+      window_start: shock.window_start.toISOString(),
+      window_end: shock.window_end.toISOString(),
+      response_end: shock.response_end.toISOString(),
+      negative_posts: shock.negative_posts,
+      influential_negative_posts: shock.influential_negative_posts,
+      peak_negative_posts: shock.peak_negative_posts,
+      peak_z: round(shock.peak_z, 3),
+      max_queue_growth_eth: round(shock.queue.largest, 3),
+      queue_growth_z: round(shock.queue.z, 3),
+      whale_outflow_eeth: round(shock.outflows.total, 3),
+      whale_outflow_z: round(shock.outflows.z, 3),
+      max_peg_deviation_percent: shock.max_peg_deviation_percent,
+      lead_hours: shock.lead_hours,
+    },
+    // Peak negative-volume z (null when the baseline was flat)
+    statistical_significance: round(shock.peak_z, 3),
+    status: 'active',
+  };
+}
+
+/**
+ * Correlations and shocks for hourly rows (pure)
+ * @param {Array<Object>} rows - Rows from getSentimentOnChainHourly
+ * @param {Object} settings - SENTIMENT_CORRELATION overrides
+ * @returns {Object} { series, correlations, shocks, candidates }
+ */
+function analyzeSentimentCorrelation(rows, settings = {}) {
+  const series = buildHourlySeries(rows);
+  const shocks = detectSentimentShocks(series, settings);
+
+  return {
+    series,
+    correlations: correlateSentimentOnChain(series, settings),
+    shocks,
+    candidates: shocks.filter(shock => shock.confirmed).map(shock => buildShockCandidate(shock, settings)),
+  };
+}
+
+/**
+ * Load hourly sentiment and on-chain data, correlate it and store new shocks
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Analyze but don't insert
+ * @param {number} options.hours - Hours of buckets to analyze
+ * @param {Object} options.settings - SENTIMENT_CORRELATION overrides
+ * @param {Object} options.store - Query overrides for testing
+ * @returns {Promise<Object>} { correlations, shocks, candidates, inserted }
+ */
+async function runSentimentCorrelation(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const hours = options.hours || SENTIMENT_CORRELATION.lookbackHours;
+
+  const rows = await store.getSentimentOnChainHourly(hours);
+  const { series, correlations, shocks, candidates: detected } = analyzeSentimentCorrelation(rows, options.settings);
+
+  // A shock is reported once, however far its window grows on later runs
+  let candidates = detected;
+  if (detected.length > 0) {
+    const existing = await store.getAnomalies({ type: 'sentiment_shock', since: series[0].hour });
+    const reported = new Set(existing.map(anomaly => anomaly.recent_data?.window_start));
+    candidates = detected.filter(candidate => !reported.has(candidate.recent_data.window_start));
+  }
+
+  const inserted = [];
+  if (!options.dryRun) {
+    for (const candidate of candidates) {
+      const row = await store.insertAnomaly(candidate);
+      inserted.push({ ...candidate, ...row });
+    }
+  }
+
+  logger.analyzer('Sentiment correlation completed', {
+    hours,
+    buckets: series.length,
+    shocks: shocks.length,
+    confirmed: detected.length,
+    candidates: candidates.length,
+    inserted: inserted.length,
+    leads: correlations
+      .filter(item => item.leader)
+      .map(item => `${item.signal}->${item.target}: ${item.leader} (${item.best_lag_hours}h, r=${item.r})`),
+    dryRun: Boolean(options.dryRun),
+  });
+
+  return { correlations, shocks, candidates, inserted };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+  const hoursIndex = process.argv.indexOf('--hours');
+  const hours = hoursIndex !== -1 ? parseInt(process.argv[hoursIndex + 1]) : undefined;
+
+  try {
+    const { correlations, shocks, candidates, inserted } = await runSentimentCorrelation({ dryRun, hours });
+
+    console.log('='.repeat(60));
+    console.log('Sentiment vs on-chain stress (hourly)');
+    console.log('='.repeat(60));
+    for (const item of correlations) {
+      const lead = item.leader
+        ? `r=${item.r} at ${item.best_lag_hours}h (${item.leader === 'simultaneous' ? 'same hour' : `${item.leader} leads`}, `
+          + `${item.pairs} pairs)`
+        : 'no positive correlation';
+      console.log(`${item.label.padEnd(66)}  ${lead}`);
+    }
+
+    console.log();
+    for (const shock of shocks) {
+      console.log(`${shock.confirmed ? '✅' : '  '} ${shock.window_start.toISOString()} - `
+        + `${shock.window_end.toISOString()}  ${shock.negative_posts} negative posts`
+        + `${shock.confirmed ? ', on-chain stress confirmed' : ''}`);
+    }
+
+    console.log();
+    for (const candidate of candidates) {
+      console.log(`[${candidate.severity}] ${candidate.anomaly_type}: ${candidate.title}`);
+      console.log(`    ${candidate.description}`);
+    }
+
+    console.log();
+    console.log(`${shocks.length} shock(s), ${candidates.length} candidate(s), `
+      + `${inserted.length} stored${dryRun ? ' (dry run)' : ''}`);
+  } catch (error) {
+    console.error('\n❌ Sentiment correlation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildHourlySeries,
+  crossCorrelation,
+  correlateSentimentOnChain,
+  detectSentimentShocks,
+  buildShockCandidate,
+  analyzeSentimentCorrelation,
+  runSentimentCorrelation,
+};
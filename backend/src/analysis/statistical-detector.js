@@ -0,0 +1,313 @@
+/**
+ * Statistical Anomaly Detector
+ * Deterministic first pass over time_series_data, run before any LLM analysis
+ *
+ * For every configured metric it runs four tests on the latest point:
+ *   - z-score against the 30-day baseline (getBaselineStats, or the series itself)
+ *   - z-score against a rolling window of recent points
+ *   - EWMA control chart
+ *   - rate of change over a lookback
+ * Metrics that fail any test become candidate anomalies. detectAnomalies() is
+ * pure and needs no database or network access.
+ *
+ * Usage:
+ *   node src/analysis/statistical-detector.js [--dry-run]
+ */
+
+const {
+  getMetricThresholds,
+  SEVERITY_Z_LEVELS,
+  SEVERITY_RATE_LEVELS,
+  DUPLICATE_WINDOW_HOURS,
+} = require('../../config/detection');
+const {
+  toNumber,
+  round,
+  mean,
+  stddev,
+  zScore,
+  rollingZScore,
+  ewmaControlChart,
+  rateOfChange,
+  twoSidedPValue,
+} = require('./statistics');
+const { OPEN_STATUSES } = require('./anomaly-lifecycle');
+const logger = require('../utils/logger');
+
+const SEVERITY_ORDER = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+function severityFromLevels(score, levels) {
+  if (score >= levels.CRITICAL) return 'CRITICAL';
+  if (score >= levels.HIGH) return 'HIGH';
+  if (score >= levels.MEDIUM) return 'MEDIUM';
+  return 'LOW';
+}
+
+function maxSeverity(severities) {
+  return severities.reduce(
+    (max, severity) => (SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(max) ? severity : max),
+    'LOW'
+  );
+}
+
+/**
+ * Run all tests for one metric
+ * @param {Array<number>} values - Non-null values, oldest first
+ * @param {Object} baseline - Row from getBaselineStats (may be null)
+ * @param {Object} settings - Resolved thresholds for the metric
+ * @returns {Object} { tests, triggered }
+ */
+function evaluateMetric(values, baseline, settings) {
+  const latest = values[values.length - 1];
+  const tests = [];
+
+  // 1. Baseline z-score
+  let baselineMean = null;
+  let baselineStddev = null;
+  if (settings.baseline && baseline) {
+    baselineMean = toNumber(baseline[settings.baseline.mean]);
+    baselineStddev = toNumber(baseline[settings.baseline.stddev]);
+  }
+  if (baselineMean === null || !baselineStddev) {
+    baselineMean = mean(values);
+    baselineStddev = stddev(values);
+  }
+
+  const baselineZ = zScore(latest, baselineMean, baselineStddev);
+  if (baselineZ !== null) {
+    tests.push({
+      test: 'baseline_zscore',
+      value: round(baselineZ),
+      threshold: settings.zScore,
+      triggered: Math.abs(baselineZ) >= settings.zScore,
+      score: Math.abs(baselineZ),
+    });
+  }
+
+  // 2. Rolling z-score
+  const rolling = rollingZScore(values, settings.rollingWindow);
+  if (rolling && rolling.z !== null) {
+    tests.push({
+      test: 'rolling_zscore',
+      value: round(rolling.z),
+      threshold: settings.rollingZScore,
+      window_points: rolling.points,
+      triggered: Math.abs(rolling.z) >= settings.rollingZScore,
+      score: Math.abs(rolling.z),
+    });
+  }
+
+  // 3. EWMA control chart, centered on the baseline
+  const ewma = ewmaControlChart(values.slice(-settings.rollingWindow), {
+    lambda: settings.ewmaLambda,
+    limit: settings.ewmaLimit,
+    target: baselineMean,
+    sigma: baselineStddev,
+  });
+  if (ewma) {
+    tests.push({
+      test: 'ewma',
+      value: round(ewma.ewma),
+      lower_limit: round(ewma.lower),
+      upper_limit: round(ewma.upper),
+      triggered: ewma.outOfControl,
+      score: Math.abs(ewma.z),
+    });
+  }
+
+  // 4. Rate of change
+  if (settings.rateOfChangePercent !== null) {
+    const change = rateOfChange(values, settings.rateOfChangeLookback);
+    if (change !== null) {
+      tests.push({
+        test: 'rate_of_change',
+        value: round(change, 4),
+        threshold: settings.rateOfChangePercent,
+        lookback_points: settings.rateOfChangeLookback,
+        triggered: Math.abs(change) >= settings.rateOfChangePercent,
+        rate_ratio: Math.abs(change) / settings.rateOfChangePercent,
+      });
+    }
+  }
+
+  return {
+    latest,
+    baselineMean,
+    baselineStddev,
+    tests,
+    triggered: tests.filter(test => test.triggered),
+  };
+}
+
+/**
+ * Turn a triggered metric evaluation into an anomaly row for insertAnomaly()
+ */
+function buildCandidate(metric, settings, evaluation, latestRow, pointCount) {
+  const { triggered } = evaluation;
+
+  const zTests = triggered.filter(test => test.score !== undefined);
+  const rateTests = triggered.filter(test => test.rate_ratio !== undefined);
+  const maxZ = zTests.length > 0 ? Math.max(...zTests.map(test => test.score)) : null;
+
+  const severity = maxSeverity([
+    ...zTests.map(test => severityFromLevels(test.score, SEVERITY_Z_LEVELS)),
+    ...rateTests.map(test => severityFromLevels(test.rate_ratio, SEVERITY_RATE_LEVELS)),
+  ]);
+
+  // Confidence grows with the number of agreeing tests and the strength of the deviation
+  const pValue = maxZ !== null ? twoSidedPValue(maxZ) : null;
+  const agreement = triggered.length / evaluation.tests.length;
+  const strength = pValue !== null ? 1 - pValue : 0.5;
+  const confidence = Math.min(0.99, Math.max(0.05, 0.5 * strength + 0.5 * agreement));
+
+  const direction = evaluation.latest >= evaluation.baselineMean ? 'above' : 'below';
+  const testNames = triggered.map(test => test.test.replace(/_/g, ' ')).join(', ');
+
+  return {
+    anomaly_type: settings.anomalyType,
+    severity,
+    confidence: round(confidence, 2),
+    title: `${settings.label} ${direction} expected range`,
+    description: `${settings.label} is ${round(evaluation.latest, 4)}, ${direction} the baseline mean of `
+      + `${round(evaluation.baselineMean, 4)}. Triggered tests: ${testNames}.`,
+    recommendation: 'Statistical candidate; review the recent data or wait for AI analysis before acting.',
+    affected_metrics: [metric],
+    baseline_data: {
+      metric,
+      mean: round(evaluation.baselineMean),
+      stddev: round(evaluation.baselineStddev),
+      data_points: pointCount,
+    },
+    recent_data: {
+      metric,
+      latest_value: evaluation.latest,
+      latest_timestamp: latestRow.timestamp,
+      tests: evaluation.tests.map(({ score, rate_ratio, ...test }) => test),
+    },
+    // Largest |z| among the triggered tests (null when only rate of change fired)
+    statistical_significance: maxZ !== null ? round(maxZ) : null,
+    status: 'active',
+  };
+}
+
+/**
+ * Detect candidate anomalies in a time series
+ * @param {Array<Object>} rows - time_series_data rows (any order)
+ * @param {Object} baseline - Row from getBaselineStats, or null
+ * @param {Object} options
+ * @param {Object} options.thresholds - Per-metric overrides on top of config/detection.js
+ * @returns {Array<Object>} Candidate anomalies ready for insertAnomaly()
+ */
+function detectAnomalies(rows, baseline = null, options = {}) {
+  const thresholds = getMetricThresholds(options.thresholds);
+  const series = rows
+    .filter(row => !row.collection_status || row.collection_status === 'success')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  if (series.length === 0) {
+    return [];
+  }
+
+  const latestRow = series[series.length - 1];
+  const candidates = [];
+
+  for (const [metric, settings] of Object.entries(thresholds)) {
+    if (!settings.enabled) continue;
+
+    // Only evaluate a metric whose latest snapshot actually has a value
+    if (toNumber(latestRow[metric]) === null) continue;
+
+    const values = series.map(row => toNumber(row[metric])).filter(value => value !== null);
+    if (values.length < settings.minDataPoints) continue;
+
+    const evaluation = evaluateMetric(values, baseline, settings);
+    if (evaluation.triggered.length > 0) {
+      candidates.push(buildCandidate(metric, settings, evaluation, latestRow, values.length));
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Load recent data, detect candidates and store the new ones
+ * Skips a candidate if an open anomaly of the same type already covers the metric.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Detect but don't insert
+ * @param {number} options.hours - Hours of recent data to evaluate
+ * @param {Object} options.store - Query overrides for testing
+ * @returns {Promise<Object>} { candidates, inserted }
+ */
+async function runStatisticalDetection(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const hours = options.hours || 48;
+
+  const [baseline, rows] = await Promise.all([
+    store.getBaselineStats(30),
+    store.getTimeSeriesData(hours),
+  ]);
+
+  const candidates = detectAnomalies(rows, baseline, options);
+  const inserted = [];
+
+  if (!options.dryRun) {
+    const since = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+
+    for (const candidate of candidates) {
+      const existing = await store.getAnomalies({
+        status: OPEN_STATUSES,
+        type: candidate.anomaly_type,
+        since,
+      });
+      const duplicate = existing.some(anomaly =>
+        (anomaly.affected_metrics || []).includes(candidate.affected_metrics[0])
+      );
+      if (duplicate) continue;
+
+      const row = await store.insertAnomaly(candidate);
+      inserted.push({ ...candidate, ...row });
+    }
+  }
+
+  logger.analyzer('Statistical detection completed', {
+    dataPoints: rows.length,
+    candidates: candidates.length,
+    inserted: inserted.length,
+    dryRun: Boolean(options.dryRun),
+  });
+
+  return { candidates, inserted };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const { candidates, inserted } = await runStatisticalDetection({ dryRun });
+
+    for (const candidate of candidates) {
+      console.log(`[${candidate.severity}] ${candidate.anomaly_type}: ${candidate.title}`);
+      console.log(`    ${candidate.description}`);
+    }
+
+    console.log();
+    console.log(`${candidates.length} candidate(s), ${inserted.length} stored${dryRun ? ' (dry run)' : ''}`);
+  } catch (error) {
+    console.error('\n❌ Detection failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  detectAnomalies,
+  evaluateMetric,
+  runStatisticalDetection,
+};
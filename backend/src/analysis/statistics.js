@@ -0,0 +1,170 @@
+/**
+ * Statistics Helpers
+ * Pure numeric functions shared by the analysis modules (no I/O)
+ */
+
+/**
+ * Convert a row value (pg returns NUMERIC as string) to a number or null
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Round for JSON storage or display
+ * Accepts row values like toNumber; anything that isn't a finite number is null.
+ */
+function round(value, digits = 6) {
+  const number = toNumber(value);
+  return number === null ? null : Number(number.toFixed(digits));
+}
+
+/**
+ * Arithmetic mean, or null for an empty series
+ */
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample standard deviation (n - 1), or null with fewer than two values
+ */
+function stddev(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  const variance = values.reduce((sum, value) => sum + (value - avg) ** 2, 0) / (values.length - 1);
+  return Math.sqrt(variance);
+}
+
+/**
+ * Standard score of a value, or null when the spread is zero/unknown
+ */
+function zScore(value, avg, sd) {
+  if (value === null || avg === null || !sd) return null;
+  return (value - avg) / sd;
+}
+
+/**
+ * z-score of the last value against the preceding window
+ * The latest point is excluded so a spike doesn't dampen its own score.
+ * @param {Array<number>} values - Oldest first
+ * @param {number} window - Number of preceding points to compare against
+ * @returns {Object|null} { z, mean, stddev, points }
+ */
+function rollingZScore(values, window) {
+  if (values.length < 3) return null;
+
+  const latest = values[values.length - 1];
+  const history = values.slice(Math.max(0, values.length - 1 - window), values.length - 1);
+  const avg = mean(history);
+  const sd = stddev(history);
+
+  return { z: zScore(latest, avg, sd), mean: avg, stddev: sd, points: history.length };
+}
+
+/**
+ * EWMA control chart over a series
+ * Uses the exact (time-varying) control limits so early points aren't over-flagged.
+ * @param {Array<number>} values - Oldest first
+ * @param {Object} options
+ * @param {number} options.lambda - Smoothing factor, 0 < lambda <= 1
+ * @param {number} options.limit - Control limit width (L) in standard deviations
+ * @param {number} options.target - Process mean (defaults to the series mean)
+ * @param {number} options.sigma - Process standard deviation (defaults to the series stddev)
+ * @returns {Object|null} Latest EWMA value, limits and whether it is out of control
+ */
+function ewmaControlChart(values, { lambda = 0.2, limit = 3, target = null, sigma = null } = {}) {
+  if (values.length < 2) return null;
+
+  const center = target ?? mean(values);
+  const sd = sigma ?? stddev(values);
+  if (!sd) return null;
+
+  let ewma = center;
+  values.forEach((value) => {
+    ewma = lambda * value + (1 - lambda) * ewma;
+  });
+
+  const n = values.length;
+  const width = limit * sd * Math.sqrt((lambda / (2 - lambda)) * (1 - (1 - lambda) ** (2 * n)));
+
+  return {
+    ewma,
+    center,
+    upper: center + width,
+    lower: center - width,
+    outOfControl: ewma > center + width || ewma < center - width,
+    // Distance from center in units of the EWMA's own standard deviation
+    z: width > 0 ? ((ewma - center) / width) * limit : 0,
+  };
+}
+
+/**
+ * Percent change between the last value and the value `lookback` points earlier
+ * @returns {number|null}
+ */
+function rateOfChange(values, lookback) {
+  if (values.length <= lookback) return null;
+
+  const latest = values[values.length - 1];
+  const previous = values[values.length - 1 - lookback];
+  if (previous === 0) return null;
+
+  return ((latest - previous) / Math.abs(previous)) * 100;
+}
+
+/**
+ * Pearson correlation of two equal-length series, or null when either is constant
+ * or there are fewer than three pairs
+ */
+function correlation(xs, ys) {
+  if (xs.length !== ys.length || xs.length < 3) return null;
+
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Two-sided p-value for a z-score
+ */
+function twoSidedPValue(z) {
+  return 2 * (1 - normalCdf(Math.abs(z)));
+}
+
+module.exports = {
+  toNumber,
+  round,
+  mean,
+  stddev,
+  zScore,
+  rollingZScore,
+  ewmaControlChart,
+  rateOfChange,
+  correlation,
+  normalCdf,
+  twoSidedPValue,
+};
@@ -0,0 +1,34 @@
+/**
+ * API Router
+ * Mounts every versioned REST route; server.js serves it under /api/v1
+ */
+
+const express = require('express');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createWhalesRouter } = require('./routes/whales');
+const { createAnomaliesRouter } = require('./routes/anomalies');
+const { createSentimentRouter } = require('./routes/sentiment');
+const { createHealthRouter } = require('./routes/health');
+const { createJobsRouter } = require('./routes/jobs');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.store - Query functions (see database/queries.js)
+ * @param {Function} options.healthCheck - Database health check
+ * @param {Object} options.jobRunner - Job runner for the /jobs routes
+ * @returns {express.Router}
+ */
+function createApiRouter({ store, healthCheck, jobRunner }) {
+  const router = express.Router();
+
+  router.use('/metrics', createMetricsRouter(store));
+  router.use('/whales', createWhalesRouter(store));
+  router.use('/anomalies', createAnomaliesRouter(store));
+  router.use('/sentiment', createSentimentRouter(store));
+  router.use('/health', createHealthRouter(store, healthCheck));
+  router.use('/jobs', createJobsRouter(store, jobRunner));
+
+  return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,393 @@
+/**
+ * WebSocket Push Channel
+ * Streams committed rows from the realtime_events change feed to dashboard clients
+ *
+ * Client -> server messages (JSON):
+ *   { "type": "subscribe", "topics": ["metrics", "anomalies:severity>=HIGH"], "resumeToken": "123" }
+ *   { "type": "unsubscribe", "topics": ["metrics"] }
+ *   { "type": "ping" }
+ *
+ * Server -> client messages:
+ *   { "type": "welcome", "topics": [...], "resumeToken": "123" }
+ *   { "type": "subscribed", "topics": [...] }
+ *   { "type": "event", "topic": "anomalies", "resumeToken": "124", "data": {...} }
+ *   { "type": "resync_required", "reason": "..." }   - reload over REST, then resubscribe
+ *   { "type": "pong" } / { "type": "error", "message": "..." }
+ *
+ * Every event carries a resume token. A reconnecting client sends the last token it saw
+ * with its subscribe message and receives everything it missed before live events resume.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+require('dotenv').config();
+
+const { SEVERITIES } = require('../analysis/response-schema');
+const { createNotificationListener } = require('../database/notification-listener');
+const logger = require('../utils/logger');
+
+const WS_PATH = process.env.WS_PATH || '/ws';
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.WS_HEARTBEAT_MS || '30000');
+const MAX_BUFFERED_BYTES = parseInt(process.env.WS_MAX_BUFFERED_BYTES || String(1024 * 1024));
+const RETENTION_HOURS = parseInt(process.env.REALTIME_RETENTION_HOURS || '24');
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const CATCH_UP_INTERVAL_MS = parseInt(process.env.REALTIME_CATCH_UP_MS || '5000');
+const MAX_MESSAGE_BYTES = 16 * 1024;
+const FETCH_BATCH_SIZE = 500;
+const MAX_REPLAY_EVENTS = 5000;
+
+const NOTIFY_CHANNEL = 'realtime_events';
+const BASE_TOPICS = ['metrics', 'anomalies', 'whales'];
+const TOPIC_PATTERN = new RegExp(`^(${BASE_TOPICS.join('|')})(?::severity>=(${SEVERITIES.join('|')}))?$`);
+
+/**
+ * Parse a subscription topic such as "anomalies:severity>=HIGH"
+ * @returns {Object|null} { topic, minSeverity } or null if invalid
+ */
+function parseTopic(name) {
+  const match = typeof name === 'string' ? name.match(TOPIC_PATTERN) : null;
+  if (!match) return null;
+
+  // Severity filters only make sense for anomalies
+  if (match[2] && match[1] !== 'anomalies') return null;
+
+  return { topic: match[1], minSeverity: match[2] || null };
+}
+
+/**
+ * Whether an event matches any of a client's subscriptions
+ */
+function matchesSubscriptions(subscriptions, event) {
+  for (const subscription of subscriptions.values()) {
+    if (subscription.topic !== event.topic) continue;
+    if (!subscription.minSeverity) return true;
+
+    const severity = event.payload && event.payload.severity;
+    if (SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(subscription.minSeverity)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Whether an event comes after a position in commit order (txid, then id)
+ * @param {Object} event - { id, txid }
+ * @param {Object} position - { id, txid }; txid null before the first event
+ */
+function isAfter(event, position) {
+  if (position.txid === null) return true;
+
+  const txid = BigInt(event.txid);
+  const positionTxid = BigInt(position.txid);
+  return txid > positionTxid || (txid === positionTxid && Number(event.id) > Number(position.id));
+}
+
+function toEventMessage(event) {
+  return {
+    type: 'event',
+    topic: event.topic,
+    resumeToken: String(event.id),
+    data: event.payload,
+  };
+}
+
+/**
+ * Attach the push channel to an HTTP server
+ * @param {Object} options
+ * @param {http.Server} options.server - Server to share (upgrade requests on WS_PATH)
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Function} options.createListener - Notification listener factory override
+ * @param {number} options.heartbeatIntervalMs
+ * @param {number} options.maxBufferedBytes
+ * @param {number} options.catchUpIntervalMs - How often to look for events held back
+ *                                             by a transaction that published nothing
+ * @returns {Promise<Object>} { wss, close(), getClientCount() }
+ */
+async function createRealtimeServer(options) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const createListener = options.createListener || createNotificationListener;
+  const heartbeatIntervalMs = options.heartbeatIntervalMs || HEARTBEAT_INTERVAL_MS;
+  const maxBufferedBytes = options.maxBufferedBytes || MAX_BUFFERED_BYTES;
+  const catchUpIntervalMs = options.catchUpIntervalMs || CATCH_UP_INTERVAL_MS;
+
+  const wss = new WebSocketServer({
+    server: options.server,
+    path: options.path || WS_PATH,
+    maxPayload: MAX_MESSAGE_BYTES,
+  });
+
+  const clients = new Set();
+
+  // Last event broadcast, in commit order; live delivery and resume replays split here.
+  // Events are read by (txid, id) rather than id alone: ids are taken at INSERT, so
+  // an event with a lower id can commit after a higher one was already sent.
+  const bounds = await store.getRealtimeEventBounds();
+  let lastEvent = { id: String(bounds.last_id || 0), txid: bounds.last_txid || null };
+  let draining = false;
+  let drainRequested = false;
+
+  /**
+   * Send a message, dropping clients that can't keep up
+   * A dropped client reconnects and resumes from its last token.
+   */
+  function send(client, message) {
+    const { ws } = client;
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (ws.bufferedAmount > maxBufferedBytes) {
+      logger.warn('[API] WebSocket client too slow, disconnecting', {
+        clientId: client.id,
+        bufferedBytes: ws.bufferedAmount,
+      });
+      ws.terminate();
+      return;
+    }
+
+    ws.send(JSON.stringify(message));
+  }
+
+  function deliver(client, event) {
+    if (!matchesSubscriptions(client.subscriptions, event)) return;
+
+    if (client.replaying) {
+      client.queued.push(event);
+    } else {
+      send(client, toEventMessage(event));
+    }
+  }
+
+  /**
+   * Fetch every settled event after lastEvent and broadcast it
+   * Concurrent notifications collapse into one more pass.
+   */
+  async function drain() {
+    if (draining) {
+      drainRequested = true;
+      return;
+    }
+
+    draining = true;
+    try {
+      do {
+        drainRequested = false;
+        let events;
+        do {
+          events = await store.getRealtimeEvents(lastEvent.id, FETCH_BATCH_SIZE);
+          for (const event of events) {
+            lastEvent = { id: String(event.id), txid: event.txid };
+            if (!event.payload) continue; // Row deleted since the event was written
+            for (const client of clients) {
+              deliver(client, event);
+            }
+          }
+        } while (events.length === FETCH_BATCH_SIZE);
+      } while (drainRequested);
+    } catch (error) {
+      logger.error('[API] Failed to broadcast realtime events', { error: error.message });
+    } finally {
+      draining = false;
+    }
+  }
+
+  /**
+   * Send a client everything it missed after its resume token, up to lastEvent
+   */
+  async function replay(client, resumeToken) {
+    const fromId = Number(resumeToken);
+    const replayUntil = lastEvent;
+    client.replaying = true;
+
+    try {
+      const { min_id: minId } = await store.getRealtimeEventBounds();
+      const oldestRetained = minId ? Number(minId) : Number(replayUntil.id) + 1;
+
+      if (fromId + 1 < oldestRetained) {
+        send(client, { type: 'resync_required', reason: 'Resume token is older than the retained event history' });
+        return;
+      }
+
+      let cursor = String(fromId);
+      let replayed = 0;
+      let done = replayUntil.txid === null || cursor === replayUntil.id;
+
+      while (!done) {
+        const events = await store.getRealtimeEvents(cursor, FETCH_BATCH_SIZE);
+        done = events.length < FETCH_BATCH_SIZE;
+
+        for (const event of events) {
+          if (isAfter(event, replayUntil)) {
+            done = true;
+            break;
+          }
+          cursor = String(event.id);
+          if (!event.payload || !matchesSubscriptions(client.subscriptions, event)) continue;
+
+          if (++replayed > MAX_REPLAY_EVENTS) {
+            send(client, { type: 'resync_required', reason: `More than ${MAX_REPLAY_EVENTS} events missed` });
+            return;
+          }
+          send(client, toEventMessage(event));
+        }
+      }
+    } finally {
+      client.replaying = false;
+      const queued = client.queued;
+      client.queued = [];
+      for (const event of queued) {
+        send(client, toEventMessage(event));
+      }
+    }
+  }
+
+  async function handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      send(client, { type: 'error', message: 'Messages must be JSON' });
+      return;
+    }
+
+    if (message.type === 'ping') {
+      send(client, { type: 'pong' });
+      return;
+    }
+
+    if (message.type !== 'subscribe' && message.type !== 'unsubscribe') {
+      send(client, { type: 'error', message: `Unknown message type "${message.type}"` });
+      return;
+    }
+
+    if (!Array.isArray(message.topics) || message.topics.length === 0) {
+      send(client, { type: 'error', message: 'topics must be a non-empty array' });
+      return;
+    }
+
+    const invalid = message.topics.filter(topic => !parseTopic(topic));
+    if (invalid.length > 0) {
+      send(client, { type: 'error', message: `Unknown topic(s): ${invalid.join(', ')}` });
+      return;
+    }
+
+    if (message.type === 'unsubscribe') {
+      message.topics.forEach(topic => client.subscriptions.delete(topic));
+      send(client, { type: 'subscribed', topics: [...client.subscriptions.keys()] });
+      return;
+    }
+
+    if (message.resumeToken !== undefined && !/^\d+$/.test(String(message.resumeToken))) {
+      send(client, { type: 'error', message: 'resumeToken must be a token received from this server' });
+      return;
+    }
+
+    message.topics.forEach(topic => client.subscriptions.set(topic, parseTopic(topic)));
+    send(client, { type: 'subscribed', topics: [...client.subscriptions.keys()] });
+
+    if (message.resumeToken !== undefined) {
+      await replay(client, message.resumeToken);
+    }
+  }
+
+  let nextClientId = 1;
+
+  wss.on('connection', (ws, req) => {
+    const client = {
+      id: nextClientId++,
+      ws,
+      subscriptions: new Map(),
+      replaying: false,
+      queued: [],
+      isAlive: true,
+    };
+    clients.add(client);
+
+    logger.api('WebSocket client connected', { clientId: client.id, ip: req.socket.remoteAddress });
+
+    ws.on('pong', () => {
+      client.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      handleMessage(client, raw.toString()).catch((error) => {
+        logger.error('[API] WebSocket message handling failed', { clientId: client.id, error: error.message });
+        send(client, { type: 'error', message: 'Internal error' });
+      });
+    });
+
+    ws.on('close', () => {
+      clients.delete(client);
+      logger.api('WebSocket client disconnected', { clientId: client.id });
+    });
+
+    ws.on('error', (error) => {
+      logger.warn('[API] WebSocket client error', { clientId: client.id, error: error.message });
+    });
+
+    send(client, {
+      type: 'welcome',
+      topics: [...BASE_TOPICS, ...SEVERITIES.map(severity => `anomalies:severity>=${severity}`)],
+      resumeToken: lastEvent.id,
+    });
+  });
+
+  // Terminate clients that missed a whole heartbeat interval
+  const heartbeat = setInterval(() => {
+    for (const client of clients) {
+      if (!client.isAlive) {
+        client.ws.terminate();
+        continue;
+      }
+      client.isAlive = false;
+      client.ws.ping();
+    }
+  }, heartbeatIntervalMs);
+
+  const prune = setInterval(() => {
+    store.pruneRealtimeEvents(RETENTION_HOURS).catch((error) => {
+      logger.warn('[API] Failed to prune realtime events', { error: error.message });
+    });
+  }, PRUNE_INTERVAL_MS);
+
+  // Events held back behind an older transaction are announced when they commit,
+  // which may be before that transaction ends; if it publishes nothing itself,
+  // only this sweep picks them up
+  const catchUp = setInterval(() => drain(), catchUpIntervalMs);
+
+  // Every notification (and every reconnect) triggers a catch-up from lastEvent,
+  // so notifications lost while the listener was down are still delivered
+  const listener = createListener({
+    channel: NOTIFY_CHANNEL,
+    onNotification: () => drain(),
+    onConnect: () => drain(),
+  });
+  await listener.start();
+
+  logger.api(`WebSocket server listening on ${options.path || WS_PATH}`, { resumeToken: lastEvent.id });
+
+  async function close() {
+    clearInterval(heartbeat);
+    clearInterval(prune);
+    clearInterval(catchUp);
+    await listener.stop();
+
+    for (const client of clients) {
+      client.ws.terminate();
+    }
+
+    await new Promise(resolve => wss.close(resolve));
+  }
+
+  return {
+    wss,
+    close,
+    drain,
+    getClientCount: () => clients.size,
+  };
+}
+
+module.exports = {
+  createRealtimeServer,
+  parseTopic,
+  matchesSubscriptions,
+  WS_PATH,
+};
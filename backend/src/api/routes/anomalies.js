@@ -0,0 +1,90 @@
+/**
+ * Anomaly Routes
+ * Filtered anomaly listing, single anomaly detail and triage transitions
+ */
+
+const express = require('express');
+const { asyncHandler, APIError } = require('../../utils/error-handler');
+const { SEVERITIES } = require('../../analysis/response-schema');
+const { ANOMALY_STATUSES, getAllowedActions } = require('../../analysis/anomaly-lifecycle');
+const { CURSOR_RULE, validate, validateBody, parseIdParam } = require('../validation');
+const { nextCursor } = require('../../database/query-builder');
+
+// Route segment -> lifecycle query function
+const TRANSITION_ROUTES = {
+  acknowledge: 'acknowledgeAnomaly',
+  resolve: 'resolveAnomaly',
+  'false-positive': 'markAnomalyFalsePositive',
+  reopen: 'reopenAnomaly',
+};
+
+const TRANSITION_BODY = {
+  actor: { required: true, maxLength: 100 },
+  note: { maxLength: 2000 },
+};
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @returns {express.Router}
+ */
+function createAnomaliesRouter(store) {
+  const router = express.Router();
+
+  // GET /anomalies?status=&severity=&type=&since=&limit=&cursor=
+  router.get('/', validate({
+    status: { type: 'enum', values: ANOMALY_STATUSES },
+    severity: { type: 'enum', values: SEVERITIES },
+    type: { type: 'string', pattern: /^[a-z][a-z_]*$/, maxLength: 50 },
+    since: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 500, default: 100 },
+    cursor: CURSOR_RULE,
+  }), asyncHandler(async (req, res) => {
+    const anomalies = await store.getAnomalies(req.validQuery);
+    res.json({
+      data: anomalies,
+      count: anomalies.length,
+      next_cursor: nextCursor(anomalies, req.validQuery.limit, 'detected_at'),
+    });
+  }));
+
+  // GET /anomalies/:id
+  router.get('/:id', validate({}), asyncHandler(async (req, res) => {
+    const id = parseIdParam(req.params.id);
+    const anomaly = await store.getAnomalyById(id);
+    if (!anomaly) {
+      throw new APIError(`Anomaly ${id} not found`, 404);
+    }
+
+    res.json({ data: { ...anomaly, allowed_actions: getAllowedActions(anomaly.status) } });
+  }));
+
+  // GET /anomalies/:id/events
+  router.get('/:id/events', validate({}), asyncHandler(async (req, res) => {
+    const id = parseIdParam(req.params.id);
+    const events = await store.getAnomalyEvents(id);
+    res.json({ data: events, count: events.length });
+  }));
+
+  // POST /anomalies/:id/acknowledge | resolve | false-positive | reopen
+  // Body: { "actor": "alice", "note": "optional" }
+  for (const [segment, queryName] of Object.entries(TRANSITION_ROUTES)) {
+    router.post(`/:id/${segment}`, validate({}), asyncHandler(async (req, res) => {
+      const id = parseIdParam(req.params.id);
+      const details = validateBody(req.body, TRANSITION_BODY);
+
+      const result = await store[queryName](id, details);
+      if (!result) {
+        throw new APIError(`Anomaly ${id} not found`, 404);
+      }
+
+      res.json({
+        data: { ...result.anomaly, allowed_actions: getAllowedActions(result.anomaly.status) },
+        event: result.event,
+      });
+    }));
+  }
+
+  return router;
+}
+
+module.exports = { createAnomaliesRouter };
@@ -0,0 +1,64 @@
+/**
+ * Health Route
+ * Database connectivity and collection freshness for monitoring
+ *
+ * Reports degraded (503) when the database is unreachable or no snapshot has been
+ * collected for DATA_GAP.minGapMinutes, so an external monitor notices a dead collector.
+ * The default response only runs cheap checks, as it backs liveness probes;
+ * ?details=true adds table counts, 24h coverage and what retention would reclaim.
+ */
+
+const express = require('express');
+const { getCollectionFreshness, getCollectionHealth } = require('../../analysis/gap-detector');
+const { asyncHandler } = require('../../utils/error-handler');
+const { validate } = require('../validation');
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @param {Function} healthCheck - Database health check (see database/db-connection.js)
+ * @returns {express.Router}
+ */
+function createHealthRouter(store, healthCheck) {
+  const router = express.Router();
+
+  /**
+   * Table counts, 24h coverage and reclaimable rows; each scans whole tables
+   */
+  async function loadDetails() {
+    const [stats, coverage, retention] = await Promise.all([
+      store.getDatabaseStats(),
+      getCollectionHealth({ store }),
+      store.getRetentionReclaimable(),
+    ]);
+    return { stats, coverage_24h_percent: coverage.coverage_24h_percent, retention };
+  }
+
+  // GET /health?details=false
+  router.get('/', validate({
+    details: { type: 'enum', values: ['true', 'false'], default: 'false' },
+  }), asyncHandler(async (req, res) => {
+    const database = await healthCheck();
+    const connected = database.status === 'healthy';
+    const collection = connected ? await getCollectionFreshness({ store }) : null;
+    const healthy = connected && !collection.stale;
+
+    const body = {
+      status: healthy ? 'ok' : 'degraded',
+      uptime_seconds: Math.round(process.uptime()),
+      database,
+      collection,
+    };
+    if (connected && req.validQuery.details === 'true') {
+      const { stats, coverage_24h_percent: coverage, retention } = await loadDetails();
+      body.collection = { ...collection, coverage_24h_percent: coverage };
+      body.stats = stats;
+      body.retention = retention;
+    }
+
+    res.status(healthy ? 200 : 503).json(body);
+  }));
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
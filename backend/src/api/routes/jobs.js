@@ -0,0 +1,79 @@
+/**
+ * Job Routes
+ * Scheduled job listing with last-run status, run history and manual triggers
+ */
+
+const express = require('express');
+const { asyncHandler, APIError } = require('../../utils/error-handler');
+const { CURSOR_RULE, validate } = require('../validation');
+const { nextCursor } = require('../../database/query-builder');
+const logger = require('../../utils/logger');
+
+const RUN_STATUSES = ['running', 'success', 'failed', 'skipped', 'abandoned'];
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @param {Object} jobRunner - Job runner (see jobs/job-runner.js)
+ * @returns {express.Router}
+ */
+function createJobsRouter(store, jobRunner) {
+  const router = express.Router();
+
+  function getJobOr404(name) {
+    const job = jobRunner.getJob(name);
+    if (!job) {
+      throw new APIError(`Job "${name}" not found`, 404);
+    }
+    return job;
+  }
+
+  // GET /jobs
+  router.get('/', validate({}), asyncHandler(async (req, res) => {
+    const summaries = new Map((await store.getJobSummaries()).map(row => [row.job_name, row]));
+
+    const jobs = jobRunner.listJobs().map(job => ({
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: job.enabled,
+      last_run: summaries.get(job.name) || null,
+    }));
+    res.json({ data: jobs, count: jobs.length });
+  }));
+
+  // GET /jobs/:name/runs?status=&limit=50&cursor=
+  router.get('/:name/runs', validate({
+    status: { type: 'enum', values: RUN_STATUSES },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    cursor: CURSOR_RULE,
+  }), asyncHandler(async (req, res) => {
+    const job = getJobOr404(req.params.name);
+    const runs = await store.getJobRuns({ job: job.name, ...req.validQuery });
+    res.json({
+      data: runs,
+      count: runs.length,
+      next_cursor: nextCursor(runs, req.validQuery.limit, 'started_at'),
+    });
+  }));
+
+  // POST /jobs/:name/run
+  // Starts the job and answers 202 without waiting for it; 409 while it is running
+  router.post('/:name/run', validate({}), asyncHandler(async (req, res) => {
+    const job = getJobOr404(req.params.name);
+    const started = await jobRunner.startJob(job.name, 'manual');
+
+    if (!started.run) {
+      throw new APIError(`Job "${job.name}" is already running (run ${started.running?.id})`, 409);
+    }
+
+    started.done.catch((error) => {
+      logger.error(`[JOBS] Could not record the result of ${job.name}`, { runId: started.run.id, error: error.message });
+    });
+
+    res.status(202).json({ data: started.run });
+  }));
+
+  return router;
+}
+
+module.exports = { createJobsRouter };
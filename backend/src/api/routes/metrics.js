@@ -0,0 +1,75 @@
+/**
+ * Metrics Routes
+ * Latest snapshot, time series history (raw snapshots or hourly/daily rollups
+ * depending on the range), and the live withdrawal queue
+ */
+
+const express = require('express');
+const { asyncHandler, APIError } = require('../../utils/error-handler');
+const { validate } = require('../validation');
+const { toQueueMetrics, projectBacklog } = require('../../collectors/withdrawal-queue');
+
+const MAX_HISTORY_HOURS = 720; // 30 days
+// Longer history comes from the hourly and daily rollups
+const MAX_ROLLUP_HISTORY_HOURS = 8760; // 365 days
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @returns {express.Router}
+ */
+function createMetricsRouter(store) {
+  const router = express.Router();
+
+  // GET /metrics/latest
+  router.get('/latest', validate({}), asyncHandler(async (req, res) => {
+    const metrics = await store.getLatestMetrics();
+    if (!metrics) {
+      throw new APIError('No metrics have been collected yet', 404);
+    }
+
+    res.json({ data: metrics });
+  }));
+
+  // GET /metrics/history?hours=24&resolution=auto&limit=
+  router.get('/history', validate({
+    hours: { type: 'integer', min: 1, max: MAX_ROLLUP_HISTORY_HOURS, default: 24 },
+    resolution: { type: 'enum', values: ['auto', 'raw', 'hour', 'day'], default: 'auto' },
+    limit: { type: 'integer', min: 1, max: 10000 },
+  }), asyncHandler(async (req, res) => {
+    const { hours, resolution: requested, limit } = req.validQuery;
+    if (hours > MAX_HISTORY_HOURS && requested === 'raw') {
+      throw new APIError(`Raw history is limited to ${MAX_HISTORY_HOURS} hours; use resolution=hour or day`, 400);
+    }
+
+    const { resolution, rows } = await store.getTimeSeriesHistory(hours, { resolution: requested, limit: limit || null });
+
+    res.json({ data: rows, count: rows.length, hours, resolution });
+  }));
+
+  // GET /metrics/withdrawal-queue?hours=168&limit=20
+  router.get('/withdrawal-queue', validate({
+    hours: { type: 'integer', min: 1, max: MAX_HISTORY_HOURS, default: 168 },
+    limit: { type: 'integer', min: 1, max: 500, default: 20 },
+  }), asyncHandler(async (req, res) => {
+    const { hours, limit } = req.validQuery;
+    const [stats, oldest] = await Promise.all([
+      store.getWithdrawalQueueStats(new Date(), hours),
+      store.getPendingWithdrawals(limit),
+    ]);
+
+    res.json({
+      data: {
+        ...toQueueMetrics(stats, hours),
+        ...projectBacklog(stats, hours),
+        processed_count: parseInt(stats.processed_count, 10),
+        processed_eth: stats.processed_eth,
+        oldest_pending: oldest,
+      },
+      hours,
+    });
+  }));
+
+  return router;
+}
+
+module.exports = { createMetricsRouter };
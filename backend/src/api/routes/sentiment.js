@@ -0,0 +1,52 @@
+/**
+ * Sentiment Routes
+ * Aggregated social sentiment over a time window, the risk feed of posts that
+ * mention EtherFi together with a risk keyword, and how sentiment lines up with
+ * on-chain stress
+ */
+
+const express = require('express');
+const { analyzeSentimentCorrelation } = require('../../analysis/sentiment-correlation');
+const { asyncHandler } = require('../../utils/error-handler');
+const { validate } = require('../validation');
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @returns {express.Router}
+ */
+function createSentimentRouter(store) {
+  const router = express.Router();
+
+  // GET /sentiment?hours=24
+  router.get('/', validate({
+    hours: { type: 'integer', min: 1, max: 168, default: 24 },
+  }), asyncHandler(async (req, res) => {
+    const { hours } = req.validQuery;
+    const stats = await store.getSentimentStats(hours);
+    res.json({ data: stats, hours });
+  }));
+
+  // GET /sentiment/risk?hours=24&limit=50
+  router.get('/risk', validate({
+    hours: { type: 'integer', min: 1, max: 168, default: 24 },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+  }), asyncHandler(async (req, res) => {
+    const { hours, limit } = req.validQuery;
+    const posts = await store.getSentimentRiskFeed(hours, limit);
+    res.json({ data: posts, count: posts.length, hours });
+  }));
+
+  // GET /sentiment/correlation?hours=168
+  router.get('/correlation', validate({
+    hours: { type: 'integer', min: 24, max: 720, default: 168 },
+  }), asyncHandler(async (req, res) => {
+    const { hours } = req.validQuery;
+    const rows = await store.getSentimentOnChainHourly(hours);
+    const { correlations, shocks } = analyzeSentimentCorrelation(rows);
+    res.json({ data: { correlations, shocks }, hours });
+  }));
+
+  return router;
+}
+
+module.exports = { createSentimentRouter };
@@ -0,0 +1,78 @@
+/**
+ * Whale Routes
+ * Top eETH holders, their recent balance movements, top-N changes, balance history
+ * and hourly exchange flows
+ */
+
+const express = require('express');
+const { ethers } = require('ethers');
+const { asyncHandler, APIError } = require('../../utils/error-handler');
+const { validate } = require('../validation');
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * @param {Object} store - Query functions (see database/queries.js)
+ * @returns {express.Router}
+ */
+function createWhalesRouter(store) {
+  const router = express.Router();
+
+  // GET /whales?limit=20
+  router.get('/', validate({
+    limit: { type: 'integer', min: 1, max: 100, default: 20 },
+  }), asyncHandler(async (req, res) => {
+    const whales = await store.getTopWhales(req.validQuery.limit);
+    res.json({ data: whales, count: whales.length });
+  }));
+
+  // GET /whales/movements
+  router.get('/movements', validate({}), asyncHandler(async (req, res) => {
+    const movements = await store.getRecentWhaleMovements();
+    res.json({ data: movements, count: movements.length });
+  }));
+
+  // GET /whales/rank-events?limit=50
+  router.get('/rank-events', validate({
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+  }), asyncHandler(async (req, res) => {
+    const events = await store.getWhaleRankEvents(req.validQuery.limit);
+    res.json({ data: events, count: events.length });
+  }));
+
+  // GET /whales/exchange-flows?hours=24
+  router.get('/exchange-flows', validate({
+    hours: { type: 'integer', min: 1, max: 720, default: 24 },
+  }), asyncHandler(async (req, res) => {
+    const flows = await store.getExchangeFlowsHourly(req.validQuery.hours);
+    res.json({ data: flows, count: flows.length });
+  }));
+
+  // GET /whales/:address/history?from=&to=&limit=
+  router.get('/:address/history', validate({
+    from: { type: 'date' },
+    to: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 10000, default: 10000 },
+  }), asyncHandler(async (req, res) => {
+    const { address } = req.params;
+    if (!ADDRESS_PATTERN.test(address)) {
+      throw new APIError('Path parameter "address" must be a 0x-prefixed 20-byte hex address', 400);
+    }
+
+    const to = req.validQuery.to || new Date();
+    const from = req.validQuery.from || new Date(to.getTime() - DEFAULT_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    if (from > to) {
+      throw new APIError('Query parameter "from" must not be after "to"', 400);
+    }
+
+    // Holders are stored checksummed, so any casing of the path is accepted and normalized
+    const checksummed = ethers.getAddress(address.toLowerCase());
+    const history = await store.getWhaleBalanceHistory(checksummed, from, to, req.validQuery.limit);
+    res.json({ data: history, count: history.length, from, to });
+  }));
+
+  return router;
+}
+
+module.exports = { createWhalesRouter };
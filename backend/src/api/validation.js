@@ -0,0 +1,178 @@
+/**
+ * Request Validation
+ * Parses query and path parameters against a small schema and rejects
+ * anything unexpected with an APIError 400
+ *
+ * Schema entries:
+ *   { type: 'integer', min, max, default }
+ *   { type: 'enum', values, default }
+ *   { type: 'date' }
+ *   { type: 'string', pattern, maxLength }
+ */
+
+const { APIError } = require('../utils/error-handler');
+
+// A next_cursor from a previous page; its contents are checked by the query builder
+const CURSOR_RULE = { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, maxLength: 200 };
+
+function parseInteger(name, raw, rule) {
+  if (!/^-?\d+$/.test(raw)) {
+    throw new APIError(`Query parameter "${name}" must be an integer`, 400);
+  }
+
+  const value = parseInt(raw, 10);
+  if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+    throw new APIError(`Query parameter "${name}" must be between ${rule.min} and ${rule.max}`, 400);
+  }
+
+  return value;
+}
+
+function parseEnum(name, raw, rule) {
+  if (!rule.values.includes(raw)) {
+    throw new APIError(`Query parameter "${name}" must be one of: ${rule.values.join(', ')}`, 400);
+  }
+  return raw;
+}
+
+function parseDate(name, raw) {
+  const date = new Date(raw);
+  if (raw === '' || Number.isNaN(date.getTime())) {
+    throw new APIError(`Query parameter "${name}" must be an ISO 8601 date`, 400);
+  }
+  return date;
+}
+
+function parseString(name, raw, rule) {
+  if (rule.maxLength !== undefined && raw.length > rule.maxLength) {
+    throw new APIError(`Query parameter "${name}" must be at most ${rule.maxLength} characters`, 400);
+  }
+  if (rule.pattern && !rule.pattern.test(raw)) {
+    throw new APIError(`Query parameter "${name}" has an invalid format`, 400);
+  }
+  return raw;
+}
+
+const PARSERS = {
+  integer: parseInteger,
+  enum: parseEnum,
+  date: parseDate,
+  string: parseString,
+};
+
+/**
+ * Validate a query object against a schema
+ * Unknown and repeated parameters are rejected.
+ * @param {Object} query - req.query
+ * @param {Object} schema - Parameter name -> rule
+ * @returns {Object} Parsed values, with defaults applied
+ */
+function validateQuery(query, schema = {}) {
+  const parsed = {};
+
+  for (const name of Object.keys(query)) {
+    if (!schema[name]) {
+      const allowed = Object.keys(schema);
+      throw new APIError(
+        `Unknown query parameter "${name}"`
+          + (allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''),
+        400
+      );
+    }
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = query[name];
+
+    if (raw === undefined) {
+      if (rule.default !== undefined) parsed[name] = rule.default;
+      continue;
+    }
+
+    if (typeof raw !== 'string') {
+      throw new APIError(`Query parameter "${name}" must be given once`, 400);
+    }
+
+    parsed[name] = PARSERS[rule.type](name, raw, rule);
+  }
+
+  return parsed;
+}
+
+/**
+ * Validate a JSON body whose fields are all strings
+ * Unknown fields are rejected; empty strings count as missing.
+ * @param {Object} body - req.body
+ * @param {Object} schema - Field name -> { required, maxLength }
+ * @returns {Object} Trimmed values (missing optional fields are null)
+ */
+function validateBody(body, schema) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new APIError('Request body must be a JSON object', 400);
+  }
+
+  for (const name of Object.keys(body)) {
+    if (!schema[name]) {
+      throw new APIError(`Unknown field "${name}" (allowed: ${Object.keys(schema).join(', ')})`, 400);
+    }
+  }
+
+  const parsed = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = body[name];
+
+    if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+      throw new APIError(`Field "${name}" must be a string`, 400);
+    }
+
+    const value = raw ? raw.trim() : '';
+    if (!value) {
+      if (rule.required) {
+        throw new APIError(`Field "${name}" is required`, 400);
+      }
+      parsed[name] = null;
+      continue;
+    }
+
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      throw new APIError(`Field "${name}" must be at most ${rule.maxLength} characters`, 400);
+    }
+
+    parsed[name] = value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse a positive integer path parameter such as :id
+ */
+function parseIdParam(raw, name = 'id') {
+  if (!/^\d+$/.test(raw) || parseInt(raw, 10) < 1 || parseInt(raw, 10) > 2147483647) {
+    throw new APIError(`Path parameter "${name}" must be a positive integer`, 400);
+  }
+  return parseInt(raw, 10);
+}
+
+/**
+ * Route middleware that validates req.query and stores the result on req.validQuery
+ * @param {Object} schema - See validateQuery
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    try {
+      req.validQuery = validateQuery(req.query, schema);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  CURSOR_RULE,
+  validateQuery,
+  validateBody,
+  parseIdParam,
+  validate,
+};
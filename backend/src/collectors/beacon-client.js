@@ -0,0 +1,115 @@
+/**
+ * Beacon Node API Client
+ * Minimal client for the standard beacon-node REST API (eth/v1)
+ *
+ * Endpoints used:
+ *   GET  /eth/v1/beacon/genesis
+ *   GET  /eth/v1/beacon/headers/{block_id}
+ *   GET  /eth/v1/beacon/states/{state_id}/validators?id=...
+ *   POST /eth/v1/beacon/rewards/attestations/{epoch}
+ */
+
+const axios = require('axios');
+
+const { BEACON_API_URL, BEACON_TIMEOUT_MS, VALIDATOR_BATCH_SIZE } = require('../../config/beacon');
+const { BlockchainError } = require('../utils/error-handler');
+
+const SLOTS_PER_EPOCH = 32;
+const SECONDS_PER_SLOT = 12;
+
+/**
+ * Create a beacon API client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Beacon node URL (default BEACON_API_URL)
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {number} options.batchSize - Validator ids per request
+ * @returns {Object} Client with getGenesis(), getFinalizedEpoch(), getValidators() and getAttestationRewards()
+ */
+function createBeaconClient(options = {}) {
+  const http = axios.create({
+    baseURL: (options.baseUrl || BEACON_API_URL).replace(/\/$/, ''),
+    timeout: options.timeoutMs || BEACON_TIMEOUT_MS,
+  });
+  const batchSize = options.batchSize || VALIDATOR_BATCH_SIZE;
+
+  async function request(description, config) {
+    try {
+      const response = await http.request(config);
+      return response.data.data;
+    } catch (error) {
+      const detail = error.response
+        ? `HTTP ${error.response.status}: ${error.response.data?.message || error.message}`
+        : error.message;
+      throw new BlockchainError(`Beacon ${description} failed: ${detail}`, error);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { genesis_time (unix seconds) }
+   */
+  async function getGenesis() {
+    const data = await request('genesis', { method: 'get', url: '/eth/v1/beacon/genesis' });
+    return { genesis_time: Number(data.genesis_time) };
+  }
+
+  /**
+   * Epoch of the latest finalized block header
+   */
+  async function getFinalizedEpoch() {
+    const data = await request('finalized header', { method: 'get', url: '/eth/v1/beacon/headers/finalized' });
+    return Math.floor(Number(data.header.message.slot) / SLOTS_PER_EPOCH);
+  }
+
+  /**
+   * Validator records for indices or public keys, in batches
+   * @param {Array<string>} ids
+   * @param {string} stateId - head, finalized, a slot or a state root
+   * @returns {Promise<Array<Object>>} { index, balance, status, validator: { pubkey, effective_balance, slashed, ... } }
+   */
+  async function getValidators(ids, stateId = 'head') {
+    const validators = [];
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      const data = await request(`validators (${batch.length})`, {
+        method: 'get',
+        url: `/eth/v1/beacon/states/${stateId}/validators`,
+        params: { id: batch.join(',') },
+      });
+      validators.push(...data);
+    }
+    return validators;
+  }
+
+  /**
+   * Attestation rewards for validator indices in an epoch
+   * @returns {Promise<Object>} { ideal_rewards, total_rewards } with gwei values as strings
+   */
+  async function getAttestationRewards(epoch, indices) {
+    const result = { ideal_rewards: [], total_rewards: [] };
+    for (let i = 0; i < indices.length; i += batchSize) {
+      const batch = indices.slice(i, i + batchSize).map(String);
+      const data = await request(`attestation rewards (epoch ${epoch})`, {
+        method: 'post',
+        url: `/eth/v1/beacon/rewards/attestations/${epoch}`,
+        data: batch,
+      });
+      // ideal_rewards is the same for every batch
+      result.ideal_rewards = data.ideal_rewards;
+      result.total_rewards.push(...data.total_rewards);
+    }
+    return result;
+  }
+
+  return {
+    getGenesis,
+    getFinalizedEpoch,
+    getValidators,
+    getAttestationRewards,
+  };
+}
+
+module.exports = {
+  createBeaconClient,
+  SLOTS_PER_EPOCH,
+  SECONDS_PER_SLOT,
+};
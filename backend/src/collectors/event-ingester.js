@@ -0,0 +1,315 @@
+/**
+ * Chain Event Ingester
+ * Polls EtherFi contract logs into chain_events, tracking the last processed
+ * block and rolling back events from blocks orphaned by a reorg
+ *
+ * Tracked events:
+ *   EETH_TOKEN       Transfer
+ *   LIQUIDITY_POOL   Deposit, Withdraw
+ *   WITHDRAWAL_QUEUE WithdrawalRequested, WithdrawalProcessed
+ */
+
+const { ethers } = require('ethers');
+
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../../config/contracts');
+const { getProvider } = require('./rpc-provider');
+const { BlockchainError, handleError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const TRACKED_EVENTS = {
+  EETH_TOKEN: ['Transfer'],
+  LIQUIDITY_POOL: ['Deposit', 'Withdraw'],
+  WITHDRAWAL_QUEUE: ['WithdrawalRequested', 'WithdrawalProcessed'],
+};
+
+const DEFAULT_STREAM = 'etherfi_events';
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.EVENT_CHUNK_SIZE || '2000');
+const DEFAULT_CONFIRMATIONS = parseInt(process.env.EVENT_CONFIRMATIONS || '2');
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.EVENT_POLL_INTERVAL_MS || '15000');
+const MAX_REORG_DEPTH = 64;
+
+// One decoder per tracked contract, keyed by lowercase address
+const decoders = new Map(
+  Object.entries(TRACKED_EVENTS).map(([contractName, eventNames]) => {
+    const iface = new ethers.Interface(ETHERFI_ABIS[contractName]);
+    return [ETHERFI_ADDRESSES[contractName].toLowerCase(), {
+      contractName,
+      address: ETHERFI_ADDRESSES[contractName],
+      iface,
+      topics: eventNames.map(name => iface.getEvent(name).topicHash),
+    }];
+  })
+);
+
+const TRACKED_ADDRESSES = [...decoders.values()].map(decoder => decoder.address);
+const TRACKED_TOPICS = [...decoders.values()].flatMap(decoder => decoder.topics);
+
+/**
+ * Convert decoded ethers args to a JSON-safe object
+ */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * Decode a raw log into a chain_events row
+ * @param {Object} log - ethers Log
+ * @param {number} blockTimestamp - Unix seconds of the log's block
+ * @returns {Object|null} Row, or null for logs we don't track
+ */
+function decodeLog(log, blockTimestamp) {
+  const decoder = decoders.get(log.address.toLowerCase());
+  if (!decoder || !decoder.topics.includes(log.topics[0])) {
+    return null;
+  }
+
+  const parsed = decoder.iface.parseLog({ topics: log.topics, data: log.data });
+  if (!parsed) {
+    return null;
+  }
+
+  const args = parsed.args;
+  const amount = args.amount ?? args.value ?? null;
+
+  return {
+    tx_hash: log.transactionHash,
+    log_index: log.index,
+    block_number: log.blockNumber,
+    block_hash: log.blockHash,
+    block_timestamp: new Date(blockTimestamp * 1000),
+    contract_name: decoder.contractName,
+    contract_address: decoder.address,
+    event_name: parsed.name,
+    args: serializeArgs(parsed.fragment, args),
+    from_address: args.from ?? args.sender ?? args.requester ?? null,
+    to_address: args.to ?? args.recipient ?? null,
+    amount_eth: amount !== null ? ethers.formatEther(amount) : null,
+  };
+}
+
+/**
+ * Create an event ingester
+ *
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider (defaults to the shared rpc-provider)
+ * @param {string} options.streamName - Cursor key in ingestion_state
+ * @param {number} options.startBlock - First block when no cursor exists (default: start
+ *                                      at the head; earlier events come from the historical loader)
+ * @param {number} options.chunkSize - Blocks per eth_getLogs request
+ * @param {number} options.confirmations - Blocks to stay behind the head
+ * @param {Object} options.store - Query overrides for testing
+ * @returns {Object} Ingester with pollOnce(), ingestRange(), start() and stop()
+ */
+function createEventIngester(options = {}) {
+  const provider = options.provider || getProvider();
+  const store = { ...require('../database/queries'), ...options.store };
+  const streamName = options.streamName || DEFAULT_STREAM;
+  const startBlock = options.startBlock ?? null;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+
+  let timer = null;
+  let polling = false;
+
+  async function getBlock(blockNumber) {
+    const block = await provider.getBlock(blockNumber);
+    if (!block) {
+      throw new BlockchainError(`Block ${blockNumber} not found`);
+    }
+    return block;
+  }
+
+  /**
+   * Fetch and decode all tracked logs in a block range
+   * @returns {Promise<Object>} { events, blocks } where blocks are the headers seen
+   */
+  async function fetchRange(fromBlock, toBlock) {
+    const logs = await provider.getLogs({
+      address: TRACKED_ADDRESSES,
+      topics: [TRACKED_TOPICS],
+      fromBlock,
+      toBlock,
+    });
+
+    const blockHeaders = new Map();
+    for (const blockNumber of new Set(logs.map(log => log.blockNumber))) {
+      blockHeaders.set(blockNumber, await getBlock(blockNumber));
+    }
+
+    const events = [];
+    for (const log of logs) {
+      if (log.removed) continue;
+      const event = decodeLog(log, blockHeaders.get(log.blockNumber).timestamp);
+      if (event) events.push(event);
+    }
+
+    const blocks = [...blockHeaders.values()].map(block => ({
+      block_number: block.number,
+      block_hash: block.hash,
+      block_timestamp: new Date(block.timestamp * 1000),
+    }));
+
+    return { events, blocks };
+  }
+
+  /**
+   * Ingest a historical block range without moving the live cursor
+   * Used by the backfill loader; deep history is treated as final.
+   * @returns {Promise<number>} Events inserted
+   */
+  async function ingestRange(fromBlock, toBlock) {
+    let inserted = 0;
+    for (let from = fromBlock; from <= toBlock; from += chunkSize) {
+      const to = Math.min(from + chunkSize - 1, toBlock);
+      const { events } = await fetchRange(from, to);
+      inserted += await store.insertChainEvents(events);
+    }
+    return inserted;
+  }
+
+  /**
+   * Compare the stored cursor with the chain and roll back if it was orphaned
+   * @returns {Promise<number|null>} Fork block if a reorg was handled
+   */
+  async function handleReorg(state) {
+    const lastBlock = Number(state.last_block);
+    const onChain = await provider.getBlock(lastBlock);
+    if (onChain && onChain.hash === state.last_block_hash) {
+      return null;
+    }
+
+    // Walk back through stored hashes until one still matches the chain
+    let forkBlock = Math.max(lastBlock - MAX_REORG_DEPTH, 0);
+    const stored = await store.getRecentChainBlocks(lastBlock - 1, MAX_REORG_DEPTH);
+    for (const block of stored) {
+      const canonical = await provider.getBlock(Number(block.block_number));
+      if (canonical && canonical.hash === block.block_hash) {
+        forkBlock = Number(block.block_number);
+        break;
+      }
+    }
+
+    const fork = await getBlock(forkBlock);
+    const removed = await store.rollbackChainEvents(streamName, forkBlock, fork.hash);
+
+    logger.collector(`Reorg detected on "${streamName}", rolled back to block ${forkBlock}`, {
+      previousBlock: lastBlock,
+      eventsRemoved: removed,
+    });
+
+    return forkBlock;
+  }
+
+  /**
+   * Process new blocks up to head - confirmations
+   * @returns {Promise<Object>} Summary of the poll
+   */
+  async function pollOnce() {
+    let state = await store.getIngestionState(streamName);
+
+    if (state) {
+      const forkBlock = await handleReorg(state);
+      if (forkBlock !== null) {
+        state = await store.getIngestionState(streamName);
+      }
+    }
+
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+
+    // A new stream without a start block begins at the head instead of walking the
+    // whole chain history in one poll
+    if (!state && startBlock === null) {
+      const seed = await getBlock(target);
+      await store.saveIngestedRange({
+        streamName,
+        events: [],
+        blocks: [{
+          block_number: seed.number,
+          block_hash: seed.hash,
+          block_timestamp: new Date(seed.timestamp * 1000),
+        }],
+        lastBlock: seed.number,
+        lastBlockHash: seed.hash,
+      });
+      logger.collector(`Started "${streamName}" at block ${seed.number}`, {
+        backfill: 'earlier events come from npm run load-history',
+      });
+      return { stream: streamName, lastBlock: seed.number, inserted: 0 };
+    }
+
+    let cursor = state ? Number(state.last_block) : startBlock - 1;
+
+    let inserted = 0;
+    while (cursor < target) {
+      const from = cursor + 1;
+      const to = Math.min(from + chunkSize - 1, target);
+
+      const { events, blocks } = await fetchRange(from, to);
+      const lastBlock = await getBlock(to);
+      blocks.push({
+        block_number: lastBlock.number,
+        block_hash: lastBlock.hash,
+        block_timestamp: new Date(lastBlock.timestamp * 1000),
+      });
+
+      inserted += await store.saveIngestedRange({
+        streamName,
+        events,
+        blocks,
+        lastBlock: lastBlock.number,
+        lastBlockHash: lastBlock.hash,
+      });
+      cursor = to;
+    }
+
+    if (inserted > 0) {
+      logger.collector(`Ingested ${inserted} chain events`, { stream: streamName, lastBlock: cursor });
+    }
+
+    return { stream: streamName, lastBlock: cursor, inserted };
+  }
+
+  /**
+   * Poll on an interval; a slow poll is never overlapped by the next one
+   */
+  function start(intervalMs = DEFAULT_POLL_INTERVAL_MS) {
+    if (timer) return;
+
+    const tick = async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        await pollOnce();
+      } catch (error) {
+        handleError(error, 'event-ingester');
+      } finally {
+        polling = false;
+      }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    tick();
+    logger.collector(`Event ingester started for "${streamName}"`, { intervalMs });
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { pollOnce, ingestRange, start, stop };
+}
+
+module.exports = {
+  createEventIngester,
+  decodeLog,
+  TRACKED_EVENTS,
+};
@@ -0,0 +1,348 @@
+/**
+ * Historical Data Loader
+ * Backfills time_series_data with 5-minute snapshots reconstructed from chain history
+ *
+ * Walks the chain from a start block in 5-minute steps. For each step it reads
+ * TVL, eETH supply and withdrawal queue state at the snapshot block. Logs are
+ * ingested into chain_events in block chunks and the 24h deposit/withdrawal
+ * aggregates are derived from them, exactly as live collection does.
+ * Progress is checkpointed in backfill_checkpoints so an interrupted run resumes.
+ *
+ * Usage:
+ *   node src/collectors/historical-loader.js [--from-block N] [--to-block N] [--days N] [--reset]
+ */
+
+require('dotenv').config();
+
+const { DEPLOYMENT_BLOCKS } = require('../../config/contracts');
+const {
+  insertTimeSeriesData,
+  getEventAggregates,
+  getBackfillCheckpoint,
+  saveBackfillCheckpoint,
+  deleteBackfillCheckpoint,
+  syncWithdrawalRequests,
+  getWithdrawalQueueStats,
+} = require('../database/queries');
+const { getProvider } = require('./rpc-provider');
+const { createEventIngester } = require('./event-ingester');
+const {
+  readProtocolState,
+  mergeQueueMetrics,
+  aggregatesToMetrics,
+  floorToInterval,
+  SNAPSHOT_INTERVAL_SECONDS,
+} = require('./metrics-collector');
+const { readPegState } = require('./peg-monitor');
+const { readWithdrawalQueue } = require('./withdrawal-queue');
+const { BlockchainError, handleError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const SECONDS_PER_BLOCK = 12;
+const BLOCKS_PER_DAY = (24 * 60 * 60) / SECONDS_PER_BLOCK;
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.BACKFILL_CHUNK_SIZE || '2000');
+const DEFAULT_CHECKPOINT_EVERY = 12; // Persist progress once per hour of snapshots
+const DEFAULT_JOB_NAME = 'time_series_backfill';
+
+/**
+ * Run an RPC call, wrapping failures in BlockchainError
+ * Transport retries and failover happen in the provider layer.
+ */
+async function rpc(description, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof BlockchainError) throw error;
+    throw new BlockchainError(`${description} failed: ${error.message}`, error);
+  }
+}
+
+/**
+ * Create a historical loader bound to a provider and checkpoint store
+ *
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - JSON-RPC provider (live or fixture stand-in)
+ * @param {Object} options.store - Persistence hooks: { loadCheckpoint, saveCheckpoint, deleteCheckpoint, insertSnapshot, getEventAggregates, syncWithdrawalRequests, getWithdrawalQueueStats }
+ * @param {Object} options.ingester - Event ingester used to fill chain_events
+ * @param {string} options.jobName - Checkpoint key
+ * @param {number} options.chunkSize - Blocks per eth_getLogs request
+ * @param {number} options.checkpointEvery - Snapshots between checkpoint writes
+ * @returns {Object} Loader with run()
+ */
+function createHistoricalLoader(options = {}) {
+  const provider = options.provider || getProvider();
+  const store = {
+    loadCheckpoint: getBackfillCheckpoint,
+    saveCheckpoint: saveBackfillCheckpoint,
+    deleteCheckpoint: deleteBackfillCheckpoint,
+    insertSnapshot: insertTimeSeriesData,
+    getEventAggregates,
+    syncWithdrawalRequests,
+    getWithdrawalQueueStats,
+    ...options.store,
+  };
+  const jobName = options.jobName || DEFAULT_JOB_NAME;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const checkpointEvery = options.checkpointEvery || DEFAULT_CHECKPOINT_EVERY;
+  const ingester = options.ingester || createEventIngester({ provider, chunkSize });
+
+  const blockCache = new Map();
+  let ingestedUpTo = null;
+  let endBlockLimit = null;
+
+  async function getBlock(blockNumber, allowMissing = false) {
+    if (blockCache.has(blockNumber)) {
+      return blockCache.get(blockNumber);
+    }
+
+    const block = await rpc(`getBlock(${blockNumber})`, () => provider.getBlock(blockNumber));
+    if (!block) {
+      if (allowMissing) return null;
+      throw new BlockchainError(`Block ${blockNumber} not found`);
+    }
+
+    if (blockCache.size > 1000) {
+      blockCache.clear();
+    }
+    blockCache.set(block.number, block);
+    return block;
+  }
+
+  /**
+   * Find the last block with timestamp <= the given timestamp
+   * Estimates from 12s slots, then walks to the exact block.
+   */
+  async function findBlockAtOrBefore(timestamp, hintBlock) {
+    let current = await getBlock(hintBlock);
+    let blockNumber = hintBlock + Math.floor((timestamp - current.timestamp) / SECONDS_PER_BLOCK);
+
+    for (let i = 0; i < 64; i++) {
+      current = await getBlock(blockNumber);
+
+      if (current.timestamp > timestamp) {
+        blockNumber -= Math.max(1, Math.ceil((current.timestamp - timestamp) / SECONDS_PER_BLOCK));
+        continue;
+      }
+
+      const next = await getBlock(blockNumber + 1, true);
+      if (!next || next.timestamp > timestamp) {
+        return current;
+      }
+
+      blockNumber += Math.max(1, Math.floor((timestamp - next.timestamp) / SECONDS_PER_BLOCK) + 1);
+    }
+
+    throw new BlockchainError(`Could not locate block for timestamp ${timestamp}`);
+  }
+
+  /**
+   * Ingest chain events up to a block, one chunk at a time
+   */
+  async function ingestUpTo(toBlock) {
+    if (ingestedUpTo >= toBlock) {
+      return;
+    }
+
+    const chunkEnd = Math.max(toBlock, Math.min(ingestedUpTo + chunkSize, endBlockLimit));
+    await rpc(`ingest(${ingestedUpTo + 1}-${chunkEnd})`,
+      () => ingester.ingestRange(ingestedUpTo + 1, chunkEnd));
+    ingestedUpTo = chunkEnd;
+  }
+
+  /**
+   * Build a snapshot at a block from contract state and stored events
+   */
+  async function buildSnapshot(block, snapshotTimestamp) {
+    const [state, aggregates, peg, queue] = await Promise.all([
+      rpc(`readProtocolState(${block.number})`, () => readProtocolState(provider, block.number)),
+      store.getEventAggregates(24, new Date(block.timestamp * 1000)),
+      readPegState(provider, block.number),
+      readWithdrawalQueue(new Date(block.timestamp * 1000), { store }),
+    ]);
+
+    return {
+      timestamp: new Date(snapshotTimestamp * 1000),
+      ...state,
+      ...mergeQueueMetrics(state, queue.metrics),
+      ...aggregatesToMetrics(aggregates),
+      eeth_eth_price_ratio: peg.eeth_eth_price_ratio,
+      peg_deviation_percent: peg.peg_deviation_percent,
+      data_source: 'historical_backfill',
+      collection_status: 'success',
+    };
+  }
+
+  /**
+   * Run (or resume) the backfill
+   * @param {Object} range
+   * @param {number} range.fromBlock - First block to backfill from
+   * @param {number} range.toBlock - Last block (defaults to latest)
+   * @param {boolean} range.reset - Discard any existing checkpoint
+   * @returns {Promise<Object>} Summary with snapshots written and last block
+   */
+  async function run(range = {}) {
+    if (range.reset) {
+      await store.deleteCheckpoint(jobName);
+    }
+
+    const checkpoint = await store.loadCheckpoint(jobName);
+    const startBlock = checkpoint
+      ? Number(checkpoint.start_block)
+      : (range.fromBlock || DEPLOYMENT_BLOCKS.LIQUIDITY_POOL);
+
+    // An interrupted run keeps its end block; a completed one is extended to the head
+    const resumeEnd = checkpoint && checkpoint.status !== 'completed' && checkpoint.end_block;
+    const endBlockNumber = range.toBlock
+      || (resumeEnd && Number(resumeEnd))
+      || await rpc('getBlockNumber', () => provider.getBlockNumber());
+    const endBlock = await getBlock(endBlockNumber);
+
+    let hintBlock;
+    let nextTimestamp;
+    let snapshotsWritten = checkpoint ? checkpoint.snapshots_written : 0;
+
+    if (checkpoint && checkpoint.last_snapshot_at) {
+      hintBlock = Number(checkpoint.last_block);
+      nextTimestamp = Math.floor(new Date(checkpoint.last_snapshot_at).getTime() / 1000)
+        + SNAPSHOT_INTERVAL_SECONDS;
+      logger.collector(`Resuming backfill "${jobName}" from block ${hintBlock}`, {
+        snapshotsWritten,
+      });
+    } else {
+      const firstBlock = await getBlock(startBlock);
+      hintBlock = startBlock;
+      nextTimestamp = floorToInterval(firstBlock.timestamp) + SNAPSHOT_INTERVAL_SECONDS;
+      logger.collector(`Starting backfill "${jobName}" at block ${startBlock}`, {
+        endBlock: endBlock.number,
+      });
+    }
+
+    // Events persist in chain_events, so a resume continues where ingestion stopped.
+    // A fresh run also ingests the day before the start so the first 24h windows are full.
+    ingestedUpTo = checkpoint ? hintBlock : Math.max(startBlock - BLOCKS_PER_DAY, 0) - 1;
+    endBlockLimit = endBlock.number;
+
+    let lastBlock = hintBlock;
+    let lastSnapshotAt = checkpoint ? checkpoint.last_snapshot_at : null;
+    let sinceCheckpoint = 0;
+
+    const saveProgress = (status, errorMessage = null) => store.saveCheckpoint({
+      job_name: jobName,
+      start_block: startBlock,
+      end_block: endBlock.number,
+      last_block: lastBlock,
+      last_snapshot_at: lastSnapshotAt,
+      snapshots_written: snapshotsWritten,
+      status,
+      error_message: errorMessage,
+    });
+
+    await saveProgress('running');
+
+    try {
+      while (nextTimestamp <= endBlock.timestamp) {
+        const block = await findBlockAtOrBefore(nextTimestamp, lastBlock);
+
+        await ingestUpTo(block.number);
+        const snapshot = await buildSnapshot(block, nextTimestamp);
+        await store.insertSnapshot(snapshot);
+
+        snapshotsWritten++;
+        sinceCheckpoint++;
+        lastBlock = block.number;
+        lastSnapshotAt = snapshot.timestamp;
+        nextTimestamp += SNAPSHOT_INTERVAL_SECONDS;
+
+        if (sinceCheckpoint >= checkpointEvery) {
+          await saveProgress('running');
+          sinceCheckpoint = 0;
+          logger.collector(`Backfill progress: block ${lastBlock}/${endBlock.number}`, {
+            snapshotsWritten,
+            lastSnapshotAt,
+          });
+        }
+      }
+    } catch (error) {
+      await saveProgress('failed', error.message);
+      throw error;
+    }
+
+    await saveProgress('completed');
+    logger.collector(`Backfill "${jobName}" completed`, { snapshotsWritten, lastBlock });
+
+    return { jobName, snapshotsWritten, lastBlock, lastSnapshotAt };
+  }
+
+  return { run, findBlockAtOrBefore };
+}
+
+/**
+ * Parse CLI flags into a run range
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from-block':
+        args.fromBlock = parseInt(argv[++i], 10);
+        break;
+      case '--to-block':
+        args.toBlock = parseInt(argv[++i], 10);
+        break;
+      case '--days':
+        args.days = parseInt(argv[++i], 10);
+        break;
+      case '--reset':
+        args.reset = true;
+        break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+
+  console.log('='.repeat(60));
+  console.log('EtherFi Anomaly Detection - Historical Data Loader');
+  console.log('='.repeat(60));
+  console.log();
+
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const provider = getProvider();
+    const loader = createHistoricalLoader({ provider });
+
+    if (args.days && !args.fromBlock) {
+      const latest = await provider.getBlock('latest');
+      args.fromBlock = await loader.findBlockAtOrBefore(
+        latest.timestamp - args.days * 24 * 60 * 60,
+        latest.number - args.days * BLOCKS_PER_DAY
+      ).then((block) => block.number);
+    }
+
+    const summary = await loader.run(args);
+
+    console.log();
+    console.log(`✅ Backfill complete: ${summary.snapshotsWritten} snapshots, last block ${summary.lastBlock}`);
+  } catch (error) {
+    handleError(error, 'historical-loader');
+    console.error('\n❌ Backfill failed:', error.message);
+    console.error('Re-run the same command to resume from the last checkpoint.');
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createHistoricalLoader,
+  BLOCKS_PER_DAY,
+};
@@ -0,0 +1,411 @@
+/**
+ * eETH Holder Index
+ * Replays eETH share movements from DEPLOYMENT_BLOCKS.EETH_TOKEN into
+ * holder_balances and ranks the top-N holders into whale_wallets
+ *
+ * eETH rebases: balances grow with staking rewards without any Transfer being
+ * emitted, so summing Transfer amounts drifts from the real balances. The index
+ * tracks shares instead, which only move on transfers, from TransferShares logs.
+ * A Transfer with no matching TransferShares in the same transaction is converted
+ * with LiquidityPool.sharesForAmount at its block. Ranking by shares gives the same
+ * order as ranking by balance; the top-N are converted to eETH with the share rate
+ * at the ranked block and written through upsertWhaleWallet, which takes label,
+ * is_exchange and is_contract from address_labels; ranked addresses are checked
+ * with eth_getCode first. Wallets entering or leaving the top-N are recorded in
+ * whale_rank_events.
+ *
+ * The index stays HOLDER_INDEX_CONFIRMATIONS blocks behind the head (default 64)
+ * so the share changes it applies are final.
+ *
+ * Usage:
+ *   node src/collectors/holder-index.js              # Sync and rank once
+ *   node src/collectors/holder-index.js --schedule   # Repeat every HOLDER_INDEX_INTERVAL_MS
+ */
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const {
+  ETHERFI_ADDRESSES,
+  ETHERFI_ABIS,
+  DEPLOYMENT_BLOCKS,
+} = require('../../config/contracts');
+const { getProvider } = require('./rpc-provider');
+const { createLabelService } = require('../labels/address-labels');
+const { BlockchainError, handleError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const DEFAULT_STREAM = 'eeth_holder_index';
+const DEFAULT_TOP_N = parseInt(process.env.WHALE_TOP_N || '20');
+const DEFAULT_CHUNK_SIZE = parseInt(process.env.EVENT_CHUNK_SIZE || '2000');
+const DEFAULT_CONFIRMATIONS = parseInt(process.env.HOLDER_INDEX_CONFIRMATIONS || '64');
+const DEFAULT_INTERVAL_MS = parseInt(process.env.HOLDER_INDEX_INTERVAL_MS || '300000');
+
+const eethInterface = new ethers.Interface(ETHERFI_ABIS.EETH_TOKEN);
+const TRANSFER_TOPIC = eethInterface.getEvent('Transfer').topicHash;
+const TRANSFER_SHARES_TOPIC = eethInterface.getEvent('TransferShares').topicHash;
+
+/**
+ * Convert shares to an eETH amount (LiquidityPool.amountForShare)
+ * @param {bigint} shares
+ * @param {bigint} totalPooledEther
+ * @param {bigint} totalShares
+ * @returns {bigint} Amount in wei
+ */
+function sharesToAmount(shares, totalPooledEther, totalShares) {
+  if (totalShares === 0n) {
+    return 0n;
+  }
+  return (shares * totalPooledEther) / totalShares;
+}
+
+/**
+ * Create a holder index
+ *
+ * @param {Object} options
+ * @param {ethers.Provider} options.provider - Provider (defaults to the shared rpc-provider)
+ * @param {Object} options.store - Query overrides for testing
+ * @param {number} options.topN - Number of ranked whales
+ * @param {string} options.streamName - Cursor key in ingestion_state
+ * @param {number} options.startBlock - First block when no cursor exists
+ * @param {number} options.chunkSize - Blocks per eth_getLogs request
+ * @param {number} options.confirmations - Blocks to stay behind the head
+ * @param {Object} options.labels - Label service (defaults to one on the same provider and store)
+ * @returns {Object} Index with syncOnce(), rankOnce(), runCycle(), start() and stop()
+ */
+function createHolderIndex(options = {}) {
+  const provider = options.provider || getProvider();
+  const store = { ...require('../database/queries'), ...options.store };
+  const topN = options.topN || DEFAULT_TOP_N;
+  const streamName = options.streamName || DEFAULT_STREAM;
+  const startBlock = options.startBlock || DEPLOYMENT_BLOCKS.EETH_TOKEN;
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+  const labels = options.labels || createLabelService({ provider, store });
+
+  const eethToken = new ethers.Contract(ETHERFI_ADDRESSES.EETH_TOKEN, ETHERFI_ABIS.EETH_TOKEN, provider);
+  const liquidityPool = new ethers.Contract(
+    ETHERFI_ADDRESSES.LIQUIDITY_POOL, ETHERFI_ABIS.LIQUIDITY_POOL, provider
+  );
+
+  let timer = null;
+  let running = false;
+
+  async function rpc(description, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (error instanceof BlockchainError) throw error;
+      throw new BlockchainError(`${description} failed: ${error.message}`, error);
+    }
+  }
+
+  async function getBlock(blockNumber) {
+    const block = await rpc(`getBlock(${blockNumber})`, () => provider.getBlock(blockNumber));
+    if (!block) {
+      throw new BlockchainError(`Block ${blockNumber} not found`);
+    }
+    return block;
+  }
+
+  /**
+   * Net share change per holder for a block range
+   * @returns {Promise<Object>} { changes, logs }
+   */
+  async function fetchShareChanges(fromBlock, toBlock) {
+    const logs = await rpc(`getLogs(${fromBlock}-${toBlock})`, () => provider.getLogs({
+      address: ETHERFI_ADDRESSES.EETH_TOKEN,
+      topics: [[TRANSFER_TOPIC, TRANSFER_SHARES_TOPIC]],
+      fromBlock,
+      toBlock,
+    }));
+
+    const movements = [];
+    const sharesLogged = new Map();
+
+    for (const log of logs) {
+      if (log.removed) continue;
+      const parsed = eethInterface.parseLog({ topics: log.topics, data: log.data });
+      if (!parsed) continue;
+
+      const movement = {
+        from: parsed.args.from,
+        to: parsed.args.to,
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+      };
+
+      if (parsed.name === 'TransferShares') {
+        const key = `${log.transactionHash}:${movement.from}:${movement.to}`;
+        sharesLogged.set(key, (sharesLogged.get(key) || 0) + 1);
+        movements.push({ ...movement, shares: parsed.args.sharesValue });
+      } else {
+        movements.push({ ...movement, amount: parsed.args.value });
+      }
+    }
+
+    // A Transfer is covered by the TransferShares emitted alongside it; only
+    // convert the ones without a matching share log
+    for (const movement of movements) {
+      if (movement.shares !== undefined) continue;
+
+      const key = `${movement.txHash}:${movement.from}:${movement.to}`;
+      if (sharesLogged.get(key) > 0) {
+        sharesLogged.set(key, sharesLogged.get(key) - 1);
+        movement.skip = true;
+        continue;
+      }
+
+      movement.shares = await rpc(`sharesForAmount at block ${movement.blockNumber}`, () =>
+        liquidityPool.sharesForAmount(movement.amount, { blockTag: movement.blockNumber })
+      );
+    }
+
+    const changes = new Map();
+    const applyDelta = (address, delta, movement) => {
+      if (address === ethers.ZeroAddress) return;
+
+      const change = changes.get(address) || { address, delta: 0n, transfers: 0 };
+      change.delta += delta;
+      change.transfers += 1;
+      change.blockNumber = movement.blockNumber;
+      change.txHash = movement.txHash;
+      changes.set(address, change);
+    };
+
+    movements
+      .filter(movement => !movement.skip)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+      .forEach((movement) => {
+        applyDelta(movement.from, -movement.shares, movement);
+        applyDelta(movement.to, movement.shares, movement);
+      });
+
+    return {
+      changes: [...changes.values()].map(change => ({ ...change, delta: change.delta.toString() })),
+      logs: logs.length,
+    };
+  }
+
+  /**
+   * Apply share changes up to head - confirmations
+   * @returns {Promise<Object>} { lastBlock, holdersUpdated, logs }
+   */
+  async function syncOnce() {
+    const state = await store.getIngestionState(streamName);
+    const head = await rpc('getBlockNumber', () => provider.getBlockNumber());
+    const target = head - confirmations;
+    let cursor = state ? Number(state.last_block) : startBlock - 1;
+
+    let holdersUpdated = 0;
+    let logCount = 0;
+    while (cursor < target) {
+      const from = cursor + 1;
+      const to = Math.min(from + chunkSize - 1, target);
+
+      const { changes, logs } = await fetchShareChanges(from, to);
+      const lastBlock = await getBlock(to);
+
+      holdersUpdated += await store.applyHolderShareChanges({
+        streamName,
+        changes,
+        lastBlock: lastBlock.number,
+        lastBlockHash: lastBlock.hash,
+      });
+      logCount += logs;
+      cursor = to;
+    }
+
+    if (logCount > 0) {
+      logger.collector(`Holder index applied ${logCount} eETH transfer logs`, {
+        lastBlock: cursor,
+        holdersUpdated,
+      });
+    }
+
+    return { lastBlock: cursor, holdersUpdated, logs: logCount };
+  }
+
+  /**
+   * Rank the top-N holders at a block and record entries and exits
+   * @param {number} blockNumber - Block the index has been synced to
+   * @returns {Promise<Object>} { whales, events }
+   */
+  async function rankOnce(blockNumber) {
+    const [holders, previous, block, totalPooledEther, totalShares] = await Promise.all([
+      store.getTopHolders(topN),
+      store.getRankedWhales(),
+      getBlock(blockNumber),
+      rpc('getTotalPooledEther', () => liquidityPool.getTotalPooledEther({ blockTag: blockNumber })),
+      rpc('totalShares', () => eethToken.totalShares({ blockTag: blockNumber })),
+    ]);
+
+    const negative = await store.getNegativeHolderBalances();
+    if (negative.length > 0) {
+      logger.warn('[COLLECTOR] Holder index has negative share balances', {
+        holders: negative.slice(0, 5).map(holder => holder.address),
+        count: negative.length,
+      });
+    }
+
+    try {
+      await labels.checkContracts(holders.map(holder => holder.address));
+    } catch (error) {
+      // Whales are still ranked; is_contract stays unknown until the next cycle
+      logger.warn('[COLLECTOR] Contract check for ranked holders failed', { error: error.message });
+    }
+
+    const previousRanks = new Map(previous.map(row => [row.address, row.rank_position]));
+    const timestamp = new Date(block.timestamp * 1000);
+    const whales = [];
+    const events = [];
+
+    for (const [index, holder] of holders.entries()) {
+      const rank = index + 1;
+      const shares = BigInt(holder.shares);
+      const balance = ethers.formatEther(sharesToAmount(shares, totalPooledEther, totalShares));
+
+      await store.upsertWhaleWallet({
+        address: holder.address,
+        current_balance_eeth: balance,
+        timestamp,
+        block_number: blockNumber,
+        rank_position: rank,
+        data_source: 'holder_index',
+      });
+      whales.push({ address: holder.address, rank, shares: holder.shares, balance_eeth: balance });
+
+      if (!previousRanks.has(holder.address)) {
+        events.push({
+          address: holder.address,
+          event_type: 'entered',
+          rank_position: rank,
+          shares: holder.shares,
+          balance_eeth: balance,
+          block_number: blockNumber,
+        });
+      }
+    }
+
+    const ranked = new Set(whales.map(whale => whale.address));
+    const exited = previous.filter(row => !ranked.has(row.address));
+    if (exited.length > 0) {
+      const balances = new Map(
+        (await store.getHolderBalances(exited.map(row => row.address))).map(row => [row.address, row.shares])
+      );
+
+      for (const row of exited) {
+        const shares = balances.get(row.address) ?? null;
+        events.push({
+          address: row.address,
+          event_type: 'exited',
+          previous_rank: row.rank_position,
+          shares,
+          balance_eeth: shares !== null
+            ? ethers.formatEther(sharesToAmount(BigInt(shares), totalPooledEther, totalShares))
+            : null,
+          block_number: blockNumber,
+        });
+      }
+    }
+
+    await store.recordWhaleRankChanges(events);
+
+    if (events.length > 0) {
+      logger.collector(`Top ${topN} whales changed at block ${blockNumber}`, {
+        entered: events.filter(event => event.event_type === 'entered').map(event => event.address),
+        exited: events.filter(event => event.event_type === 'exited').map(event => event.address),
+      });
+    }
+
+    return { whales, events };
+  }
+
+  /**
+   * Sync the index, then re-rank at the synced block
+   */
+  async function runCycle() {
+    const sync = await syncOnce();
+    if (sync.lastBlock < startBlock) {
+      return { ...sync, whales: [], events: [] };
+    }
+
+    const ranking = await rankOnce(sync.lastBlock);
+    return { ...sync, ...ranking };
+  }
+
+  /**
+   * Run a cycle on an interval; a slow cycle is never overlapped by the next one
+   */
+  function start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (timer) return;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await runCycle();
+      } catch (error) {
+        handleError(error, 'holder-index');
+      } finally {
+        running = false;
+      }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    tick();
+    logger.collector('Holder index started', { topN, intervalMs });
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { syncOnce, rankOnce, runCycle, start, stop };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const index = createHolderIndex();
+
+  if (process.argv.includes('--schedule')) {
+    index.start();
+    return;
+  }
+
+  console.log('='.repeat(60));
+  console.log('eETH Holder Index');
+  console.log('='.repeat(60));
+
+  try {
+    const result = await index.runCycle();
+
+    console.log(`\nSynced to block ${result.lastBlock} (${result.logs} logs, ${result.holdersUpdated} holder updates)\n`);
+    for (const whale of result.whales) {
+      console.log(`${String(whale.rank).padStart(3)}. ${whale.address} ${whale.balance_eeth} eETH`);
+    }
+    for (const event of result.events) {
+      console.log(`${event.event_type === 'entered' ? '➕' : '➖'} ${event.address} ${event.event_type} the top ${result.whales.length}`);
+    }
+    console.log('\n✅ Holder index updated');
+  } catch (error) {
+    console.error('\n❌ Holder index failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createHolderIndex,
+  sharesToAmount,
+};
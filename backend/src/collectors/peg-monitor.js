@@ -0,0 +1,228 @@
+/**
+ * eETH/ETH Peg Monitor
+ * Prices eETH against ETH from the DEX pools in config/peg-pools.js and measures
+ * the deviation from the protocol's own exchange rate
+ *
+ * eETH is redeemable 1:1 for ETH, so its fair price is 1. weETH wraps eETH shares,
+ * so its fair price is LiquidityPool.amountForShare(1e18); weETH pool prices are
+ * divided by that rate to get the implied eETH/ETH price.
+ *
+ * Pools are combined with a liquidity-weighted median: a pool has to hold more
+ * than half of the combined liquidity to move the result on its own, so a thin
+ * pool can't fake a depeg. Pools below MIN_POOL_LIQUIDITY_ETH are ignored.
+ *
+ * Usage:
+ *   node src/collectors/peg-monitor.js   # Print pool prices and the combined peg
+ */
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../../config/contracts');
+const { getPegPools, MIN_POOL_LIQUIDITY_ETH, QUOTE_AMOUNT } = require('../../config/peg-pools');
+const logger = require('../utils/logger');
+
+const DEX_ABIS = {
+  curve: [
+    'function get_dy(int128 i, int128 j, uint256 dx) view returns (uint256)',
+    'function balances(uint256 i) view returns (uint256)',
+  ],
+  uniswap_v2: [
+    'function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+  ],
+  uniswap_v3: [
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+  ],
+  erc20: [
+    'function balanceOf(address account) view returns (uint256)',
+  ],
+};
+
+const Q192 = 2n ** 192n;
+const ONE_ETHER = ethers.parseEther('1');
+
+function toEther(value) {
+  return Number(ethers.formatEther(value));
+}
+
+/**
+ * Read a pool's spot price (ETH per eETH/weETH) and reserves
+ * @returns {Promise<Object>} { price, token_reserve, eth_reserve }
+ */
+async function readPoolPrice(provider, pool, blockTag) {
+  const contract = new ethers.Contract(pool.address, DEX_ABIS[pool.type], provider);
+
+  if (pool.type === 'curve') {
+    const quote = ethers.parseEther(QUOTE_AMOUNT);
+    const [dy, tokenReserve, ethReserve] = await Promise.all([
+      contract.get_dy(pool.tokenIndex, pool.ethIndex, quote, { blockTag }),
+      contract.balances(pool.tokenIndex, { blockTag }),
+      contract.balances(pool.ethIndex, { blockTag }),
+    ]);
+    return { price: toEther(dy) / toEther(quote), token_reserve: toEther(tokenReserve), eth_reserve: toEther(ethReserve) };
+  }
+
+  if (pool.type === 'uniswap_v2') {
+    const [reserve0, reserve1] = await contract.getReserves({ blockTag });
+    const [tokenReserve, ethReserve] = pool.tokenIndex === 0 ? [reserve0, reserve1] : [reserve1, reserve0];
+    return { price: toEther(ethReserve) / toEther(tokenReserve), token_reserve: toEther(tokenReserve), eth_reserve: toEther(ethReserve) };
+  }
+
+  // uniswap_v3: token0 priced in token1 is sqrtPriceX96^2 / 2^192
+  const [slot0, token0, token1] = await Promise.all([
+    contract.slot0({ blockTag }),
+    contract.token0({ blockTag }),
+    contract.token1({ blockTag }),
+  ]);
+  const price0 = toEther((slot0.sqrtPriceX96 * slot0.sqrtPriceX96 * ONE_ETHER) / Q192);
+
+  const balances = await Promise.all([token0, token1].map(token =>
+    new ethers.Contract(token, DEX_ABIS.erc20, provider).balanceOf(pool.address, { blockTag })));
+  const [tokenReserve, ethReserve] = pool.tokenIndex === 0 ? balances : [balances[1], balances[0]];
+
+  return {
+    price: pool.tokenIndex === 0 ? price0 : 1 / price0,
+    token_reserve: toEther(tokenReserve),
+    eth_reserve: toEther(ethReserve),
+  };
+}
+
+/**
+ * Liquidity-weighted median of implied eETH/ETH prices
+ * @param {Array<Object>} readings - { ratio, liquidity_eth }
+ * @param {Object} options
+ * @param {number} options.minLiquidityEth - Ignore pools below this liquidity
+ * @returns {Object} { eeth_eth_price_ratio, peg_deviation_percent, pools_used, liquidity_eth }
+ */
+function combinePoolPrices(readings, options = {}) {
+  const minLiquidityEth = options.minLiquidityEth ?? MIN_POOL_LIQUIDITY_ETH;
+  const usable = readings
+    .filter(reading => Number.isFinite(reading.ratio) && reading.ratio > 0
+      && reading.liquidity_eth >= minLiquidityEth)
+    .sort((a, b) => a.ratio - b.ratio);
+
+  const totalLiquidity = usable.reduce((sum, reading) => sum + reading.liquidity_eth, 0);
+  if (usable.length === 0 || totalLiquidity <= 0) {
+    return { eeth_eth_price_ratio: null, peg_deviation_percent: null, pools_used: 0, liquidity_eth: 0 };
+  }
+
+  let ratio = usable[usable.length - 1].ratio;
+  let cumulative = 0;
+  for (const [i, reading] of usable.entries()) {
+    cumulative += reading.liquidity_eth;
+    if (cumulative === totalLiquidity / 2 && usable[i + 1]) {
+      ratio = (reading.ratio + usable[i + 1].ratio) / 2;
+      break;
+    }
+    if (cumulative > totalLiquidity / 2) {
+      ratio = reading.ratio;
+      break;
+    }
+  }
+
+  return {
+    eeth_eth_price_ratio: Number(ratio.toFixed(8)),
+    peg_deviation_percent: Number(((ratio - 1) * 100).toFixed(4)),
+    pools_used: usable.length,
+    liquidity_eth: totalLiquidity,
+  };
+}
+
+/**
+ * Read every configured pool and combine them into the eETH/ETH peg
+ * A pool that can't be read is logged and left out.
+ * @param {ethers.Provider} provider
+ * @param {number|string} blockTag - Block number or 'latest'
+ * @param {Object} options
+ * @param {Array<Object>} options.pools - Pools (default: PEG_POOLS)
+ * @param {number} options.minLiquidityEth - Ignore pools below this liquidity
+ * @returns {Promise<Object>} combinePoolPrices() result plus per-pool readings
+ */
+async function readPegState(provider, blockTag = 'latest', options = {}) {
+  const pools = options.pools || getPegPools();
+  if (pools.length === 0) {
+    return { ...combinePoolPrices([]), readings: [] };
+  }
+
+  let weethRate = null;
+  if (pools.some(pool => pool.token === 'weETH')) {
+    const liquidityPool = new ethers.Contract(
+      ETHERFI_ADDRESSES.LIQUIDITY_POOL, ETHERFI_ABIS.LIQUIDITY_POOL, provider
+    );
+    try {
+      weethRate = toEther(await liquidityPool.amountForShare(ONE_ETHER, { blockTag }));
+    } catch (error) {
+      logger.warn('[COLLECTOR] Could not read the weETH share rate; weETH pools skipped', {
+        blockTag,
+        error: error.message,
+      });
+    }
+  }
+
+  const readings = await Promise.all(pools.map(async (pool) => {
+    const protocolRate = pool.token === 'weETH' ? weethRate : 1;
+    const reading = { name: pool.name, type: pool.type, address: pool.address, token: pool.token, protocol_rate: protocolRate };
+    if (protocolRate === null) {
+      return { ...reading, error: 'weETH share rate unavailable' };
+    }
+
+    try {
+      const { price, token_reserve, eth_reserve } = await readPoolPrice(provider, pool, blockTag);
+      return {
+        ...reading,
+        price,
+        ratio: price / protocolRate,
+        token_reserve,
+        eth_reserve,
+        liquidity_eth: token_reserve * price + eth_reserve,
+      };
+    } catch (error) {
+      logger.warn(`[COLLECTOR] Could not read peg pool ${pool.name}`, { blockTag, error: error.message });
+      return { ...reading, error: error.message };
+    }
+  }));
+
+  return { ...combinePoolPrices(readings, options), readings };
+}
+
+async function main() {
+  const { getProvider } = require('./rpc-provider');
+
+  try {
+    const peg = await readPegState(getProvider());
+
+    console.log('='.repeat(60));
+    console.log('eETH/ETH peg');
+    console.log('='.repeat(60));
+    for (const reading of peg.readings) {
+      console.log(reading.error
+        ? `❌ ${reading.name}: ${reading.error}`
+        : `${reading.name}: ratio ${reading.ratio.toFixed(6)}, liquidity ${reading.liquidity_eth.toFixed(0)} ETH`);
+    }
+
+    console.log();
+    if (peg.eeth_eth_price_ratio === null) {
+      console.log('No usable pools (set PEG_POOLS, see config/peg-pools.js)');
+    } else {
+      console.log(`✅ ${peg.eeth_eth_price_ratio} ETH per eETH (${peg.peg_deviation_percent}%), `
+        + `${peg.pools_used} pool(s), ${peg.liquidity_eth.toFixed(0)} ETH liquidity`);
+    }
+  } catch (error) {
+    console.error('\n❌ Peg read failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readPegState,
+  readPoolPrice,
+  combinePoolPrices,
+  DEX_ABIS,
+};
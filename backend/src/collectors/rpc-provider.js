@@ -0,0 +1,280 @@
+/**
+ * JSON-RPC Provider Layer
+ * Single ethers provider shared by every collector, with endpoint failover,
+ * per-endpoint rate limiting, retries and an offline record/replay mode
+ *
+ * Modes (RPC_MODE):
+ *   live    - Send requests to the configured endpoints (default)
+ *   record  - Send requests live and save every response under RPC_FIXTURES_DIR
+ *   replay  - Serve responses from RPC_FIXTURES_DIR only; never touch the network
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { assertValidConfig } = require('../../config/abi-registry');
+const { BlockchainError, retry } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/rpc');
+const DEFAULT_RATE_LIMIT = parseInt(process.env.RPC_RATE_LIMIT || '10'); // Requests per second per endpoint
+const ENDPOINT_COOLDOWN_MS = 30000; // Skip a failing endpoint for 30 seconds
+
+// JSON-RPC error codes that mean "this endpoint is unhealthy", not "this request is invalid"
+const FAILOVER_ERROR_CODES = new Set([429, -32005, -32603]);
+
+/**
+ * Simple per-endpoint rate limiter that spaces requests evenly
+ */
+function createRateLimiter(requestsPerSecond) {
+  const intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let nextAvailableAt = 0;
+
+  return async function acquire() {
+    const now = Date.now();
+    const waitMs = Math.max(0, nextAvailableAt - now);
+    nextAvailableAt = Math.max(now, nextAvailableAt) + intervalMs;
+
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  };
+}
+
+/**
+ * Read endpoint configuration from environment
+ * RPC_URLS is a comma-separated list in priority order; ETH_RPC_URL and
+ * ALCHEMY_API_KEY are used when it is not set.
+ * @returns {Array<Object>} Endpoints with url and rateLimit
+ */
+function getEndpointsFromEnv() {
+  let urls = (process.env.RPC_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  if (urls.length === 0 && process.env.ETH_RPC_URL) {
+    urls = [process.env.ETH_RPC_URL];
+  }
+
+  if (urls.length === 0 && process.env.ALCHEMY_API_KEY) {
+    urls = [`https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`];
+  }
+
+  return urls.map(url => ({ url, rateLimit: DEFAULT_RATE_LIMIT }));
+}
+
+/**
+ * Build the fixture file path for a request
+ * The key covers method and params only, so request ids don't matter.
+ */
+function getFixturePath(fixturesDir, method, params) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method, params }))
+    .digest('hex')
+    .slice(0, 32);
+  return path.join(fixturesDir, `${method}-${hash}.json`);
+}
+
+/**
+ * Hide API keys embedded in endpoint URLs when logging
+ */
+function redactUrl(url) {
+  return url.replace(/(\/v\d+\/)[^/]+$/, '$1***');
+}
+
+/**
+ * ethers provider that routes every JSON-RPC request through failover,
+ * rate limiting and record/replay
+ */
+class EtherFiProvider extends ethers.JsonRpcApiProvider {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.endpoints - [{ url, rateLimit }] in priority order
+   * @param {string} options.mode - live | record | replay
+   * @param {string} options.fixturesDir - Where recorded responses live
+   * @param {string|number} options.network - Network name or chain id (default mainnet)
+   * @param {Object} options.retry - Options passed to retry()
+   */
+  constructor(options = {}) {
+    const network = ethers.Network.from(options.network || 'mainnet');
+    super(network, { staticNetwork: network, batchMaxCount: 1 });
+
+    this.mode = options.mode || 'live';
+    if (!MODES.includes(this.mode)) {
+      throw new BlockchainError(`Unknown RPC mode "${this.mode}", expected one of ${MODES.join(', ')}`);
+    }
+
+    this.fixturesDir = options.fixturesDir || DEFAULT_FIXTURES_DIR;
+    this.retryOptions = { maxAttempts: 3, delayMs: 500, ...options.retry };
+
+    const endpoints = options.endpoints || [];
+    if (this.mode !== 'replay' && endpoints.length === 0) {
+      throw new BlockchainError('No RPC endpoints configured (set RPC_URLS, ETH_RPC_URL or ALCHEMY_API_KEY)');
+    }
+
+    this.endpoints = endpoints.map((endpoint, index) => ({
+      url: endpoint.url,
+      name: endpoint.name || `rpc${index}`,
+      client: new ethers.JsonRpcProvider(endpoint.url, network, {
+        staticNetwork: network,
+        batchMaxCount: 1,
+      }),
+      acquire: createRateLimiter(endpoint.rateLimit ?? DEFAULT_RATE_LIMIT),
+      unhealthyUntil: 0,
+      failures: 0,
+    }));
+
+    if (this.mode === 'record') {
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Transport primitive called by ethers for every request
+   */
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    return Promise.all(requests.map(request => this._sendOne(request)));
+  }
+
+  async _sendOne(request) {
+    const { id, method, params } = request;
+
+    if (this.mode === 'replay') {
+      return { id, ...this._readFixture(method, params) };
+    }
+
+    const response = await this._sendWithFailover(request);
+
+    if (this.mode === 'record') {
+      this._writeFixture(method, params, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Try each healthy endpoint in priority order, retrying the whole pass with backoff
+   */
+  async _sendWithFailover(request) {
+    try {
+      return await retry(() => this._tryEndpoints(request), this.retryOptions);
+    } catch (error) {
+      throw new BlockchainError(`RPC ${request.method} failed on all endpoints: ${error.message}`, error);
+    }
+  }
+
+  async _tryEndpoints(request) {
+    const now = Date.now();
+    const healthy = this.endpoints.filter(endpoint => endpoint.unhealthyUntil <= now);
+    // If everything is cooling down, try them all anyway rather than failing outright
+    const candidates = healthy.length > 0 ? healthy : this.endpoints;
+
+    let lastError;
+    for (const endpoint of candidates) {
+      try {
+        await endpoint.acquire();
+        const [response] = await endpoint.client._send(request);
+
+        if (response.error && FAILOVER_ERROR_CODES.has(response.error.code)) {
+          throw new Error(`${response.error.code}: ${response.error.message}`);
+        }
+
+        endpoint.failures = 0;
+        return { id: request.id, ...this._stripId(response) };
+      } catch (error) {
+        lastError = error;
+        endpoint.failures++;
+        endpoint.unhealthyUntil = Date.now() + ENDPOINT_COOLDOWN_MS;
+        logger.warn(`[COLLECTOR] RPC endpoint ${endpoint.name} failed, failing over`, {
+          endpoint: redactUrl(endpoint.url),
+          method: request.method,
+          error: error.message,
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  _stripId(response) {
+    return 'error' in response ? { error: response.error } : { result: response.result };
+  }
+
+  _readFixture(method, params) {
+    const fixturePath = getFixturePath(this.fixturesDir, method, params);
+    if (!fs.existsSync(fixturePath)) {
+      throw new BlockchainError(
+        `No recorded fixture for ${method} ${JSON.stringify(params)} (looked in ${fixturePath})`
+      );
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return fixture.response;
+  }
+
+  _writeFixture(method, params, response) {
+    const fixturePath = getFixturePath(this.fixturesDir, method, params);
+    const fixture = { method, params, response: this._stripId(response) };
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2));
+  }
+
+  /**
+   * Endpoint health for diagnostics
+   */
+  getEndpointStatus() {
+    const now = Date.now();
+    return this.endpoints.map(endpoint => ({
+      name: endpoint.name,
+      url: redactUrl(endpoint.url),
+      healthy: endpoint.unhealthyUntil <= now,
+      consecutive_failures: endpoint.failures,
+    }));
+  }
+}
+
+/**
+ * Create a provider; options default to environment configuration
+ * @param {Object} options - See EtherFiProvider constructor
+ * @returns {EtherFiProvider}
+ */
+function createProvider(options = {}) {
+  return new EtherFiProvider({
+    endpoints: getEndpointsFromEnv(),
+    mode: process.env.RPC_MODE || 'live',
+    fixturesDir: process.env.RPC_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+    ...options,
+  });
+}
+
+let sharedProvider = null;
+
+/**
+ * Get the process-wide provider used by collectors
+ * Refuses to start if a configured contract address is invalid or a placeholder.
+ * @returns {EtherFiProvider}
+ */
+function getProvider() {
+  if (!sharedProvider) {
+    assertValidConfig();
+    sharedProvider = createProvider();
+    logger.collector(`RPC provider ready in ${sharedProvider.mode} mode`, {
+      endpoints: sharedProvider.endpoints.length,
+    });
+  }
+  return sharedProvider;
+}
+
+module.exports = {
+  EtherFiProvider,
+  createProvider,
+  getProvider,
+  getEndpointsFromEnv,
+  getFixturePath,
+};
@@ -0,0 +1,370 @@
+/**
+ * Validator Performance Collector
+ * Reads EtherFi's validators from a beacon node (config/beacon.js) and stores one
+ * validator_metrics row per epoch
+ *
+ * Metrics:
+ *   total/active/exited/slashed_validators   From validator status at the head
+ *   avg_effectiveness                        Head + target + source rewards earned
+ *                                            over the ideal for the same effective balance
+ *   total_rewards/penalties/net_rewards_eth  Attestation rewards in the last finalized epoch
+ *   estimated_apr/apy, etherfi_apr           Net rewards annualized over active effective balance
+ *   network_avg_apr, apr_vs_network          NETWORK_AVG_APR, or the ideal 32 ETH attestation APR
+ *
+ * Only attestation rewards are counted (no block proposals or sync committees),
+ * so the APR understates total yield but is comparable epoch to epoch and with
+ * the ideal-performance baseline.
+ *
+ * Validator status is kept in validator_status; a validator whose slashed flag
+ * turns true raises a validator_slashed anomaly, CRITICAL when several are
+ * slashed in the same cycle (correlated slashings get larger penalties).
+ *
+ * Usage:
+ *   node src/collectors/validator-collector.js              # Collect the last finalized epoch
+ *   node src/collectors/validator-collector.js --schedule   # Repeat every VALIDATOR_INTERVAL_MS
+ */
+
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { getValidatorIds, NETWORK_AVG_APR, VALIDATOR_INTERVAL_MS } = require('../../config/beacon');
+const { createBeaconClient, SLOTS_PER_EPOCH, SECONDS_PER_SLOT } = require('./beacon-client');
+const { round } = require('../analysis/statistics');
+const { handleError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const EPOCHS_PER_YEAR = (365.25 * 24 * 3600) / (SLOTS_PER_EPOCH * SECONDS_PER_SLOT);
+const BASELINE_EFFECTIVE_BALANCE = '32000000000';
+
+// Attestation duties scored for effectiveness
+const DUTY_COMPONENTS = ['head', 'target', 'source'];
+const REWARD_COMPONENTS = ['head', 'target', 'source', 'inclusion_delay', 'inactivity'];
+
+function gweiToEth(gwei) {
+  return ethers.formatUnits(gwei, 'gwei');
+}
+
+function sumComponents(entry, components) {
+  return components.reduce((sum, key) => sum + BigInt(entry[key] ?? 0), 0n);
+}
+
+/**
+ * Group a beacon validator status into active, exited or pending
+ */
+function classifyStatus(status) {
+  if (status.startsWith('active')) return 'active';
+  if (status.startsWith('exited') || status.startsWith('withdrawal')) return 'exited';
+  return 'pending';
+}
+
+/**
+ * Count validators by status
+ * @param {Array<Object>} validators - Records from getValidators
+ */
+function summarizeValidators(validators) {
+  const counts = { total_validators: validators.length, active_validators: 0, exited_validators: 0, slashed_validators: 0 };
+  for (const record of validators) {
+    const group = classifyStatus(record.status);
+    if (group === 'active') counts.active_validators += 1;
+    if (group === 'exited') counts.exited_validators += 1;
+    if (record.validator.slashed) counts.slashed_validators += 1;
+  }
+  return counts;
+}
+
+/**
+ * Annualized APR (%) for rewards earned in one epoch on an effective balance
+ */
+function annualizeEpochRewards(rewardsGwei, effectiveBalanceGwei) {
+  if (effectiveBalanceGwei <= 0n) return null;
+  return (Number(rewardsGwei) / Number(effectiveBalanceGwei)) * EPOCHS_PER_YEAR * 100;
+}
+
+/**
+ * APR of an ideally performing 32 ETH validator from the epoch's ideal rewards
+ */
+function idealNetworkApr(idealRewards) {
+  const ideal = idealRewards.find(entry => entry.effective_balance === BASELINE_EFFECTIVE_BALANCE);
+  return ideal ? annualizeEpochRewards(sumComponents(ideal, REWARD_COMPONENTS), BigInt(BASELINE_EFFECTIVE_BALANCE)) : null;
+}
+
+/**
+ * Turn validator records and attestation rewards into a validator_metrics row
+ * @param {Object} input
+ * @param {Array<Object>} input.validators - Records from getValidators
+ * @param {Object} input.rewards - { ideal_rewards, total_rewards } from getAttestationRewards
+ * @param {number} input.epoch - Epoch the rewards are for
+ * @param {number} input.genesisTime - Beacon genesis (unix seconds)
+ * @param {number|null} input.networkAvgApr - Network APR override
+ */
+function computeValidatorMetrics({ validators, rewards, epoch, genesisTime, networkAvgApr = null }) {
+  const idealByBalance = new Map(rewards.ideal_rewards.map(entry => [entry.effective_balance, entry]));
+  const recordsByIndex = new Map(validators.map(record => [String(record.index), record]));
+
+  let earned = 0n;
+  let penalties = 0n;
+  let activeBalance = 0n;
+  const effectiveness = [];
+
+  for (const record of validators) {
+    if (classifyStatus(record.status) === 'active') {
+      activeBalance += BigInt(record.validator.effective_balance);
+    }
+  }
+
+  for (const entry of rewards.total_rewards) {
+    for (const key of REWARD_COMPONENTS) {
+      const value = BigInt(entry[key] ?? 0);
+      if (value > 0n) earned += value;
+      else penalties -= value;
+    }
+
+    const record = recordsByIndex.get(String(entry.validator_index));
+    const ideal = record && idealByBalance.get(record.validator.effective_balance);
+    const idealDuties = ideal ? sumComponents(ideal, DUTY_COMPONENTS) : 0n;
+    if (idealDuties > 0n) {
+      const ratio = Number(sumComponents(entry, DUTY_COMPONENTS)) / Number(idealDuties);
+      effectiveness.push(Math.min(Math.max(ratio, 0), 1));
+    }
+  }
+
+  const apr = annualizeEpochRewards(earned - penalties, activeBalance);
+  const networkApr = networkAvgApr ?? idealNetworkApr(rewards.ideal_rewards);
+
+  return {
+    timestamp: new Date((genesisTime + epoch * SLOTS_PER_EPOCH * SECONDS_PER_SLOT) * 1000),
+    epoch,
+    ...summarizeValidators(validators),
+    avg_effectiveness: effectiveness.length > 0
+      ? round(effectiveness.reduce((sum, value) => sum + value, 0) / effectiveness.length, 4)
+      : null,
+    total_rewards_eth: gweiToEth(earned),
+    total_penalties_eth: gweiToEth(penalties),
+    net_rewards_eth: gweiToEth(earned - penalties),
+    estimated_apr: round(apr, 4),
+    estimated_apy: apr !== null ? round(((1 + apr / 100 / 365) ** 365 - 1) * 100, 4) : null,
+    etherfi_apr: round(apr, 4),
+    network_avg_apr: round(networkApr, 4),
+    apr_vs_network: apr !== null && networkApr !== null ? round(apr - networkApr, 4) : null,
+  };
+}
+
+/**
+ * Map a beacon validator record onto a validator_status row
+ */
+function toStatusRow(record) {
+  return {
+    validator_index: String(record.index),
+    pubkey: record.validator.pubkey.toLowerCase(),
+    status: record.status,
+    slashed: Boolean(record.validator.slashed),
+    effective_balance_gwei: record.validator.effective_balance,
+    balance_gwei: record.balance,
+  };
+}
+
+/**
+ * Build one validator_slashed anomaly per newly slashed validator
+ * @param {Array<Object>} slashed - Rows from upsertValidatorStatuses
+ * @param {number} epoch - Epoch of the collection cycle
+ */
+function buildSlashingAnomalies(slashed, epoch) {
+  const correlated = slashed.length > 1;
+
+  return slashed.map(validator => ({
+    anomaly_type: 'validator_slashed',
+    severity: correlated ? 'CRITICAL' : 'HIGH',
+    confidence: 1,
+    title: `EtherFi validator ${validator.validator_index} was slashed`,
+    description: `Validator ${validator.validator_index} (${validator.pubkey}) is now slashed `
+      + `(status ${validator.status}, was ${validator.previous_status}).`
+      + (correlated
+        ? ` ${slashed.length} EtherFi validators were slashed in the same cycle, which points to a shared `
+          + 'key or client setup and raises the correlation penalty.'
+        : ''),
+    recommendation: 'Identify the node operator and stop its other validators until the cause is known; '
+      + 'watch for further slashings and the eETH/ETH peg.',
+    affected_metrics: ['slashed_validators'],
+    baseline_data: {
+      previous_status: validator.previous_status,
+    },
+    recent_data: {
+      validator_index: Number(validator.validator_index),
+      pubkey: validator.pubkey,
+      status: validator.status,
+      effective_balance_eth: gweiToEth(validator.effective_balance_gwei),
+      balance_eth: gweiToEth(validator.balance_gwei),
+      epoch,
+      slashed_in_cycle: slashed.length,
+    },
+    statistical_significance: null,
+    status: 'active',
+  }));
+}
+
+/**
+ * Create a validator collector
+ *
+ * @param {Object} options
+ * @param {Object} options.client - Beacon client (defaults to one on BEACON_API_URL)
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Array<string>} options.validatorIds - Indices or public keys (default: config/beacon.js)
+ * @param {number|null} options.networkAvgApr - Network APR override (default NETWORK_AVG_APR)
+ * @returns {Object} Collector with collectOnce(), start() and stop()
+ */
+function createValidatorCollector(options = {}) {
+  const client = options.client || createBeaconClient();
+  const store = { ...require('../database/queries'), ...options.store };
+  const networkAvgApr = options.networkAvgApr !== undefined ? options.networkAvgApr : NETWORK_AVG_APR;
+
+  let genesisTime = null;
+  let timer = null;
+  let running = false;
+
+  /**
+   * Read the validators and the last finalized epoch's rewards, store the
+   * metrics and raise anomalies for new slashings
+   * @returns {Promise<Object|null>} { metrics, anomalies, missing } or null without validators
+   */
+  async function collectOnce() {
+    const validatorIds = options.validatorIds || getValidatorIds();
+    if (validatorIds.length === 0) {
+      logger.warn('[COLLECTOR] No validators configured (set ETHERFI_VALIDATORS or ETHERFI_VALIDATORS_FILE)');
+      return null;
+    }
+
+    if (genesisTime === null) {
+      genesisTime = (await client.getGenesis()).genesis_time;
+    }
+
+    const [validators, finalizedEpoch] = await Promise.all([
+      client.getValidators(validatorIds),
+      client.getFinalizedEpoch(),
+    ]);
+
+    // Rewards for the finalized epoch itself are computed at the end of the next one
+    const epoch = Math.max(finalizedEpoch - 1, 0);
+    const activeIndices = validators
+      .filter(record => classifyStatus(record.status) === 'active')
+      .map(record => String(record.index));
+    const rewards = activeIndices.length > 0
+      ? await client.getAttestationRewards(epoch, activeIndices)
+      : { ideal_rewards: [], total_rewards: [] };
+
+    const metrics = computeValidatorMetrics({ validators, rewards, epoch, genesisTime, networkAvgApr });
+    await store.insertValidatorMetrics(metrics);
+
+    const slashed = await store.upsertValidatorStatuses(validators.map(toStatusRow));
+    const anomalies = [];
+    for (const candidate of buildSlashingAnomalies(slashed, epoch)) {
+      const row = await store.insertAnomaly(candidate);
+      anomalies.push({ ...candidate, ...row });
+    }
+
+    const missing = validatorIds.length - validators.length;
+    if (missing > 0) {
+      logger.warn(`[COLLECTOR] ${missing} configured validator(s) not found on the beacon node`);
+    }
+    if (anomalies.length > 0) {
+      logger.warn(`[COLLECTOR] ${anomalies.length} EtherFi validator(s) newly slashed`, {
+        validators: anomalies.map(anomaly => anomaly.recent_data.validator_index),
+      });
+    }
+
+    logger.collector(`Validator metrics stored for epoch ${epoch}`, {
+      active: metrics.active_validators,
+      effectiveness: metrics.avg_effectiveness,
+      apr: metrics.estimated_apr,
+    });
+
+    return { metrics, anomalies, missing };
+  }
+
+  /**
+   * Collect on an interval; a slow cycle is never overlapped by the next one
+   */
+  function start(intervalMs = VALIDATOR_INTERVAL_MS) {
+    if (timer) return;
+
+    const tick = async () => {
+      if (running) return;
+      running = true;
+      try {
+        await collectOnce();
+      } catch (error) {
+        handleError(error, 'validator-collector');
+      } finally {
+        running = false;
+      }
+    };
+
+    timer = setInterval(tick, intervalMs);
+    tick();
+    logger.collector('Validator collector started', { intervalMs });
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { collectOnce, start, stop };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const collector = createValidatorCollector();
+
+  if (process.argv.includes('--schedule')) {
+    collector.start();
+    return;
+  }
+
+  console.log('='.repeat(60));
+  console.log('EtherFi validator performance');
+  console.log('='.repeat(60));
+
+  try {
+    const result = await collector.collectOnce();
+    if (!result) {
+      console.log('No validators configured (set ETHERFI_VALIDATORS or ETHERFI_VALIDATORS_FILE)');
+      return;
+    }
+
+    const { metrics, anomalies, missing } = result;
+    console.log(`Epoch:          ${metrics.epoch}`);
+    console.log(`Validators:     ${metrics.total_validators} (${metrics.active_validators} active, `
+      + `${metrics.exited_validators} exited, ${metrics.slashed_validators} slashed)`
+      + (missing > 0 ? `, ${missing} not found` : ''));
+    console.log(`Effectiveness:  ${metrics.avg_effectiveness ?? '-'}`);
+    console.log(`Rewards:        +${metrics.total_rewards_eth} / -${metrics.total_penalties_eth} ETH `
+      + `(net ${metrics.net_rewards_eth} ETH)`);
+    console.log(`APR:            ${metrics.estimated_apr ?? '-'}% vs network ${metrics.network_avg_apr ?? '-'}% `
+      + `(${metrics.apr_vs_network ?? '-'})`);
+    for (const anomaly of anomalies) {
+      console.log(`❌ ${anomaly.title}`);
+    }
+    console.log('\n✅ Validator metrics stored');
+  } catch (error) {
+    console.error('\n❌ Validator collection failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createValidatorCollector,
+  computeValidatorMetrics,
+  summarizeValidators,
+  classifyStatus,
+  buildSlashingAnomalies,
+  EPOCHS_PER_YEAR,
+};
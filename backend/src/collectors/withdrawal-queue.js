@@ -0,0 +1,134 @@
+/**
+ * Withdrawal Queue Tracker
+ * Matches WithdrawalRequested to WithdrawalProcessed events by requestId into
+ * withdrawal_requests and derives the queue metrics stored in time_series_data
+ *
+ * Metrics:
+ *   withdrawal_queue_size, withdrawal_queue_eth   Pending requests and their ETH
+ *   avg_withdrawal_wait_time_hours                Mean request-to-fulfillment time in the window
+ *   withdrawal_age_p50/p90/p99_hours              Age distribution of pending requests
+ *   withdrawal_backlog_clear_hours                Pending ETH / ETH processed per hour in the window
+ *
+ * A growing p99 age means the oldest requests are not being served, which is an
+ * early liquidity-stress signal. The backlog projection is empty when nothing was
+ * processed in the window, since the queue won't clear at a rate of zero.
+ *
+ * Usage:
+ *   node src/collectors/withdrawal-queue.js [--window-hours 168]
+ */
+
+require('dotenv').config();
+
+const { round } = require('../analysis/statistics');
+const logger = require('../utils/logger');
+
+// Window for the processing rate and wait times
+const DEFAULT_WINDOW_HOURS = parseInt(process.env.WITHDRAWAL_RATE_WINDOW_HOURS || '168');
+
+/**
+ * Project how long the pending ETH takes to clear at the window's processing rate
+ * @param {Object} stats - Row from getWithdrawalQueueStats
+ * @param {number} windowHours - Window the stats were computed over
+ * @returns {Object} { processing_rate_eth_per_hour, backlog_clear_hours }
+ */
+function projectBacklog(stats, windowHours) {
+  const pendingEth = Number(stats.pending_eth);
+  const rate = Number(stats.processed_eth) / windowHours;
+
+  let clearHours = null;
+  if (pendingEth === 0) {
+    clearHours = 0;
+  } else if (rate > 0) {
+    clearHours = pendingEth / rate;
+  }
+
+  return {
+    processing_rate_eth_per_hour: round(rate, 6),
+    backlog_clear_hours: round(clearHours, 2),
+  };
+}
+
+/**
+ * Map queue stats onto time_series_data columns
+ * @param {Object} stats - Row from getWithdrawalQueueStats
+ * @param {number} windowHours
+ */
+function toQueueMetrics(stats, windowHours = DEFAULT_WINDOW_HOURS) {
+  const [p50, p90, p99] = stats.age_percentiles_hours || [null, null, null];
+
+  return {
+    withdrawal_queue_size: parseInt(stats.pending_count, 10),
+    withdrawal_queue_eth: stats.pending_eth,
+    avg_withdrawal_wait_time_hours: round(stats.avg_wait_hours, 2),
+    withdrawal_age_p50_hours: round(p50, 2),
+    withdrawal_age_p90_hours: round(p90, 2),
+    withdrawal_age_p99_hours: round(p99, 2),
+    withdrawal_backlog_clear_hours: projectBacklog(stats, windowHours).backlog_clear_hours,
+  };
+}
+
+/**
+ * Sync withdrawal_requests from chain_events and read the queue as of a time
+ * @param {Date} asOf - Snapshot time
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {number} options.windowHours - Processing-rate window
+ * @returns {Promise<Object>} { metrics, stats, projection }
+ */
+async function readWithdrawalQueue(asOf = new Date(), options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const windowHours = options.windowHours || DEFAULT_WINDOW_HOURS;
+
+  const synced = await store.syncWithdrawalRequests();
+  if (synced.requested > 0 || synced.processed > 0) {
+    logger.collector('Withdrawal requests synced', synced);
+  }
+
+  const stats = await store.getWithdrawalQueueStats(asOf, windowHours);
+
+  return {
+    metrics: toQueueMetrics(stats, windowHours),
+    stats,
+    projection: projectBacklog(stats, windowHours),
+  };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const windowIndex = process.argv.indexOf('--window-hours');
+  const windowHours = windowIndex !== -1 ? parseInt(process.argv[windowIndex + 1]) : undefined;
+
+  try {
+    const { metrics, stats, projection } = await readWithdrawalQueue(new Date(), { windowHours });
+
+    console.log('='.repeat(60));
+    console.log('Withdrawal queue');
+    console.log('='.repeat(60));
+    console.log(`Pending:        ${metrics.withdrawal_queue_size} request(s), ${round(metrics.withdrawal_queue_eth, 4)} ETH`);
+    console.log(`Age (hours):    p50 ${metrics.withdrawal_age_p50_hours ?? '-'}, `
+      + `p90 ${metrics.withdrawal_age_p90_hours ?? '-'}, p99 ${metrics.withdrawal_age_p99_hours ?? '-'}`);
+    console.log(`Processed:      ${stats.processed_count} request(s), ${round(stats.processed_eth, 4)} ETH `
+      + `(${projection.processing_rate_eth_per_hour} ETH/hour)`);
+    console.log(`Average wait:   ${metrics.avg_withdrawal_wait_time_hours ?? '-'} hours`);
+    console.log(`Backlog clears: ${projection.backlog_clear_hours !== null
+      ? `in ${projection.backlog_clear_hours} hours`
+      : 'never at the current rate'}`);
+  } catch (error) {
+    console.error('\n❌ Withdrawal queue read failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  readWithdrawalQueue,
+  toQueueMetrics,
+  projectBacklog,
+  DEFAULT_WINDOW_HOURS,
+};
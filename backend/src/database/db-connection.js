@@ -128,20 +128,17 @@ async function testConnection() {
 }
 
 /**
- * Initialize database schema from SQL file
+ * Initialize database schema by applying pending migrations
+ * Never drops existing tables; see migrate.js for rollbacks
  * @returns {Promise<boolean>} True if successful
  */
 async function initializeSchema() {
-  const fs = require('fs');
-  const path = require('path');
+  const { migrateUp } = require('./migrate');
 
   try {
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const schemaSql = fs.readFileSync(schemaPath, 'utf8');
-
     console.log('[DB] Initializing database schema...');
-    await query(schemaSql);
-    console.log('[DB] Schema initialized successfully!');
+    const applied = await migrateUp();
+    console.log(`[DB] Schema initialized successfully! (${applied.length} migrations applied)`);
     return true;
   } catch (error) {
     console.error('[DB] Failed to initialize schema:', error.message);
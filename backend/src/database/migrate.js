@@ -0,0 +1,310 @@
+/**
+ * Database Migration Runner
+ * Applies numbered up/down SQL migrations and tracks them in schema_migrations
+ *
+ * Usage:
+ *   node src/database/migrate.js up [target]     Apply pending migrations (optionally up to a version)
+ *   node src/database/migrate.js down [steps]    Roll back the latest migration(s), default 1
+ *   node src/database/migrate.js status          Show applied and pending migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { query, getClient, transaction, closePool } = require('./db-connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// pg_advisory_lock key held while a run reads and changes schema_migrations
+const MIGRATION_LOCK_ID = 72650001;
+
+/**
+ * Format a migration as its file prefix, e.g. 001_baseline
+ */
+function formatMigration(migration) {
+  return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Load migration files from disk, sorted by version
+ * @param {string} dir - Directory containing NNN_name.up.sql / NNN_name.down.sql files
+ * @returns {Array<Object>} Migrations with version, name, up/down SQL and checksum
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, versionStr, name, direction] = match;
+    const version = parseInt(versionStr, 10);
+
+    if (!migrations.has(version)) {
+      migrations.set(version, { version, name, up: null, down: null });
+    }
+
+    const migration = migrations.get(version);
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched names: ${migration.name} / ${name}`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+  }
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up) {
+        throw new Error(`Migration ${formatMigration(migration)} is missing its .up.sql file`);
+      }
+      return {
+        ...migration,
+        checksum: crypto.createHash('sha256').update(migration.up).digest('hex'),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Create the schema_migrations bookkeeping table if needed
+ */
+async function ensureMigrationsTable() {
+  await query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      duration_ms INTEGER
+    )
+  `);
+}
+
+/**
+ * Run a callback while holding the migration advisory lock
+ * Two deploys migrating at once would otherwise both see a migration as pending
+ * and apply it twice; the second run waits, then finds it applied.
+ */
+async function withMigrationLock(callback) {
+  const client = await getClient();
+  try {
+    const { rows: [{ locked }] } = await client.query(
+      'SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_ID]
+    );
+    if (!locked) {
+      console.log('[DB] Waiting for another migration run to finish...');
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    }
+
+    try {
+      return await callback();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get applied migrations from the bookkeeping table
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAppliedMigrations() {
+  await ensureMigrationsTable();
+  const result = await query('SELECT * FROM schema_migrations ORDER BY version ASC');
+  return result.rows;
+}
+
+/**
+ * Get the status of every known migration
+ * @returns {Promise<Array<Object>>} One entry per migration with applied state and checksum drift
+ */
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const applied = new Map((await getAppliedMigrations()).map((row) => [row.version, row]));
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: Boolean(row),
+      applied_at: row ? row.applied_at : null,
+      checksum_mismatch: Boolean(row) && row.checksum !== migration.checksum,
+    };
+  });
+
+  // Applied migrations whose files no longer exist on disk
+  for (const row of applied.values()) {
+    if (!migrations.some((migration) => migration.version === row.version)) {
+      status.push({
+        version: row.version,
+        name: row.name,
+        applied: true,
+        applied_at: row.applied_at,
+        missing_file: true,
+      });
+    }
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply all pending migrations in order, each in its own transaction
+ * @param {number|null} target - Highest version to apply (null for all)
+ * @returns {Promise<Array<Object>>} Migrations that were applied
+ */
+async function migrateUp(target = null) {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async () => {
+    const applied = new Set((await getAppliedMigrations()).map((row) => row.version));
+
+    const pending = migrations.filter((migration) =>
+      !applied.has(migration.version) && (target === null || migration.version <= target)
+    );
+
+    if (pending.length === 0) {
+      console.log('[DB] Schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      const start = Date.now();
+      console.log(`[DB] Applying migration ${formatMigration(migration)}...`);
+
+      await transaction(async (client) => {
+        await client.query(migration.up);
+        await client.query(
+          `INSERT INTO schema_migrations (version, name, checksum, duration_ms)
+           VALUES ($1, $2, $3, $4)`,
+          [migration.version, migration.name, migration.checksum, Date.now() - start]
+        );
+      });
+
+      console.log(`[DB] Applied migration ${formatMigration(migration)} (${Date.now() - start}ms)`);
+    }
+
+    return pending;
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {number} steps - Number of migrations to roll back (at least 1)
+ * @returns {Promise<Array<Object>>} Migrations that were rolled back
+ */
+async function migrateDown(steps = 1) {
+  // slice(-0) would select every applied migration
+  if (!Number.isInteger(steps) || steps < 1) {
+    throw new Error(`Steps must be a positive integer, got ${steps}`);
+  }
+
+  const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async () => {
+    const applied = await getAppliedMigrations();
+    const toRollBack = applied.slice(-steps).reverse();
+
+    if (toRollBack.length === 0) {
+      console.log('[DB] No migrations to roll back');
+      return [];
+    }
+
+    for (const row of toRollBack) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`Migration ${formatMigration(row)} has no .down.sql file, cannot roll back`);
+      }
+
+      console.log(`[DB] Rolling back migration ${formatMigration(migration)}...`);
+
+      await transaction(async (client) => {
+        await client.query(migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      });
+
+      console.log(`[DB] Rolled back migration ${formatMigration(migration)}`);
+    }
+
+    return toRollBack;
+  });
+}
+
+/**
+ * Print migration status as a table
+ */
+async function printStatus() {
+  const status = await getMigrationStatus();
+
+  console.log('Version  Status    Applied At                 Name');
+  console.log('-'.repeat(60));
+
+  for (const entry of status) {
+    let state = entry.applied ? 'applied' : 'pending';
+    if (entry.checksum_mismatch) state = 'modified';
+    if (entry.missing_file) state = 'missing';
+
+    const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString() : '-';
+    console.log(
+      `${String(entry.version).padStart(3, '0').padEnd(9)}${state.padEnd(10)}${appliedAt.padEnd(27)}${entry.name}`
+    );
+  }
+
+  const pending = status.filter((entry) => !entry.applied).length;
+  console.log();
+  console.log(`${status.length} migrations, ${pending} pending`);
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (arg !== undefined && !/^[1-9]\d*$/.test(arg)) {
+    console.error(`Invalid argument "${arg}": expected a positive integer`);
+    process.exitCode = 1;
+    await closePool();
+    return;
+  }
+
+  try {
+    switch (command) {
+      case 'up':
+        await migrateUp(arg !== undefined ? parseInt(arg, 10) : null);
+        break;
+      case 'down':
+        await migrateDown(arg !== undefined ? parseInt(arg, 10) : 1);
+        break;
+      case 'status':
+        await printStatus();
+        break;
+      default:
+        console.error(`Unknown command "${command}". Use: up [target] | down [steps] | status`);
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Migration failed:');
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  main,
+};
@@ -0,0 +1,14 @@
+-- Migration 001 (down): remove the baseline schema
+-- WARNING: this drops every table and all collected data.
+
+DROP FUNCTION IF EXISTS cleanup_old_data();
+
+DROP VIEW IF EXISTS recent_whale_movements;
+DROP VIEW IF EXISTS active_anomalies;
+DROP VIEW IF EXISTS latest_metrics;
+
+DROP TABLE IF EXISTS anomalies CASCADE;
+DROP TABLE IF EXISTS validator_metrics CASCADE;
+DROP TABLE IF EXISTS twitter_sentiment CASCADE;
+DROP TABLE IF EXISTS whale_wallets CASCADE;
+DROP TABLE IF EXISTS time_series_data CASCADE;
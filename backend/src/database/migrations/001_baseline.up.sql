@@ -1,15 +1,12 @@
 -- EtherFi Anomaly Detection System Database Schema
 -- PostgreSQL 12+
-
--- Drop existing tables if they exist (for clean setup)
-DROP TABLE IF EXISTS anomalies CASCADE;
-DROP TABLE IF EXISTS twitter_sentiment CASCADE;
-DROP TABLE IF EXISTS whale_wallets CASCADE;
-DROP TABLE IF EXISTS time_series_data CASCADE;
-DROP TABLE IF EXISTS validator_metrics CASCADE;
+--
+-- Migration 001: baseline schema
+-- Every statement is idempotent so this can be applied to a database that
+-- was created by the old schema.sql without touching existing rows.
 
 -- Time series data table - stores all metrics collected every 5 minutes
-CREATE TABLE time_series_data (
+CREATE TABLE IF NOT EXISTS time_series_data (
     id SERIAL PRIMARY KEY,
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
 
@@ -54,12 +51,12 @@ CREATE TABLE time_series_data (
 );
 
 -- Index for time-based queries
-CREATE INDEX idx_time_series_timestamp ON time_series_data(timestamp DESC);
-CREATE INDEX idx_time_series_tvl ON time_series_data(tvl_usd);
-CREATE INDEX idx_time_series_peg ON time_series_data(peg_deviation_percent);
+CREATE INDEX IF NOT EXISTS idx_time_series_timestamp ON time_series_data(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_time_series_tvl ON time_series_data(tvl_usd);
+CREATE INDEX IF NOT EXISTS idx_time_series_peg ON time_series_data(peg_deviation_percent);
 
 -- Whale wallets - Top 20 tracked addresses
-CREATE TABLE whale_wallets (
+CREATE TABLE IF NOT EXISTS whale_wallets (
     id SERIAL PRIMARY KEY,
     address VARCHAR(42) NOT NULL,
     first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
@@ -98,13 +95,13 @@ CREATE TABLE whale_wallets (
 );
 
 -- Indexes for whale wallet queries
-CREATE INDEX idx_whale_address ON whale_wallets(address);
-CREATE INDEX idx_whale_balance ON whale_wallets(current_balance_eeth DESC);
-CREATE INDEX idx_whale_rank ON whale_wallets(rank_position);
-CREATE INDEX idx_whale_change ON whale_wallets(change_24h_percent DESC);
+CREATE INDEX IF NOT EXISTS idx_whale_address ON whale_wallets(address);
+CREATE INDEX IF NOT EXISTS idx_whale_balance ON whale_wallets(current_balance_eeth DESC);
+CREATE INDEX IF NOT EXISTS idx_whale_rank ON whale_wallets(rank_position);
+CREATE INDEX IF NOT EXISTS idx_whale_change ON whale_wallets(change_24h_percent DESC);
 
 -- Twitter sentiment data
-CREATE TABLE twitter_sentiment (
+CREATE TABLE IF NOT EXISTS twitter_sentiment (
     id SERIAL PRIMARY KEY,
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
 
@@ -132,12 +129,12 @@ CREATE TABLE twitter_sentiment (
 );
 
 -- Index for sentiment queries
-CREATE INDEX idx_sentiment_timestamp ON twitter_sentiment(timestamp DESC);
-CREATE INDEX idx_sentiment_score ON twitter_sentiment(sentiment_score);
-CREATE INDEX idx_sentiment_label ON twitter_sentiment(sentiment_label);
+CREATE INDEX IF NOT EXISTS idx_sentiment_timestamp ON twitter_sentiment(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_sentiment_score ON twitter_sentiment(sentiment_score);
+CREATE INDEX IF NOT EXISTS idx_sentiment_label ON twitter_sentiment(sentiment_label);
 
 -- Validator performance metrics
-CREATE TABLE validator_metrics (
+CREATE TABLE IF NOT EXISTS validator_metrics (
     id SERIAL PRIMARY KEY,
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
 
@@ -165,10 +162,10 @@ CREATE TABLE validator_metrics (
     CONSTRAINT unique_validator_timestamp UNIQUE (timestamp)
 );
 
-CREATE INDEX idx_validator_timestamp ON validator_metrics(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_validator_timestamp ON validator_metrics(timestamp DESC);
 
 -- Anomalies detected by Claude AI
-CREATE TABLE anomalies (
+CREATE TABLE IF NOT EXISTS anomalies (
     id SERIAL PRIMARY KEY,
     detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
 
@@ -214,11 +211,11 @@ CREATE TABLE anomalies (
 );
 
 -- Indexes for anomaly queries
-CREATE INDEX idx_anomaly_detected_at ON anomalies(detected_at DESC);
-CREATE INDEX idx_anomaly_type ON anomalies(anomaly_type);
-CREATE INDEX idx_anomaly_severity ON anomalies(severity);
-CREATE INDEX idx_anomaly_status ON anomalies(status);
-CREATE INDEX idx_anomaly_confidence ON anomalies(confidence DESC);
+CREATE INDEX IF NOT EXISTS idx_anomaly_detected_at ON anomalies(detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_anomaly_type ON anomalies(anomaly_type);
+CREATE INDEX IF NOT EXISTS idx_anomaly_severity ON anomalies(severity);
+CREATE INDEX IF NOT EXISTS idx_anomaly_status ON anomalies(status);
+CREATE INDEX IF NOT EXISTS idx_anomaly_confidence ON anomalies(confidence DESC);
 
 -- Create a view for latest metrics
 CREATE OR REPLACE VIEW latest_metrics AS
@@ -299,21 +296,3 @@ $$ LANGUAGE plpgsql;
 -- Grant necessary permissions (adjust user as needed)
 -- GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO etherfi_user;
 -- GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO etherfi_user;
-
--- Insert initial placeholder for testing (will be replaced with real data)
-INSERT INTO time_series_data (
-    timestamp,
-    tvl_usd,
-    tvl_eth,
-    unique_stakers,
-    collection_status
-) VALUES (
-    NOW(),
-    0,
-    0,
-    0,
-    'initial'
-) ON CONFLICT (timestamp) DO NOTHING;
-
--- Success message
-SELECT 'Database schema created successfully!' as status;
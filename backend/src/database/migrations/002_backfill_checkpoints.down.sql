@@ -0,0 +1,6 @@
+-- Migration 002 (down): remove historical backfill support
+
+DROP TABLE IF EXISTS backfill_checkpoints;
+
+ALTER TABLE time_series_data
+    DROP COLUMN IF EXISTS eeth_total_supply;
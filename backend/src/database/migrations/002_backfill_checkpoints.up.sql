@@ -0,0 +1,20 @@
+-- Migration 002: historical backfill support
+-- Adds the eETH supply metric and a checkpoint table so the historical
+-- loader can resume an interrupted backfill.
+
+ALTER TABLE time_series_data
+    ADD COLUMN IF NOT EXISTS eeth_total_supply NUMERIC(30, 8);
+
+-- One row per backfill job, updated as the loader advances
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    job_name VARCHAR(100) PRIMARY KEY,
+    start_block BIGINT NOT NULL,
+    end_block BIGINT,
+    last_block BIGINT NOT NULL,
+    last_snapshot_at TIMESTAMPTZ,
+    snapshots_written INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'running', -- running, completed, failed
+    error_message TEXT,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
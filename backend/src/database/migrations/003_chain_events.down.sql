@@ -0,0 +1,5 @@
+-- Migration 003 (down): remove raw on-chain event storage
+
+DROP TABLE IF EXISTS ingestion_state;
+DROP TABLE IF EXISTS chain_blocks;
+DROP TABLE IF EXISTS chain_events;
@@ -0,0 +1,51 @@
+-- Migration 003: raw on-chain event storage
+-- Decoded EtherFi contract logs, the blocks they were seen in (for reorg
+-- detection) and per-stream ingestion cursors.
+
+CREATE TABLE IF NOT EXISTS chain_events (
+    tx_hash VARCHAR(66) NOT NULL,
+    log_index INTEGER NOT NULL,
+
+    -- Block Context
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    block_timestamp TIMESTAMPTZ NOT NULL,
+
+    -- Decoded Event
+    contract_name VARCHAR(50) NOT NULL, -- Key in ETHERFI_ADDRESSES, e.g. LIQUIDITY_POOL
+    contract_address VARCHAR(42) NOT NULL,
+    event_name VARCHAR(50) NOT NULL, -- Transfer, Deposit, Withdraw, WithdrawalRequested, WithdrawalProcessed
+    args JSONB NOT NULL, -- Decoded arguments, uint256 values as decimal strings
+
+    -- Normalized fields for aggregation
+    from_address VARCHAR(42),
+    to_address VARCHAR(42),
+    amount_eth NUMERIC(38, 18),
+
+    ingested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    PRIMARY KEY (tx_hash, log_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_events_block ON chain_events(block_number DESC);
+CREATE INDEX IF NOT EXISTS idx_chain_events_name_time ON chain_events(event_name, block_timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_chain_events_from ON chain_events(from_address);
+CREATE INDEX IF NOT EXISTS idx_chain_events_to ON chain_events(to_address);
+
+-- Recently processed block hashes, compared against the chain to detect reorgs
+CREATE TABLE IF NOT EXISTS chain_blocks (
+    block_number BIGINT PRIMARY KEY,
+    block_hash VARCHAR(66) NOT NULL,
+    block_timestamp TIMESTAMPTZ NOT NULL,
+    seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Last processed block per ingestion stream
+CREATE TABLE IF NOT EXISTS ingestion_state (
+    stream_name VARCHAR(100) PRIMARY KEY,
+    last_block BIGINT NOT NULL,
+    last_block_hash VARCHAR(66) NOT NULL,
+    reorg_count INTEGER DEFAULT 0,
+    last_reorg_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
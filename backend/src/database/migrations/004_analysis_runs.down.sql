@@ -0,0 +1,6 @@
+-- Migration 004 (down): remove Claude analysis run tracking
+
+ALTER TABLE anomalies
+    DROP COLUMN IF EXISTS analysis_run_id;
+
+DROP TABLE IF EXISTS analysis_runs;
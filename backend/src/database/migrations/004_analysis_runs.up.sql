@@ -0,0 +1,27 @@
+-- Migration 004: Claude analysis run tracking
+-- One row per scheduled analysis with token usage and cost, linked from
+-- the anomalies it produced.
+
+CREATE TABLE IF NOT EXISTS analysis_runs (
+    id SERIAL PRIMARY KEY,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMPTZ,
+
+    -- Outcome
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, success, invalid_response, failed
+    attempts INTEGER DEFAULT 0,
+    anomalies_detected INTEGER DEFAULT 0,
+    error_message TEXT,
+
+    -- Usage and Cost
+    model VARCHAR(100) NOT NULL,
+    input_tokens INTEGER DEFAULT 0,
+    output_tokens INTEGER DEFAULT 0,
+    cost_usd NUMERIC(12, 6) DEFAULT 0,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_analysis_runs_started_at ON analysis_runs(started_at DESC);
+
+ALTER TABLE anomalies
+    ADD COLUMN IF NOT EXISTS analysis_run_id INTEGER REFERENCES analysis_runs(id) ON DELETE SET NULL;
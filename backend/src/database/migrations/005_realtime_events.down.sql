@@ -0,0 +1,9 @@
+-- Migration 005 (down): remove the realtime change feed
+
+DROP TRIGGER IF EXISTS whale_wallets_realtime ON whale_wallets;
+DROP TRIGGER IF EXISTS anomalies_realtime ON anomalies;
+DROP TRIGGER IF EXISTS time_series_data_realtime ON time_series_data;
+
+DROP FUNCTION IF EXISTS publish_realtime_event();
+
+DROP TABLE IF EXISTS realtime_events;
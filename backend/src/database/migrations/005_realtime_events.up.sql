@@ -0,0 +1,47 @@
+-- Migration 005: Realtime change feed
+-- Inserts and updates on the live tables are appended to realtime_events and
+-- announced with NOTIFY, which Postgres only delivers once the transaction commits.
+-- The event id doubles as the WebSocket resume token.
+
+CREATE TABLE IF NOT EXISTS realtime_events (
+    id BIGSERIAL PRIMARY KEY,
+    topic VARCHAR(20) NOT NULL, -- metrics, anomalies, whales
+    row_id INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_created_at ON realtime_events(created_at);
+
+CREATE OR REPLACE FUNCTION publish_realtime_event()
+RETURNS trigger AS $$
+DECLARE
+    event_id BIGINT;
+BEGIN
+    INSERT INTO realtime_events (topic, row_id)
+    VALUES (TG_ARGV[0], NEW.id)
+    RETURNING id INTO event_id;
+
+    PERFORM pg_notify('realtime_events', event_id::text);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS time_series_data_realtime ON time_series_data;
+CREATE TRIGGER time_series_data_realtime
+    AFTER INSERT OR UPDATE ON time_series_data
+    FOR EACH ROW
+    -- Backfilled history is not live data
+    WHEN (NEW.data_source IS DISTINCT FROM 'historical_backfill')
+    EXECUTE FUNCTION publish_realtime_event('metrics');
+
+DROP TRIGGER IF EXISTS anomalies_realtime ON anomalies;
+CREATE TRIGGER anomalies_realtime
+    AFTER INSERT ON anomalies
+    FOR EACH ROW
+    EXECUTE FUNCTION publish_realtime_event('anomalies');
+
+DROP TRIGGER IF EXISTS whale_wallets_realtime ON whale_wallets;
+CREATE TRIGGER whale_wallets_realtime
+    AFTER INSERT OR UPDATE ON whale_wallets
+    FOR EACH ROW
+    EXECUTE FUNCTION publish_realtime_event('whales');
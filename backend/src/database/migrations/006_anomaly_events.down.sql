@@ -0,0 +1,9 @@
+-- Migration 006 (down): remove the anomaly triage audit trail
+
+DROP TRIGGER IF EXISTS anomalies_realtime ON anomalies;
+CREATE TRIGGER anomalies_realtime
+    AFTER INSERT ON anomalies
+    FOR EACH ROW
+    EXECUTE FUNCTION publish_realtime_event('anomalies');
+
+DROP TABLE IF EXISTS anomaly_events;
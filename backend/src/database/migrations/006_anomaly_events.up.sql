@@ -0,0 +1,23 @@
+-- Migration 006: Anomaly triage audit trail
+-- Every status transition (acknowledge, resolve, false_positive, reopen) is
+-- recorded with who made it and why.
+
+CREATE TABLE IF NOT EXISTS anomaly_events (
+    id SERIAL PRIMARY KEY,
+    anomaly_id INTEGER NOT NULL REFERENCES anomalies(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL, -- acknowledge, resolve, false_positive, reopen
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    actor VARCHAR(100) NOT NULL,
+    note TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_anomaly_events_anomaly ON anomaly_events(anomaly_id, created_at);
+
+-- Push status changes to WebSocket clients, not just new anomalies
+DROP TRIGGER IF EXISTS anomalies_realtime ON anomalies;
+CREATE TRIGGER anomalies_realtime
+    AFTER INSERT OR UPDATE OF status ON anomalies
+    FOR EACH ROW
+    EXECUTE FUNCTION publish_realtime_event('anomalies');
@@ -0,0 +1,5 @@
+-- Migration 007 (down): remove the alert notification delivery log
+
+DROP TABLE IF EXISTS notification_state;
+DROP TABLE IF EXISTS notification_attempts;
+DROP TABLE IF EXISTS notification_deliveries;
@@ -0,0 +1,47 @@
+-- Migration 007: Alert notification delivery log
+-- One row per (anomaly batch, rule, sink) routing decision, including ones that were
+-- suppressed, plus one row per send attempt. Digest deliveries cover several anomalies.
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id SERIAL PRIMARY KEY,
+    anomaly_ids INTEGER[] NOT NULL,
+    rule_name VARCHAR(100) NOT NULL,
+    sink_name VARCHAR(50) NOT NULL,
+    dedup_key VARCHAR(200),
+
+    -- pending, retrying, sent, failed, duplicate, rate_limited, digest_pending, digested
+    status VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ,
+    last_error TEXT,
+    digest_delivery_id INTEGER REFERENCES notification_deliveries(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due
+    ON notification_deliveries(next_attempt_at)
+    WHERE status IN ('pending', 'retrying');
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_rule
+    ON notification_deliveries(rule_name, sink_name, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS notification_attempts (
+    id SERIAL PRIMARY KEY,
+    delivery_id INTEGER NOT NULL REFERENCES notification_deliveries(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    success BOOLEAN NOT NULL,
+    response_status INTEGER,
+    error_message TEXT,
+    duration_ms INTEGER,
+    attempted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_attempts_delivery ON notification_attempts(delivery_id);
+
+-- Last anomaly id the dispatcher has routed
+CREATE TABLE IF NOT EXISTS notification_state (
+    dispatcher_name VARCHAR(50) PRIMARY KEY,
+    last_anomaly_id INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
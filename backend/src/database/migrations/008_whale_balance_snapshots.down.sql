@@ -0,0 +1,7 @@
+-- Migration 008 (down): remove whale balance history
+
+ALTER TABLE whale_wallets
+    DROP COLUMN IF EXISTS change_30d_percent,
+    DROP COLUMN IF EXISTS change_30d_eeth;
+
+DROP TABLE IF EXISTS whale_balance_snapshots;
@@ -0,0 +1,24 @@
+-- Migration 008: Whale balance history
+-- One row per wallet per collection. whale_wallets keeps the latest row and its
+-- 24h/7d/30d deltas are computed from this history on every upsert.
+
+CREATE TABLE IF NOT EXISTS whale_balance_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    address VARCHAR(42) NOT NULL,
+    timestamp TIMESTAMPTZ NOT NULL,
+
+    balance_eeth NUMERIC(20, 8) NOT NULL,
+    balance_usd NUMERIC(20, 2),
+    block_number BIGINT,
+    data_source VARCHAR(50) DEFAULT 'blockchain',
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT unique_whale_snapshot UNIQUE (address, timestamp)
+);
+
+CREATE INDEX IF NOT EXISTS idx_whale_snapshots_timestamp ON whale_balance_snapshots(timestamp DESC);
+
+ALTER TABLE whale_wallets
+    ADD COLUMN IF NOT EXISTS change_30d_eeth NUMERIC(20, 8),
+    ADD COLUMN IF NOT EXISTS change_30d_percent NUMERIC(10, 4);
@@ -0,0 +1,4 @@
+-- Migration 009 (down): remove the eETH holder index
+
+DROP TABLE IF EXISTS whale_rank_events;
+DROP TABLE IF EXISTS holder_balances;
@@ -0,0 +1,34 @@
+-- Migration 009: eETH holder index
+-- Share balance of every eETH holder, rebuilt from TransferShares/Transfer logs, and
+-- a log of wallets entering or leaving the tracked top-N.
+-- eETH rebases, so balances are stored as shares and converted with the share rate
+-- at ranking time; ranking by shares gives the same order as ranking by balance.
+
+CREATE TABLE IF NOT EXISTS holder_balances (
+    address VARCHAR(42) PRIMARY KEY,
+    shares NUMERIC(78, 0) NOT NULL DEFAULT 0,
+
+    first_block BIGINT NOT NULL,
+    last_block BIGINT NOT NULL,
+    last_tx_hash VARCHAR(66),
+    transfer_count INTEGER NOT NULL DEFAULT 0,
+
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_holder_balances_shares ON holder_balances(shares DESC);
+
+CREATE TABLE IF NOT EXISTS whale_rank_events (
+    id SERIAL PRIMARY KEY,
+    address VARCHAR(42) NOT NULL,
+    event_type VARCHAR(10) NOT NULL, -- entered, exited
+    rank_position INTEGER, -- New rank (NULL on exit)
+    previous_rank INTEGER, -- Rank before the change (NULL on entry)
+    shares NUMERIC(78, 0),
+    balance_eeth NUMERIC(38, 18),
+    block_number BIGINT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_whale_rank_events_created ON whale_rank_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whale_rank_events_address ON whale_rank_events(address);
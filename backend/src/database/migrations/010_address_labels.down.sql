@@ -0,0 +1,3 @@
+-- Migration 010 (down): remove address labels
+
+DROP TABLE IF EXISTS address_labels;
@@ -0,0 +1,21 @@
+-- Migration 010: Address labels
+-- Labels and categories for known addresses, plus the on-chain contract check.
+-- Addresses are stored lowercase so lookups are case-insensitive. A row may have
+-- no label when only its contract status is known.
+
+CREATE TABLE IF NOT EXISTS address_labels (
+    address VARCHAR(42) PRIMARY KEY CHECK (address = LOWER(address)),
+    label VARCHAR(100),
+    category VARCHAR(20), -- exchange, bridge, protocol, fund, team, market_maker, individual, other
+    notes TEXT,
+    source VARCHAR(20) NOT NULL DEFAULT 'import', -- builtin, import, code_check
+
+    -- eth_getCode result; NULL until checked
+    is_contract BOOLEAN,
+    code_checked_at TIMESTAMPTZ,
+
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_address_labels_category ON address_labels(category);
@@ -0,0 +1,9 @@
+-- Migration 011 (down): remove withdrawal queue tracking
+
+ALTER TABLE time_series_data
+    DROP COLUMN IF EXISTS withdrawal_backlog_clear_hours,
+    DROP COLUMN IF EXISTS withdrawal_age_p99_hours,
+    DROP COLUMN IF EXISTS withdrawal_age_p90_hours,
+    DROP COLUMN IF EXISTS withdrawal_age_p50_hours;
+
+DROP TABLE IF EXISTS withdrawal_requests;
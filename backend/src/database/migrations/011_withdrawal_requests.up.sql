@@ -0,0 +1,34 @@
+-- Migration 011: withdrawal queue tracking
+-- One row per withdrawal request, matched to its fulfillment by requestId and
+-- rebuilt from WithdrawalRequested/WithdrawalProcessed rows in chain_events.
+-- A row can have only the fulfillment when its request predates the ingested range.
+
+CREATE TABLE IF NOT EXISTS withdrawal_requests (
+    request_id NUMERIC(78, 0) PRIMARY KEY,
+
+    -- WithdrawalRequested
+    requester VARCHAR(42),
+    amount_eth NUMERIC(38, 18),
+    requested_at TIMESTAMPTZ,
+    request_block BIGINT,
+    request_tx_hash VARCHAR(66),
+
+    -- WithdrawalProcessed (NULL while pending)
+    recipient VARCHAR(42),
+    fulfilled_amount_eth NUMERIC(38, 18),
+    fulfilled_at TIMESTAMPTZ,
+    fulfilled_block BIGINT,
+    fulfilled_tx_hash VARCHAR(66),
+
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_requested ON withdrawal_requests(requested_at);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_requests_fulfilled ON withdrawal_requests(fulfilled_at);
+
+-- Queue age distribution and backlog projection per snapshot
+ALTER TABLE time_series_data
+    ADD COLUMN IF NOT EXISTS withdrawal_age_p50_hours NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS withdrawal_age_p90_hours NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS withdrawal_age_p99_hours NUMERIC(12, 2),
+    ADD COLUMN IF NOT EXISTS withdrawal_backlog_clear_hours NUMERIC(12, 2);
@@ -0,0 +1,6 @@
+-- Migration 012 (down): remove validator status tracking
+
+ALTER TABLE validator_metrics
+    DROP COLUMN IF EXISTS epoch;
+
+DROP TABLE IF EXISTS validator_status;
@@ -0,0 +1,23 @@
+-- Migration 012: validator status tracking
+-- Last known beacon-chain state of each EtherFi validator, so the validator
+-- collector can tell a newly slashed validator from one it already reported.
+
+CREATE TABLE IF NOT EXISTS validator_status (
+    validator_index BIGINT PRIMARY KEY,
+    pubkey VARCHAR(98) NOT NULL,
+    status VARCHAR(30) NOT NULL, -- pending_*, active_*, exited_*, withdrawal_*
+    slashed BOOLEAN NOT NULL DEFAULT false,
+    effective_balance_gwei BIGINT,
+    balance_gwei BIGINT,
+
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    slashed_detected_at TIMESTAMPTZ, -- When the collector first saw slashed = true
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_validator_status_status ON validator_status(status);
+CREATE INDEX IF NOT EXISTS idx_validator_status_slashed ON validator_status(slashed) WHERE slashed;
+
+-- Epoch the metrics row was computed for
+ALTER TABLE validator_metrics
+    ADD COLUMN IF NOT EXISTS epoch BIGINT;
@@ -0,0 +1,18 @@
+-- Migration 013 (down): remove job run history
+
+CREATE OR REPLACE VIEW latest_metrics AS
+SELECT
+    timestamp,
+    tvl_usd,
+    tvl_eth,
+    unique_stakers,
+    withdrawal_queue_size,
+    eeth_eth_price_ratio,
+    peg_deviation_percent,
+    total_volume_eth_24h,
+    avg_gas_price_gwei
+FROM time_series_data
+ORDER BY timestamp DESC
+LIMIT 1;
+
+DROP TABLE IF EXISTS job_runs;
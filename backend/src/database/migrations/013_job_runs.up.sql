@@ -0,0 +1,39 @@
+-- Migration 013: job run history
+-- One row per job run attempt from src/jobs/job-runner.js. At most one run per
+-- job is 'running' at a time; an attempt made while one is running is stored as
+-- 'skipped'.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(50) NOT NULL,
+    trigger VARCHAR(20) NOT NULL, -- schedule, manual, cli
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, success, failed, skipped, abandoned
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB, -- Job-specific summary
+    error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job_name, started_at DESC);
+
+-- Overlap protection
+CREATE UNIQUE INDEX IF NOT EXISTS idx_job_runs_one_running ON job_runs(job_name) WHERE status = 'running';
+
+-- Failed collections are stored as empty rows with collection_status = 'failed';
+-- the latest metrics should come from the last successful one
+CREATE OR REPLACE VIEW latest_metrics AS
+SELECT
+    timestamp,
+    tvl_usd,
+    tvl_eth,
+    unique_stakers,
+    withdrawal_queue_size,
+    eeth_eth_price_ratio,
+    peg_deviation_percent,
+    total_volume_eth_24h,
+    avg_gas_price_gwei
+FROM time_series_data
+WHERE collection_status = 'success'
+ORDER BY timestamp DESC
+LIMIT 1;
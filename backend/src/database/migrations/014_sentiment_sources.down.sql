@@ -0,0 +1,9 @@
+-- Migration 014 (down): remove sentiment sources and risk feed
+
+DROP INDEX IF EXISTS idx_sentiment_risk;
+DROP INDEX IF EXISTS idx_sentiment_source_timestamp;
+
+ALTER TABLE twitter_sentiment
+    DROP COLUMN IF EXISTS risk_flagged,
+    DROP COLUMN IF EXISTS url,
+    DROP COLUMN IF EXISTS source;
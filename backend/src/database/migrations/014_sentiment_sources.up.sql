@@ -0,0 +1,11 @@
+-- Migration 014: sentiment sources and risk feed
+-- Posts now come from Twitter, RSS/JSON feeds or a fixture file. risk_flagged marks
+-- posts that mention EtherFi together with a risk keyword (depeg, exploit, rug, ...).
+
+ALTER TABLE twitter_sentiment
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'twitter', -- twitter, feed, fixture
+    ADD COLUMN IF NOT EXISTS url TEXT,
+    ADD COLUMN IF NOT EXISTS risk_flagged BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_sentiment_source_timestamp ON twitter_sentiment(source, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_sentiment_risk ON twitter_sentiment(timestamp DESC) WHERE risk_flagged;
@@ -0,0 +1,30 @@
+-- Migration 015 (down): remove time series rollups
+
+CREATE OR REPLACE FUNCTION cleanup_old_data()
+RETURNS void AS $$
+BEGIN
+    -- Keep time series data for 90 days
+    DELETE FROM time_series_data
+    WHERE timestamp < NOW() - INTERVAL '90 days';
+
+    -- Keep sentiment data for 60 days
+    DELETE FROM twitter_sentiment
+    WHERE timestamp < NOW() - INTERVAL '60 days';
+
+    -- Keep resolved anomalies for 90 days
+    DELETE FROM anomalies
+    WHERE status = 'resolved'
+    AND resolved_at < NOW() - INTERVAL '90 days';
+
+    -- Keep validator metrics for 90 days
+    DELETE FROM validator_metrics
+    WHERE timestamp < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS time_series_data_rollups ON time_series_data;
+DROP FUNCTION IF EXISTS refresh_time_series_rollups_for_row();
+DROP FUNCTION IF EXISTS refresh_time_series_rollups(TIMESTAMPTZ, TIMESTAMPTZ);
+
+DROP TABLE IF EXISTS time_series_daily;
+DROP TABLE IF EXISTS time_series_hourly;
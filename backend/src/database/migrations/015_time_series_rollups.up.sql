@@ -0,0 +1,160 @@
+-- Migration 015: hourly and daily time series rollups
+-- One row per bucket and metric with the min, max, average and last value of the
+-- successful snapshots in it. A trigger refreshes the touched hour and day after
+-- every insert or update, so long-range charts don't need the raw 5-minute rows
+-- and cleanup_old_data() can drop those after 90 days while the rollups stay.
+--
+-- Days are UTC. A new metric column in time_series_data needs a line in the
+-- VALUES list of refresh_time_series_rollups().
+
+CREATE TABLE IF NOT EXISTS time_series_hourly (
+    bucket TIMESTAMPTZ NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    min_value NUMERIC(38, 8),
+    max_value NUMERIC(38, 8),
+    avg_value NUMERIC(38, 8),
+    last_value NUMERIC(38, 8),
+    sample_count INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (bucket, metric)
+);
+
+CREATE TABLE IF NOT EXISTS time_series_daily (
+    bucket TIMESTAMPTZ NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    min_value NUMERIC(38, 8),
+    max_value NUMERIC(38, 8),
+    avg_value NUMERIC(38, 8),
+    last_value NUMERIC(38, 8),
+    sample_count INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (bucket, metric)
+);
+
+-- Recompute every hour touching [range_start, range_end] from time_series_data,
+-- then every UTC day touching it from the hourly rollup
+CREATE OR REPLACE FUNCTION refresh_time_series_rollups(range_start TIMESTAMPTZ, range_end TIMESTAMPTZ)
+RETURNS void AS $$
+BEGIN
+    INSERT INTO time_series_hourly (bucket, metric, min_value, max_value, avg_value, last_value, sample_count)
+    SELECT
+        date_trunc('hour', t.timestamp),
+        m.metric,
+        MIN(m.value),
+        MAX(m.value),
+        AVG(m.value),
+        (ARRAY_AGG(m.value ORDER BY t.timestamp DESC))[1],
+        COUNT(*)
+    FROM time_series_data t
+    CROSS JOIN LATERAL (VALUES
+        ('tvl_usd', t.tvl_usd::NUMERIC),
+        ('tvl_eth', t.tvl_eth),
+        ('tvl_change_percent', t.tvl_change_percent),
+        ('unique_stakers', t.unique_stakers),
+        ('new_stakers_24h', t.new_stakers_24h),
+        ('deposit_count_24h', t.deposit_count_24h),
+        ('withdrawal_count_24h', t.withdrawal_count_24h),
+        ('total_volume_eth_24h', t.total_volume_eth_24h),
+        ('avg_transaction_size_eth', t.avg_transaction_size_eth),
+        ('withdrawal_queue_size', t.withdrawal_queue_size),
+        ('withdrawal_queue_eth', t.withdrawal_queue_eth),
+        ('avg_withdrawal_wait_time_hours', t.avg_withdrawal_wait_time_hours),
+        ('withdrawal_age_p50_hours', t.withdrawal_age_p50_hours),
+        ('withdrawal_age_p90_hours', t.withdrawal_age_p90_hours),
+        ('withdrawal_age_p99_hours', t.withdrawal_age_p99_hours),
+        ('withdrawal_backlog_clear_hours', t.withdrawal_backlog_clear_hours),
+        ('eeth_eth_price_ratio', t.eeth_eth_price_ratio),
+        ('peg_deviation_percent', t.peg_deviation_percent),
+        ('eeth_total_supply', t.eeth_total_supply),
+        ('avg_gas_price_gwei', t.avg_gas_price_gwei),
+        ('median_gas_price_gwei', t.median_gas_price_gwei),
+        ('total_validators', t.total_validators),
+        ('active_validators', t.active_validators)
+    ) AS m(metric, value)
+    WHERE t.collection_status = 'success'
+      AND m.value IS NOT NULL
+      AND t.timestamp >= date_trunc('hour', range_start)
+      AND t.timestamp < date_trunc('hour', range_end) + INTERVAL '1 hour'
+    GROUP BY 1, 2
+    ON CONFLICT (bucket, metric) DO UPDATE SET
+        min_value = EXCLUDED.min_value,
+        max_value = EXCLUDED.max_value,
+        avg_value = EXCLUDED.avg_value,
+        last_value = EXCLUDED.last_value,
+        sample_count = EXCLUDED.sample_count,
+        updated_at = NOW();
+
+    INSERT INTO time_series_daily (bucket, metric, min_value, max_value, avg_value, last_value, sample_count)
+    SELECT
+        date_trunc('day', bucket AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+        metric,
+        MIN(min_value),
+        MAX(max_value),
+        SUM(avg_value * sample_count) / SUM(sample_count),
+        (ARRAY_AGG(last_value ORDER BY bucket DESC))[1],
+        SUM(sample_count)
+    FROM time_series_hourly
+    WHERE bucket >= date_trunc('day', range_start AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'
+      AND bucket < (date_trunc('day', range_end AT TIME ZONE 'UTC') + INTERVAL '1 day') AT TIME ZONE 'UTC'
+    GROUP BY 1, 2
+    ON CONFLICT (bucket, metric) DO UPDATE SET
+        min_value = EXCLUDED.min_value,
+        max_value = EXCLUDED.max_value,
+        avg_value = EXCLUDED.avg_value,
+        last_value = EXCLUDED.last_value,
+        sample_count = EXCLUDED.sample_count,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION refresh_time_series_rollups_for_row()
+RETURNS trigger AS $$
+BEGIN
+    PERFORM refresh_time_series_rollups(NEW.timestamp, NEW.timestamp);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS time_series_data_rollups ON time_series_data;
+CREATE TRIGGER time_series_data_rollups
+    AFTER INSERT OR UPDATE ON time_series_data
+    FOR EACH ROW
+    WHEN (NEW.collection_status = 'success')
+    EXECUTE FUNCTION refresh_time_series_rollups_for_row();
+
+-- Roll up what is already stored
+SELECT refresh_time_series_rollups(MIN(timestamp), MAX(timestamp))
+FROM time_series_data
+HAVING COUNT(*) > 0;
+
+-- Raw snapshots are deleted a whole UTC day at a time, after the rollups for
+-- those days are brought up to date, so no rollup is ever recomputed from a
+-- partly deleted bucket
+CREATE OR REPLACE FUNCTION cleanup_old_data()
+RETURNS void AS $$
+DECLARE
+    raw_cutoff TIMESTAMPTZ := date_trunc('day', (NOW() - INTERVAL '90 days') AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+BEGIN
+    -- Keep raw time series data for 90 days; the rollups are kept indefinitely
+    PERFORM refresh_time_series_rollups(MIN(timestamp), raw_cutoff)
+    FROM time_series_data
+    WHERE timestamp < raw_cutoff
+    HAVING COUNT(*) > 0;
+
+    DELETE FROM time_series_data
+    WHERE timestamp < raw_cutoff;
+
+    -- Keep sentiment data for 60 days
+    DELETE FROM twitter_sentiment
+    WHERE timestamp < NOW() - INTERVAL '60 days';
+
+    -- Keep resolved anomalies for 90 days
+    DELETE FROM anomalies
+    WHERE status = 'resolved'
+    AND resolved_at < NOW() - INTERVAL '90 days';
+
+    -- Keep validator metrics for 90 days
+    DELETE FROM validator_metrics
+    WHERE timestamp < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
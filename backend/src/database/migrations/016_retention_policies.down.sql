@@ -0,0 +1,32 @@
+-- Migration 016 (down): restore cleanup_old_data()
+
+DROP INDEX IF EXISTS idx_anomaly_resolved_at;
+
+CREATE OR REPLACE FUNCTION cleanup_old_data()
+RETURNS void AS $$
+DECLARE
+    raw_cutoff TIMESTAMPTZ := date_trunc('day', (NOW() - INTERVAL '90 days') AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+BEGIN
+    -- Keep raw time series data for 90 days; the rollups are kept indefinitely
+    PERFORM refresh_time_series_rollups(MIN(timestamp), raw_cutoff)
+    FROM time_series_data
+    WHERE timestamp < raw_cutoff
+    HAVING COUNT(*) > 0;
+
+    DELETE FROM time_series_data
+    WHERE timestamp < raw_cutoff;
+
+    -- Keep sentiment data for 60 days
+    DELETE FROM twitter_sentiment
+    WHERE timestamp < NOW() - INTERVAL '60 days';
+
+    -- Keep resolved anomalies for 90 days
+    DELETE FROM anomalies
+    WHERE status = 'resolved'
+    AND resolved_at < NOW() - INTERVAL '90 days';
+
+    -- Keep validator metrics for 90 days
+    DELETE FROM validator_metrics
+    WHERE timestamp < NOW() - INTERVAL '90 days';
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,8 @@
+-- Migration 016: configurable retention policies
+-- Retention moved to config/retention.js and src/database/retention.js, which
+-- archive expired rows before deleting them. The hardcoded function goes.
+
+DROP FUNCTION IF EXISTS cleanup_old_data();
+
+-- Closed anomalies expire by resolved_at
+CREATE INDEX IF NOT EXISTS idx_anomaly_resolved_at ON anomalies(resolved_at) WHERE resolved_at IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Migration 017 (down): order the realtime feed by id again
+
+DROP INDEX IF EXISTS idx_realtime_events_txid;
+
+ALTER TABLE realtime_events DROP COLUMN IF EXISTS txid;
@@ -0,0 +1,11 @@
+-- Migration 017: commit-ordered realtime feed
+-- Event ids are taken at INSERT, not at COMMIT, so a transaction can commit an
+-- event with a lower id than one already delivered. Each event now records the
+-- transaction that wrote it. The feed is read in (txid, id) order, and only from
+-- transactions older than every one still running, so nothing can commit behind
+-- the delivery cursor.
+
+ALTER TABLE realtime_events
+    ADD COLUMN IF NOT EXISTS txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_realtime_events_txid ON realtime_events(txid, id);
@@ -0,0 +1,5 @@
+-- Migration 018 (down): route anomalies by id again
+
+DROP INDEX IF EXISTS idx_anomalies_txid;
+
+ALTER TABLE anomalies DROP COLUMN IF EXISTS txid;
@@ -0,0 +1,11 @@
+-- Migration 018: commit-ordered notification routing
+-- Detection jobs insert anomalies concurrently, so an anomaly can commit with a
+-- lower id than one the dispatcher has already routed past. Each anomaly now
+-- records the transaction that wrote it, and the dispatcher reads in (txid, id)
+-- order from transactions older than every one still running, as the realtime
+-- feed does (migration 017).
+
+ALTER TABLE anomalies
+    ADD COLUMN IF NOT EXISTS txid xid8 NOT NULL DEFAULT pg_current_xact_id();
+
+CREATE INDEX IF NOT EXISTS idx_anomalies_txid ON anomalies(txid, id);
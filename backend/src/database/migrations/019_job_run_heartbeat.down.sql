@@ -0,0 +1,3 @@
+-- Migration 019 (down): abandon runs by age again
+
+ALTER TABLE job_runs DROP COLUMN IF EXISTS heartbeat_at;
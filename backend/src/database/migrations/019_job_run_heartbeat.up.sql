@@ -0,0 +1,7 @@
+-- Migration 019: job run heartbeats
+-- A running job now refreshes heartbeat_at while it works, and a run is
+-- abandoned when its heartbeat stops instead of when it has run for a fixed
+-- time, so a long holder-index catch-up or backfill keeps its claim.
+
+ALTER TABLE job_runs
+    ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
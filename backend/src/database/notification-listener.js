@@ -0,0 +1,111 @@
+/**
+ * Postgres Notification Listener
+ * Holds a dedicated connection that LISTENs on a channel and reconnects with
+ * backoff if the connection drops
+ *
+ * The connection is separate from the pool so a pool shutdown never waits on it.
+ */
+
+const { Client } = require('pg');
+const { pool } = require('./db-connection');
+
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * Create a listener
+ * @param {Object} options
+ * @param {string} options.channel - Channel name (must be a plain identifier)
+ * @param {Function} options.onNotification - Called with the payload string
+ * @param {Function} options.onConnect - Called after every (re)connect, e.g. to catch up on missed events
+ * @param {Object} options.clientConfig - pg client config (default: the pool's config)
+ * @returns {Object} Listener with start() and stop()
+ */
+function createNotificationListener(options) {
+  const { channel, onNotification, onConnect = null } = options;
+  const clientConfig = options.clientConfig || pool.options;
+
+  if (!/^[a-z_][a-z0-9_]*$/.test(channel)) {
+    throw new Error(`Invalid notification channel "${channel}"`);
+  }
+
+  let client = null;
+  let stopped = true;
+  let reconnectTimer = null;
+  let reconnectDelay = INITIAL_RECONNECT_DELAY_MS;
+
+  function scheduleReconnect() {
+    if (stopped || reconnectTimer) return;
+
+    console.warn(`[DB] LISTEN ${channel} connection lost, reconnecting in ${reconnectDelay}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+  }
+
+  async function connect() {
+    const next = new Client(clientConfig);
+    next.on('notification', message => onNotification(message.payload));
+    next.on('error', (error) => {
+      console.error(`[DB] LISTEN ${channel} connection error:`, error.message);
+      next.end().catch(() => {});
+    });
+    next.on('end', () => {
+      if (client === next) {
+        client = null;
+        scheduleReconnect();
+      }
+    });
+
+    try {
+      await next.connect();
+      await next.query(`LISTEN ${channel}`);
+    } catch (error) {
+      console.error(`[DB] Failed to LISTEN on ${channel}:`, error.message);
+      next.end().catch(() => {});
+      scheduleReconnect();
+      return;
+    }
+
+    if (stopped) {
+      await next.end();
+      return;
+    }
+
+    client = next;
+    reconnectDelay = INITIAL_RECONNECT_DELAY_MS;
+    console.log(`[DB] Listening for notifications on ${channel}`);
+
+    if (onConnect) {
+      try {
+        await onConnect();
+      } catch (error) {
+        console.error(`[DB] LISTEN ${channel} onConnect handler failed:`, error.message);
+      }
+    }
+  }
+
+  async function start() {
+    if (!stopped) return;
+    stopped = false;
+    await connect();
+  }
+
+  async function stop() {
+    stopped = true;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+
+    if (client) {
+      const current = client;
+      client = null;
+      await current.end();
+    }
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createNotificationListener };
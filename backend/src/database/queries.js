@@ -1,14 +1,24 @@
 /**
  * Database Query Functions
  * All SQL queries organized by domain
+ *
+ * Windows, limits, ids and other numeric input go through the query builder
+ * (./query-builder.js), which checks them and binds them as parameters; nothing
+ * a caller passes is spliced into SQL text.
  */
 
 const { query, transaction } = require('./db-connection');
+const { createQuery } = require('./query-builder');
+const { ANOMALY_TRANSITIONS } = require('../analysis/anomaly-lifecycle');
+const { TransitionError } = require('../utils/error-handler');
+const { getRetentionPolicies, retentionCutoff } = require('../../config/retention');
 
 // ==================== TIME SERIES DATA ====================
 
 /**
  * Insert new time series data point
+ * A slot that already has a row (re-collected, backfilled, or recorded as failed
+ * by insertFailedCollection) is overwritten in full.
  */
 async function insertTimeSeriesData(data) {
   const sql = `
@@ -20,15 +30,41 @@ async function insertTimeSeriesData(data) {
       eeth_eth_price_ratio, peg_deviation_percent,
       avg_gas_price_gwei, median_gas_price_gwei,
       total_validators, active_validators,
-      data_source, collection_status, error_message
+      data_source, collection_status, error_message,
+      eeth_total_supply,
+      withdrawal_age_p50_hours, withdrawal_age_p90_hours, withdrawal_age_p99_hours,
+      withdrawal_backlog_clear_hours
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23,
+      $24, $25, $26, $27
     )
     ON CONFLICT (timestamp) DO UPDATE SET
       tvl_usd = EXCLUDED.tvl_usd,
       tvl_eth = EXCLUDED.tvl_eth,
+      tvl_change_percent = EXCLUDED.tvl_change_percent,
       unique_stakers = EXCLUDED.unique_stakers,
-      collection_status = EXCLUDED.collection_status
+      new_stakers_24h = EXCLUDED.new_stakers_24h,
+      deposit_count_24h = EXCLUDED.deposit_count_24h,
+      withdrawal_count_24h = EXCLUDED.withdrawal_count_24h,
+      total_volume_eth_24h = EXCLUDED.total_volume_eth_24h,
+      avg_transaction_size_eth = EXCLUDED.avg_transaction_size_eth,
+      withdrawal_queue_size = EXCLUDED.withdrawal_queue_size,
+      withdrawal_queue_eth = EXCLUDED.withdrawal_queue_eth,
+      avg_withdrawal_wait_time_hours = EXCLUDED.avg_withdrawal_wait_time_hours,
+      eeth_eth_price_ratio = EXCLUDED.eeth_eth_price_ratio,
+      peg_deviation_percent = EXCLUDED.peg_deviation_percent,
+      avg_gas_price_gwei = EXCLUDED.avg_gas_price_gwei,
+      median_gas_price_gwei = EXCLUDED.median_gas_price_gwei,
+      total_validators = EXCLUDED.total_validators,
+      active_validators = EXCLUDED.active_validators,
+      data_source = EXCLUDED.data_source,
+      collection_status = EXCLUDED.collection_status,
+      error_message = EXCLUDED.error_message,
+      eeth_total_supply = EXCLUDED.eeth_total_supply,
+      withdrawal_age_p50_hours = EXCLUDED.withdrawal_age_p50_hours,
+      withdrawal_age_p90_hours = EXCLUDED.withdrawal_age_p90_hours,
+      withdrawal_age_p99_hours = EXCLUDED.withdrawal_age_p99_hours,
+      withdrawal_backlog_clear_hours = EXCLUDED.withdrawal_backlog_clear_hours
     RETURNING id, timestamp
   `;
 
@@ -55,24 +91,49 @@ async function insertTimeSeriesData(data) {
     data.data_source || 'blockchain',
     data.collection_status || 'success',
     data.error_message || null,
+    data.eeth_total_supply,
+    data.withdrawal_age_p50_hours,
+    data.withdrawal_age_p90_hours,
+    data.withdrawal_age_p99_hours,
+    data.withdrawal_backlog_clear_hours,
   ];
 
   const result = await query(sql, values);
   return result.rows[0];
 }
 
+/**
+ * Record a failed collection for a snapshot slot
+ * A slot that already holds a successful snapshot is left alone.
+ * @param {Object} data - { timestamp, error_message, data_source }
+ */
+async function insertFailedCollection(data) {
+  const sql = `
+    INSERT INTO time_series_data (timestamp, data_source, collection_status, error_message)
+    VALUES ($1, $2, 'failed', $3)
+    ON CONFLICT (timestamp) DO UPDATE SET
+      error_message = EXCLUDED.error_message
+    WHERE time_series_data.collection_status = 'failed'
+    RETURNING id, timestamp
+  `;
+
+  const result = await query(sql, [data.timestamp, data.data_source || 'blockchain', data.error_message]);
+  return result.rows[0] || null;
+}
+
 /**
  * Get time series data for a time range
  */
 async function getTimeSeriesData(hours = 24, limit = null) {
+  const q = createQuery();
   const sql = `
     SELECT * FROM time_series_data
-    WHERE timestamp >= NOW() - INTERVAL '${hours} hours'
+    WHERE timestamp >= NOW() - ${q.interval('hours', hours)}
     ORDER BY timestamp DESC
-    ${limit ? `LIMIT ${limit}` : ''}
+    ${limit !== null && limit !== undefined ? q.limit(limit) : ''}
   `;
 
-  const result = await query(sql);
+  const result = await query(sql, q.values);
   return result.rows;
 }
 
@@ -89,6 +150,7 @@ async function getLatestMetrics() {
  * Get baseline statistics (for anomaly detection)
  */
 async function getBaselineStats(days = 30) {
+  const q = createQuery();
   const sql = `
     SELECT
       AVG(tvl_usd) as avg_tvl_usd,
@@ -105,78 +167,377 @@ async function getBaselineStats(days = 30) {
       MAX(timestamp) as period_end,
       COUNT(*) as data_points
     FROM time_series_data
-    WHERE timestamp >= NOW() - INTERVAL '${days} days'
+    WHERE timestamp >= NOW() - ${q.interval('days', days)}
     AND collection_status = 'success'
   `;
 
-  const result = await query(sql);
+  const result = await query(sql, q.values);
   return result.rows[0];
 }
 
-// ==================== WHALE WALLETS ====================
+// ==================== TIME SERIES ROLLUPS ====================
+
+// Hourly and daily rollups (migration 015), refreshed by a trigger on every
+// successful snapshot and kept after the raw rows are cleaned up
+const ROLLUPS = {
+  hour: { table: 'time_series_hourly', stepUnit: 'hours' },
+  day: { table: 'time_series_daily', stepUnit: 'days' },
+};
+
+// Widest range served from each resolution when none is asked for: raw 5-minute
+// rows up to 2 days (576 rows), hourly up to 60 days (1440 rows), daily beyond
+const RESOLUTION_MAX_HOURS = {
+  raw: 48,
+  hour: 60 * 24,
+};
 
 /**
- * Upsert whale wallet data
+ * Resolution that suits a time range: raw, hour or day
+ * @param {number} hours - Range length
  */
-async function upsertWhaleWallet(data) {
+function chooseResolution(hours) {
+  if (hours <= RESOLUTION_MAX_HOURS.raw) return 'raw';
+  if (hours <= RESOLUTION_MAX_HOURS.hour) return 'hour';
+  return 'day';
+}
+
+/**
+ * Time series history at the resolution that suits the range, newest first
+ * Raw rows are time_series_data rows. Rollup rows have the bucket start as
+ * timestamp, sample_count (snapshots in the bucket) and, per metric, the bucket
+ * average under the metric's own name plus <metric>_min, <metric>_max and
+ * <metric>_last.
+ * @param {number} hours - Range
+ * @param {Object} options
+ * @param {string} options.resolution - auto (default), raw, hour or day
+ * @param {number} options.limit - Maximum rows
+ * @returns {Promise<Object>} { resolution, rows }
+ */
+async function getTimeSeriesHistory(hours = 24, options = {}) {
+  const resolution = !options.resolution || options.resolution === 'auto'
+    ? chooseResolution(hours)
+    : options.resolution;
+
+  if (resolution === 'raw') {
+    return { resolution, rows: await getTimeSeriesData(hours, options.limit ?? null) };
+  }
+
+  const rollup = ROLLUPS[resolution];
+  if (!rollup) {
+    throw new Error(`Unknown time series resolution: ${resolution}`);
+  }
+
+  // Includes the bucket the range starts in
+  const q = createQuery();
   const sql = `
-    INSERT INTO whale_wallets (
-      address, current_balance_eeth, current_balance_usd,
-      balance_24h_ago, balance_7d_ago, balance_30d_ago,
-      change_24h_eeth, change_24h_percent, change_7d_eeth, change_7d_percent,
-      total_deposits, total_withdrawals,
-      last_transaction_hash, last_transaction_time,
-      rank_position, label, is_contract, is_exchange,
-      last_updated
-    ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, NOW()
+    SELECT
+      bucket AS timestamp,
+      MAX(sample_count) AS sample_count,
+      jsonb_object_agg(metric, jsonb_build_object(
+        'avg', avg_value::text,
+        'min', min_value::text,
+        'max', max_value::text,
+        'last', last_value::text
+      )) AS metrics
+    FROM ${q.identifier(rollup.table)}
+    WHERE bucket > NOW() - ${q.interval('hours', hours)} - ${q.interval(rollup.stepUnit, 1, 'step')}
+    GROUP BY bucket
+    ORDER BY bucket DESC
+    ${options.limit !== null && options.limit !== undefined ? q.limit(options.limit) : ''}
+  `;
+
+  const result = await query(sql, q.values);
+  const rows = result.rows.map(({ metrics, ...row }) => {
+    for (const [metric, values] of Object.entries(metrics)) {
+      row[metric] = values.avg;
+      row[`${metric}_min`] = values.min;
+      row[`${metric}_max`] = values.max;
+      row[`${metric}_last`] = values.last;
+    }
+    return row;
+  });
+
+  return { resolution, rows };
+}
+
+// ==================== DATA COVERAGE ====================
+
+// One row per snapshot bucket in [since, until], starting no earlier than the
+// first stored snapshot: ok when the bucket holds a successful snapshot, rows = 0
+// when nothing was written at all. Returns the CTEs and the bucket interval.
+function snapshotBucketsCte(q, since, until, intervalSeconds) {
+  const from = q.date(since, 'since');
+  const to = q.date(until, 'until');
+  const seconds = q.integer(intervalSeconds, 'intervalSeconds', { min: 1, max: 24 * 60 * 60 });
+  const step = `make_interval(secs => ${seconds})`;
+
+  const sql = `
+    buckets AS (
+      SELECT generate_series(
+        to_timestamp(floor(extract(epoch FROM GREATEST(${from}::timestamptz, first_snapshot)) / ${seconds}) * ${seconds}),
+        to_timestamp(floor(extract(epoch FROM ${to}::timestamptz) / ${seconds}) * ${seconds}),
+        ${step}
+      ) AS bucket
+      FROM (SELECT MIN(timestamp) AS first_snapshot FROM time_series_data) f
+      WHERE first_snapshot IS NOT NULL
+    ),
+    bucket_status AS (
+      SELECT
+        b.bucket,
+        COALESCE(bool_or(t.collection_status = 'success'), false) AS ok,
+        COUNT(t.id) AS rows,
+        MAX(t.error_message) AS error_message
+      FROM buckets b
+      LEFT JOIN time_series_data t
+        ON t.timestamp >= b.bucket AND t.timestamp < b.bucket + ${step}
+      GROUP BY b.bucket
     )
-    ON CONFLICT (address) DO UPDATE SET
-      current_balance_eeth = EXCLUDED.current_balance_eeth,
-      current_balance_usd = EXCLUDED.current_balance_usd,
-      change_24h_eeth = EXCLUDED.change_24h_eeth,
-      change_24h_percent = EXCLUDED.change_24h_percent,
-      rank_position = EXCLUDED.rank_position,
-      last_updated = NOW()
-    RETURNING id, address
   `;
 
-  const values = [
-    data.address,
-    data.current_balance_eeth,
-    data.current_balance_usd,
-    data.balance_24h_ago,
-    data.balance_7d_ago,
-    data.balance_30d_ago,
-    data.change_24h_eeth,
-    data.change_24h_percent,
-    data.change_7d_eeth,
-    data.change_7d_percent,
-    data.total_deposits || 0,
-    data.total_withdrawals || 0,
-    data.last_transaction_hash,
-    data.last_transaction_time,
-    data.rank_position,
-    data.label,
-    data.is_contract || false,
-    data.is_exchange || false,
-  ];
+  return { sql, step };
+}
 
-  const result = await query(sql, values);
+/**
+ * Snapshot coverage per UTC day
+ * Buckets before the first stored snapshot are not counted, so neither this nor
+ * getDataGaps reports the time before collection started.
+ * @param {Date} since - First bucket
+ * @param {Date} until - Last bucket
+ * @param {number} intervalSeconds - Snapshot interval
+ * @returns {Promise<Array<Object>>} { day (YYYY-MM-DD), expected_buckets, collected_buckets, failed_buckets, missing_buckets, coverage_percent }
+ */
+async function getCoverageByDay(since, until, intervalSeconds = 300) {
+  const q = createQuery();
+  const buckets = snapshotBucketsCte(q, since, until, intervalSeconds);
+  const sql = `
+    WITH ${buckets.sql}
+    SELECT
+      ((bucket AT TIME ZONE 'UTC')::date)::text AS day,
+      COUNT(*) AS expected_buckets,
+      COUNT(*) FILTER (WHERE ok) AS collected_buckets,
+      COUNT(*) FILTER (WHERE NOT ok AND rows > 0) AS failed_buckets,
+      COUNT(*) FILTER (WHERE rows = 0) AS missing_buckets,
+      ROUND(100.0 * COUNT(*) FILTER (WHERE ok) / COUNT(*), 2) AS coverage_percent
+    FROM bucket_status
+    GROUP BY 1
+    ORDER BY 1
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Runs of consecutive buckets without a successful snapshot
+ * @param {Date} since - First bucket
+ * @param {Date} until - Last bucket
+ * @param {number} intervalSeconds - Snapshot interval
+ * @returns {Promise<Array<Object>>} { gap_start, gap_end, buckets, missing_buckets, failed_buckets, last_error }
+ */
+async function getDataGaps(since, until, intervalSeconds = 300) {
+  const q = createQuery();
+  const buckets = snapshotBucketsCte(q, since, until, intervalSeconds);
+  const sql = `
+    WITH ${buckets.sql},
+    bad AS (
+      SELECT
+        bucket, rows, error_message,
+        bucket - ${buckets.step} * ROW_NUMBER() OVER (ORDER BY bucket) AS run
+      FROM bucket_status
+      WHERE NOT ok
+    )
+    SELECT
+      MIN(bucket) AS gap_start,
+      MAX(bucket) AS gap_end,
+      COUNT(*) AS buckets,
+      COUNT(*) FILTER (WHERE rows = 0) AS missing_buckets,
+      COUNT(*) FILTER (WHERE rows > 0) AS failed_buckets,
+      (array_agg(error_message ORDER BY bucket DESC) FILTER (WHERE error_message IS NOT NULL))[1] AS last_error
+    FROM bad
+    GROUP BY run
+    ORDER BY gap_start
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * The newest successful snapshot and the error of any failed one after it
+ * Both read backwards along idx_time_series_timestamp, so this stays cheap
+ * enough for every health check.
+ * @returns {Promise<Object>} { last_successful_collection, last_error }
+ */
+async function getLastCollection() {
+  const sql = `
+    WITH last_success AS (
+      SELECT timestamp FROM time_series_data
+      WHERE collection_status = 'success'
+      ORDER BY timestamp DESC
+      LIMIT 1
+    )
+    SELECT
+      (SELECT timestamp FROM last_success) AS last_successful_collection,
+      (
+        SELECT error_message FROM time_series_data
+        WHERE collection_status = 'failed'
+          AND timestamp > COALESCE((SELECT timestamp FROM last_success), '-infinity')
+        ORDER BY timestamp DESC
+        LIMIT 1
+      ) AS last_error
+  `;
+
+  const result = await query(sql);
   return result.rows[0];
 }
 
+// ==================== WHALE WALLETS ====================
+
+/**
+ * Record a whale balance snapshot and upsert the wallet's current row
+ * balance_*_ago and the change columns are computed from whale_balance_snapshots:
+ * the latest snapshot at or before 24h/7d/30d before this one, or NULL when the
+ * wallet hasn't been tracked that long. A snapshot older than the wallet's current
+ * row (e.g. a backfill) is stored but doesn't overwrite the row.
+ * label, is_contract and is_exchange fall back to address_labels when not given.
+ * @param {Object} data - address, current_balance_eeth, current_balance_usd, timestamp,
+ *                        block_number, rank_position, label, is_contract, is_exchange, ...
+ * @returns {Promise<Object|undefined>} { id, address }, undefined if the row was newer
+ */
+async function upsertWhaleWallet(data) {
+  const timestamp = data.timestamp || new Date();
+
+  return transaction(async (client) => {
+    await client.query(
+      `INSERT INTO whale_balance_snapshots (
+        address, timestamp, balance_eeth, balance_usd, block_number, data_source
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (address, timestamp) DO UPDATE SET
+        balance_eeth = EXCLUDED.balance_eeth,
+        balance_usd = EXCLUDED.balance_usd,
+        block_number = EXCLUDED.block_number`,
+      [
+        data.address,
+        timestamp,
+        data.current_balance_eeth,
+        data.current_balance_usd ?? null,
+        data.block_number ?? null,
+        data.data_source || 'blockchain',
+      ]
+    );
+
+    // Percent changes are clamped to the NUMERIC(10, 4) range so a wallet growing
+    // from dust doesn't fail the upsert
+    const sql = `
+      WITH history AS (
+        SELECT
+          (SELECT balance_eeth FROM whale_balance_snapshots
+            WHERE address = $1 AND timestamp <= $2::timestamptz - INTERVAL '24 hours'
+            ORDER BY timestamp DESC LIMIT 1) AS balance_24h_ago,
+          (SELECT balance_eeth FROM whale_balance_snapshots
+            WHERE address = $1 AND timestamp <= $2::timestamptz - INTERVAL '7 days'
+            ORDER BY timestamp DESC LIMIT 1) AS balance_7d_ago,
+          (SELECT balance_eeth FROM whale_balance_snapshots
+            WHERE address = $1 AND timestamp <= $2::timestamptz - INTERVAL '30 days'
+            ORDER BY timestamp DESC LIMIT 1) AS balance_30d_ago
+      ),
+      deltas AS (
+        SELECT
+          h.*,
+          $3::numeric - h.balance_24h_ago AS change_24h_eeth,
+          $3::numeric - h.balance_7d_ago AS change_7d_eeth,
+          $3::numeric - h.balance_30d_ago AS change_30d_eeth
+        FROM history h
+      ),
+      known AS (
+        SELECT label, category, is_contract FROM address_labels WHERE address = LOWER($1)
+      )
+      INSERT INTO whale_wallets (
+        address, current_balance_eeth, current_balance_usd,
+        balance_24h_ago, balance_7d_ago, balance_30d_ago,
+        change_24h_eeth, change_24h_percent, change_7d_eeth, change_7d_percent,
+        change_30d_eeth, change_30d_percent,
+        total_deposits, total_withdrawals,
+        last_transaction_hash, last_transaction_time,
+        rank_position, label, is_contract, is_exchange,
+        last_updated
+      )
+      SELECT
+        $1, $3, $4,
+        d.balance_24h_ago, d.balance_7d_ago, d.balance_30d_ago,
+        d.change_24h_eeth,
+        GREATEST(LEAST(d.change_24h_eeth / NULLIF(d.balance_24h_ago, 0) * 100, 999999), -999999),
+        d.change_7d_eeth,
+        GREATEST(LEAST(d.change_7d_eeth / NULLIF(d.balance_7d_ago, 0) * 100, 999999), -999999),
+        d.change_30d_eeth,
+        GREATEST(LEAST(d.change_30d_eeth / NULLIF(d.balance_30d_ago, 0) * 100, 999999), -999999),
+        COALESCE($5, 0), COALESCE($6, 0),
+        $7, $8,
+        $9,
+        COALESCE($10, k.label),
+        COALESCE($11, k.is_contract, FALSE),
+        COALESCE($12, k.category = 'exchange', FALSE),
+        $2
+      FROM deltas d
+      LEFT JOIN known k ON TRUE
+      ON CONFLICT (address) DO UPDATE SET
+        current_balance_eeth = EXCLUDED.current_balance_eeth,
+        current_balance_usd = EXCLUDED.current_balance_usd,
+        balance_24h_ago = EXCLUDED.balance_24h_ago,
+        balance_7d_ago = EXCLUDED.balance_7d_ago,
+        balance_30d_ago = EXCLUDED.balance_30d_ago,
+        change_24h_eeth = EXCLUDED.change_24h_eeth,
+        change_24h_percent = EXCLUDED.change_24h_percent,
+        change_7d_eeth = EXCLUDED.change_7d_eeth,
+        change_7d_percent = EXCLUDED.change_7d_percent,
+        change_30d_eeth = EXCLUDED.change_30d_eeth,
+        change_30d_percent = EXCLUDED.change_30d_percent,
+        total_deposits = COALESCE($5, whale_wallets.total_deposits),
+        total_withdrawals = COALESCE($6, whale_wallets.total_withdrawals),
+        last_transaction_hash = COALESCE($7, whale_wallets.last_transaction_hash),
+        last_transaction_time = COALESCE($8, whale_wallets.last_transaction_time),
+        rank_position = EXCLUDED.rank_position,
+        label = COALESCE(EXCLUDED.label, whale_wallets.label),
+        is_contract = COALESCE($11, (SELECT is_contract FROM known), whale_wallets.is_contract),
+        is_exchange = COALESCE($12, (SELECT category = 'exchange' FROM known), whale_wallets.is_exchange),
+        last_updated = EXCLUDED.last_updated
+      WHERE whale_wallets.last_updated <= EXCLUDED.last_updated
+      RETURNING id, address
+    `;
+
+    const values = [
+      data.address,
+      timestamp,
+      data.current_balance_eeth,
+      data.current_balance_usd ?? null,
+      data.total_deposits ?? null,
+      data.total_withdrawals ?? null,
+      data.last_transaction_hash || null,
+      data.last_transaction_time || null,
+      data.rank_position ?? null,
+      data.label || null,
+      data.is_contract ?? null,
+      data.is_exchange ?? null,
+    ];
+
+    const result = await client.query(sql, values);
+    return result.rows[0];
+  });
+}
+
 /**
- * Get top whale wallets
+ * Get the ranked top whale wallets (rank_position is set by the holder index)
  */
 async function getTopWhales(limit = 20) {
+  const q = createQuery();
   const sql = `
     SELECT * FROM whale_wallets
-    ORDER BY current_balance_eeth DESC
-    LIMIT $1
+    WHERE rank_position IS NOT NULL
+    ORDER BY rank_position
+    ${q.limit(limit)}
   `;
 
-  const result = await query(sql, [limit]);
+  const result = await query(sql, q.values);
   return result.rows;
 }
 
@@ -189,8 +550,406 @@ async function getRecentWhaleMovements() {
   return result.rows;
 }
 
+/**
+ * Get a wallet's balance curve between two times, oldest first
+ * @param {string} address
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} limit - Maximum points returned
+ */
+async function getWhaleBalanceHistory(address, from, to, limit = 10000) {
+  const q = createQuery();
+  const sql = `
+    SELECT timestamp, balance_eeth, balance_usd, block_number
+    FROM whale_balance_snapshots
+    WHERE address = ${q.bind(address)}
+      AND timestamp >= ${q.date(from, 'from')}
+      AND timestamp <= ${q.date(to, 'to')}
+    ORDER BY timestamp
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+// ==================== HOLDER INDEX ====================
+
+/**
+ * Apply net share changes for a block range and advance the index cursor atomically
+ * @param {Object} data
+ * @param {string} data.streamName - Cursor key in ingestion_state
+ * @param {Array<Object>} data.changes - [{ address, delta (decimal string), transfers,
+ *                                        blockNumber, txHash }]
+ * @param {number} data.lastBlock - Last block covered by the changes
+ * @param {string} data.lastBlockHash
+ * @returns {Promise<number>} Holders updated
+ */
+async function applyHolderShareChanges({ streamName, changes, lastBlock, lastBlockHash }) {
+  return transaction(async (client) => {
+    if (changes.length > 0) {
+      const sql = `
+        INSERT INTO holder_balances (
+          address, shares, first_block, last_block, last_tx_hash, transfer_count
+        )
+        SELECT address, delta, block_number, block_number, tx_hash, transfers
+        FROM unnest($1::varchar[], $2::numeric[], $3::bigint[], $4::varchar[], $5::int[])
+          AS c(address, delta, block_number, tx_hash, transfers)
+        ON CONFLICT (address) DO UPDATE SET
+          shares = holder_balances.shares + EXCLUDED.shares,
+          last_block = EXCLUDED.last_block,
+          last_tx_hash = EXCLUDED.last_tx_hash,
+          transfer_count = holder_balances.transfer_count + EXCLUDED.transfer_count,
+          updated_at = NOW()
+      `;
+
+      await client.query(sql, [
+        changes.map(change => change.address),
+        changes.map(change => change.delta),
+        changes.map(change => change.blockNumber),
+        changes.map(change => change.txHash),
+        changes.map(change => change.transfers),
+      ]);
+    }
+
+    await client.query(
+      `INSERT INTO ingestion_state (stream_name, last_block, last_block_hash, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (stream_name) DO UPDATE SET
+         last_block = EXCLUDED.last_block,
+         last_block_hash = EXCLUDED.last_block_hash,
+         updated_at = NOW()`,
+      [streamName, lastBlock, lastBlockHash]
+    );
+
+    return changes.length;
+  });
+}
+
+/**
+ * Get the largest holders by shares
+ */
+async function getTopHolders(limit = 20) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM holder_balances
+    WHERE shares > 0
+    ORDER BY shares DESC, address
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Get index rows for specific holders
+ */
+async function getHolderBalances(addresses) {
+  const sql = 'SELECT * FROM holder_balances WHERE address = ANY($1::varchar[])';
+  const result = await query(sql, [addresses]);
+  return result.rows;
+}
+
+/**
+ * Get holders whose replayed share balance went negative (missed or misdecoded logs)
+ */
+async function getNegativeHolderBalances() {
+  const sql = 'SELECT * FROM holder_balances WHERE shares < 0 ORDER BY shares';
+  const result = await query(sql);
+  return result.rows;
+}
+
+/**
+ * Get the wallets currently ranked in the top-N
+ */
+async function getRankedWhales() {
+  const sql = `
+    SELECT address, rank_position FROM whale_wallets
+    WHERE rank_position IS NOT NULL
+    ORDER BY rank_position
+  `;
+
+  const result = await query(sql);
+  return result.rows;
+}
+
+/**
+ * Record top-N entries and exits and clear the rank of wallets that left
+ * @param {Array<Object>} events - whale_rank_events rows
+ */
+async function recordWhaleRankChanges(events) {
+  if (events.length === 0) {
+    return [];
+  }
+
+  return transaction(async (client) => {
+    const rows = [];
+    for (const event of events) {
+      const result = await client.query(
+        `INSERT INTO whale_rank_events (
+          address, event_type, rank_position, previous_rank, shares, balance_eeth, block_number
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+          event.address,
+          event.event_type,
+          event.rank_position ?? null,
+          event.previous_rank ?? null,
+          event.shares ?? null,
+          event.balance_eeth ?? null,
+          event.block_number,
+        ]
+      );
+      rows.push(result.rows[0]);
+    }
+
+    const exited = events.filter(event => event.event_type === 'exited').map(event => event.address);
+    if (exited.length > 0) {
+      await client.query(
+        'UPDATE whale_wallets SET rank_position = NULL WHERE address = ANY($1::varchar[])',
+        [exited]
+      );
+    }
+
+    return rows;
+  });
+}
+
+/**
+ * Get recent top-N entries and exits, newest first
+ */
+async function getWhaleRankEvents(limit = 50) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM whale_rank_events
+    ORDER BY created_at DESC, id DESC
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+// ==================== ADDRESS LABELS ====================
+
+/**
+ * Insert or update labels and refresh the label of matching whale wallets
+ * Built-in labels never overwrite imported ones.
+ * @param {Array<Object>} labels - [{ address (lowercase), label, category, notes }]
+ * @param {string} source - builtin or import
+ * @returns {Promise<number>} Labels written
+ */
+async function upsertAddressLabels(labels, source = 'import') {
+  if (labels.length === 0) {
+    return 0;
+  }
+
+  return transaction(async (client) => {
+    const addresses = labels.map(label => label.address);
+
+    const sql = `
+      INSERT INTO address_labels (address, label, category, notes, source)
+      SELECT address, label, category, notes, $5
+      FROM unnest($1::varchar[], $2::varchar[], $3::varchar[], $4::text[])
+        AS l(address, label, category, notes)
+      ON CONFLICT (address) DO UPDATE SET
+        label = EXCLUDED.label,
+        category = EXCLUDED.category,
+        notes = EXCLUDED.notes,
+        source = EXCLUDED.source,
+        updated_at = NOW()
+      WHERE EXCLUDED.source <> 'builtin' OR address_labels.source <> 'import'
+    `;
+
+    const result = await client.query(sql, [
+      addresses,
+      labels.map(label => label.label),
+      labels.map(label => label.category),
+      labels.map(label => label.notes || null),
+      source,
+    ]);
+
+    await client.query(
+      `UPDATE whale_wallets w SET
+        label = l.label,
+        is_exchange = (l.category = 'exchange')
+      FROM address_labels l
+      WHERE LOWER(w.address) = l.address
+        AND l.address = ANY($1::varchar[])
+        AND l.label IS NOT NULL`,
+      [addresses]
+    );
+
+    return result.rowCount;
+  });
+}
+
+/**
+ * Resolve labels for addresses, any casing
+ * @returns {Promise<Array<Object>>} Rows for the addresses that have one
+ */
+async function getAddressLabelsFor(addresses) {
+  const sql = 'SELECT * FROM address_labels WHERE address = ANY($1::varchar[])';
+  const result = await query(sql, [addresses.map(address => address.toLowerCase())]);
+  return result.rows;
+}
+
+/**
+ * Get all labelled addresses, optionally for one category
+ */
+async function getAddressLabels(filters = {}) {
+  const q = createQuery();
+  const conditions = ['label IS NOT NULL'];
+
+  if (filters.category) {
+    conditions.push(`category = ${q.bind(filters.category)}`);
+  }
+
+  const sql = `
+    SELECT * FROM address_labels
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY category, label, address
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Store eth_getCode results and copy them onto matching whale wallets
+ * @param {Array<Object>} checks - [{ address (lowercase), is_contract }]
+ */
+async function saveContractChecks(checks) {
+  if (checks.length === 0) {
+    return;
+  }
+
+  await transaction(async (client) => {
+    const addresses = checks.map(check => check.address);
+
+    await client.query(
+      `INSERT INTO address_labels (address, source, is_contract, code_checked_at)
+       SELECT address, 'code_check', is_contract, NOW()
+       FROM unnest($1::varchar[], $2::boolean[]) AS c(address, is_contract)
+       ON CONFLICT (address) DO UPDATE SET
+         is_contract = EXCLUDED.is_contract,
+         code_checked_at = NOW(),
+         updated_at = NOW()`,
+      [addresses, checks.map(check => check.is_contract)]
+    );
+
+    await client.query(
+      `UPDATE whale_wallets w SET is_contract = l.is_contract
+       FROM address_labels l
+       WHERE LOWER(w.address) = l.address AND l.address = ANY($1::varchar[])`,
+      [addresses]
+    );
+  });
+}
+
+// ==================== EXCHANGE FLOWS ====================
+
+/**
+ * Hourly eETH flows into and out of exchange-labelled addresses
+ * @param {number} hours - Hours of Transfer events to aggregate
+ * @returns {Promise<Array<Object>>} One row per hour and exchange, newest first
+ */
+async function getExchangeFlowsHourly(hours = 24) {
+  const q = createQuery();
+  const sql = `
+    WITH transfers AS (
+      SELECT block_timestamp, LOWER(from_address) AS from_address, LOWER(to_address) AS to_address, amount_eth
+      FROM chain_events
+      WHERE contract_name = 'EETH_TOKEN'
+        AND event_name = 'Transfer'
+        AND block_timestamp >= NOW() - ${q.interval('hours', hours)}
+    ),
+    flows AS (
+      SELECT t.block_timestamp, x.address, x.label, t.amount_eth AS inflow, 0 AS outflow
+      FROM transfers t
+      JOIN address_labels x ON x.address = t.to_address AND x.category = 'exchange'
+      UNION ALL
+      SELECT t.block_timestamp, x.address, x.label, 0 AS inflow, t.amount_eth AS outflow
+      FROM transfers t
+      JOIN address_labels x ON x.address = t.from_address AND x.category = 'exchange'
+    )
+    SELECT
+      date_trunc('hour', block_timestamp) AS hour,
+      address AS exchange_address,
+      label AS exchange_label,
+      SUM(inflow) AS inflow_eeth,
+      SUM(outflow) AS outflow_eeth,
+      SUM(inflow) - SUM(outflow) AS net_flow_eeth,
+      COUNT(*) AS transfer_count
+    FROM flows
+    GROUP BY 1, 2, 3
+    ORDER BY hour DESC, exchange_label
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Transfers from tracked whales to exchange-labelled addresses that have no
+ * whale_movement anomaly yet
+ * The balance before the transfer is the latest snapshot taken before it, or the
+ * current balance plus the amount when the wallet has no earlier snapshot.
+ * @param {number} hours - Hours of Transfer events to check
+ */
+async function getUnflaggedWhaleExchangeTransfers(hours = 24) {
+  const q = createQuery();
+  const sql = `
+    SELECT
+      e.tx_hash,
+      e.log_index,
+      e.block_number,
+      e.block_timestamp,
+      w.address AS whale_address,
+      w.label AS whale_label,
+      w.rank_position,
+      x.address AS exchange_address,
+      x.label AS exchange_label,
+      e.amount_eth AS amount_eeth,
+      COALESCE(s.balance_eeth, w.current_balance_eeth + e.amount_eth) AS balance_before_eeth,
+      s.balance_eeth IS NOT NULL AS balance_from_snapshot
+    FROM chain_events e
+    JOIN address_labels x ON x.address = LOWER(e.to_address) AND x.category = 'exchange'
+    JOIN whale_wallets w ON LOWER(w.address) = LOWER(e.from_address)
+    LEFT JOIN LATERAL (
+      SELECT balance_eeth FROM whale_balance_snapshots
+      WHERE address = w.address AND timestamp < e.block_timestamp
+      ORDER BY timestamp DESC
+      LIMIT 1
+    ) s ON TRUE
+    WHERE e.contract_name = 'EETH_TOKEN'
+      AND e.event_name = 'Transfer'
+      AND e.block_timestamp >= NOW() - ${q.interval('hours', hours)}
+      AND NOT EXISTS (
+        SELECT 1 FROM anomalies a
+        WHERE a.anomaly_type = 'whale_movement'
+          AND a.recent_data->>'tx_hash' = e.tx_hash
+          AND a.recent_data->>'log_index' = e.log_index::text
+      )
+    ORDER BY e.block_number, e.log_index
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
 // ==================== ANOMALIES ====================
 
+// statistical_significance is NUMERIC(10, 6); a z-score against a near-constant
+// baseline can exceed it, so it is clamped rather than failing the insert
+const MAX_SIGNIFICANCE = 9999.999999;
+
+function clampSignificance(value) {
+  if (value === null || value === undefined || Number.isNaN(Number(value))) return null;
+  return Math.max(Math.min(Number(value), MAX_SIGNIFICANCE), -MAX_SIGNIFICANCE);
+}
+
 /**
  * Insert detected anomaly
  */
@@ -203,9 +962,9 @@ async function insertAnomaly(data) {
       baseline_data, recent_data, statistical_significance,
       historical_comparison, similar_past_events,
       claude_prompt, claude_response, analysis_duration_ms,
-      status
+      status, analysis_run_id
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17
     )
     RETURNING id, detected_at
   `;
@@ -220,13 +979,14 @@ async function insertAnomaly(data) {
     data.affected_metrics || [],
     JSON.stringify(data.baseline_data),
     JSON.stringify(data.recent_data),
-    data.statistical_significance,
+    clampSignificance(data.statistical_significance),
     data.historical_comparison,
     JSON.stringify(data.similar_past_events),
     data.claude_prompt,
     JSON.stringify(data.claude_response),
     data.analysis_duration_ms,
     data.status || 'active',
+    data.analysis_run_id || null,
   ];
 
   const result = await query(sql, values);
@@ -243,45 +1003,42 @@ async function getActiveAnomalies() {
 }
 
 /**
- * Get all anomalies with filters
+ * Get all anomalies with filters, newest first
+ * @param {Object} filters - { status (one or a list), severity, type, since, limit, cursor }
+ *                           cursor continues after a page (see nextCursor in query-builder.js)
  */
 async function getAnomalies(filters = {}) {
-  let sql = 'SELECT * FROM anomalies WHERE 1=1';
-  const values = [];
-  let paramCount = 1;
+  const q = createQuery();
+  const conditions = [];
 
   if (filters.status) {
-    sql += ` AND status = $${paramCount}`;
-    values.push(filters.status);
-    paramCount++;
+    // A single status or an array of statuses
+    conditions.push(`status = ANY(${q.bind([].concat(filters.status))})`);
   }
 
   if (filters.severity) {
-    sql += ` AND severity = $${paramCount}`;
-    values.push(filters.severity);
-    paramCount++;
+    conditions.push(`severity = ${q.bind(filters.severity)}`);
   }
 
   if (filters.type) {
-    sql += ` AND anomaly_type = $${paramCount}`;
-    values.push(filters.type);
-    paramCount++;
+    conditions.push(`anomaly_type = ${q.bind(filters.type)}`);
   }
 
-  if (filters.since) {
-    sql += ` AND detected_at >= $${paramCount}`;
-    values.push(filters.since);
-    paramCount++;
+  if (filters.since !== undefined && filters.since !== null) {
+    conditions.push(`detected_at >= ${q.date(filters.since, 'since')}`);
   }
 
-  sql += ` ORDER BY detected_at DESC`;
+  const page = q.page('detected_at', { cursor: filters.cursor, limit: filters.limit });
+  conditions.push(page.where);
 
-  if (filters.limit) {
-    sql += ` LIMIT $${paramCount}`;
-    values.push(filters.limit);
-  }
+  const sql = `
+    SELECT *, ${page.position} FROM anomalies
+    WHERE ${conditions.join(' AND ')}
+    ${page.orderBy}
+    ${page.limit}
+  `;
 
-  const result = await query(sql, values);
+  const result = await query(sql, q.values);
   return result.rows;
 }
 
@@ -289,85 +1046,398 @@ async function getAnomalies(filters = {}) {
  * Get anomaly by ID
  */
 async function getAnomalyById(id) {
+  const q = createQuery();
   const sql = `
     UPDATE anomalies
     SET view_count = view_count + 1, last_viewed_at = NOW()
-    WHERE id = $1
+    WHERE id = ${q.id(id)}
     RETURNING *
   `;
 
-  const result = await query(sql, [id]);
+  const result = await query(sql, q.values);
   return result.rows[0];
 }
 
-// ==================== TWITTER SENTIMENT ====================
-
 /**
- * Insert twitter sentiment data
+ * Apply a lifecycle transition and record it in anomaly_events
+ * @param {number} id - Anomaly id
+ * @param {string} action - acknowledge, resolve, false_positive or reopen
+ * @param {Object} details - { actor, note }
+ * @returns {Promise<Object|null>} { anomaly, event }, or null if the anomaly doesn't exist
+ * @throws {TransitionError} If the action isn't allowed from the current status
  */
-async function insertTwitterSentiment(data) {
-  const sql = `
-    INSERT INTO twitter_sentiment (
-      tweet_id, tweet_text, author_username, author_followers,
-      sentiment_score, sentiment_label, confidence,
-      retweet_count, like_count, reply_count,
-      keywords, is_influential,
-      timestamp
-    ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
-    )
-    ON CONFLICT (tweet_id) DO UPDATE SET
-      retweet_count = EXCLUDED.retweet_count,
-      like_count = EXCLUDED.like_count,
-      reply_count = EXCLUDED.reply_count
-    RETURNING id
-  `;
+async function transitionAnomaly(id, action, { actor, note = null }) {
+  const transition = ANOMALY_TRANSITIONS[action];
+  if (!transition) {
+    throw new Error(`Unknown anomaly action "${action}"`);
+  }
 
-  const values = [
-    data.tweet_id,
-    data.tweet_text,
-    data.author_username,
-    data.author_followers,
-    data.sentiment_score,
-    data.sentiment_label,
-    data.confidence,
-    data.retweet_count,
-    data.like_count,
-    data.reply_count,
-    data.keywords || [],
-    data.is_influential || false,
-    data.timestamp || new Date(),
-  ];
+  const select = createQuery();
+  const selectSql = `SELECT status FROM anomalies WHERE id = ${select.id(id)} FOR UPDATE`;
 
-  const result = await query(sql, values);
-  return result.rows[0];
+  return transaction(async (client) => {
+    const current = await client.query(selectSql, select.values);
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const fromStatus = current.rows[0].status;
+    if (!transition.from.includes(fromStatus)) {
+      throw new TransitionError(
+        `Cannot ${action.replace('_', ' ')} anomaly ${id} while it is ${fromStatus}`,
+        fromStatus,
+        action
+      );
+    }
+
+    const update = createQuery();
+    const anomalyId = update.id(id);
+    const toStatus = `${update.bind(transition.to)}::varchar`;
+    const noteText = `${update.bind(note)}::text`;
+    const updateSql = `
+      UPDATE anomalies SET
+        status = ${toStatus},
+        user_acknowledged = CASE
+          WHEN ${toStatus} = 'acknowledged' THEN TRUE
+          WHEN ${toStatus} = 'active' THEN FALSE
+          ELSE user_acknowledged END,
+        user_notes = CASE
+          WHEN ${toStatus} = 'acknowledged' THEN COALESCE(${noteText}, user_notes)
+          ELSE user_notes END,
+        resolved_at = CASE
+          WHEN ${toStatus} IN ('resolved', 'false_positive') THEN NOW()
+          WHEN ${toStatus} = 'active' THEN NULL
+          ELSE resolved_at END,
+        resolution_notes = CASE
+          WHEN ${toStatus} IN ('resolved', 'false_positive') THEN ${noteText}
+          WHEN ${toStatus} = 'active' THEN NULL
+          ELSE resolution_notes END
+      WHERE id = ${anomalyId}
+      RETURNING *
+    `;
+    const updated = await client.query(updateSql, update.values);
+
+    const insert = createQuery();
+    const eventSql = `
+      INSERT INTO anomaly_events (anomaly_id, action, from_status, to_status, actor, note)
+      VALUES (
+        ${insert.id(id)}, ${insert.bind(action)}, ${insert.bind(fromStatus)},
+        ${insert.bind(transition.to)}, ${insert.bind(actor)}, ${insert.bind(note)}
+      )
+      RETURNING *
+    `;
+    const event = await client.query(eventSql, insert.values);
+
+    return { anomaly: updated.rows[0], event: event.rows[0] };
+  });
 }
 
 /**
- * Get sentiment statistics for a time period
+ * Acknowledge an active anomaly
  */
-async function getSentimentStats(hours = 24) {
-  const sql = `
-    SELECT
-      AVG(sentiment_score) as avg_sentiment,
-      COUNT(*) FILTER (WHERE sentiment_label = 'positive') as positive_count,
-      COUNT(*) FILTER (WHERE sentiment_label = 'negative') as negative_count,
-      COUNT(*) FILTER (WHERE sentiment_label = 'neutral') as neutral_count,
-      COUNT(*) as total_tweets,
-      SUM(retweet_count) as total_retweets,
-      SUM(like_count) as total_likes
-    FROM twitter_sentiment
-    WHERE timestamp >= NOW() - INTERVAL '${hours} hours'
-  `;
+async function acknowledgeAnomaly(id, details) {
+  return transitionAnomaly(id, 'acknowledge', details);
+}
 
-  const result = await query(sql);
+/**
+ * Resolve an acknowledged anomaly
+ */
+async function resolveAnomaly(id, details) {
+  return transitionAnomaly(id, 'resolve', details);
+}
+
+/**
+ * Mark an active or acknowledged anomaly as a false positive
+ */
+async function markAnomalyFalsePositive(id, details) {
+  return transitionAnomaly(id, 'false_positive', details);
+}
+
+/**
+ * Reopen a resolved or false-positive anomaly
+ */
+async function reopenAnomaly(id, details) {
+  return transitionAnomaly(id, 'reopen', details);
+}
+
+/**
+ * Get the audit trail for an anomaly, oldest first
+ */
+async function getAnomalyEvents(anomalyId) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM anomaly_events
+    WHERE anomaly_id = ${q.id(anomalyId, 'anomalyId')}
+    ORDER BY created_at, id
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+// ==================== ANALYSIS RUNS ====================
+
+/**
+ * Start an analysis run record
+ */
+async function createAnalysisRun(model) {
+  const sql = `
+    INSERT INTO analysis_runs (model, status)
+    VALUES ($1, 'running')
+    RETURNING id, started_at
+  `;
+
+  const result = await query(sql, [model]);
+  return result.rows[0];
+}
+
+/**
+ * Complete an analysis run with its outcome, usage and cost
+ */
+async function completeAnalysisRun(id, data) {
+  const q = createQuery();
+  const sql = `
+    UPDATE analysis_runs SET
+      completed_at = NOW(),
+      status = ${q.bind(data.status)},
+      attempts = ${q.bind(data.attempts)},
+      anomalies_detected = ${q.bind(data.anomalies_detected || 0)},
+      error_message = ${q.bind(data.error_message || null)},
+      input_tokens = ${q.bind(data.input_tokens || 0)},
+      output_tokens = ${q.bind(data.output_tokens || 0)},
+      cost_usd = ${q.bind(data.cost_usd ?? null)},
+      duration_ms = ${q.bind(data.duration_ms)}
+    WHERE id = ${q.id(id)}
+    RETURNING *
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0];
+}
+
+/**
+ * Get recent analysis runs
+ */
+async function getAnalysisRuns(limit = 20) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM analysis_runs
+    ORDER BY started_at DESC
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Get token usage and cost totals for a period
+ */
+async function getAnalysisCostSummary(days = 30) {
+  const q = createQuery();
+  const sql = `
+    SELECT
+      COUNT(*) as total_runs,
+      COUNT(*) FILTER (WHERE status = 'success') as successful_runs,
+      COALESCE(SUM(input_tokens), 0) as input_tokens,
+      COALESCE(SUM(output_tokens), 0) as output_tokens,
+      COALESCE(SUM(cost_usd), 0) as cost_usd
+    FROM analysis_runs
+    WHERE started_at >= NOW() - ${q.interval('days', days)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0];
+}
+
+// ==================== TWITTER SENTIMENT ====================
+
+/**
+ * Insert a scored post (from any sentiment source)
+ * A post seen again only refreshes its engagement and author follower counts.
+ */
+async function insertTwitterSentiment(data) {
+  const sql = `
+    INSERT INTO twitter_sentiment (
+      tweet_id, tweet_text, author_username, author_followers,
+      sentiment_score, sentiment_label, confidence,
+      retweet_count, like_count, reply_count,
+      keywords, is_influential,
+      timestamp, source, url, risk_flagged
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16
+    )
+    ON CONFLICT (tweet_id) DO UPDATE SET
+      author_followers = COALESCE(EXCLUDED.author_followers, twitter_sentiment.author_followers),
+      is_influential = EXCLUDED.is_influential OR twitter_sentiment.is_influential,
+      retweet_count = EXCLUDED.retweet_count,
+      like_count = EXCLUDED.like_count,
+      reply_count = EXCLUDED.reply_count
+    RETURNING id
+  `;
+
+  const values = [
+    data.tweet_id,
+    data.tweet_text,
+    data.author_username,
+    data.author_followers,
+    data.sentiment_score,
+    data.sentiment_label,
+    data.confidence,
+    data.retweet_count,
+    data.like_count,
+    data.reply_count,
+    data.keywords || [],
+    data.is_influential || false,
+    data.timestamp || new Date(),
+    data.source || 'twitter',
+    data.url || null,
+    data.risk_flagged || false,
+  ];
+
+  const result = await query(sql, values);
+  return result.rows[0];
+}
+
+/**
+ * Newest stored post per source, so each source resumes where it stopped
+ * @returns {Promise<Object>} Source name -> Date
+ */
+async function getLatestSentimentTimestamps() {
+  const sql = `
+    SELECT source, MAX(timestamp) AS latest
+    FROM twitter_sentiment
+    GROUP BY source
+  `;
+
+  const result = await query(sql);
+  return Object.fromEntries(result.rows.map(row => [row.source, row.latest]));
+}
+
+/**
+ * Posts mentioning EtherFi together with a risk keyword, newest first
+ * @param {number} hours - Window
+ * @param {number} limit - Maximum rows
+ */
+async function getSentimentRiskFeed(hours = 24, limit = 50) {
+  const q = createQuery();
+  const sql = `
+    SELECT
+      id, tweet_id, source, url, tweet_text, author_username, author_followers, is_influential,
+      sentiment_score, sentiment_label, confidence, keywords,
+      retweet_count, like_count, reply_count, timestamp
+    FROM twitter_sentiment
+    WHERE risk_flagged
+      AND timestamp >= NOW() - ${q.interval('hours', hours)}
+    ORDER BY timestamp DESC
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Get sentiment statistics for a time period
+ */
+async function getSentimentStats(hours = 24) {
+  const q = createQuery();
+  const sql = `
+    SELECT
+      AVG(sentiment_score) as avg_sentiment,
+      COUNT(*) FILTER (WHERE sentiment_label = 'positive') as positive_count,
+      COUNT(*) FILTER (WHERE sentiment_label = 'negative') as negative_count,
+      COUNT(*) FILTER (WHERE sentiment_label = 'neutral') as neutral_count,
+      COUNT(*) as total_tweets,
+      SUM(retweet_count) as total_retweets,
+      SUM(like_count) as total_likes
+    FROM twitter_sentiment
+    WHERE timestamp >= NOW() - ${q.interval('hours', hours)}
+  `;
+
+  const result = await query(sql, q.values);
   return result.rows[0];
 }
 
+// ==================== SENTIMENT CORRELATION ====================
+
+/**
+ * Hourly social sentiment next to on-chain stress signals, one row per hour
+ * (oldest first, hours without data included)
+ * Queue figures are the hour's last successful snapshot, peg deviation the largest
+ * absolute deviation in the hour, and whale outflow the eETH sent out of tracked
+ * whale wallets.
+ * @param {number} hours - Window
+ */
+async function getSentimentOnChainHourly(hours = 168) {
+  const q = createQuery();
+  const window = q.interval('hours', hours);
+  const sql = `
+    WITH hours AS (
+      SELECT generate_series(
+        date_trunc('hour', NOW() - ${window}),
+        date_trunc('hour', NOW()),
+        INTERVAL '1 hour'
+      ) AS hour
+    ),
+    sentiment AS (
+      SELECT
+        date_trunc('hour', timestamp) AS hour,
+        COUNT(*) AS posts,
+        AVG(sentiment_score) AS avg_sentiment,
+        COUNT(*) FILTER (WHERE sentiment_label = 'negative') AS negative_posts,
+        COUNT(*) FILTER (WHERE sentiment_label = 'negative' AND is_influential) AS influential_negative_posts
+      FROM twitter_sentiment
+      WHERE timestamp >= date_trunc('hour', NOW() - ${window})
+      GROUP BY 1
+    ),
+    snapshots AS (
+      SELECT
+        date_trunc('hour', timestamp) AS hour,
+        (ARRAY_AGG(withdrawal_queue_size ORDER BY timestamp DESC)
+          FILTER (WHERE withdrawal_queue_size IS NOT NULL))[1] AS withdrawal_queue_size,
+        (ARRAY_AGG(withdrawal_queue_eth ORDER BY timestamp DESC)
+          FILTER (WHERE withdrawal_queue_eth IS NOT NULL))[1] AS withdrawal_queue_eth,
+        MAX(ABS(peg_deviation_percent)) AS peg_deviation_percent
+      FROM time_series_data
+      WHERE collection_status = 'success'
+        AND timestamp >= date_trunc('hour', NOW() - ${window})
+      GROUP BY 1
+    ),
+    outflows AS (
+      SELECT date_trunc('hour', e.block_timestamp) AS hour, SUM(e.amount_eth) AS whale_outflow_eeth
+      FROM chain_events e
+      JOIN whale_wallets w ON LOWER(w.address) = LOWER(e.from_address)
+      WHERE e.contract_name = 'EETH_TOKEN'
+        AND e.event_name = 'Transfer'
+        AND e.block_timestamp >= date_trunc('hour', NOW() - ${window})
+      GROUP BY 1
+    )
+    SELECT
+      h.hour,
+      COALESCE(s.posts, 0) AS posts,
+      s.avg_sentiment,
+      COALESCE(s.negative_posts, 0) AS negative_posts,
+      COALESCE(s.influential_negative_posts, 0) AS influential_negative_posts,
+      c.withdrawal_queue_size,
+      c.withdrawal_queue_eth,
+      c.peg_deviation_percent,
+      COALESCE(o.whale_outflow_eeth, 0) AS whale_outflow_eeth
+    FROM hours h
+    LEFT JOIN sentiment s ON s.hour = h.hour
+    LEFT JOIN snapshots c ON c.hour = h.hour
+    LEFT JOIN outflows o ON o.hour = h.hour
+    ORDER BY h.hour
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
 // ==================== VALIDATOR METRICS ====================
 
 /**
- * Insert validator metrics
+ * Insert validator metrics (one row per epoch; re-running an epoch replaces it)
  */
 async function insertValidatorMetrics(data) {
   const sql = `
@@ -375,13 +1445,25 @@ async function insertValidatorMetrics(data) {
       timestamp, total_validators, active_validators, exited_validators, slashed_validators,
       avg_effectiveness, total_rewards_eth, total_penalties_eth, net_rewards_eth,
       estimated_apr, estimated_apy,
-      etherfi_apr, network_avg_apr, apr_vs_network
+      etherfi_apr, network_avg_apr, apr_vs_network, epoch
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
     )
     ON CONFLICT (timestamp) DO UPDATE SET
+      total_validators = EXCLUDED.total_validators,
       active_validators = EXCLUDED.active_validators,
-      estimated_apr = EXCLUDED.estimated_apr
+      exited_validators = EXCLUDED.exited_validators,
+      slashed_validators = EXCLUDED.slashed_validators,
+      avg_effectiveness = EXCLUDED.avg_effectiveness,
+      total_rewards_eth = EXCLUDED.total_rewards_eth,
+      total_penalties_eth = EXCLUDED.total_penalties_eth,
+      net_rewards_eth = EXCLUDED.net_rewards_eth,
+      estimated_apr = EXCLUDED.estimated_apr,
+      estimated_apy = EXCLUDED.estimated_apy,
+      etherfi_apr = EXCLUDED.etherfi_apr,
+      network_avg_apr = EXCLUDED.network_avg_apr,
+      apr_vs_network = EXCLUDED.apr_vs_network,
+      epoch = EXCLUDED.epoch
     RETURNING id
   `;
 
@@ -400,25 +1482,1094 @@ async function insertValidatorMetrics(data) {
     data.etherfi_apr,
     data.network_avg_apr,
     data.apr_vs_network,
+    data.epoch ?? null,
   ];
 
   const result = await query(sql, values);
   return result.rows[0];
 }
 
-// ==================== UTILITY FUNCTIONS ====================
+/**
+ * Get the latest validator metrics row
+ * @param {number} maxAgeHours - Ignore rows older than this
+ */
+async function getLatestValidatorMetrics(maxAgeHours = 1) {
+  const q = createQuery();
+  const sql = `
+    SELECT *
+    FROM validator_metrics
+    WHERE timestamp >= NOW() - ${q.interval('hours', maxAgeHours, 'maxAgeHours')}
+    ORDER BY timestamp DESC
+    LIMIT 1
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0] || null;
+}
 
 /**
- * Clean up old data
+ * Store the current state of validators and return the ones that became slashed
+ * Validators seen for the first time are never reported: a validator that was
+ * already slashed when it was added to the set isn't a new slashing.
+ * @param {Array<Object>} validators - { validator_index, pubkey, status, slashed, effective_balance_gwei, balance_gwei }
+ * @returns {Promise<Array<Object>>} Newly slashed validators with their previous status
  */
-async function cleanupOldData() {
-  const sql = 'SELECT cleanup_old_data()';
-  await query(sql);
-  console.log('[DB] Old data cleanup completed');
+async function upsertValidatorStatuses(validators) {
+  if (validators.length === 0) {
+    return [];
+  }
+
+  // prev sees the table as it was before the upsert (same statement snapshot)
+  const sql = `
+    WITH input AS (
+      SELECT *
+      FROM unnest($1::bigint[], $2::varchar[], $3::varchar[], $4::boolean[], $5::bigint[], $6::bigint[])
+        AS v(validator_index, pubkey, status, slashed, effective_balance_gwei, balance_gwei)
+    ),
+    prev AS (
+      SELECT s.validator_index, s.status, s.slashed
+      FROM validator_status s
+      JOIN input i USING (validator_index)
+    ),
+    upserted AS (
+      INSERT INTO validator_status (
+        validator_index, pubkey, status, slashed, effective_balance_gwei, balance_gwei, slashed_detected_at
+      )
+      SELECT validator_index, pubkey, status, slashed, effective_balance_gwei, balance_gwei,
+        CASE WHEN slashed THEN NOW() END
+      FROM input
+      ON CONFLICT (validator_index) DO UPDATE SET
+        pubkey = EXCLUDED.pubkey,
+        status = EXCLUDED.status,
+        slashed = EXCLUDED.slashed,
+        effective_balance_gwei = EXCLUDED.effective_balance_gwei,
+        balance_gwei = EXCLUDED.balance_gwei,
+        slashed_detected_at = COALESCE(validator_status.slashed_detected_at, EXCLUDED.slashed_detected_at),
+        updated_at = NOW()
+    )
+    SELECT i.*, p.status AS previous_status
+    FROM input i
+    JOIN prev p USING (validator_index)
+    WHERE i.slashed AND NOT p.slashed
+    ORDER BY i.validator_index
+  `;
+
+  const result = await query(sql, [
+    validators.map(v => v.validator_index),
+    validators.map(v => v.pubkey),
+    validators.map(v => v.status),
+    validators.map(v => v.slashed),
+    validators.map(v => v.effective_balance_gwei),
+    validators.map(v => v.balance_gwei),
+  ]);
+  return result.rows;
+}
+
+// ==================== CHAIN EVENTS ====================
+
+/**
+ * Insert decoded chain events in batches (duplicates are ignored)
+ * @param {Array<Object>} events - Decoded events
+ * @param {Object} client - Transaction client, or null to use the pool
+ * @returns {Promise<number>} Number of newly inserted events
+ */
+async function insertChainEvents(events, client = null) {
+  const exec = client ? client.query.bind(client) : query;
+  const columns = [
+    'tx_hash', 'log_index', 'block_number', 'block_hash', 'block_timestamp',
+    'contract_name', 'contract_address', 'event_name', 'args',
+    'from_address', 'to_address', 'amount_eth',
+  ];
+  const batchSize = 500;
+  let inserted = 0;
+
+  for (let start = 0; start < events.length; start += batchSize) {
+    const batch = events.slice(start, start + batchSize);
+    const q = createQuery();
+
+    const rows = batch.map((event) => {
+      const values = [
+        event.tx_hash,
+        event.log_index,
+        event.block_number,
+        event.block_hash,
+        event.block_timestamp,
+        event.contract_name,
+        event.contract_address,
+        event.event_name,
+        JSON.stringify(event.args),
+        event.from_address || null,
+        event.to_address || null,
+        event.amount_eth,
+      ];
+      return `(${values.map(value => q.bind(value)).join(', ')})`;
+    });
+
+    const sql = `
+      INSERT INTO chain_events (${columns.join(', ')})
+      VALUES ${rows.join(',\n')}
+      ON CONFLICT (tx_hash, log_index) DO NOTHING
+    `;
+
+    const result = await exec(sql, q.values);
+    inserted += result.rowCount;
+  }
+
+  return inserted;
+}
+
+/**
+ * Get the ingestion cursor for a stream
+ */
+async function getIngestionState(streamName) {
+  const sql = 'SELECT * FROM ingestion_state WHERE stream_name = $1';
+  const result = await query(sql, [streamName]);
+  return result.rows[0] || null;
 }
 
+/**
+ * Atomically store a processed block range: events, block hashes and the new cursor
+ */
+async function saveIngestedRange({ streamName, events, blocks, lastBlock, lastBlockHash }) {
+  // Only recent hashes are needed for reorg detection
+  const prune = createQuery();
+  const pruneSql = `
+    DELETE FROM chain_blocks
+    WHERE block_number < ${prune.integer(lastBlock, 'lastBlock')}::bigint - 1000
+  `;
+
+  return transaction(async (client) => {
+    const inserted = await insertChainEvents(events, client);
+
+    for (const block of blocks) {
+      await client.query(
+        `INSERT INTO chain_blocks (block_number, block_hash, block_timestamp)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (block_number) DO UPDATE SET
+           block_hash = EXCLUDED.block_hash,
+           block_timestamp = EXCLUDED.block_timestamp,
+           seen_at = NOW()`,
+        [block.block_number, block.block_hash, block.block_timestamp]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO ingestion_state (stream_name, last_block, last_block_hash, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (stream_name) DO UPDATE SET
+         last_block = EXCLUDED.last_block,
+         last_block_hash = EXCLUDED.last_block_hash,
+         updated_at = NOW()`,
+      [streamName, lastBlock, lastBlockHash]
+    );
+
+    await client.query(pruneSql, prune.values);
+
+    return inserted;
+  });
+}
+
+/**
+ * Get stored block hashes at or below a block, newest first
+ */
+async function getRecentChainBlocks(beforeBlock, limit = 128) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM chain_blocks
+    WHERE block_number <= ${q.integer(beforeBlock, 'beforeBlock')}
+    ORDER BY block_number DESC
+    ${q.limit(limit)}
+  `;
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Roll back everything ingested after a fork block
+ * Deletes orphaned events and block hashes and rewinds the ingesting stream's
+ * cursor. Other streams (e.g. the holder index, whose balances are additive)
+ * keep theirs: rewinding them would apply their blocks twice.
+ * @param {string} streamName - Cursor key in ingestion_state
+ * @param {number} forkBlock - Newest block still on the canonical chain
+ * @param {string} forkBlockHash
+ */
+async function rollbackChainEvents(streamName, forkBlock, forkBlockHash) {
+  const events = createQuery();
+  const eventsSql = `DELETE FROM chain_events WHERE block_number > ${events.integer(forkBlock, 'forkBlock')}`;
+
+  const blocks = createQuery();
+  const blocksSql = `DELETE FROM chain_blocks WHERE block_number > ${blocks.integer(forkBlock, 'forkBlock')}`;
+
+  const cursor = createQuery();
+  const block = cursor.integer(forkBlock, 'forkBlock');
+  const cursorSql = `
+    UPDATE ingestion_state SET
+      last_block = ${block},
+      last_block_hash = ${cursor.bind(forkBlockHash)},
+      reorg_count = reorg_count + 1,
+      last_reorg_at = NOW(),
+      updated_at = NOW()
+    WHERE stream_name = ${cursor.bind(streamName)}
+      AND last_block > ${block}
+  `;
+
+  return transaction(async (client) => {
+    const deleted = await client.query(eventsSql, events.values);
+    await client.query(blocksSql, blocks.values);
+    await client.query(cursorSql, cursor.values);
+    return deleted.rowCount;
+  });
+}
+
+/**
+ * Derive rolling transaction aggregates from stored LiquidityPool events
+ * @param {number} hours - Window length
+ * @param {Date} asOf - End of the window (defaults to now)
+ */
+async function getEventAggregates(hours = 24, asOf = new Date()) {
+  const q = createQuery();
+  const end = `${q.date(asOf, 'asOf')}::timestamptz`;
+  const sql = `
+    SELECT
+      COUNT(*) FILTER (WHERE event_name = 'Deposit') as deposit_count,
+      COUNT(*) FILTER (WHERE event_name = 'Withdraw') as withdrawal_count,
+      COALESCE(SUM(amount_eth), 0) as total_volume_eth,
+      AVG(amount_eth) as avg_transaction_size_eth,
+      COUNT(DISTINCT from_address) FILTER (WHERE event_name = 'Deposit') as unique_depositors
+    FROM chain_events
+    WHERE contract_name = 'LIQUIDITY_POOL'
+    AND event_name IN ('Deposit', 'Withdraw')
+    AND block_timestamp > ${end} - ${q.interval('hours', hours)}
+    AND block_timestamp <= ${end}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0];
+}
+
+// ==================== WITHDRAWAL QUEUE ====================
+
+/**
+ * Bring withdrawal_requests up to date with chain_events
+ * Re-applies every withdrawal event ingested since the last sync (with a margin
+ * for transactions still open then), so the historical backfill and live
+ * ingestion can both feed it. Request or fulfillment fields whose event was
+ * rolled back by a reorg are cleared first.
+ * @param {number} reorgDepth - Blocks below the newest event checked for rolled-back events
+ * @returns {Promise<Object>} { requested, processed } rows written
+ */
+async function syncWithdrawalRequests(reorgDepth = 64) {
+  const q = createQuery();
+  const boundsSql = `
+    SELECT
+      (SELECT MAX(updated_at) - INTERVAL '5 minutes' FROM withdrawal_requests) AS since,
+      (SELECT MAX(block_number) - ${q.integer(reorgDepth, 'reorgDepth')} FROM chain_events) AS reorg_from
+  `;
+
+  return transaction(async (client) => {
+    // One sync at a time; readers are not blocked
+    await client.query('LOCK TABLE withdrawal_requests IN EXCLUSIVE MODE');
+
+    const { rows: [{ since, reorg_from }] } = await client.query(boundsSql, q.values);
+
+    await client.query(`
+      UPDATE withdrawal_requests w SET
+        requester = NULL, amount_eth = NULL, requested_at = NULL,
+        request_block = NULL, request_tx_hash = NULL, updated_at = NOW()
+      WHERE w.request_block > $1
+        AND NOT EXISTS (
+          SELECT 1 FROM chain_events e
+          WHERE e.tx_hash = w.request_tx_hash AND e.event_name = 'WithdrawalRequested'
+        )
+    `, [reorg_from ?? 0]);
+
+    await client.query(`
+      UPDATE withdrawal_requests w SET
+        recipient = NULL, fulfilled_amount_eth = NULL, fulfilled_at = NULL,
+        fulfilled_block = NULL, fulfilled_tx_hash = NULL, updated_at = NOW()
+      WHERE w.fulfilled_block > $1
+        AND NOT EXISTS (
+          SELECT 1 FROM chain_events e
+          WHERE e.tx_hash = w.fulfilled_tx_hash AND e.event_name = 'WithdrawalProcessed'
+        )
+    `, [reorg_from ?? 0]);
+
+    const requested = await client.query(`
+      INSERT INTO withdrawal_requests (
+        request_id, requester, amount_eth, requested_at, request_block, request_tx_hash
+      )
+      SELECT DISTINCT ON ((args->>'requestId')::numeric)
+        (args->>'requestId')::numeric, from_address, amount_eth, block_timestamp, block_number, tx_hash
+      FROM chain_events
+      WHERE contract_name = 'WITHDRAWAL_QUEUE'
+        AND event_name = 'WithdrawalRequested'
+        AND ($1::timestamptz IS NULL OR ingested_at >= $1)
+      ORDER BY (args->>'requestId')::numeric, block_number, log_index
+      ON CONFLICT (request_id) DO UPDATE SET
+        requester = EXCLUDED.requester,
+        amount_eth = EXCLUDED.amount_eth,
+        requested_at = EXCLUDED.requested_at,
+        request_block = EXCLUDED.request_block,
+        request_tx_hash = EXCLUDED.request_tx_hash,
+        updated_at = NOW()
+    `, [since]);
+
+    const processed = await client.query(`
+      INSERT INTO withdrawal_requests (
+        request_id, recipient, fulfilled_amount_eth, fulfilled_at, fulfilled_block, fulfilled_tx_hash
+      )
+      SELECT DISTINCT ON ((args->>'requestId')::numeric)
+        (args->>'requestId')::numeric, to_address, amount_eth, block_timestamp, block_number, tx_hash
+      FROM chain_events
+      WHERE contract_name = 'WITHDRAWAL_QUEUE'
+        AND event_name = 'WithdrawalProcessed'
+        AND ($1::timestamptz IS NULL OR ingested_at >= $1)
+      ORDER BY (args->>'requestId')::numeric, block_number, log_index
+      ON CONFLICT (request_id) DO UPDATE SET
+        recipient = EXCLUDED.recipient,
+        fulfilled_amount_eth = EXCLUDED.fulfilled_amount_eth,
+        fulfilled_at = EXCLUDED.fulfilled_at,
+        fulfilled_block = EXCLUDED.fulfilled_block,
+        fulfilled_tx_hash = EXCLUDED.fulfilled_tx_hash,
+        updated_at = NOW()
+    `, [since]);
+
+    await client.query(
+      'DELETE FROM withdrawal_requests WHERE request_block IS NULL AND fulfilled_block IS NULL'
+    );
+
+    return { requested: requested.rowCount, processed: processed.rowCount };
+  });
+}
+
+/**
+ * Pending withdrawal ages and recent processing as of a time
+ * A request is pending at asOf if it was made by then and not fulfilled by then.
+ * @param {Date} asOf - Evaluation time (snapshot time for the backfill)
+ * @param {number} windowHours - Window for the processing rate and wait times
+ * @returns {Promise<Object>} Counts and ETH as strings, percentiles as [p50, p90, p99] hours
+ */
+async function getWithdrawalQueueStats(asOf = new Date(), windowHours = 168) {
+  const q = createQuery();
+  const at = `${q.date(asOf, 'asOf')}::timestamptz`;
+  const sql = `
+    WITH pending AS (
+      SELECT amount_eth, EXTRACT(EPOCH FROM (${at} - requested_at)) / 3600 AS age_hours
+      FROM withdrawal_requests
+      WHERE requested_at <= ${at}
+        AND (fulfilled_at IS NULL OR fulfilled_at > ${at})
+    ),
+    processed AS (
+      SELECT
+        COALESCE(fulfilled_amount_eth, amount_eth) AS amount_eth,
+        EXTRACT(EPOCH FROM (fulfilled_at - requested_at)) / 3600 AS wait_hours
+      FROM withdrawal_requests
+      WHERE fulfilled_at > ${at} - ${q.interval('hours', windowHours, 'windowHours')}
+        AND fulfilled_at <= ${at}
+    )
+    SELECT
+      (SELECT COUNT(*) FROM pending) AS pending_count,
+      (SELECT COALESCE(SUM(amount_eth), 0) FROM pending) AS pending_eth,
+      (SELECT percentile_cont(ARRAY[0.5, 0.9, 0.99]) WITHIN GROUP (ORDER BY age_hours) FROM pending)
+        AS age_percentiles_hours,
+      (SELECT COUNT(*) FROM processed) AS processed_count,
+      (SELECT COALESCE(SUM(amount_eth), 0) FROM processed) AS processed_eth,
+      (SELECT AVG(wait_hours) FROM processed) AS avg_wait_hours
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0];
+}
+
+/**
+ * Get the oldest pending withdrawal requests
+ */
+async function getPendingWithdrawals(limit = 50) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM withdrawal_requests
+    WHERE requested_at IS NOT NULL AND fulfilled_at IS NULL
+    ORDER BY requested_at
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+// ==================== REALTIME EVENTS ====================
+
+/**
+ * Get change-feed events after an event, in commit order, with the current state of each row
+ * Events are ordered by (txid, id) and only read from transactions older than
+ * every transaction still running, so one that took a lower id but commits later
+ * is still read after the cursor. An afterId that is no longer retained (or 0)
+ * reads every higher id.
+ * Anomaly payloads omit claude_prompt to keep pushes small.
+ * @returns {Promise<Array<Object>>} { id, txid, topic, created_at, payload }
+ */
+async function getRealtimeEvents(afterId = 0, limit = 500) {
+  const q = createQuery();
+  const after = q.id(afterId, 'afterId', { min: 0 });
+  const sql = `
+    WITH after_event AS (
+      SELECT (SELECT txid FROM realtime_events WHERE id = ${after}) AS txid
+    )
+    SELECT
+      e.id,
+      e.txid::text AS txid,
+      e.topic,
+      e.created_at,
+      CASE e.topic
+        WHEN 'metrics' THEN (SELECT to_jsonb(t) FROM time_series_data t WHERE t.id = e.row_id)
+        WHEN 'anomalies' THEN (SELECT to_jsonb(a) - 'claude_prompt' FROM anomalies a WHERE a.id = e.row_id)
+        WHEN 'whales' THEN (SELECT to_jsonb(w) FROM whale_wallets w WHERE w.id = e.row_id)
+      END AS payload
+    FROM realtime_events e, after_event a
+    WHERE e.txid < pg_snapshot_xmin(pg_current_snapshot())
+      AND CASE
+        WHEN a.txid IS NULL THEN e.id > ${after}
+        ELSE (e.txid, e.id) > (a.txid, ${after}::bigint)
+      END
+    ORDER BY e.txid, e.id
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Get the oldest and newest retained event ids, and the last settled event in
+ * commit order (where live delivery starts)
+ * @returns {Promise<Object>} { min_id, max_id, last_id, last_txid }
+ */
+async function getRealtimeEventBounds() {
+  const sql = `
+    SELECT b.min_id, b.max_id, l.id AS last_id, l.txid::text AS last_txid
+    FROM (SELECT MIN(id) AS min_id, MAX(id) AS max_id FROM realtime_events) b
+    LEFT JOIN LATERAL (
+      SELECT id, txid FROM realtime_events
+      WHERE txid < pg_snapshot_xmin(pg_current_snapshot())
+      ORDER BY txid DESC, id DESC
+      LIMIT 1
+    ) l ON TRUE
+  `;
+  const result = await query(sql);
+  return result.rows[0];
+}
+
+/**
+ * Delete change-feed events older than the retention window
+ */
+async function pruneRealtimeEvents(hours = 24) {
+  const q = createQuery();
+  const sql = `
+    DELETE FROM realtime_events
+    WHERE created_at < NOW() - ${q.interval('hours', hours)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rowCount;
+}
+
+// ==================== NOTIFICATIONS ====================
+
+/**
+ * Get the last anomaly id a dispatcher has routed
+ * A new dispatcher starts at the newest settled anomaly (in commit order, see
+ * getAnomaliesAfter) so existing history isn't sent.
+ */
+async function getNotificationCursor(dispatcherName) {
+  const sql = `
+    INSERT INTO notification_state (dispatcher_name, last_anomaly_id)
+    SELECT $1, COALESCE((
+      SELECT id FROM anomalies
+      WHERE txid < pg_snapshot_xmin(pg_current_snapshot())
+      ORDER BY txid DESC, id DESC
+      LIMIT 1
+    ), 0)
+    ON CONFLICT (dispatcher_name) DO UPDATE SET dispatcher_name = EXCLUDED.dispatcher_name
+    RETURNING last_anomaly_id
+  `;
+
+  const result = await query(sql, [dispatcherName]);
+  return result.rows[0].last_anomaly_id;
+}
+
+/**
+ * Advance a dispatcher's cursor
+ */
+async function saveNotificationCursor(dispatcherName, lastAnomalyId) {
+  const q = createQuery();
+  const sql = `
+    UPDATE notification_state
+    SET last_anomaly_id = ${q.id(lastAnomalyId, 'lastAnomalyId', { min: 0 })}, updated_at = NOW()
+    WHERE dispatcher_name = ${q.bind(dispatcherName)}
+  `;
+  await query(sql, q.values);
+}
+
+/**
+ * Get anomalies committed after an anomaly, in commit order
+ * Anomalies are ordered by (txid, id) and only read from transactions older than
+ * every transaction still running, so one that took a lower id but commits later
+ * is still read after the cursor. An afterId that no longer exists (or 0) reads
+ * every higher id.
+ */
+async function getAnomaliesAfter(afterId, limit = 100) {
+  const q = createQuery();
+  const after = q.id(afterId, 'afterId', { min: 0 });
+  const sql = `
+    WITH after_anomaly AS (
+      SELECT (SELECT txid FROM anomalies WHERE id = ${after}) AS txid
+    )
+    SELECT a.* FROM anomalies a, after_anomaly c
+    WHERE a.txid < pg_snapshot_xmin(pg_current_snapshot())
+      AND CASE
+        WHEN c.txid IS NULL THEN a.id > ${after}
+        ELSE (a.txid, a.id) > (c.txid, ${after}::bigint)
+      END
+    ORDER BY a.txid, a.id
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Get anomalies by id, in detection order
+ */
+async function getAnomaliesByIds(ids) {
+  const q = createQuery();
+  const sql = `SELECT * FROM anomalies WHERE id = ANY(${q.ids(ids)}::int[]) ORDER BY detected_at, id`;
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Record a routing decision
+ */
+async function createNotificationDelivery(data) {
+  const sql = `
+    INSERT INTO notification_deliveries (
+      anomaly_ids, rule_name, sink_name, dedup_key, status, next_attempt_at
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+
+  const values = [
+    data.anomaly_ids,
+    data.rule_name,
+    data.sink_name,
+    data.dedup_key || null,
+    data.status,
+    data.next_attempt_at || null,
+  ];
+
+  const result = await query(sql, values);
+  return result.rows[0];
+}
+
+/**
+ * Count deliveries a rule has queued or sent to a sink within a window (for rate limiting)
+ */
+async function countRuleDeliveries(ruleName, sinkName, minutes) {
+  const q = createQuery();
+  const sql = `
+    SELECT COUNT(*)::int as count
+    FROM notification_deliveries
+    WHERE rule_name = ${q.bind(ruleName)}
+      AND sink_name = ${q.bind(sinkName)}
+      AND status IN ('pending', 'retrying', 'sent', 'failed')
+      AND created_at > NOW() - ${q.interval('mins', minutes, 'minutes')}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0].count;
+}
+
+/**
+ * Find a delivery of the same alert (dedup key) by a rule to a sink within a window
+ */
+async function findDuplicateDelivery(ruleName, sinkName, dedupKey, minutes) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM notification_deliveries
+    WHERE rule_name = ${q.bind(ruleName)}
+      AND sink_name = ${q.bind(sinkName)}
+      AND dedup_key = ${q.bind(dedupKey)}
+      AND status IN ('pending', 'retrying', 'sent')
+      AND created_at > NOW() - ${q.interval('mins', minutes, 'minutes')}
+    ORDER BY created_at DESC
+    LIMIT 1
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim deliveries that are due for an attempt
+ * Claimed rows are leased by pushing next_attempt_at forward, so a dispatcher that
+ * dies mid-send leaves them to be retried once the lease expires.
+ */
+async function claimDueNotificationDeliveries(limit = 20, leaseMinutes = 5) {
+  const q = createQuery();
+  const sql = `
+    UPDATE notification_deliveries
+    SET next_attempt_at = NOW() + ${q.interval('mins', leaseMinutes, 'leaseMinutes')}
+    WHERE id IN (
+      SELECT id FROM notification_deliveries
+      WHERE status IN ('pending', 'retrying')
+        AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      ${q.limit(limit)}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Log a send attempt and update the delivery with its outcome
+ * @param {number} deliveryId
+ * @param {Object} data - { attempt, success, response_status, error_message, duration_ms,
+ *                          status, next_attempt_at }
+ */
+async function recordNotificationAttempt(deliveryId, data) {
+  const q = createQuery();
+  const id = q.id(deliveryId, 'deliveryId');
+  const status = `${q.bind(data.status)}::varchar`;
+  const updateSql = `
+    UPDATE notification_deliveries SET
+      status = ${status},
+      attempts = ${q.bind(data.attempt)},
+      next_attempt_at = ${q.bind(data.next_attempt_at || null)},
+      last_error = ${q.bind(data.error_message || null)},
+      sent_at = CASE WHEN ${status} = 'sent' THEN NOW() ELSE sent_at END
+    WHERE id = ${id}
+    RETURNING *
+  `;
+
+  return transaction(async (client) => {
+    await client.query(
+      `INSERT INTO notification_attempts (
+        delivery_id, attempt, success, response_status, error_message, duration_ms
+      ) VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        deliveryId,
+        data.attempt,
+        data.success,
+        data.response_status ?? null,
+        data.error_message || null,
+        data.duration_ms,
+      ]
+    );
+
+    const result = await client.query(updateSql, q.values);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Bundle a rule's digest_pending deliveries for a sink into one digest delivery
+ * @returns {Promise<Object|null>} The digest delivery, or null if nothing was pending
+ */
+async function createDigestDelivery(ruleName, sinkName) {
+  return transaction(async (client) => {
+    const pending = await client.query(
+      `SELECT id, anomaly_ids FROM notification_deliveries
+       WHERE rule_name = $1 AND sink_name = $2 AND status = 'digest_pending'
+       ORDER BY id
+       FOR UPDATE`,
+      [ruleName, sinkName]
+    );
+    if (pending.rows.length === 0) {
+      return null;
+    }
+
+    const anomalyIds = [...new Set(pending.rows.flatMap(row => row.anomaly_ids))];
+    const digest = await client.query(
+      `INSERT INTO notification_deliveries (anomaly_ids, rule_name, sink_name, status, next_attempt_at)
+       VALUES ($1, $2, $3, 'pending', NOW())
+       RETURNING *`,
+      [anomalyIds, ruleName, sinkName]
+    );
+
+    await client.query(
+      `UPDATE notification_deliveries
+       SET status = 'digested', digest_delivery_id = $2
+       WHERE id = ANY($1::int[])`,
+      [pending.rows.map(row => row.id), digest.rows[0].id]
+    );
+
+    return digest.rows[0];
+  });
+}
+
+/**
+ * Get recent deliveries, newest first
+ */
+async function getNotificationDeliveries(limit = 50) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM notification_deliveries
+    ORDER BY created_at DESC, id DESC
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+// ==================== BACKFILL CHECKPOINTS ====================
+
+/**
+ * Get the checkpoint for a backfill job
+ */
+async function getBackfillCheckpoint(jobName) {
+  const sql = 'SELECT * FROM backfill_checkpoints WHERE job_name = $1';
+  const result = await query(sql, [jobName]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Create or advance a backfill checkpoint
+ */
+async function saveBackfillCheckpoint(data) {
+  const sql = `
+    INSERT INTO backfill_checkpoints (
+      job_name, start_block, end_block, last_block, last_snapshot_at,
+      snapshots_written, status, error_message, updated_at
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, NOW()
+    )
+    ON CONFLICT (job_name) DO UPDATE SET
+      end_block = EXCLUDED.end_block,
+      last_block = EXCLUDED.last_block,
+      last_snapshot_at = EXCLUDED.last_snapshot_at,
+      snapshots_written = EXCLUDED.snapshots_written,
+      status = EXCLUDED.status,
+      error_message = EXCLUDED.error_message,
+      updated_at = NOW()
+    RETURNING *
+  `;
+
+  const values = [
+    data.job_name,
+    data.start_block,
+    data.end_block,
+    data.last_block,
+    data.last_snapshot_at,
+    data.snapshots_written || 0,
+    data.status || 'running',
+    data.error_message || null,
+  ];
+
+  const result = await query(sql, values);
+  return result.rows[0];
+}
+
+/**
+ * Delete a backfill checkpoint so the job starts over
+ */
+async function deleteBackfillCheckpoint(jobName) {
+  const sql = 'DELETE FROM backfill_checkpoints WHERE job_name = $1';
+  await query(sql, [jobName]);
+}
+
+// ==================== JOB RUNS ====================
+
+/**
+ * Claim a run for a job
+ * Running rows without a heartbeat for staleAfterMinutes are marked abandoned
+ * first. When the job is still running, the attempt is stored as skipped instead.
+ * @param {string} jobName
+ * @param {string} trigger - schedule, manual or cli
+ * @param {number} staleAfterMinutes
+ * @returns {Promise<Object>} { run, skipped, running, abandoned }; run is null when skipped
+ */
+async function startJobRun(jobName, trigger, staleAfterMinutes = 60) {
+  const stale = createQuery();
+  const minutes = `${stale.integer(staleAfterMinutes, 'staleAfterMinutes', { min: 1 })}::int`;
+  const abandonSql = `
+    UPDATE job_runs SET
+      status = 'abandoned',
+      finished_at = NOW(),
+      error_message = format('No heartbeat for %s minutes; the process running it likely died', ${minutes})
+    WHERE job_name = ${stale.bind(jobName)}
+      AND status = 'running'
+      AND heartbeat_at < NOW() - make_interval(mins => ${minutes})
+  `;
+
+  return transaction(async (client) => {
+    const abandoned = await client.query(abandonSql, stale.values);
+
+    const claimed = await client.query(
+      `INSERT INTO job_runs (job_name, trigger, status)
+      VALUES ($1, $2, 'running')
+      ON CONFLICT (job_name) WHERE status = 'running' DO NOTHING
+      RETURNING *`,
+      [jobName, trigger]
+    );
+
+    if (claimed.rows.length > 0) {
+      return { run: claimed.rows[0], skipped: null, running: null, abandoned: abandoned.rowCount };
+    }
+
+    const running = await client.query(
+      "SELECT * FROM job_runs WHERE job_name = $1 AND status = 'running'",
+      [jobName]
+    );
+    const skipped = await client.query(
+      `INSERT INTO job_runs (job_name, trigger, status, finished_at, duration_ms, error_message)
+      VALUES ($1, $2, 'skipped', NOW(), 0, $3)
+      RETURNING *`,
+      [jobName, trigger, `Run ${running.rows[0]?.id} still running`]
+    );
+
+    return { run: null, skipped: skipped.rows[0], running: running.rows[0] || null, abandoned: abandoned.rowCount };
+  });
+}
+
+/**
+ * Record that a claimed run is still working
+ * @param {number} id
+ * @returns {Promise<boolean>} false when the run is no longer running (e.g. abandoned)
+ */
+async function heartbeatJobRun(id) {
+  const q = createQuery();
+  const sql = `
+    UPDATE job_runs SET heartbeat_at = NOW()
+    WHERE id = ${q.id(id)} AND status = 'running'
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rowCount > 0;
+}
+
+/**
+ * Finish a claimed run
+ * @param {number} id
+ * @param {Object} data - { status, duration_ms, result, error_message }
+ */
+async function finishJobRun(id, data) {
+  const q = createQuery();
+  const sql = `
+    UPDATE job_runs SET
+      status = ${q.bind(data.status)},
+      finished_at = NOW(),
+      duration_ms = ${q.bind(data.duration_ms)},
+      result = ${q.bind(data.result !== undefined && data.result !== null ? JSON.stringify(data.result) : null)},
+      error_message = ${q.bind(data.error_message || null)}
+    WHERE id = ${q.id(id)} AND status = 'running'
+    RETURNING *
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0] || null;
+}
+
+/**
+ * Get run history, newest first
+ * @param {Object} filters - { job, status, limit, cursor }
+ *                           cursor continues after a page (see nextCursor in query-builder.js)
+ */
+async function getJobRuns(filters = {}) {
+  const q = createQuery();
+  const conditions = [];
+
+  if (filters.job) {
+    conditions.push(`job_name = ${q.bind(filters.job)}`);
+  }
+  if (filters.status) {
+    conditions.push(`status = ${q.bind(filters.status)}`);
+  }
+  const page = q.page('started_at', { cursor: filters.cursor, limit: filters.limit ?? 50 });
+  conditions.push(page.where);
+
+  const sql = `
+    SELECT *, ${page.position}
+    FROM job_runs
+    WHERE ${conditions.join(' AND ')}
+    ${page.orderBy}
+    ${page.limit}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Last run, last success and 24h counts per job
+ */
+async function getJobSummaries() {
+  const sql = `
+    WITH last_run AS (
+      SELECT DISTINCT ON (job_name)
+        job_name, id AS last_run_id, status AS last_status, trigger AS last_trigger,
+        started_at AS last_started_at, finished_at AS last_finished_at,
+        duration_ms AS last_duration_ms, error_message AS last_error
+      FROM job_runs
+      WHERE status <> 'skipped'
+      ORDER BY job_name, started_at DESC, id DESC
+    ),
+    last_success AS (
+      SELECT DISTINCT ON (job_name)
+        job_name, finished_at AS last_success_at, duration_ms AS last_success_duration_ms
+      FROM job_runs
+      WHERE status = 'success'
+      ORDER BY job_name, started_at DESC, id DESC
+    ),
+    recent AS (
+      SELECT
+        job_name,
+        COUNT(*) FILTER (WHERE status <> 'skipped') AS runs_24h,
+        COUNT(*) FILTER (WHERE status IN ('failed', 'abandoned')) AS failures_24h,
+        COUNT(*) FILTER (WHERE status = 'skipped') AS skipped_24h
+      FROM job_runs
+      WHERE started_at >= NOW() - INTERVAL '24 hours'
+      GROUP BY job_name
+    )
+    SELECT
+      l.*,
+      s.last_success_at,
+      s.last_success_duration_ms,
+      COALESCE(r.runs_24h, 0) AS runs_24h,
+      COALESCE(r.failures_24h, 0) AS failures_24h,
+      COALESCE(r.skipped_24h, 0) AS skipped_24h
+    FROM last_run l
+    LEFT JOIN last_success s USING (job_name)
+    LEFT JOIN recent r USING (job_name)
+    ORDER BY l.job_name
+  `;
+
+  const result = await query(sql);
+  return result.rows;
+}
+
+// ==================== RETENTION ====================
+
+// Condition for the rows a policy has expired. Table and column names come from
+// config/retention.js and are checked again as identifiers.
+function expiredFilter(q, policy, cutoff) {
+  const column = q.identifier(policy.timestampColumn);
+  const condition = `${column} < ${q.date(cutoff, 'cutoff')}`;
+  return policy.statuses ? `${condition} AND status = ANY(${q.bind(policy.statuses)})` : condition;
+}
+
+/**
+ * Rows a retention policy would remove, with the table's size to estimate the space
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Date} cutoff - Rows dated before this expire
+ * @returns {Promise<Object>} { rows, oldest, newest, table_bytes, table_rows }
+ */
+async function countExpiredRows(policy, cutoff) {
+  const q = createQuery();
+  const table = q.identifier(policy.table);
+  const column = q.identifier(policy.timestampColumn);
+  const where = expiredFilter(q, policy, cutoff);
+  const sql = `
+    SELECT
+      COUNT(*) AS rows,
+      MIN(${column}) AS oldest,
+      MAX(${column}) AS newest,
+      pg_total_relation_size(${q.bind(table)}::regclass) AS table_bytes,
+      (SELECT reltuples FROM pg_class WHERE oid = ${q.bind(table)}::regclass) AS table_rows
+    FROM ${table}
+    WHERE ${where}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows[0];
+}
+
+/**
+ * One batch of expired rows, in id order
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Date} cutoff - Rows dated before this expire
+ * @param {number} afterId - Last id of the previous batch (0 for the first)
+ * @param {number} limit - Batch size
+ */
+async function getExpiredRows(policy, cutoff, afterId, limit) {
+  const q = createQuery();
+  const sql = `
+    SELECT * FROM ${q.identifier(policy.table)}
+    WHERE ${expiredFilter(q, policy, cutoff)} AND id > ${q.id(afterId, 'afterId', { min: 0 })}
+    ORDER BY id
+    ${q.limit(limit)}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rows;
+}
+
+/**
+ * Delete expired rows
+ * With ids, only those rows go, and only if they are still expired (an anomaly
+ * reopened after it was archived stays).
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Date} cutoff - Rows dated before this expire
+ * @param {Array<number>} ids - Rows to delete (default: every expired row)
+ * @returns {Promise<number>} Rows deleted
+ */
+async function deleteExpiredRows(policy, cutoff, ids = null) {
+  const q = createQuery();
+  const sql = `
+    DELETE FROM ${q.identifier(policy.table)}
+    WHERE ${expiredFilter(q, policy, cutoff)}
+    ${ids ? `AND id = ANY(${q.ids(ids)}::bigint[])` : ''}
+  `;
+
+  const result = await query(sql, q.values);
+  return result.rowCount;
+}
+
+/**
+ * Recompute the hourly and daily rollups for every bucket touching [since, until]
+ * (the trigger on time_series_data does this for each new snapshot)
+ */
+async function refreshTimeSeriesRollups(since, until) {
+  const q = createQuery();
+  const sql = `SELECT refresh_time_series_rollups(${q.date(since, 'since')}, ${q.date(until, 'until')})`;
+  await query(sql, q.values);
+}
+
+/**
+ * Rows and estimated bytes each retention policy would remove now
+ * The bytes are the table's share of its total size, so they include indexes and
+ * are only reclaimed on disk after VACUUM.
+ * @returns {Promise<Array<Object>>} { policy, table, days, cutoff, rows, estimated_bytes }
+ */
+async function getRetentionReclaimable(now = new Date()) {
+  return Promise.all(getRetentionPolicies().map(async (policy) => {
+    const cutoff = retentionCutoff(policy, now);
+    const counts = await countExpiredRows(policy, cutoff);
+    const rows = Number(counts.rows);
+    const share = rows / Math.max(Number(counts.table_rows), rows, 1);
+
+    return {
+      policy: policy.name,
+      table: policy.table,
+      days: policy.days,
+      cutoff,
+      rows,
+      estimated_bytes: Math.round(Number(counts.table_bytes) * share),
+    };
+  }));
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+
 /**
  * Get database statistics
+ * Counts whole tables, so GET /health only runs it with details=true.
  */
 async function getDatabaseStats() {
   const sql = `
@@ -429,6 +2580,7 @@ async function getDatabaseStats() {
       (SELECT COUNT(*) FROM anomalies WHERE status = 'active') as active_anomalies,
       (SELECT COUNT(*) FROM twitter_sentiment) as total_tweets,
       (SELECT MAX(timestamp) FROM time_series_data) as last_collection,
+      (SELECT MAX(timestamp) FROM time_series_data WHERE collection_status = 'success') as last_successful_collection,
       (SELECT MAX(detected_at) FROM anomalies) as last_anomaly_detection
   `;
 
@@ -439,29 +2591,127 @@ async function getDatabaseStats() {
 module.exports = {
   // Time series
   insertTimeSeriesData,
+  insertFailedCollection,
   getTimeSeriesData,
   getLatestMetrics,
   getBaselineStats,
 
+  // Time series rollups
+  chooseResolution,
+  getTimeSeriesHistory,
+
+  // Data coverage
+  getCoverageByDay,
+  getDataGaps,
+  getLastCollection,
+
   // Whale wallets
   upsertWhaleWallet,
   getTopWhales,
   getRecentWhaleMovements,
+  getWhaleBalanceHistory,
+
+  // Holder index
+  applyHolderShareChanges,
+  getTopHolders,
+  getHolderBalances,
+  getNegativeHolderBalances,
+  getRankedWhales,
+  recordWhaleRankChanges,
+  getWhaleRankEvents,
+
+  // Address labels
+  upsertAddressLabels,
+  getAddressLabelsFor,
+  getAddressLabels,
+  saveContractChecks,
+
+  // Exchange flows
+  getExchangeFlowsHourly,
+  getUnflaggedWhaleExchangeTransfers,
 
   // Anomalies
   insertAnomaly,
   getActiveAnomalies,
   getAnomalies,
   getAnomalyById,
+  transitionAnomaly,
+  acknowledgeAnomaly,
+  resolveAnomaly,
+  markAnomalyFalsePositive,
+  reopenAnomaly,
+  getAnomalyEvents,
+
+  // Analysis runs
+  createAnalysisRun,
+  completeAnalysisRun,
+  getAnalysisRuns,
+  getAnalysisCostSummary,
 
   // Twitter
   insertTwitterSentiment,
+  getLatestSentimentTimestamps,
+  getSentimentRiskFeed,
   getSentimentStats,
 
+  // Sentiment correlation
+  getSentimentOnChainHourly,
+
   // Validators
   insertValidatorMetrics,
+  getLatestValidatorMetrics,
+  upsertValidatorStatuses,
+
+  // Chain events
+  insertChainEvents,
+  getIngestionState,
+  saveIngestedRange,
+  getRecentChainBlocks,
+  rollbackChainEvents,
+  getEventAggregates,
+
+  // Withdrawal queue
+  syncWithdrawalRequests,
+  getWithdrawalQueueStats,
+  getPendingWithdrawals,
+
+  // Realtime events
+  getRealtimeEvents,
+  getRealtimeEventBounds,
+  pruneRealtimeEvents,
+
+  // Notifications
+  getNotificationCursor,
+  saveNotificationCursor,
+  getAnomaliesAfter,
+  getAnomaliesByIds,
+  createNotificationDelivery,
+  countRuleDeliveries,
+  findDuplicateDelivery,
+  claimDueNotificationDeliveries,
+  recordNotificationAttempt,
+  createDigestDelivery,
+  getNotificationDeliveries,
+
+  // Backfill
+  getBackfillCheckpoint,
+  saveBackfillCheckpoint,
+  deleteBackfillCheckpoint,
+
+  // Job runs
+  startJobRun,
+  heartbeatJobRun,
+  finishJobRun,
+  getJobRuns,
+  getJobSummaries,
+
+  // Retention
+  countExpiredRows,
+  getExpiredRows,
+  deleteExpiredRows,
+  refreshTimeSeriesRollups,
+  getRetentionReclaimable,
 
   // Utilities
-  cleanupOldData,
   getDatabaseStats,
 };
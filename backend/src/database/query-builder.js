@@ -0,0 +1,318 @@
+/**
+ * Query Builder
+ * Collects the parameters of one SQL statement so caller input never becomes SQL
+ * text: every value is bound as $n, numbers and ids are checked before they are
+ * bound, time windows go through make_interval and identifiers must be plain
+ * names. Each helper returns the fragment to place in the statement; invalid
+ * input throws a QueryParameterError (400 when it reaches the API).
+ *
+ * Usage:
+ *   const q = createQuery();
+ *   const sql = `
+ *     SELECT * FROM anomalies
+ *     WHERE detected_at >= NOW() - ${q.interval('hours', hours)}
+ *     ${q.limit(limit)}
+ *   `;
+ *   const result = await query(sql, q.values);
+ */
+
+const { QueryParameterError } = require('../utils/error-handler');
+
+// Longest window a query accepts, per make_interval unit: 10 years
+const MAX_INTERVAL = {
+  secs: 10 * 365 * 24 * 60 * 60,
+  mins: 10 * 365 * 24 * 60,
+  hours: 10 * 365 * 24,
+  days: 10 * 365,
+};
+
+const MAX_LIMIT = 100000;
+const MAX_BIGINT = 2n ** 63n - 1n;
+
+const INTEGER_PATTERN = /^-?\d{1,16}$/;
+const NUMBER_PATTERN = /^-?\d{1,16}(\.\d{1,16})?$/;
+const ID_PATTERN = /^\d{1,19}$/;
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const CURSOR_PATTERN = /^[A-Za-z0-9_-]{1,200}$/;
+
+// A short, printable form of a rejected value for the error message
+function show(value) {
+  let text;
+  try {
+    text = typeof value === 'string' ? JSON.stringify(value) : String(JSON.stringify(value) ?? value);
+  } catch (error) {
+    text = Object.prototype.toString.call(value);
+  }
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * A whole number within a range (digit strings are accepted, e.g. from env)
+ * @throws {QueryParameterError}
+ */
+function toInteger(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const number = typeof value === 'string' && INTEGER_PATTERN.test(value) ? Number(value) : value;
+  if (!Number.isSafeInteger(number)) {
+    throw new QueryParameterError(`${name} must be an integer, got ${show(value)}`, name);
+  }
+  if (number < min || number > max) {
+    throw new QueryParameterError(`${name} must be between ${min} and ${max}, got ${number}`, name);
+  }
+  return number;
+}
+
+/**
+ * A finite number within a range
+ * @throws {QueryParameterError}
+ */
+function toNumber(value, name, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+  const number = typeof value === 'string' && NUMBER_PATTERN.test(value) ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new QueryParameterError(`${name} must be a number, got ${show(value)}`, name);
+  }
+  if (number < min || number > max) {
+    throw new QueryParameterError(`${name} must be between ${min} and ${max}, got ${number}`, name);
+  }
+  return number;
+}
+
+/**
+ * A row id: a non-negative integer, or a digit string for BIGSERIAL ids beyond
+ * the safe integer range (pg returns those as strings)
+ * @throws {QueryParameterError}
+ */
+function toId(value, name, { min = 1 } = {}) {
+  const valid = (typeof value === 'number' && Number.isSafeInteger(value))
+    || (typeof value === 'string' && ID_PATTERN.test(value));
+  if (!valid || BigInt(value) < BigInt(min) || BigInt(value) > MAX_BIGINT) {
+    throw new QueryParameterError(`${name} must be an id of at least ${min}, got ${show(value)}`, name);
+  }
+  return value;
+}
+
+/**
+ * A point in time: a Date, or an ISO 8601 string or epoch milliseconds
+ * @throws {QueryParameterError}
+ */
+function toDate(value, name) {
+  const date = value instanceof Date || typeof value === 'string' || typeof value === 'number'
+    ? new Date(value)
+    : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new QueryParameterError(`${name} must be a date, got ${show(value)}`, name);
+  }
+  return date;
+}
+
+/**
+ * A double-quoted table or column name
+ * Only plain lower-case names pass; these come from code and config, never requests.
+ * @throws {QueryParameterError}
+ */
+function toIdentifier(name) {
+  if (typeof name !== 'string' || !IDENTIFIER_PATTERN.test(name)) {
+    throw new QueryParameterError(`Invalid SQL identifier ${show(name)}`, 'identifier');
+  }
+  return `"${name}"`;
+}
+
+// ==================== CURSORS ====================
+
+// A row position at the column's full (microsecond) precision, in UTC
+const POSITION_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}(\d{3})?Z$/;
+
+/**
+ * Opaque pagination cursor for a row's (timestamp, id)
+ * @param {Date|string} timestamp - The row's position column (see page()), or a
+ *                                  Date when only millisecond precision is known
+ * @param {number|string} id
+ * @returns {string} base64url
+ */
+function encodeCursor(timestamp, id) {
+  const position = typeof timestamp === 'string' && POSITION_PATTERN.test(timestamp)
+    ? timestamp
+    : new Date(timestamp).toISOString();
+  return Buffer.from(JSON.stringify([position, String(id)])).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor
+ * @returns {Object} { timestamp: ISO 8601 string at up to microsecond precision, id: string }
+ * @throws {QueryParameterError} If the cursor wasn't made by encodeCursor
+ */
+function decodeCursor(cursor, name = 'cursor') {
+  const invalid = () => new QueryParameterError(`${name} is not a valid page cursor`, name);
+  if (typeof cursor !== 'string' || !CURSOR_PATTERN.test(cursor)) {
+    throw invalid();
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalid();
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 2 || typeof decoded[0] !== 'string') {
+    throw invalid();
+  }
+
+  const [position, id] = decoded;
+  const date = new Date(position);
+  if (!POSITION_PATTERN.test(position) || Number.isNaN(date.getTime())
+      || date.toISOString().slice(0, 23) !== position.slice(0, 23)
+      || typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw invalid();
+  }
+
+  return { timestamp: position, id };
+}
+
+/**
+ * Cursor for the page after a full page of rows, null on the last page
+ * @param {Array<Object>} rows - A page returned with the same limit
+ * @param {number} limit - Page size
+ * @param {string} column - Timestamp column the page is ordered by; its
+ *                          page_position (see page()) is used when selected
+ * @returns {string|null}
+ */
+function nextCursor(rows, limit, column) {
+  if (!limit || rows.length < limit || rows.length === 0) {
+    return null;
+  }
+  const last = rows[rows.length - 1];
+  return encodeCursor(last.page_position ?? last[column], last.id);
+}
+
+// ==================== BUILDER ====================
+
+/**
+ * Start a statement
+ * @returns {Object} The bound values and the helpers that add to them
+ */
+function createQuery() {
+  const values = [];
+
+  /**
+   * Bind a value as is (strings, arrays, JSON...)
+   * @returns {string} $n
+   */
+  function bind(value) {
+    values.push(value);
+    return `$${values.length}`;
+  }
+
+  /**
+   * A checked integer, e.g. a block number
+   * @param {Object} range - { min (default 0), max }
+   */
+  function integer(value, name, range) {
+    return bind(toInteger(value, name, range));
+  }
+
+  /**
+   * A checked number, e.g. a fraction of a second
+   * @param {Object} range - { min (default 0), max }
+   */
+  function number(value, name, range) {
+    return bind(toNumber(value, name, range));
+  }
+
+  /**
+   * A checked row id
+   * @param {Object} options - { min } (default 1; 0 for "after id" cursors)
+   */
+  function id(value, name = 'id', options) {
+    return bind(toId(value, name, options));
+  }
+
+  /**
+   * A checked list of row ids
+   */
+  function ids(list, name = 'ids') {
+    if (!Array.isArray(list)) {
+      throw new QueryParameterError(`${name} must be a list of ids, got ${show(list)}`, name);
+    }
+    return bind(list.map(value => toId(value, name)));
+  }
+
+  /**
+   * A checked point in time (as a Date)
+   */
+  function date(value, name) {
+    return bind(toDate(value, name));
+  }
+
+  /**
+   * A time window: make_interval(<unit> => $n)
+   * @param {string} unit - secs, mins, hours or days
+   * @param {number} value - Whole units (secs may be fractional)
+   * @param {string} name - For the error message (default the unit)
+   */
+  function interval(unit, value, name = unit) {
+    if (!MAX_INTERVAL[unit]) {
+      throw new Error(`Unsupported interval unit: ${unit}`);
+    }
+    const range = { min: 0, max: MAX_INTERVAL[unit] };
+    const bound = unit === 'secs' ? number(value, name, range) : integer(value, name, range);
+    return `make_interval(${unit} => ${bound})`;
+  }
+
+  /**
+   * LIMIT $n
+   * @param {number} value - At least 1
+   * @param {string} name - For the error message
+   * @param {number} max - Largest accepted value
+   */
+  function limit(value, name = 'limit', max = MAX_LIMIT) {
+    return `LIMIT ${integer(value, name, { min: 1, max })}`;
+  }
+
+  /**
+   * Keyset pagination, newest first: rows before the cursor's (column, id)
+   * The raw column is compared so its index is used. pg hands timestamps to JS at
+   * millisecond precision, so the statement selects position, the column at full
+   * precision, for nextCursor to encode.
+   * @param {string} column - Timestamp column
+   * @param {Object} page - { cursor, limit } (both optional)
+   * @returns {Object} { where (condition, TRUE without a cursor), orderBy, limit ('' without one),
+   *                     position (select-list item: page_position) }
+   */
+  function page(column, { cursor, limit: size } = {}) {
+    const key = toIdentifier(column);
+    let where = 'TRUE';
+    if (cursor !== undefined && cursor !== null) {
+      const position = decodeCursor(cursor);
+      where = `(${key}, id) < (${bind(position.timestamp)}::timestamptz, ${bind(position.id)}::bigint)`;
+    }
+
+    return {
+      where,
+      orderBy: `ORDER BY ${key} DESC, id DESC`,
+      limit: size !== undefined && size !== null ? limit(size) : '',
+      position: `to_char(${key} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS page_position`,
+    };
+  }
+
+  return {
+    values,
+    bind,
+    integer,
+    number,
+    id,
+    ids,
+    date,
+    interval,
+    limit,
+    page,
+    identifier: toIdentifier,
+  };
+}
+
+module.exports = {
+  MAX_INTERVAL,
+  MAX_LIMIT,
+  createQuery,
+  encodeCursor,
+  decodeCursor,
+  nextCursor,
+};
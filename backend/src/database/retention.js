@@ -0,0 +1,232 @@
+/**
+ * Data Retention
+ * Applies the retention policies in config/retention.js: expired rows are written
+ * to a gzipped NDJSON file (one JSON object per line) and then deleted
+ *
+ * Archives go to RETENTION_ARCHIVE_DIR/<table>/<table>_before_<cutoff>_<run>.ndjson.gz.
+ * A file is written under a .partial name and renamed once complete, and rows are
+ * only deleted after that, by id, so a failed run never deletes rows that are not
+ * archived. Before time_series_data rows go, the rollups for their days are
+ * refreshed; the rollups themselves are kept.
+ *
+ * Usage:
+ *   node src/database/retention.js [--dry-run] [--policy <name>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+
+const {
+  RETENTION_ARCHIVE,
+  RETENTION_ARCHIVE_DIR,
+  RETENTION_BATCH_SIZE,
+  getRetentionPolicies,
+  retentionCutoff,
+} = require('../../config/retention');
+const logger = require('../utils/logger');
+
+function fileStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Write a policy's expired rows to a gzipped NDJSON file
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Date} cutoff - Rows dated before this expire
+ * @param {Object} options
+ * @param {Object} options.store - Query functions
+ * @param {string} options.dir - Archive directory
+ * @param {number} options.batchSize - Rows per read
+ * @param {Date} options.now - Run time, for the file name
+ * @returns {Promise<Object>} { file, ids } (file null when nothing expired)
+ */
+async function archiveExpiredRows(policy, cutoff, options) {
+  const { store, dir, batchSize, now } = options;
+  const tableDir = path.join(dir, policy.table);
+  const file = path.join(tableDir, `${policy.table}_before_${fileStamp(cutoff)}_${fileStamp(now)}.ndjson.gz`);
+  const partial = `${file}.partial`;
+  const ids = [];
+
+  let batch = await store.getExpiredRows(policy, cutoff, 0, batchSize);
+  if (batch.length === 0) {
+    return { file: null, ids };
+  }
+
+  await fs.promises.mkdir(tableDir, { recursive: true });
+  const gzip = zlib.createGzip();
+  const written = pipeline(gzip, fs.createWriteStream(partial));
+  // Awaited below; a write error surfaces there, not as an unhandled rejection
+  written.catch(() => {});
+
+  try {
+    while (batch.length > 0) {
+      for (const row of batch) {
+        if (!gzip.write(`${JSON.stringify(row)}\n`)) {
+          await once(gzip, 'drain');
+        }
+        ids.push(row.id);
+      }
+      batch = batch.length < batchSize
+        ? []
+        : await store.getExpiredRows(policy, cutoff, ids[ids.length - 1], batchSize);
+    }
+    gzip.end();
+    await written;
+  } catch (error) {
+    gzip.destroy();
+    await fs.promises.rm(partial, { force: true });
+    throw error;
+  }
+
+  await fs.promises.rename(partial, file);
+  return { file, ids };
+}
+
+/**
+ * Apply one retention policy
+ * @param {Object} policy - From getRetentionPolicies
+ * @param {Object} options - See runRetention
+ * @returns {Promise<Object>} { policy, table, days, cutoff, rows, deleted, archive_file }
+ */
+async function applyPolicy(policy, options) {
+  const { store, dryRun, archive, now } = options;
+  const cutoff = retentionCutoff(policy, now);
+  const counts = await store.countExpiredRows(policy, cutoff);
+  const result = {
+    policy: policy.name,
+    table: policy.table,
+    days: policy.days,
+    cutoff,
+    rows: Number(counts.rows),
+    oldest: counts.oldest,
+    deleted: 0,
+    archive_file: null,
+  };
+
+  if (dryRun || result.rows === 0) {
+    return result;
+  }
+
+  if (policy.rollups) {
+    await store.refreshTimeSeriesRollups(counts.oldest, cutoff);
+  }
+
+  if (!archive) {
+    result.deleted = await store.deleteExpiredRows(policy, cutoff);
+    return result;
+  }
+
+  const { file, ids } = await archiveExpiredRows(policy, cutoff, options);
+  result.archive_file = file;
+  for (let start = 0; start < ids.length; start += options.batchSize) {
+    result.deleted += await store.deleteExpiredRows(policy, cutoff, ids.slice(start, start + options.batchSize));
+  }
+
+  return result;
+}
+
+/**
+ * Apply every retention policy (or the named ones)
+ * A failing policy is logged and reported and the others still run; the run only
+ * fails when every policy does.
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Count expired rows without archiving or deleting
+ * @param {Array<string>} options.only - Policy names to apply (default all)
+ * @param {boolean} options.archive - Archive before deleting (default RETENTION_ARCHIVE)
+ * @param {string} options.dir - Archive directory (default RETENTION_ARCHIVE_DIR)
+ * @param {number} options.batchSize - Rows per batch (default RETENTION_BATCH_SIZE)
+ * @param {Array<Object>} options.policies - Policies (default getRetentionPolicies())
+ * @param {Date} options.now - Reference time
+ * @param {Object} options.store - Query overrides for testing
+ * @returns {Promise<Object>} { dryRun, policies, errors }
+ */
+async function runRetention(options = {}) {
+  const settings = {
+    store: { ...require('./queries'), ...options.store },
+    dryRun: Boolean(options.dryRun),
+    archive: options.archive ?? RETENTION_ARCHIVE,
+    dir: options.dir || RETENTION_ARCHIVE_DIR,
+    batchSize: options.batchSize || RETENTION_BATCH_SIZE,
+    now: options.now || new Date(),
+  };
+
+  const allPolicies = options.policies || getRetentionPolicies();
+  const unknown = (options.only || []).filter(name => !allPolicies.some(policy => policy.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown retention policy: ${unknown.join(', ')} (known: ${allPolicies.map(policy => policy.name).join(', ')})`);
+  }
+  const policies = allPolicies.filter(policy => !options.only || options.only.includes(policy.name));
+  const results = [];
+  const errors = [];
+
+  for (const policy of policies) {
+    try {
+      results.push(await applyPolicy(policy, settings));
+    } catch (error) {
+      logger.error(`[DATABASE] Retention policy ${policy.name} failed`, { error: error.message });
+      errors.push({ policy: policy.name, error: error.message });
+    }
+  }
+
+  logger.database(settings.dryRun ? 'Retention dry run completed' : 'Retention completed', {
+    removed: Object.fromEntries(results.map(result => [
+      result.table,
+      settings.dryRun ? result.rows : result.deleted,
+    ])),
+    archives: results.map(result => result.archive_file).filter(Boolean),
+    failed: errors.map(error => error.policy),
+    dryRun: settings.dryRun,
+  });
+
+  if (errors.length > 0 && errors.length === policies.length) {
+    throw new Error(`All retention policies failed: ${errors.map(e => `${e.policy}: ${e.error}`).join('; ')}`);
+  }
+
+  return { dryRun: settings.dryRun, policies: results, errors };
+}
+
+async function main() {
+  const { closePool } = require('./db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+  const policyIndex = process.argv.indexOf('--policy');
+  const only = policyIndex !== -1 ? [process.argv[policyIndex + 1]] : undefined;
+
+  try {
+    const { policies, errors } = await runRetention({ dryRun, only });
+
+    console.log('='.repeat(60));
+    console.log(`Data retention${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
+    for (const result of policies) {
+      const action = dryRun ? `${result.rows} row(s) would be removed` : `${result.deleted} row(s) removed`;
+      console.log(`${result.policy.padEnd(20)} ${result.table.padEnd(20)} ${String(result.days).padStart(4)} days  ${action}`);
+      if (result.archive_file) {
+        console.log(`    archived to ${result.archive_file}`);
+      }
+    }
+    for (const { policy, error } of errors) {
+      console.log(`❌ ${policy}: ${error}`);
+    }
+    if (errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Retention failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  archiveExpiredRows,
+  runRetention,
+};
@@ -0,0 +1,160 @@
+/**
+ * Job Definitions
+ * The collectors, detectors and maintenance tasks the job runner schedules
+ *
+ * Each job has:
+ *   name          - Unique name (job_runs.job_name, API path segment)
+ *   description   - One line for listings
+ *   schedule      - Cron expression (config/jobs.js, overridable from env)
+ *   run()         - Does the work; the resolved value goes through summarize()
+ *   summarize()   - Small JSON summary stored in job_runs.result (optional)
+ *   onFailure()   - Called with (error, { store, startedAt }) after run() throws (optional)
+ *
+ * Modules are required when a job first runs, so listing the jobs (e.g. from the
+ * API) doesn't open an RPC provider or need an Anthropic key.
+ */
+
+const { getJobSchedules, JOBS_DISABLED } = require('../../config/jobs');
+
+/**
+ * Memoize a factory so a job reuses its collector between runs
+ */
+function lazy(factory) {
+  let instance = null;
+  return () => {
+    if (!instance) instance = factory();
+    return instance;
+  };
+}
+
+/**
+ * Build the job list
+ * @param {Object} options
+ * @param {Object} options.schedules - Job name -> cron expression (default: config/jobs.js)
+ * @param {Array<string>} options.disabled - Job names not to schedule (default: JOBS_DISABLED)
+ * @returns {Array<Object>} Job definitions
+ */
+function createJobDefinitions(options = {}) {
+  const schedules = options.schedules || getJobSchedules();
+  const disabled = new Set(options.disabled || JOBS_DISABLED);
+
+  const eventIngester = lazy(() => require('../collectors/event-ingester').createEventIngester());
+  const holderIndex = lazy(() => require('../collectors/holder-index').createHolderIndex());
+  const validatorCollector = lazy(() => require('../collectors/validator-collector').createValidatorCollector());
+  const sentimentCollector = lazy(() => require('../sentiment/sentiment-collector').createSentimentCollector());
+  const analyzer = lazy(() => require('../analysis/claude-analyzer').createClaudeAnalyzer());
+
+  const jobs = [
+    {
+      name: 'ingest-events',
+      description: 'Ingest EtherFi contract events into chain_events (feeds the 24h activity metrics)',
+      run: () => eventIngester().pollOnce(),
+      summarize: result => ({ last_block: result.lastBlock, inserted: result.inserted }),
+    },
+    {
+      name: 'collect-metrics',
+      description: 'Protocol metrics snapshot (TVL, supply, withdrawal queue, peg, 24h activity)',
+      run: () => require('../collectors/metrics-collector').collectMetrics(),
+      summarize: result => ({ id: result.id, timestamp: result.timestamp }),
+      // Record the missed slot so gaps in time_series_data are explained
+      onFailure: (error, { store, startedAt }) => {
+        const { floorToInterval } = require('../collectors/metrics-collector');
+        return store.insertFailedCollection({
+          timestamp: new Date(floorToInterval(Math.floor(startedAt.getTime() / 1000)) * 1000),
+          error_message: error.message,
+        });
+      },
+    },
+    {
+      name: 'holder-index',
+      description: 'Sync eETH holder balances and re-rank the top whales',
+      run: () => holderIndex().runCycle(),
+      summarize: result => ({
+        last_block: result.lastBlock,
+        logs: result.logs,
+        whales: result.whales.length,
+        rank_changes: result.events.length,
+      }),
+    },
+    {
+      name: 'validators',
+      description: 'Validator counts, rewards, APR and new slashings from the beacon node',
+      run: () => validatorCollector().collectOnce(),
+      summarize: result => (result
+        ? { epoch: result.metrics.epoch, active: result.metrics.active_validators, slashed: result.anomalies.length }
+        : { skipped: 'no validators configured' }),
+    },
+    {
+      name: 'sentiment',
+      description: 'Collect and score social posts; flag EtherFi posts with risk keywords',
+      run: () => sentimentCollector().collectOnce(),
+      summarize: result => ({
+        fetched: result.fetched,
+        stored: result.stored,
+        risk_posts: result.riskPosts.length,
+        failed_sources: result.errors.map(error => error.source),
+      }),
+    },
+    {
+      name: 'detect',
+      description: 'Statistical anomaly detection on recent snapshots',
+      run: () => require('../analysis/statistical-detector').runStatisticalDetection(),
+      summarize: result => ({ candidates: result.candidates.length, inserted: result.inserted.length }),
+    },
+    {
+      name: 'exchange-flows',
+      description: 'Hourly exchange flows and whale deposits to exchanges',
+      run: () => require('../analysis/exchange-flows').runExchangeFlowDetection(),
+      summarize: result => ({ candidates: result.candidates.length, inserted: result.inserted.length }),
+    },
+    {
+      name: 'data-gaps',
+      description: 'Missing snapshot windows and daily coverage (backfills when DATA_GAP_AUTO_BACKFILL)',
+      run: () => require('../analysis/gap-detector').runGapDetection(),
+      summarize: result => ({
+        gaps: result.gaps.length,
+        coverage_percent: result.summary.coverage_percent,
+        inserted: result.inserted.length,
+        backfilled: result.backfilled.length,
+      }),
+    },
+    {
+      name: 'sentiment-correlation',
+      description: 'Correlate hourly sentiment with on-chain stress; flag sentiment shocks',
+      run: () => require('../analysis/sentiment-correlation').runSentimentCorrelation(),
+      summarize: result => ({
+        shocks: result.shocks.length,
+        leaders: Object.fromEntries(result.correlations
+          .filter(item => item.leader)
+          .map(item => [`${item.signal}:${item.target}`, item.leader])),
+        inserted: result.inserted.length,
+      }),
+    },
+    {
+      name: 'analyze',
+      description: 'Claude analysis of recent metrics and detector candidates',
+      run: () => analyzer().runAnalysis(),
+      summarize: result => ({ inserted: result.inserted.length, cost_usd: result.costUsd }),
+    },
+    {
+      name: 'cleanup',
+      description: 'Archive and delete data past its retention period (config/retention.js)',
+      run: () => require('../database/retention').runRetention(),
+      summarize: result => ({
+        removed: Object.fromEntries(result.policies.map(policy => [policy.table, policy.deleted])),
+        archives: result.policies.map(policy => policy.archive_file).filter(Boolean),
+        failed_policies: result.errors.map(error => error.policy),
+      }),
+    },
+  ];
+
+  return jobs.map(job => ({
+    ...job,
+    schedule: schedules[job.name],
+    enabled: !disabled.has(job.name),
+  }));
+}
+
+module.exports = {
+  createJobDefinitions,
+};
@@ -0,0 +1,216 @@
+/**
+ * Job Runner
+ * Schedules the jobs in job-definitions.js with node-cron and records every run
+ * in job_runs (trigger, status, duration, result summary or error)
+ *
+ * A job never overlaps itself: a run is claimed in job_runs before it starts,
+ * and a unique index allows one running row per job, so a slow collection, a
+ * second scheduler process or a manual API trigger can't stack runs. The
+ * attempt that loses is recorded as skipped. A run refreshes its heartbeat every
+ * JOB_HEARTBEAT_SECONDS while it works; a running row whose heartbeat is older
+ * than JOB_STALE_AFTER_MINUTES is marked abandoned, since its process has died.
+ *
+ * Usage:
+ *   node src/jobs/job-runner.js              # Schedule every enabled job
+ *   node src/jobs/job-runner.js --list       # Show jobs with their last run
+ *   node src/jobs/job-runner.js --run detect # Run one job now
+ */
+
+const cron = require('node-cron');
+require('dotenv').config();
+
+const { JOB_HEARTBEAT_SECONDS, JOB_STALE_AFTER_MINUTES } = require('../../config/jobs');
+const { createJobDefinitions } = require('./job-definitions');
+const logger = require('../utils/logger');
+
+/**
+ * Create a job runner
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.jobs - Job definitions (default: createJobDefinitions())
+ * @param {Object} options.store - Query overrides for testing
+ * @param {number} options.heartbeatSeconds - Interval between heartbeats of a running job
+ * @param {number} options.staleAfterMinutes - Heartbeat age at which a running row is abandoned
+ * @returns {Object} Runner with listJobs(), getJob(), startJob(), runJob(), start() and stop()
+ */
+function createJobRunner(options = {}) {
+  const jobs = options.jobs || createJobDefinitions();
+  const store = { ...require('../database/queries'), ...options.store };
+  const heartbeatSeconds = options.heartbeatSeconds || JOB_HEARTBEAT_SECONDS;
+  const staleAfterMinutes = options.staleAfterMinutes || JOB_STALE_AFTER_MINUTES;
+  const byName = new Map(jobs.map(job => [job.name, job]));
+
+  const tasks = [];
+
+  function getJob(name) {
+    return byName.get(name) || null;
+  }
+
+  function listJobs() {
+    return jobs;
+  }
+
+  async function execute(job, run) {
+    const startedAt = new Date(run.started_at);
+    const started = Date.now();
+
+    // Keep the claim alive for as long as the job runs
+    const heartbeat = setInterval(() => {
+      store.heartbeatJobRun(run.id)
+        .then((alive) => {
+          if (!alive) logger.warn(`[JOBS] ${job.name} run is no longer marked running`, { runId: run.id });
+        })
+        .catch((error) => {
+          logger.warn(`[JOBS] ${job.name} heartbeat failed`, { runId: run.id, error: error.message });
+        });
+    }, heartbeatSeconds * 1000);
+
+    try {
+      const result = await job.run();
+      const durationMs = Date.now() - started;
+      const summary = job.summarize && result !== undefined ? job.summarize(result) : null;
+
+      await store.finishJobRun(run.id, { status: 'success', duration_ms: durationMs, result: summary });
+      logger.info(`[JOBS] ${job.name} succeeded`, { runId: run.id, durationMs });
+
+      return { run, status: 'success', result: summary };
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      logger.error(`[JOBS] ${job.name} failed`, { runId: run.id, durationMs, error: error.message });
+
+      if (job.onFailure) {
+        try {
+          await job.onFailure(error, { store, startedAt });
+        } catch (hookError) {
+          logger.error(`[JOBS] ${job.name} failure handler failed`, { runId: run.id, error: hookError.message });
+        }
+      }
+
+      await store.finishJobRun(run.id, { status: 'failed', duration_ms: durationMs, error_message: error.message });
+      return { run, status: 'failed', error };
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Claim and start a run without waiting for it
+   * @param {string} name - Job name
+   * @param {string} trigger - schedule, manual or cli
+   * @returns {Promise<Object>} { run, done } when started, or { skipped, running } when
+   *   the job is already running; done resolves to { run, status, result | error }
+   */
+  async function startJob(name, trigger = 'manual') {
+    const job = getJob(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+
+    const claim = await store.startJobRun(name, trigger, staleAfterMinutes);
+    if (claim.abandoned > 0) {
+      logger.warn(`[JOBS] ${name}: marked ${claim.abandoned} stale run(s) abandoned`);
+    }
+    if (!claim.run) {
+      logger.warn(`[JOBS] ${name} is still running, skipped`, { trigger, runningId: claim.running?.id });
+      return { skipped: claim.skipped, running: claim.running };
+    }
+
+    return { run: claim.run, done: execute(job, claim.run) };
+  }
+
+  /**
+   * Run a job and wait for it to finish
+   * @returns {Promise<Object>} { run, status, result | error }, or { status: 'skipped', running }
+   */
+  async function runJob(name, trigger = 'manual') {
+    const started = await startJob(name, trigger);
+    if (!started.run) {
+      return { status: 'skipped', run: started.skipped, running: started.running };
+    }
+    return started.done;
+  }
+
+  /**
+   * Schedule every enabled job
+   */
+  function start() {
+    if (tasks.length > 0) return;
+
+    for (const job of jobs.filter(j => j.enabled)) {
+      tasks.push(cron.schedule(job.schedule, async () => {
+        try {
+          await runJob(job.name, 'schedule');
+        } catch (error) {
+          logger.error(`[JOBS] Could not start ${job.name}`, { error: error.message });
+        }
+      }));
+    }
+
+    logger.info('[JOBS] Job runner started', {
+      jobs: jobs.filter(j => j.enabled).map(job => `${job.name} (${job.schedule})`),
+    });
+  }
+
+  function stop() {
+    while (tasks.length > 0) {
+      tasks.pop().stop();
+    }
+  }
+
+  return { listJobs, getJob, startJob, runJob, start, stop };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const runner = createJobRunner();
+
+  if (!process.argv.includes('--list') && !process.argv.includes('--run')) {
+    runner.start();
+    return;
+  }
+
+  try {
+    if (process.argv.includes('--list')) {
+      const { getJobSummaries } = require('../database/queries');
+      const summaries = new Map((await getJobSummaries()).map(row => [row.job_name, row]));
+
+      console.log('='.repeat(60));
+      console.log('Jobs');
+      console.log('='.repeat(60));
+      for (const job of runner.listJobs()) {
+        const summary = summaries.get(job.name);
+        console.log(`${job.enabled ? '✅' : '⏸️ '} ${job.name.padEnd(16)} ${job.schedule.padEnd(16)} `
+          + (summary
+            ? `last ${summary.last_status} at ${new Date(summary.last_started_at).toISOString()}`
+            : 'never run'));
+      }
+      return;
+    }
+
+    const name = process.argv[process.argv.indexOf('--run') + 1];
+    const outcome = await runner.runJob(name, 'cli');
+
+    if (outcome.status === 'success') {
+      console.log(`✅ ${name} succeeded${outcome.result ? ` ${JSON.stringify(outcome.result)}` : ''}`);
+    } else if (outcome.status === 'skipped') {
+      console.log(`⏸️  ${name} is already running (run ${outcome.running.id})`);
+    } else {
+      console.error(`❌ ${name} failed: ${outcome.error.message}`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Job runner failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createJobRunner,
+};
@@ -0,0 +1,395 @@
+/**
+ * Address Label Service
+ * Resolves, imports and exports address labels stored in address_labels, and
+ * checks addresses on-chain (eth_getCode) to record whether they are contracts
+ *
+ * Label files are CSV with an address,label,category,notes header, or a JSON array
+ * of { address, label, category, notes } objects. A file is validated as a whole
+ * and nothing is written if any row is invalid.
+ *
+ * Usage:
+ *   node src/labels/address-labels.js seed                      # Load KNOWN_ADDRESSES
+ *   node src/labels/address-labels.js import labels.csv
+ *   node src/labels/address-labels.js export [--format json] [--category exchange] [--out file]
+ *   node src/labels/address-labels.js resolve 0xabc...
+ *   node src/labels/address-labels.js check 0xabc... [0xdef...]  # eth_getCode, even if checked before
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const { KNOWN_ADDRESSES } = require('../../config/contracts');
+const { ConfigError } = require('../utils/error-handler');
+const logger = require('../utils/logger');
+
+const LABEL_CATEGORIES = [
+  'exchange',
+  'bridge',
+  'protocol',
+  'fund',
+  'team',
+  'market_maker',
+  'individual',
+  'other',
+];
+
+const CSV_COLUMNS = ['address', 'label', 'category', 'notes'];
+
+// Addresses found to have no code are checked again after this long, since a
+// counterfactual wallet can be deployed at a known address later
+const EOA_RECHECK_DAYS = 7;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse a label CSV with a header row into records
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  if (!columns.includes('address') || !columns.includes('label')) {
+    throw new ConfigError('Label CSV must have a header row with at least address and label columns');
+  }
+
+  return rows.map(fields => Object.fromEntries(
+    columns.map((column, i) => [column, fields[i] !== undefined ? fields[i].trim() : ''])
+  ));
+}
+
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise label rows as CSV with checksummed addresses
+ */
+function toCsv(rows) {
+  const lines = rows.map(row => CSV_COLUMNS
+    .map(column => escapeCsv(column === 'address' ? ethers.getAddress(row.address) : row[column]))
+    .join(','));
+  return `${[CSV_COLUMNS.join(','), ...lines].join('\n')}\n`;
+}
+
+/**
+ * Parse a label file by extension (.csv or .json)
+ */
+function parseLabelFile(text, filename) {
+  const extension = path.extname(filename).toLowerCase();
+
+  if (extension === '.csv') {
+    return parseCsv(text);
+  }
+
+  if (extension === '.json') {
+    let records;
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw new ConfigError(`${filename} is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(records)) {
+      throw new ConfigError(`${filename} must contain a JSON array of labels`);
+    }
+    return records;
+  }
+
+  throw new ConfigError(`Unsupported label file type "${extension}" (use .csv or .json)`);
+}
+
+/**
+ * Validate label records
+ * @param {Array<Object>} records - { address, label, category, notes }
+ * @returns {Object} { labels, failures } with lowercase addresses; later duplicates win
+ */
+function validateLabels(records) {
+  const labels = new Map();
+  const failures = [];
+
+  records.forEach((record, i) => {
+    const row = i + 1;
+    const address = typeof record?.address === 'string' ? record.address.trim() : '';
+    const label = typeof record?.label === 'string' ? record.label.trim() : '';
+    const category = typeof record?.category === 'string' && record.category.trim() !== ''
+      ? record.category.trim().toLowerCase()
+      : 'other';
+    const notes = typeof record?.notes === 'string' && record.notes.trim() !== '' ? record.notes.trim() : null;
+
+    // isAddress rejects mixed-case addresses with a bad checksum
+    if (!ethers.isAddress(address)) {
+      failures.push({ row, error: `"${address}" is not a valid address` });
+      return;
+    }
+    if (label === '' || label.length > 100) {
+      failures.push({ row, error: 'label must be 1-100 characters' });
+      return;
+    }
+    if (!LABEL_CATEGORIES.includes(category)) {
+      failures.push({ row, error: `category "${category}" must be one of ${LABEL_CATEGORIES.join(', ')}` });
+      return;
+    }
+
+    labels.set(address.toLowerCase(), { address: address.toLowerCase(), label, category, notes });
+  });
+
+  return { labels: [...labels.values()], failures };
+}
+
+/**
+ * Create a label service
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {ethers.Provider} options.provider - Provider for eth_getCode (default: shared rpc-provider)
+ * @returns {Object} Service with resolve(), resolveMany(), importLabels(), exportLabels(),
+ *                   seedBuiltinLabels() and checkContracts()
+ */
+function createLabelService(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  let provider = options.provider || null;
+
+  function getCodeProvider() {
+    if (!provider) {
+      provider = require('../collectors/rpc-provider').getProvider();
+    }
+    return provider;
+  }
+
+  /**
+   * Resolve labels for several addresses, any casing
+   * @returns {Promise<Map<string, Object>>} Lowercase address -> label row
+   */
+  async function resolveMany(addresses) {
+    const rows = await store.getAddressLabelsFor(addresses);
+    return new Map(rows.map(row => [row.address, row]));
+  }
+
+  /**
+   * Resolve one address, any casing
+   * @returns {Promise<Object|null>} Label row
+   */
+  async function resolve(address) {
+    const labels = await resolveMany([address]);
+    return labels.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Validate and store label records
+   * @throws {ConfigError} If any record is invalid; nothing is written then
+   * @returns {Promise<number>} Labels written
+   */
+  async function importLabels(records, source = 'import') {
+    const { labels, failures } = validateLabels(records);
+
+    if (failures.length > 0) {
+      const details = failures.slice(0, 10).map(failure => `row ${failure.row}: ${failure.error}`).join('; ');
+      throw new ConfigError(`${failures.length} invalid label(s): ${details}`, failures);
+    }
+
+    const written = await store.upsertAddressLabels(labels, source);
+    logger.info(`[LABELS] Imported ${written} address label(s)`, { source, records: records.length });
+    return written;
+  }
+
+  /**
+   * Load KNOWN_ADDRESSES; never overwrites imported labels
+   */
+  async function seedBuiltinLabels() {
+    const records = Object.entries(KNOWN_ADDRESSES).map(([address, entry]) => ({ address, ...entry }));
+    return importLabels(records, 'builtin');
+  }
+
+  /**
+   * Export labels as CSV or JSON text
+   * @param {string} format - csv or json
+   * @param {Object} filters - { category }
+   */
+  async function exportLabels(format = 'csv', filters = {}) {
+    const rows = await store.getAddressLabels(filters);
+
+    if (format === 'json') {
+      const records = rows.map(row => ({
+        address: ethers.getAddress(row.address),
+        label: row.label,
+        category: row.category,
+        notes: row.notes,
+      }));
+      return `${JSON.stringify(records, null, 2)}\n`;
+    }
+
+    return toCsv(rows);
+  }
+
+  /**
+   * Record whether addresses have code (eth_getCode)
+   * Addresses already known to be contracts are skipped, as are ones checked as
+   * EOAs within EOA_RECHECK_DAYS, unless force is set.
+   * @returns {Promise<Map<string, boolean>>} Lowercase address -> is_contract for every address
+   */
+  async function checkContracts(addresses, checkOptions = {}) {
+    const unique = [...new Set(addresses.map(address => address.toLowerCase()))];
+    const known = await resolveMany(unique);
+    const recheckBefore = Date.now() - EOA_RECHECK_DAYS * 24 * 60 * 60 * 1000;
+
+    const results = new Map();
+    const checks = [];
+
+    for (const address of unique) {
+      const row = known.get(address);
+      const fresh = row && row.code_checked_at
+        && (row.is_contract || new Date(row.code_checked_at).getTime() > recheckBefore);
+
+      if (fresh && !checkOptions.force) {
+        results.set(address, row.is_contract);
+        continue;
+      }
+
+      const code = await getCodeProvider().getCode(address);
+      const isContract = code !== '0x';
+      checks.push({ address, is_contract: isContract });
+      results.set(address, isContract);
+    }
+
+    await store.saveContractChecks(checks);
+    return results;
+  }
+
+  return {
+    resolve,
+    resolveMany,
+    importLabels,
+    exportLabels,
+    seedBuiltinLabels,
+    checkContracts,
+  };
+}
+
+function getOption(name) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : null;
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const [command, ...args] = process.argv.slice(2).filter((arg, i, all) =>
+    !arg.startsWith('--') && !(i > 0 && all[i - 1].startsWith('--')));
+  const service = createLabelService();
+
+  try {
+    switch (command) {
+      case 'seed': {
+        const written = await service.seedBuiltinLabels();
+        console.log(`✅ ${written} built-in label(s) loaded`);
+        break;
+      }
+      case 'import': {
+        if (!args[0]) throw new Error('Usage: import <file.csv|file.json>');
+        const records = parseLabelFile(fs.readFileSync(args[0], 'utf8'), args[0]);
+        const written = await service.importLabels(records);
+        console.log(`✅ ${written} label(s) imported from ${args[0]}`);
+        break;
+      }
+      case 'export': {
+        const output = await service.exportLabels(getOption('--format') || 'csv', {
+          category: getOption('--category'),
+        });
+        const outFile = getOption('--out');
+        if (outFile) {
+          fs.writeFileSync(outFile, output);
+          console.log(`✅ Labels written to ${outFile}`);
+        } else {
+          process.stdout.write(output);
+        }
+        break;
+      }
+      case 'resolve': {
+        for (const address of args) {
+          const row = await service.resolve(address);
+          console.log(`${address}: ${row?.label ? `${row.label} (${row.category})` : 'unlabelled'}`
+            + (row && row.is_contract !== null ? `, ${row.is_contract ? 'contract' : 'EOA'}` : ''));
+        }
+        break;
+      }
+      case 'check': {
+        const results = await service.checkContracts(args, { force: true });
+        for (const [address, isContract] of results) {
+          console.log(`${address}: ${isContract ? 'contract' : 'EOA'}`);
+        }
+        break;
+      }
+      default:
+        console.log('Usage: address-labels.js <seed|import|export|resolve|check> [...]');
+        process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n❌ Label command failed:', error.message);
+    if (error.failures) {
+      error.failures.forEach(failure => console.error(`   - row ${failure.row}: ${failure.error}`));
+    }
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createLabelService,
+  parseCsv,
+  toCsv,
+  parseLabelFile,
+  validateLabels,
+  LABEL_CATEGORIES,
+};
@@ -0,0 +1,402 @@
+/**
+ * Alert Notification Dispatcher
+ * Routes new anomalies to notification sinks according to the rules in
+ * config/notifications.js, with per-rule deduplication and rate limiting,
+ * retries with backoff and a log of every attempt
+ *
+ * New anomalies are picked up from a cursor in notification_state, woken by the
+ * realtime_events NOTIFY channel and a poll interval. Every routing decision is
+ * stored in notification_deliveries (including suppressed ones) and every send
+ * attempt in notification_attempts. Run one dispatcher per database.
+ *
+ * Usage:
+ *   node src/notifications/dispatcher.js              # Route and send once
+ *   node src/notifications/dispatcher.js --digest     # Send pending digests now
+ *   node src/notifications/dispatcher.js --status     # Show recent deliveries
+ *   node src/notifications/dispatcher.js --watch      # Keep running
+ */
+
+const cron = require('node-cron');
+require('dotenv').config();
+
+const {
+  SINKS,
+  DIGEST_CRON,
+  RETRY_DELAYS_MINUTES,
+  POLL_INTERVAL_MS,
+  getRules,
+} = require('../../config/notifications');
+const { createNotificationListener } = require('../database/notification-listener');
+const { getDedupKey, getRoutes } = require('./routing');
+const { createSinks } = require('./sinks');
+const logger = require('../utils/logger');
+
+const DISPATCHER_NAME = 'default';
+const BATCH_SIZE = 100;
+const CLAIM_LIMIT = 20;
+const LEASE_MINUTES = 5;
+
+/**
+ * Short description of a failed send for the attempt log
+ */
+function describeError(error) {
+  if (error.response) {
+    return `HTTP ${error.response.status} from ${error.config?.url || 'sink'}`;
+  }
+  return error.message;
+}
+
+/**
+ * Create a dispatcher
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing
+ * @param {Map<string, Object>} options.sinks - Sink name -> sink (default: from config)
+ * @param {Array<Object>} options.rules - Routing rules (default: getRules())
+ * @param {Array<number>} options.retryDelaysMinutes - Delay before each retry
+ * @param {Function} options.createListener - Notification listener factory override
+ * @returns {Object} Dispatcher with tick(), processNewAnomalies(), processDueDeliveries(),
+ *                   sendDigest(), start() and stop()
+ */
+function createNotificationDispatcher(options = {}) {
+  const store = { ...require('../database/queries'), ...options.store };
+  const sinks = options.sinks || createSinks(SINKS);
+  const rules = options.rules || getRules();
+  const retryDelays = options.retryDelaysMinutes || RETRY_DELAYS_MINUTES;
+  const createListener = options.createListener || createNotificationListener;
+  const pollIntervalMs = options.pollIntervalMs || POLL_INTERVAL_MS;
+
+  const enabledSinks = new Set(sinks.keys());
+
+  let listener = null;
+  let pollTimer = null;
+  let digestTask = null;
+  let running = null;
+  let rerun = false;
+
+  /**
+   * Decide what happens to one (rule, sink) route of an anomaly
+   */
+  async function getDeliveryStatus(rule, sinkName, dedupKey) {
+    if (rule.digest) {
+      return 'digest_pending';
+    }
+
+    if (rule.dedupMinutes && await store.findDuplicateDelivery(rule.name, sinkName, dedupKey, rule.dedupMinutes)) {
+      return 'duplicate';
+    }
+
+    if (rule.rateLimit) {
+      const recent = await store.countRuleDeliveries(rule.name, sinkName, rule.rateLimit.windowMinutes);
+      if (recent >= rule.rateLimit.max) {
+        return 'rate_limited';
+      }
+    }
+
+    return 'pending';
+  }
+
+  /**
+   * Create deliveries for an anomaly
+   */
+  async function routeAnomaly(anomaly) {
+    const dedupKey = getDedupKey(anomaly);
+    const deliveries = [];
+
+    for (const { rule, sinkName } of getRoutes(rules, anomaly, enabledSinks)) {
+      const status = await getDeliveryStatus(rule, sinkName, dedupKey);
+
+      deliveries.push(await store.createNotificationDelivery({
+        anomaly_ids: [anomaly.id],
+        rule_name: rule.name,
+        sink_name: sinkName,
+        dedup_key: dedupKey,
+        status,
+        next_attempt_at: status === 'pending' ? new Date() : null,
+      }));
+
+      if (status !== 'pending') {
+        logger.info(`[NOTIFY] Anomaly ${anomaly.id} not sent to ${sinkName} now: ${status}`, { rule: rule.name });
+      }
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Route every anomaly committed since the cursor, in commit order
+   * @returns {Promise<number>} Anomalies routed
+   */
+  async function processNewAnomalies() {
+    let cursor = await store.getNotificationCursor(DISPATCHER_NAME);
+    let routed = 0;
+
+    for (;;) {
+      const anomalies = await store.getAnomaliesAfter(cursor, BATCH_SIZE);
+
+      for (const anomaly of anomalies) {
+        await routeAnomaly(anomaly);
+        cursor = anomaly.id;
+        await store.saveNotificationCursor(DISPATCHER_NAME, cursor);
+        routed++;
+      }
+
+      if (anomalies.length < BATCH_SIZE) break;
+    }
+
+    return routed;
+  }
+
+  /**
+   * Send one claimed delivery and record the attempt
+   */
+  async function attemptDelivery(delivery) {
+    const attempt = delivery.attempts + 1;
+    const sink = sinks.get(delivery.sink_name);
+    const rule = rules.find(candidate => candidate.name === delivery.rule_name);
+    const startTime = Date.now();
+
+    let responseStatus = null;
+    let errorMessage = null;
+
+    try {
+      if (!sink) {
+        throw new Error(`Sink ${delivery.sink_name} is not configured`);
+      }
+
+      const anomalies = await store.getAnomaliesByIds(delivery.anomaly_ids);
+      if (anomalies.length === 0) {
+        throw new Error('None of the anomalies in this delivery exist any more');
+      }
+
+      const result = await sink.send({
+        ruleName: delivery.rule_name,
+        digest: Boolean(rule?.digest),
+        anomalies,
+      });
+      responseStatus = result.responseStatus;
+    } catch (error) {
+      responseStatus = error.response?.status ?? null;
+      errorMessage = describeError(error);
+    }
+
+    const durationMs = Date.now() - startTime;
+
+    if (!errorMessage) {
+      logger.info(`[NOTIFY] Delivery ${delivery.id} sent to ${delivery.sink_name}`, { attempt, durationMs });
+      return store.recordNotificationAttempt(delivery.id, {
+        attempt,
+        success: true,
+        response_status: responseStatus,
+        duration_ms: durationMs,
+        status: 'sent',
+      });
+    }
+
+    const delayMinutes = sink ? retryDelays[attempt - 1] : undefined;
+    const retrying = delayMinutes !== undefined;
+
+    logger.warn(`[NOTIFY] Delivery ${delivery.id} to ${delivery.sink_name} failed`, {
+      attempt,
+      error: errorMessage,
+      nextAttemptInMinutes: retrying ? delayMinutes : null,
+    });
+
+    return store.recordNotificationAttempt(delivery.id, {
+      attempt,
+      success: false,
+      response_status: responseStatus,
+      error_message: errorMessage,
+      duration_ms: durationMs,
+      status: retrying ? 'retrying' : 'failed',
+      next_attempt_at: retrying ? new Date(Date.now() + delayMinutes * 60 * 1000) : null,
+    });
+  }
+
+  /**
+   * Attempt every delivery that is due
+   * @returns {Promise<Array<Object>>} Updated deliveries
+   */
+  async function processDueDeliveries() {
+    const results = [];
+
+    for (;;) {
+      const claimed = await store.claimDueNotificationDeliveries(CLAIM_LIMIT, LEASE_MINUTES);
+      for (const delivery of claimed) {
+        results.push(await attemptDelivery(delivery));
+      }
+      if (claimed.length < CLAIM_LIMIT) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Bundle pending digest entries into one delivery per rule and sink, then send them
+   * @returns {Promise<Array<Object>>} Digest deliveries created
+   */
+  async function sendDigest() {
+    const created = [];
+
+    for (const rule of rules.filter(candidate => candidate.digest)) {
+      for (const sinkName of rule.sinks) {
+        const digest = await store.createDigestDelivery(rule.name, sinkName);
+        if (digest) {
+          created.push(digest);
+          logger.info(`[NOTIFY] Digest ${digest.id} queued for ${sinkName}`, {
+            rule: rule.name,
+            anomalies: digest.anomaly_ids.length,
+          });
+        }
+      }
+    }
+
+    if (created.length > 0) {
+      await processDueDeliveries();
+    }
+
+    return created;
+  }
+
+  /**
+   * Route new anomalies and send what is due; calls that arrive while a tick
+   * is running are folded into one follow-up tick
+   */
+  async function tick() {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+
+    running = (async () => {
+      do {
+        rerun = false;
+        try {
+          await processNewAnomalies();
+          await processDueDeliveries();
+        } catch (error) {
+          logger.error('[NOTIFY] Dispatch failed', { error: error.message });
+        }
+      } while (rerun);
+    })();
+
+    try {
+      await running;
+    } finally {
+      running = null;
+    }
+  }
+
+  /**
+   * Keep dispatching: on every change-feed notification, every poll interval
+   * (which also picks up retries) and the digest on DIGEST_CRON
+   */
+  async function start() {
+    if (listener) return;
+
+    listener = createListener({
+      channel: 'realtime_events',
+      onNotification: () => tick(),
+      onConnect: () => tick(),
+    });
+    await listener.start();
+
+    pollTimer = setInterval(() => tick(), pollIntervalMs);
+
+    if (rules.some(rule => rule.digest)) {
+      digestTask = cron.schedule(DIGEST_CRON, async () => {
+        try {
+          await sendDigest();
+        } catch (error) {
+          logger.error('[NOTIFY] Digest failed', { error: error.message });
+        }
+      });
+    }
+
+    logger.info('[NOTIFY] Notification dispatcher started', {
+      sinks: [...enabledSinks],
+      rules: rules.map(rule => rule.name),
+    });
+  }
+
+  async function stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    if (digestTask) {
+      digestTask.stop();
+      digestTask = null;
+    }
+    if (listener) {
+      await listener.stop();
+      listener = null;
+    }
+    if (running) {
+      await running;
+    }
+  }
+
+  return { tick, processNewAnomalies, processDueDeliveries, sendDigest, start, stop };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+
+  console.log('='.repeat(60));
+  console.log('EtherFi Alert Notifications');
+  console.log('='.repeat(60));
+
+  try {
+    if (process.argv.includes('--status')) {
+      const { getNotificationDeliveries } = require('../database/queries');
+      for (const delivery of await getNotificationDeliveries(50)) {
+        console.log(`#${delivery.id} ${delivery.status.padEnd(14)} ${delivery.sink_name.padEnd(8)} `
+          + `${delivery.rule_name} anomalies=${delivery.anomaly_ids.join(',')} attempts=${delivery.attempts}`
+          + (delivery.last_error ? ` (${delivery.last_error})` : ''));
+      }
+      return;
+    }
+
+    const dispatcher = createNotificationDispatcher();
+    const enabled = Object.keys(SINKS).filter(name => SINKS[name].enabled);
+    console.log(`Sinks enabled: ${enabled.join(', ') || 'none'}`);
+
+    if (process.argv.includes('--watch')) {
+      await dispatcher.start();
+      console.log('\n✅ Dispatcher running (Ctrl+C to stop)');
+
+      process.on('SIGINT', async () => {
+        await dispatcher.stop();
+        await closePool();
+        process.exit(0);
+      });
+      return;
+    }
+
+    if (process.argv.includes('--digest')) {
+      const digests = await dispatcher.sendDigest();
+      console.log(`\n✅ ${digests.length} digest(s) sent`);
+    } else {
+      const routed = await dispatcher.processNewAnomalies();
+      const results = await dispatcher.processDueDeliveries();
+      const sent = results.filter(delivery => delivery.status === 'sent').length;
+      console.log(`\n✅ ${routed} anomaly(ies) routed, ${sent}/${results.length} deliveries sent`);
+    }
+  } catch (error) {
+    console.error('\n❌ Notification dispatch failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (!process.argv.includes('--watch')) {
+      await closePool();
+    }
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createNotificationDispatcher,
+};
@@ -0,0 +1,68 @@
+/**
+ * Notification Routing
+ * Matches anomalies against routing rules (pure, no I/O)
+ */
+
+const { SEVERITIES } = require('../analysis/response-schema');
+
+/**
+ * Whether an anomaly matches a rule's match block
+ * Empty or missing criteria match everything.
+ */
+function matchesRule(rule, anomaly) {
+  const match = rule.match || {};
+
+  if (match.severity && !match.severity.includes(anomaly.severity)) {
+    return false;
+  }
+
+  if (match.minSeverity && SEVERITIES.indexOf(anomaly.severity) < SEVERITIES.indexOf(match.minSeverity)) {
+    return false;
+  }
+
+  if (match.anomalyType && !match.anomalyType.includes(anomaly.anomaly_type)) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Key identifying "the same alert" for deduplication: type plus affected metrics
+ */
+function getDedupKey(anomaly) {
+  const metrics = [...(anomaly.affected_metrics || [])].sort().join(',');
+  return `${anomaly.anomaly_type}:${metrics}`.slice(0, 200);
+}
+
+/**
+ * Resolve the (rule, sink) pairs an anomaly should be delivered to
+ * Rules are evaluated in order and the first matching rule wins for each sink,
+ * so an anomaly is never sent to the same sink twice.
+ * @param {Array<Object>} rules
+ * @param {Object} anomaly
+ * @param {Set<string>} enabledSinks - Names of configured sinks
+ * @returns {Array<Object>} [{ rule, sinkName }]
+ */
+function getRoutes(rules, anomaly, enabledSinks) {
+  const routes = [];
+  const claimed = new Set();
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, anomaly)) continue;
+
+    for (const sinkName of rule.sinks) {
+      if (!enabledSinks.has(sinkName) || claimed.has(sinkName)) continue;
+      claimed.add(sinkName);
+      routes.push({ rule, sinkName });
+    }
+  }
+
+  return routes;
+}
+
+module.exports = {
+  matchesRule,
+  getDedupKey,
+  getRoutes,
+};
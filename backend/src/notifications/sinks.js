@@ -0,0 +1,215 @@
+/**
+ * Notification Sinks
+ * Delivery backends for alert notifications: signed HTTP webhook, Slack-formatted
+ * webhook and SMTP email
+ *
+ * Every sink exposes send(message), where message is
+ *   { ruleName, digest, anomalies: [anomaly rows] }
+ * and resolves to { responseStatus } or throws on failure.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const { REQUEST_TIMEOUT_MS, DASHBOARD_URL } = require('../../config/notifications');
+
+const SEVERITY_EMOJI = {
+  LOW: ':large_blue_circle:',
+  MEDIUM: ':large_yellow_circle:',
+  HIGH: ':large_orange_circle:',
+  CRITICAL: ':red_circle:',
+};
+
+/**
+ * HMAC-SHA256 signature of a webhook body
+ * Receivers recompute it over `${timestamp}.${body}` with the shared secret.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function anomalyLink(anomaly) {
+  return DASHBOARD_URL ? `${DASHBOARD_URL.replace(/\/$/, '')}/anomalies/${anomaly.id}` : null;
+}
+
+/**
+ * Subject line shared by email and plain-text formats
+ */
+function formatSubject(message) {
+  if (message.digest) {
+    return `EtherFi anomaly digest: ${message.anomalies.length} anomaly(ies)`;
+  }
+  const [anomaly] = message.anomalies;
+  return `[${anomaly.severity}] ${anomaly.title}`;
+}
+
+/**
+ * Plain-text body used for email
+ */
+function formatText(message) {
+  const sections = message.anomalies.map((anomaly) => {
+    const lines = [
+      `[${anomaly.severity}] ${anomaly.title}`,
+      `Type: ${anomaly.anomaly_type}   Confidence: ${anomaly.confidence}   Detected: ${new Date(anomaly.detected_at).toISOString()}`,
+      `Metrics: ${(anomaly.affected_metrics || []).join(', ')}`,
+      '',
+      anomaly.description,
+    ];
+    if (anomaly.recommendation) lines.push('', `Recommendation: ${anomaly.recommendation}`);
+    const link = anomalyLink(anomaly);
+    if (link) lines.push('', link);
+    return lines.join('\n');
+  });
+
+  return `${sections.join('\n\n' + '-'.repeat(60) + '\n\n')}\n\n(rule: ${message.ruleName})\n`;
+}
+
+/**
+ * Slack incoming-webhook payload (text fallback plus Block Kit sections)
+ */
+function formatSlack(message) {
+  const blocks = [];
+
+  if (message.digest) {
+    blocks.push({
+      type: 'header',
+      text: { type: 'plain_text', text: formatSubject(message) },
+    });
+  }
+
+  for (const anomaly of message.anomalies) {
+    const link = anomalyLink(anomaly);
+    const title = link ? `<${link}|${anomaly.title}>` : anomaly.title;
+
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `${SEVERITY_EMOJI[anomaly.severity] || ''} *${anomaly.severity}* ${title}\n${anomaly.description}`,
+      },
+      fields: [
+        { type: 'mrkdwn', text: `*Type*\n${anomaly.anomaly_type}` },
+        { type: 'mrkdwn', text: `*Confidence*\n${anomaly.confidence}` },
+        { type: 'mrkdwn', text: `*Metrics*\n${(anomaly.affected_metrics || []).join(', ') || '-'}` },
+      ],
+    });
+  }
+
+  return { text: formatSubject(message), blocks };
+}
+
+/**
+ * Generic webhook payload
+ */
+function formatWebhook(message) {
+  return {
+    event: message.digest ? 'anomaly.digest' : 'anomaly.detected',
+    rule: message.ruleName,
+    sent_at: new Date().toISOString(),
+    anomalies: message.anomalies.map(({ claude_prompt, ...anomaly }) => ({
+      ...anomaly,
+      url: anomalyLink(anomaly),
+    })),
+  };
+}
+
+/**
+ * Webhook sink; signs the body when a secret is configured
+ */
+function createWebhookSink(name, config) {
+  return {
+    name,
+    type: 'webhook',
+    async send(message) {
+      const body = JSON.stringify(formatWebhook(message));
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = { 'Content-Type': 'application/json', 'X-EtherFi-Timestamp': timestamp };
+
+      if (config.secret) {
+        headers['X-EtherFi-Signature'] = `sha256=${signPayload(config.secret, timestamp, body)}`;
+      }
+
+      const response = await axios.post(config.url, body, { headers, timeout: REQUEST_TIMEOUT_MS });
+      return { responseStatus: response.status };
+    },
+  };
+}
+
+/**
+ * Slack-compatible incoming webhook sink
+ */
+function createSlackSink(name, config) {
+  return {
+    name,
+    type: 'slack',
+    async send(message) {
+      const response = await axios.post(config.url, formatSlack(message), { timeout: REQUEST_TIMEOUT_MS });
+      return { responseStatus: response.status };
+    },
+  };
+}
+
+/**
+ * SMTP email sink
+ */
+function createSmtpSink(name, config) {
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: config.user ? { user: config.user, pass: config.password } : undefined,
+    connectionTimeout: REQUEST_TIMEOUT_MS,
+    greetingTimeout: REQUEST_TIMEOUT_MS,
+    socketTimeout: REQUEST_TIMEOUT_MS,
+  });
+
+  return {
+    name,
+    type: 'smtp',
+    async send(message) {
+      await transport.sendMail({
+        from: config.from,
+        to: config.to,
+        subject: formatSubject(message),
+        text: formatText(message),
+      });
+      return { responseStatus: null };
+    },
+  };
+}
+
+const SINK_FACTORIES = {
+  webhook: createWebhookSink,
+  slack: createSlackSink,
+  smtp: createSmtpSink,
+};
+
+/**
+ * Build sink instances from configuration, skipping disabled ones
+ * @param {Object} configs - Sink name -> config (see config/notifications.js)
+ * @returns {Map<string, Object>} Sink name -> sink
+ */
+function createSinks(configs) {
+  const sinks = new Map();
+
+  for (const [name, config] of Object.entries(configs)) {
+    if (config.enabled === false) continue;
+
+    const factory = SINK_FACTORIES[config.type];
+    if (!factory) {
+      throw new Error(`Unknown notification sink type "${config.type}" for sink ${name}`);
+    }
+    sinks.set(name, factory(name, config));
+  }
+
+  return sinks;
+}
+
+module.exports = {
+  createSinks,
+  signPayload,
+  formatSlack,
+  formatText,
+  formatWebhook,
+};
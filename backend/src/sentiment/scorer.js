@@ -0,0 +1,208 @@
+/**
+ * Sentiment Scorer
+ * Local, deterministic lexicon scoring for social posts (pure, no I/O)
+ *
+ * Each lexicon term has a weight from -5 to 5, with crypto-specific terms such
+ * as "depeg", "exploit" and "rug" weighted heavily. A negator ("not", "never",
+ * "isn't", ...) within three words before a term flips and halves it, and an
+ * intensifier ("very", "massive", ...) right before it adds half. The sum is
+ * normalized to -1..1 with s / sqrt(s^2 + 15), as in VADER.
+ */
+
+const { SENTIMENT_TERMS, RISK_KEYWORDS, LABEL_THRESHOLD } = require('../../config/sentiment');
+
+const LEXICON = {
+  // Positive
+  good: 2,
+  great: 3,
+  amazing: 4,
+  excellent: 3,
+  love: 3,
+  bullish: 3,
+  moon: 2,
+  ath: 3,
+  strong: 2,
+  solid: 2,
+  safe: 2,
+  secure: 2,
+  audited: 2,
+  growth: 2,
+  growing: 2,
+  gain: 2,
+  gains: 2,
+  profit: 2,
+  rewards: 2,
+  yield: 1,
+  adoption: 2,
+  partnership: 2,
+  launch: 1,
+  launched: 1,
+  upgrade: 1,
+  recovered: 2,
+  recovery: 2,
+  restored: 2,
+  resolved: 2,
+  undervalued: 2,
+  inflows: 1,
+  // Negative
+  bad: -3,
+  bearish: -3,
+  worried: -2,
+  concern: -2,
+  concerns: -2,
+  concerning: -2,
+  warning: -2,
+  fud: -2,
+  risk: -2,
+  risky: -2,
+  sell: -1,
+  selling: -1,
+  dump: -3,
+  dumping: -3,
+  selloff: -3,
+  panic: -3,
+  crash: -4,
+  crashed: -4,
+  loss: -3,
+  losses: -3,
+  outflows: -1,
+  delay: -2,
+  delayed: -2,
+  stuck: -3,
+  outage: -3,
+  bug: -3,
+  paused: -2,
+  halted: -3,
+  frozen: -3,
+  liquidation: -3,
+  slashing: -3,
+  slashed: -3,
+  depeg: -4,
+  contagion: -4,
+  attack: -4,
+  vulnerability: -4,
+  phishing: -4,
+  hack: -4,
+  hacked: -5,
+  exploit: -5,
+  exploited: -5,
+  drain: -4,
+  drained: -5,
+  rug: -5,
+  rugpull: -5,
+  bankrun: -4,
+  compromised: -5,
+  insolvent: -5,
+  insolvency: -5,
+  scam: -5,
+  fraud: -5,
+};
+
+// Multi-word and spelling variants rewritten to a single lexicon token first
+const PHRASES = [
+  [/\brug[\s-]?pull(ed|s)?\b/g, 'rugpull'],
+  [/\brugged\b/g, 'rug'],
+  [/\bde[\s-]peg(ged|ging|s)?\b/g, 'depeg'],
+  [/\bdepeg(ged|ging|s)\b/g, 'depeg'],
+  [/\bbank[\s-]run\b/g, 'bankrun'],
+  [/\ball[\s-]time[\s-]high\b/g, 'ath'],
+  [/\bsell[\s-]off\b/g, 'selloff'],
+  [/\bto the moon\b/g, 'moon'],
+];
+
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'without', 'hardly', 'nothing',
+  "isn't", "aren't", "wasn't", "weren't", "don't", "doesn't", "didn't", "won't", "can't", 'cannot',
+]);
+
+const INTENSIFIERS = new Set(['very', 'extremely', 'really', 'super', 'massive', 'huge', 'major', 'totally']);
+
+const NEGATION_SPAN = 3;
+const NORMALIZATION_ALPHA = 15;
+
+/**
+ * Lowercase, rewrite phrases and split into words
+ * Dots and underscores stay inside words (ether.fi, ether_fi); #, $ and @ are dropped.
+ */
+function tokenize(text) {
+  let normalized = String(text || '').toLowerCase().replace(/[‘’]/g, "'");
+  for (const [pattern, replacement] of PHRASES) {
+    normalized = normalized.replace(pattern, replacement);
+  }
+
+  return normalized
+    .split(/[^a-z0-9._']+/)
+    .map(token => token.replace(/^[.'_]+|[.'_]+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Score a post
+ * @param {string} text - Post text
+ * @param {Object} options
+ * @param {Object} options.lexicon - Term -> weight (default LEXICON)
+ * @param {Array<string>} options.terms - Words that mark a post as about EtherFi (default SENTIMENT_TERMS)
+ * @param {Array<string>} options.riskKeywords - Risk terms (default RISK_KEYWORDS)
+ * @returns {Object} { sentiment_score, sentiment_label, confidence, keywords, mentions_project, risk_keywords }
+ */
+function scorePost(text, options = {}) {
+  const lexicon = options.lexicon || LEXICON;
+  const terms = new Set(options.terms || SENTIMENT_TERMS);
+  const riskKeywords = new Set(options.riskKeywords || RISK_KEYWORDS);
+  const tokens = tokenize(text);
+
+  let sum = 0;
+  let positive = 0;
+  let negative = 0;
+  const matched = [];
+  const mentioned = [];
+
+  tokens.forEach((token, index) => {
+    if (terms.has(token) && !mentioned.includes(token)) {
+      mentioned.push(token);
+    }
+
+    const base = lexicon[token];
+    if (base === undefined) return;
+
+    let weight = base;
+    if (index > 0 && INTENSIFIERS.has(tokens[index - 1])) {
+      weight *= 1.5;
+    }
+    if (tokens.slice(Math.max(0, index - NEGATION_SPAN), index).some(word => NEGATORS.has(word))) {
+      weight *= -0.5;
+    }
+
+    sum += weight;
+    if (weight > 0) positive += weight;
+    if (weight < 0) negative -= weight;
+    if (!matched.includes(token)) matched.push(token);
+  });
+
+  const score = Number((sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)).toFixed(2));
+  let label = 'neutral';
+  if (score >= LABEL_THRESHOLD) label = 'positive';
+  if (score <= -LABEL_THRESHOLD) label = 'negative';
+
+  // More matched terms pointing the same way means more confidence; no terms means little
+  const evidence = Math.min(1, matched.length / 3);
+  const agreement = positive + negative > 0 ? Math.abs(positive - negative) / (positive + negative) : 0;
+  const confidence = matched.length === 0
+    ? 0.2
+    : Number((0.3 + 0.7 * evidence * (label === 'neutral' ? 1 - agreement : agreement)).toFixed(2));
+
+  return {
+    sentiment_score: score,
+    sentiment_label: label,
+    confidence,
+    keywords: [...mentioned, ...matched],
+    mentions_project: mentioned.length > 0,
+    risk_keywords: matched.filter(token => riskKeywords.has(token)),
+  };
+}
+
+module.exports = {
+  LEXICON,
+  tokenize,
+  scorePost,
+};
@@ -0,0 +1,185 @@
+/**
+ * Sentiment Collector
+ * Pulls posts from the enabled sources (config/sentiment.js), scores them with the
+ * local lexicon scorer and stores them in twitter_sentiment
+ *
+ * Each source resumes from its newest stored post (or LOOKBACK_HOURS on its first
+ * run). Authors with at least INFLUENTIAL_FOLLOWERS followers are marked
+ * is_influential. A post that mentions EtherFi together with a risk keyword is
+ * risk_flagged and shows up in the risk feed (GET /api/v1/sentiment/risk).
+ *
+ * A failing source is logged and skipped; the run only fails when every source does.
+ *
+ * Usage:
+ *   node src/sentiment/sentiment-collector.js [--dry-run]
+ */
+
+require('dotenv').config();
+
+const { INFLUENTIAL_FOLLOWERS, LOOKBACK_HOURS } = require('../../config/sentiment');
+const { createSources } = require('./sources');
+const { scorePost } = require('./scorer');
+const logger = require('../utils/logger');
+
+/**
+ * Score a fetched post into a twitter_sentiment row
+ * @param {Object} post - Post from a source
+ * @param {string} source - Source name
+ * @param {Object} options
+ * @param {number} options.influentialFollowers - Follower threshold for is_influential
+ * @param {Object} options.scoring - scorePost() options
+ * @returns {Object} Row for insertTwitterSentiment, plus mentions_project and risk_keywords (not stored)
+ */
+function buildSentimentRow(post, source, options = {}) {
+  const influentialFollowers = options.influentialFollowers ?? INFLUENTIAL_FOLLOWERS;
+  const score = scorePost(post.text, options.scoring);
+  const followers = post.author_followers ?? null;
+
+  return {
+    tweet_id: String(post.id).slice(0, 100),
+    tweet_text: post.text,
+    author_username: post.author_username,
+    author_followers: followers,
+    sentiment_score: score.sentiment_score,
+    sentiment_label: score.sentiment_label,
+    confidence: score.confidence,
+    retweet_count: post.retweet_count ?? null,
+    like_count: post.like_count ?? null,
+    reply_count: post.reply_count ?? null,
+    keywords: score.keywords,
+    is_influential: followers !== null && followers >= influentialFollowers,
+    timestamp: post.timestamp,
+    source,
+    url: post.url || null,
+    risk_flagged: score.mentions_project && score.risk_keywords.length > 0,
+    mentions_project: score.mentions_project,
+    risk_keywords: score.risk_keywords,
+  };
+}
+
+/**
+ * Create a sentiment collector
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - Sources (default: createSources())
+ * @param {Object} options.store - Query overrides for testing
+ * @param {number} options.influentialFollowers - Follower threshold for is_influential
+ * @param {number} options.lookbackHours - First-run window per source
+ * @param {Object} options.scoring - scorePost() options
+ * @returns {Object} Collector with collectOnce()
+ */
+function createSentimentCollector(options = {}) {
+  const sources = options.sources || createSources();
+  const store = { ...require('../database/queries'), ...options.store };
+  const lookbackHours = options.lookbackHours || LOOKBACK_HOURS;
+
+  /**
+   * Fetch, score and store one round of posts
+   * @param {Object} runOptions
+   * @param {boolean} runOptions.dryRun - Score but don't store
+   * @returns {Promise<Object>} { fetched, stored, skipped, riskPosts, errors }
+   */
+  async function collectOnce(runOptions = {}) {
+    if (sources.length === 0) {
+      logger.warn('[COLLECTOR] No sentiment sources configured (TWITTER_BEARER_TOKEN, SENTIMENT_FEED_URLS or SENTIMENT_FIXTURE_FILE)');
+      return { fetched: 0, stored: 0, skipped: 0, riskPosts: [], errors: [] };
+    }
+
+    const latest = await store.getLatestSentimentTimestamps();
+    const fallbackSince = new Date(Date.now() - lookbackHours * 60 * 60 * 1000);
+    const riskPosts = [];
+    const errors = [];
+    let fetched = 0;
+    let stored = 0;
+    let skipped = 0;
+
+    for (const source of sources) {
+      const since = latest[source.name] ? new Date(latest[source.name]) : fallbackSince;
+
+      let posts;
+      try {
+        posts = await source.fetchPosts({ since });
+      } catch (error) {
+        logger.warn(`[COLLECTOR] Sentiment source ${source.name} failed`, { error: error.message });
+        errors.push({ source: source.name, error: error.message });
+        continue;
+      }
+
+      fetched += posts.length;
+
+      for (const post of posts) {
+        const row = buildSentimentRow(post, source.name, options);
+        if (source.requireMention && !row.mentions_project) {
+          skipped++;
+          continue;
+        }
+
+        if (!runOptions.dryRun) {
+          await store.insertTwitterSentiment(row);
+        }
+        stored++;
+
+        if (row.risk_flagged) {
+          riskPosts.push(row);
+        }
+      }
+    }
+
+    if (errors.length === sources.length) {
+      throw new Error(`All sentiment sources failed: ${errors.map(e => `${e.source}: ${e.error}`).join('; ')}`);
+    }
+
+    logger.collector('Sentiment collection completed', {
+      sources: sources.map(source => source.name),
+      fetched,
+      stored,
+      skipped,
+      riskPosts: riskPosts.length,
+      failedSources: errors.length,
+      dryRun: Boolean(runOptions.dryRun),
+    });
+
+    return { fetched, stored, skipped, riskPosts, errors };
+  }
+
+  return { collectOnce };
+}
+
+async function main() {
+  const { closePool } = require('../database/db-connection');
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    const { fetched, stored, skipped, riskPosts, errors } = await createSentimentCollector().collectOnce({ dryRun });
+
+    console.log('='.repeat(60));
+    console.log('Sentiment collection');
+    console.log('='.repeat(60));
+    for (const { source, error } of errors) {
+      console.log(`❌ ${source}: ${error}`);
+    }
+    for (const post of riskPosts) {
+      console.log(`[RISK ${post.risk_keywords.join(', ')}] ${post.author_username || post.source}`
+        + `${post.is_influential ? ' (influential)' : ''}: ${post.tweet_text.slice(0, 140)}`);
+    }
+
+    console.log();
+    console.log(`${fetched} fetched, ${stored} ${dryRun ? 'scored (dry run)' : 'stored'}, `
+      + `${skipped} not about EtherFi, ${riskPosts.length} risk post(s)`);
+  } catch (error) {
+    console.error('\n❌ Sentiment collection failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  buildSentimentRow,
+  createSentimentCollector,
+};
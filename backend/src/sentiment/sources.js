@@ -0,0 +1,261 @@
+/**
+ * Sentiment Sources
+ * Where social posts come from: Twitter API v2 recent search, RSS / Atom /
+ * JSON Feed URLs, and a JSON fixture file for offline runs and tests
+ *
+ * Every source exposes
+ *   name            - Stored in twitter_sentiment.source
+ *   requireMention  - Keep only posts that mention a SENTIMENT_TERMS word
+ *   fetchPosts({ since }) - Posts published after since, as
+ *     { id, text, author_username, author_followers, retweet_count, like_count,
+ *       reply_count, url, timestamp }
+ * and throws on failure.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+const { SOURCES, REQUEST_TIMEOUT_MS } = require('../../config/sentiment');
+
+// Recent search only reaches back 7 days; stay a minute inside that
+const TWITTER_SEARCH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000 - 60 * 1000;
+
+function httpError(description, error) {
+  const data = error.response?.data;
+  const message = data?.detail || data?.title || data?.message || error.message;
+  return new Error(error.response
+    ? `${description} failed: HTTP ${error.response.status}: ${message}`
+    : `${description} failed: ${error.message}`);
+}
+
+/**
+ * Turn a Twitter API v2 search response into posts
+ */
+function normalizeTwitterResponse(body) {
+  const users = new Map((body.includes?.users || []).map(user => [user.id, user]));
+
+  return (body.data || []).map((tweet) => {
+    const author = users.get(tweet.author_id);
+    const metrics = tweet.public_metrics || {};
+    return {
+      id: tweet.id,
+      text: tweet.text,
+      author_username: author?.username || null,
+      author_followers: author?.public_metrics?.followers_count ?? null,
+      retweet_count: metrics.retweet_count ?? 0,
+      like_count: metrics.like_count ?? 0,
+      reply_count: metrics.reply_count ?? 0,
+      url: author ? `https://twitter.com/${author.username}/status/${tweet.id}` : null,
+      timestamp: new Date(tweet.created_at),
+    };
+  });
+}
+
+/**
+ * Twitter API v2 recent search
+ * @param {Object} config - SOURCES.twitter
+ */
+function createTwitterSource(config = SOURCES.twitter) {
+  const http = axios.create({
+    baseURL: config.baseUrl.replace(/\/$/, ''),
+    timeout: config.timeoutMs || REQUEST_TIMEOUT_MS,
+    headers: { Authorization: `Bearer ${config.bearerToken}` },
+  });
+
+  async function fetchPosts({ since }) {
+    const earliest = Date.now() - TWITTER_SEARCH_WINDOW_MS;
+    const startTime = new Date(Math.max(new Date(since).getTime(), earliest));
+    const posts = [];
+    let nextToken;
+
+    for (let page = 0; page < config.maxPages; page++) {
+      let body;
+      try {
+        const response = await http.get('/2/tweets/search/recent', {
+          params: {
+            query: config.query,
+            max_results: 100,
+            start_time: startTime.toISOString(),
+            'tweet.fields': 'created_at,public_metrics,author_id',
+            expansions: 'author_id',
+            'user.fields': 'username,public_metrics',
+            ...(nextToken ? { next_token: nextToken } : {}),
+          },
+        });
+        body = response.data;
+      } catch (error) {
+        throw httpError('Twitter search', error);
+      }
+
+      posts.push(...normalizeTwitterResponse(body));
+      nextToken = body.meta?.next_token;
+      if (!nextToken) break;
+    }
+
+    return posts;
+  }
+
+  return { name: 'twitter', requireMention: false, fetchPosts };
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&(apos|#39);/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Inner text of the first of the given tags in an XML fragment
+ */
+function xmlTag(xml, names) {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    if (match) {
+      // Entity-encoded HTML (RSS descriptions) decodes to markup, so strip twice
+      return decodeEntities(decodeEntities(match[1]));
+    }
+  }
+  return null;
+}
+
+function feedPostId(feedUrl, key) {
+  return `feed:${crypto.createHash('sha1').update(`${feedUrl}\n${key}`).digest('hex')}`;
+}
+
+function feedPost(feedUrl, item) {
+  const text = [item.title, item.body].filter(Boolean).join('. ');
+  return {
+    id: feedPostId(feedUrl, item.guid || item.url || text),
+    text,
+    author_username: item.author ? item.author.slice(0, 100) : null,
+    author_followers: null,
+    retweet_count: null,
+    like_count: null,
+    reply_count: null,
+    url: item.url || null,
+    timestamp: item.published && !Number.isNaN(Date.parse(item.published)) ? new Date(item.published) : new Date(),
+  };
+}
+
+/**
+ * Parse an RSS, Atom or JSON Feed document into posts
+ * @param {string} feedUrl - Used to derive stable post ids
+ * @param {string|Object} body - Response body (parsed JSON or text)
+ */
+function parseFeed(feedUrl, body) {
+  let document = body;
+  if (typeof document === 'string' && /^\s*[[{]/.test(document)) {
+    document = JSON.parse(document);
+  }
+
+  if (typeof document === 'object' && document !== null) {
+    const items = Array.isArray(document) ? document : document.items || [];
+    return items.map(item => feedPost(feedUrl, {
+      guid: item.id,
+      url: item.url || item.link,
+      title: item.title,
+      body: item.content_text || item.summary
+        || (item.content_html ? decodeEntities(item.content_html) : null) || item.text,
+      author: item.author?.name || item.authors?.[0]?.name || (typeof item.author === 'string' ? item.author : null),
+      published: item.date_published || item.published || item.date,
+    }));
+  }
+
+  const blocks = document.match(/<item[\s>][\s\S]*?<\/item>/gi)
+    || document.match(/<entry[\s>][\s\S]*?<\/entry>/gi)
+    || [];
+
+  return blocks.map((block) => {
+    const atomLink = block.match(/<link[^>]*href="([^"]+)"/i);
+    return feedPost(feedUrl, {
+      guid: xmlTag(block, ['guid', 'id']),
+      url: xmlTag(block, ['link']) || (atomLink && atomLink[1]),
+      title: xmlTag(block, ['title']),
+      body: xmlTag(block, ['description', 'summary', 'content']),
+      author: xmlTag(block, ['dc:creator', 'author', 'name']),
+      published: xmlTag(block, ['pubDate', 'published', 'updated', 'dc:date']),
+    });
+  });
+}
+
+/**
+ * RSS, Atom or JSON Feed URLs
+ * A feed that fails fails the source; the collector records it and carries on.
+ * @param {Object} config - SOURCES.feed
+ */
+function createFeedSource(config = SOURCES.feed) {
+  const http = axios.create({ timeout: config.timeoutMs || REQUEST_TIMEOUT_MS, responseType: 'text' });
+
+  async function fetchPosts({ since }) {
+    const cutoff = new Date(since).getTime();
+    const posts = [];
+
+    for (const url of config.urls) {
+      let body;
+      try {
+        body = (await http.get(url)).data;
+      } catch (error) {
+        throw httpError(`Feed ${url}`, error);
+      }
+      posts.push(...parseFeed(url, body).filter(post => post.timestamp.getTime() > cutoff));
+    }
+
+    return posts;
+  }
+
+  return { name: 'feed', requireMention: true, fetchPosts };
+}
+
+/**
+ * JSON fixture file: an array of posts, or a saved Twitter API v2 search response
+ * @param {Object} config - SOURCES.fixture
+ */
+function createFixtureSource(config = SOURCES.fixture) {
+  async function fetchPosts({ since }) {
+    const body = JSON.parse(await fs.promises.readFile(config.file, 'utf8'));
+    const posts = Array.isArray(body)
+      ? body.map(post => ({ ...post, timestamp: new Date(post.timestamp) }))
+      : normalizeTwitterResponse(body);
+
+    return posts.filter(post => post.timestamp.getTime() > new Date(since).getTime());
+  }
+
+  return { name: 'fixture', requireMention: false, fetchPosts };
+}
+
+const FACTORIES = {
+  twitter: createTwitterSource,
+  feed: createFeedSource,
+  fixture: createFixtureSource,
+};
+
+/**
+ * Build every enabled source
+ * @param {Object} config - Source name -> settings (default SOURCES)
+ * @returns {Array<Object>} Sources
+ */
+function createSources(config = SOURCES) {
+  return Object.entries(config)
+    .filter(([, settings]) => settings.enabled)
+    .map(([name, settings]) => FACTORIES[name](settings));
+}
+
+module.exports = {
+  normalizeTwitterResponse,
+  parseFeed,
+  createTwitterSource,
+  createFeedSource,
+  createFixtureSource,
+  createSources,
+};
@@ -0,0 +1,109 @@
+/**
+ * EtherFi Anomaly Detection API Server
+ * Serves the versioned REST API under /api/v1 and the WebSocket push channel
+ * on the same port
+ *
+ * Usage:
+ *   node src/server.js
+ */
+
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+
+const { createApiRouter } = require('./api');
+const { createRealtimeServer } = require('./api/realtime');
+const { createJobRunner } = require('./jobs/job-runner');
+const { errorMiddleware, APIError } = require('./utils/error-handler');
+const logger = require('./utils/logger');
+
+const PORT = parseInt(process.env.PORT || '3001');
+const API_PREFIX = '/api/v1';
+
+/**
+ * Build the Express app
+ * @param {Object} options
+ * @param {Object} options.store - Query overrides for testing (see database/queries.js)
+ * @param {Function} options.healthCheck - Database health check override
+ * @param {Object} options.jobRunner - Job runner override (manual triggers from /jobs)
+ * @returns {express.Application}
+ */
+function createApp(options = {}) {
+  const store = { ...require('./database/queries'), ...options.store };
+  const healthCheck = options.healthCheck || require('./database/db-connection').healthCheck;
+  const jobRunner = options.jobRunner || createJobRunner({ store });
+
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
+  app.use(express.json({ limit: '100kb' }));
+
+  app.use((req, res, next) => {
+    const start = Date.now();
+    res.on('finish', () => {
+      logger.api(`${req.method} ${req.originalUrl}`, {
+        status: res.statusCode,
+        durationMs: Date.now() - start,
+      });
+    });
+    next();
+  });
+
+  app.use(API_PREFIX, createApiRouter({ store, healthCheck, jobRunner }));
+
+  app.use((req, res, next) => {
+    next(new APIError(`Route ${req.method} ${req.path} not found`, 404));
+  });
+
+  app.use(errorMiddleware);
+
+  return app;
+}
+
+/**
+ * Start the HTTP server and attach the WebSocket push channel
+ * @param {Object} options - See createApp, plus port and realtime (false to skip WebSockets)
+ * @returns {Promise<Object>} { server, realtime }
+ */
+async function startServer(options = {}) {
+  const app = createApp(options);
+  const port = options.port ?? PORT;
+
+  const server = await new Promise((resolve, reject) => {
+    const httpServer = app.listen(port, () => {
+      logger.api(`API server listening on port ${httpServer.address().port}`, { prefix: API_PREFIX });
+      resolve(httpServer);
+    });
+    httpServer.on('error', reject);
+  });
+
+  const realtime = options.realtime === false
+    ? null
+    : await createRealtimeServer({ server, store: options.store });
+
+  return { server, realtime };
+}
+
+async function main() {
+  const { testConnection } = require('./database/db-connection');
+
+  const connected = await testConnection();
+  if (!connected) {
+    console.error('\n❌ Cannot reach the database, not starting the API server');
+    process.exit(1);
+  }
+
+  await startServer();
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createApp,
+  startServer,
+  API_PREFIX,
+};
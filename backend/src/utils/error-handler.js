@@ -41,6 +41,33 @@ class ClaudeError extends Error {
   }
 }
 
+class ConfigError extends Error {
+  constructor(message, failures = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.failures = failures;
+  }
+}
+
+class TransitionError extends Error {
+  constructor(message, fromStatus = null, action = null) {
+    super(message);
+    this.name = 'TransitionError';
+    this.statusCode = 409;
+    this.fromStatus = fromStatus;
+    this.action = action;
+  }
+}
+
+class QueryParameterError extends Error {
+  constructor(message, parameter = null) {
+    super(message);
+    this.name = 'QueryParameterError';
+    this.statusCode = 400;
+    this.parameter = parameter;
+  }
+}
+
 /**
  * Handle errors with proper logging and recovery
  */
@@ -61,6 +88,12 @@ function handleError(error, context = '') {
     logger.error(`Claude API error in ${context}:`, errorInfo);
   } else if (error instanceof APIError) {
     logger.error(`API error in ${context}:`, errorInfo);
+  } else if (error instanceof ConfigError) {
+    logger.error(`Configuration error in ${context}:`, { ...errorInfo, failures: error.failures });
+  } else if (error instanceof TransitionError) {
+    logger.warn(`Rejected state transition in ${context}:`, { ...errorInfo, fromStatus: error.fromStatus });
+  } else if (error instanceof QueryParameterError) {
+    logger.warn(`Rejected query parameter in ${context}:`, { ...errorInfo, parameter: error.parameter });
   } else {
     logger.error(`Unexpected error in ${context}:`, errorInfo);
   }
@@ -150,6 +183,9 @@ module.exports = {
   BlockchainError,
   APIError,
   ClaudeError,
+  ConfigError,
+  TransitionError,
+  QueryParameterError,
 
   // Error handlers
   handleError,
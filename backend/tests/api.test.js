@@ -0,0 +1,534 @@
+/**
+ * REST API integration tests
+ * Runs the real Express app against an in-memory store; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { createApp } = require('../src/server');
+const { createJobRunner } = require('../src/jobs/job-runner');
+const { QueryParameterError, TransitionError } = require('../src/utils/error-handler');
+
+const ANOMALY = {
+  id: 7,
+  anomaly_type: 'peg_deviation',
+  severity: 'HIGH',
+  confidence: '0.80',
+  title: 'eETH trading below peg',
+  status: 'active',
+};
+
+function createStore() {
+  return {
+    getLatestMetrics: jest.fn().mockResolvedValue({ timestamp: '2024-01-01T00:00:00Z', tvl_eth: '1000.5' }),
+    getTimeSeriesData: jest.fn().mockResolvedValue([{ tvl_eth: '1000.5' }, { tvl_eth: '999.1' }]),
+    getTimeSeriesHistory: jest.fn(async (hours, { resolution }) => ({
+      resolution: resolution === 'auto' ? 'raw' : resolution,
+      rows: [{ tvl_eth: '1000.5' }, { tvl_eth: '999.1' }],
+    })),
+    getWithdrawalQueueStats: jest.fn().mockResolvedValue({
+      pending_count: '3',
+      pending_eth: '120.5',
+      age_percentiles_hours: [10, 40, 71.5],
+      processed_count: '14',
+      processed_eth: '336',
+      avg_wait_hours: '30.25',
+    }),
+    getPendingWithdrawals: jest.fn().mockResolvedValue([{ request_id: '42', amount_eth: '100' }]),
+    getTopWhales: jest.fn().mockResolvedValue([{ address: '0xabc', current_balance_eeth: '5000' }]),
+    getRecentWhaleMovements: jest.fn().mockResolvedValue([]),
+    getWhaleRankEvents: jest.fn().mockResolvedValue([{ address: '0xabc', event_type: 'entered', rank_position: 20 }]),
+    getExchangeFlowsHourly: jest.fn().mockResolvedValue([{ exchange_label: 'Binance 14', net_flow_eeth: '250' }]),
+    getWhaleBalanceHistory: jest.fn().mockResolvedValue([{ timestamp: '2024-01-01T00:00:00Z', balance_eeth: '5000' }]),
+    getAnomalies: jest.fn().mockResolvedValue([ANOMALY]),
+    getAnomalyById: jest.fn(async id => (id === 7 ? ANOMALY : undefined)),
+    getSentimentStats: jest.fn().mockResolvedValue({ avg_sentiment: '0.12', total_tweets: '40' }),
+    getSentimentRiskFeed: jest.fn().mockResolvedValue([{ tweet_id: '1790', keywords: ['etherfi', 'depeg'] }]),
+    getSentimentOnChainHourly: jest.fn().mockResolvedValue([]),
+    getDatabaseStats: jest.fn().mockResolvedValue({ total_data_points: '288' }),
+    getCoverageByDay: jest.fn().mockResolvedValue([
+      { day: '2024-01-01', expected_buckets: '288', collected_buckets: '288', failed_buckets: '0', missing_buckets: '0' },
+    ]),
+    getDataGaps: jest.fn().mockResolvedValue([]),
+    // The last bucket that should have been collected by now
+    getLastCollection: jest.fn(async () => ({
+      last_successful_collection: new Date(Math.floor(Date.now() / 300000) * 300000 - 300000),
+      last_error: null,
+    })),
+    getRetentionReclaimable: jest.fn().mockResolvedValue([{ policy: 'sentiment', rows: 12, estimated_bytes: 4096 }]),
+    getAnomalyEvents: jest.fn().mockResolvedValue([{ id: 1, action: 'acknowledge', actor: 'alice' }]),
+    acknowledgeAnomaly: jest.fn(async (id, details) => (id === 7
+      ? { anomaly: { ...ANOMALY, status: 'acknowledged' }, event: { action: 'acknowledge', ...details } }
+      : null)),
+    resolveAnomaly: jest.fn().mockRejectedValue(
+      new TransitionError('Cannot resolve anomaly 7 while it is active', 'active', 'resolve')
+    ),
+    markAnomalyFalsePositive: jest.fn(),
+    reopenAnomaly: jest.fn(),
+  };
+}
+
+let store;
+let healthCheck;
+let app;
+
+beforeEach(() => {
+  store = createStore();
+  healthCheck = jest.fn().mockResolvedValue({ status: 'healthy', pool: {}, data: {} });
+  app = createApp({ store, healthCheck });
+});
+
+describe('GET /api/v1/metrics/latest', () => {
+  it('returns the latest snapshot', async () => {
+    const res = await request(app).get('/api/v1/metrics/latest').expect(200);
+    expect(res.body.data.tvl_eth).toBe('1000.5');
+  });
+
+  it('returns 404 before the first collection', async () => {
+    store.getLatestMetrics.mockResolvedValue(undefined);
+    const res = await request(app).get('/api/v1/metrics/latest').expect(404);
+    expect(res.body.error.type).toBe('APIError');
+  });
+
+  it('rejects unknown query parameters', async () => {
+    const res = await request(app).get('/api/v1/metrics/latest?foo=1').expect(400);
+    expect(res.body.error.message).toMatch(/Unknown query parameter "foo"/);
+  });
+});
+
+describe('GET /api/v1/metrics/history', () => {
+  it('defaults to 24 hours at automatic resolution', async () => {
+    const res = await request(app).get('/api/v1/metrics/history').expect(200);
+    expect(store.getTimeSeriesHistory).toHaveBeenCalledWith(24, { resolution: 'auto', limit: null });
+    expect(res.body).toMatchObject({ count: 2, hours: 24, resolution: 'raw' });
+  });
+
+  it('passes validated hours, resolution and limit', async () => {
+    const res = await request(app).get('/api/v1/metrics/history?hours=2160&resolution=day&limit=10').expect(200);
+    expect(store.getTimeSeriesHistory).toHaveBeenCalledWith(2160, { resolution: 'day', limit: 10 });
+    expect(res.body.resolution).toBe('day');
+  });
+
+  it.each([
+    ['abc'],
+    ['0'],
+    ['8761'],
+    ['1.5'],
+    ['24;DROP TABLE time_series_data'],
+  ])('rejects hours=%s', async (hours) => {
+    const res = await request(app)
+      .get('/api/v1/metrics/history')
+      .query({ hours })
+      .expect(400);
+    expect(res.body.error.message).toMatch(/hours/);
+    expect(store.getTimeSeriesHistory).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown resolution and raw history beyond 30 days', async () => {
+    await request(app).get('/api/v1/metrics/history?resolution=minute').expect(400);
+    const res = await request(app).get('/api/v1/metrics/history?hours=721&resolution=raw').expect(400);
+    expect(res.body.error.message).toMatch(/resolution=hour or day/);
+    expect(store.getTimeSeriesHistory).not.toHaveBeenCalled();
+  });
+
+  it('rejects a repeated parameter', async () => {
+    await request(app).get('/api/v1/metrics/history?hours=1&hours=2').expect(400);
+  });
+});
+
+describe('GET /api/v1/metrics/withdrawal-queue', () => {
+  it('returns age percentiles and the backlog projection', async () => {
+    const res = await request(app).get('/api/v1/metrics/withdrawal-queue?hours=168&limit=5').expect(200);
+
+    expect(store.getWithdrawalQueueStats).toHaveBeenCalledWith(expect.any(Date), 168);
+    expect(store.getPendingWithdrawals).toHaveBeenCalledWith(5);
+    expect(res.body.data).toMatchObject({
+      withdrawal_queue_size: 3,
+      withdrawal_age_p99_hours: 71.5,
+      avg_withdrawal_wait_time_hours: 30.25,
+      processing_rate_eth_per_hour: 2,
+      backlog_clear_hours: 60.25,
+      oldest_pending: [{ request_id: '42' }],
+    });
+  });
+
+  it('reports no projection when nothing was processed', async () => {
+    store.getWithdrawalQueueStats.mockResolvedValue({
+      pending_count: '1', pending_eth: '5', age_percentiles_hours: [2, 2, 2], processed_count: '0', processed_eth: '0', avg_wait_hours: null,
+    });
+    const res = await request(app).get('/api/v1/metrics/withdrawal-queue').expect(200);
+    expect(res.body.data.backlog_clear_hours).toBeNull();
+  });
+});
+
+describe('GET /api/v1/whales', () => {
+  it('returns the top 20 by default', async () => {
+    const res = await request(app).get('/api/v1/whales').expect(200);
+    expect(store.getTopWhales).toHaveBeenCalledWith(20);
+    expect(res.body.count).toBe(1);
+  });
+
+  it('rejects a limit above 100', async () => {
+    await request(app).get('/api/v1/whales?limit=1000').expect(400);
+  });
+
+  it('returns recent movements', async () => {
+    const res = await request(app).get('/api/v1/whales/movements').expect(200);
+    expect(res.body).toEqual({ data: [], count: 0 });
+  });
+});
+
+describe('GET /api/v1/whales/rank-events', () => {
+  it('returns top-N entries and exits', async () => {
+    const res = await request(app).get('/api/v1/whales/rank-events?limit=10').expect(200);
+    expect(store.getWhaleRankEvents).toHaveBeenCalledWith(10);
+    expect(res.body.data[0].event_type).toBe('entered');
+  });
+});
+
+describe('GET /api/v1/whales/exchange-flows', () => {
+  it('defaults to 24 hours of flows', async () => {
+    const res = await request(app).get('/api/v1/whales/exchange-flows').expect(200);
+    expect(store.getExchangeFlowsHourly).toHaveBeenCalledWith(24);
+    expect(res.body.data[0].net_flow_eeth).toBe('250');
+  });
+
+  it('rejects windows over 30 days', async () => {
+    await request(app).get('/api/v1/whales/exchange-flows?hours=721').expect(400);
+    expect(store.getExchangeFlowsHourly).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/v1/whales/:address/history', () => {
+  const address = '0x' + 'ab'.repeat(20);
+
+  it('returns the balance curve for the requested range', async () => {
+    const res = await request(app)
+      .get(`/api/v1/whales/${address}/history`)
+      .query({ from: '2024-01-01T00:00:00Z', to: '2024-01-08T00:00:00Z' })
+      .expect(200);
+
+    expect(store.getWhaleBalanceHistory).toHaveBeenCalledWith(
+      ethers.getAddress(address),
+      new Date('2024-01-01T00:00:00Z'),
+      new Date('2024-01-08T00:00:00Z'),
+      10000
+    );
+    expect(res.body.count).toBe(1);
+  });
+
+  it('looks up the checksummed address whatever the casing of the path', async () => {
+    const checksummed = ethers.getAddress(address);
+    await request(app).get(`/api/v1/whales/0x${'AB'.repeat(20)}/history`).expect(200);
+    await request(app).get(`/api/v1/whales/${checksummed}/history`).expect(200);
+
+    expect(store.getWhaleBalanceHistory.mock.calls.map(([requested]) => requested))
+      .toEqual([checksummed, checksummed]);
+  });
+
+  it('defaults to the last 30 days', async () => {
+    await request(app).get(`/api/v1/whales/${address}/history`).expect(200);
+    const [, from, to] = store.getWhaleBalanceHistory.mock.calls[0];
+    expect(to - from).toBe(30 * 24 * 60 * 60 * 1000);
+  });
+
+  it('rejects malformed addresses and inverted ranges', async () => {
+    await request(app).get('/api/v1/whales/0x123/history').expect(400);
+    await request(app)
+      .get(`/api/v1/whales/${address}/history`)
+      .query({ from: '2024-02-01T00:00:00Z', to: '2024-01-01T00:00:00Z' })
+      .expect(400);
+    expect(store.getWhaleBalanceHistory).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/v1/anomalies', () => {
+  it('passes validated filters to the query', async () => {
+    await request(app)
+      .get('/api/v1/anomalies')
+      .query({ status: 'active', severity: 'HIGH', type: 'peg_deviation', since: '2024-01-01T00:00:00Z' })
+      .expect(200);
+
+    expect(store.getAnomalies).toHaveBeenCalledWith({
+      status: 'active',
+      severity: 'HIGH',
+      type: 'peg_deviation',
+      since: new Date('2024-01-01T00:00:00Z'),
+      limit: 100,
+    });
+  });
+
+  it.each([
+    ['status', 'deleted'],
+    ['severity', 'high'],
+    ['type', "peg' OR 1=1"],
+    ['since', 'yesterday'],
+    ['limit', '-1'],
+    ['cursor', "x' OR 1=1"],
+  ])('rejects %s=%s', async (name, value) => {
+    const res = await request(app).get('/api/v1/anomalies').query({ [name]: value }).expect(400);
+    expect(res.body.error.message).toMatch(name);
+    expect(store.getAnomalies).not.toHaveBeenCalled();
+  });
+
+  it('returns a cursor for the next page and passes it back', async () => {
+    store.getAnomalies.mockResolvedValue([{ ...ANOMALY, detected_at: '2024-06-01T10:00:00.123Z' }]);
+
+    const first = await request(app).get('/api/v1/anomalies?limit=1').expect(200);
+    expect(first.body.next_cursor).toEqual(expect.any(String));
+
+    await request(app).get('/api/v1/anomalies').query({ limit: 1, cursor: first.body.next_cursor }).expect(200);
+    expect(store.getAnomalies).toHaveBeenLastCalledWith({ limit: 1, cursor: first.body.next_cursor });
+
+    const last = await request(app).get('/api/v1/anomalies?limit=2').expect(200);
+    expect(last.body.next_cursor).toBeNull();
+  });
+
+  it('returns 400 for a cursor the query builder rejects', async () => {
+    store.getAnomalies.mockRejectedValue(new QueryParameterError('cursor is not a valid page cursor', 'cursor'));
+    const res = await request(app).get('/api/v1/anomalies?cursor=abc').expect(400);
+    expect(res.body.error.message).toBe('cursor is not a valid page cursor');
+  });
+});
+
+describe('GET /api/v1/anomalies/:id', () => {
+  it('returns the anomaly', async () => {
+    const res = await request(app).get('/api/v1/anomalies/7').expect(200);
+    expect(res.body.data.title).toBe(ANOMALY.title);
+  });
+
+  it('returns 404 for a missing anomaly', async () => {
+    await request(app).get('/api/v1/anomalies/8').expect(404);
+  });
+
+  it.each([['abc'], ['0'], ['-3'], ['99999999999']])('rejects id %s', async (id) => {
+    await request(app).get(`/api/v1/anomalies/${id}`).expect(400);
+    expect(store.getAnomalyById).not.toHaveBeenCalled();
+  });
+});
+
+describe('anomaly lifecycle', () => {
+  it('includes the allowed actions in the detail', async () => {
+    const res = await request(app).get('/api/v1/anomalies/7').expect(200);
+    expect(res.body.data.allowed_actions).toEqual(['acknowledge', 'false_positive']);
+  });
+
+  it('acknowledges with an actor and note', async () => {
+    const res = await request(app)
+      .post('/api/v1/anomalies/7/acknowledge')
+      .send({ actor: ' alice ', note: 'Looking into it' })
+      .expect(200);
+
+    expect(store.acknowledgeAnomaly).toHaveBeenCalledWith(7, { actor: 'alice', note: 'Looking into it' });
+    expect(res.body.data.status).toBe('acknowledged');
+    expect(res.body.data.allowed_actions).toEqual(['resolve', 'false_positive']);
+    expect(res.body.event.actor).toBe('alice');
+  });
+
+  it('requires an actor', async () => {
+    const res = await request(app).post('/api/v1/anomalies/7/acknowledge').send({ note: 'x' }).expect(400);
+    expect(res.body.error.message).toMatch(/actor/);
+    expect(store.acknowledgeAnomaly).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown body fields', async () => {
+    await request(app).post('/api/v1/anomalies/7/acknowledge').send({ actor: 'a', status: 'resolved' }).expect(400);
+  });
+
+  it('returns 404 for a missing anomaly', async () => {
+    await request(app).post('/api/v1/anomalies/8/acknowledge').send({ actor: 'alice' }).expect(404);
+  });
+
+  it('returns 409 for a transition the state machine forbids', async () => {
+    const res = await request(app).post('/api/v1/anomalies/7/resolve').send({ actor: 'alice' }).expect(409);
+    expect(res.body.error.type).toBe('TransitionError');
+  });
+
+  it('returns the audit trail', async () => {
+    const res = await request(app).get('/api/v1/anomalies/7/events').expect(200);
+    expect(store.getAnomalyEvents).toHaveBeenCalledWith(7);
+    expect(res.body.count).toBe(1);
+  });
+});
+
+describe('GET /api/v1/sentiment', () => {
+  it('returns sentiment for the requested window', async () => {
+    const res = await request(app).get('/api/v1/sentiment?hours=6').expect(200);
+    expect(store.getSentimentStats).toHaveBeenCalledWith(6);
+    expect(res.body.hours).toBe(6);
+  });
+
+  it('rejects windows longer than a week', async () => {
+    await request(app).get('/api/v1/sentiment?hours=169').expect(400);
+  });
+
+  it('returns the risk feed', async () => {
+    const res = await request(app).get('/api/v1/sentiment/risk?hours=12').expect(200);
+    expect(store.getSentimentRiskFeed).toHaveBeenCalledWith(12, 50);
+    expect(res.body).toMatchObject({ count: 1, hours: 12 });
+  });
+
+  it('returns sentiment / on-chain correlations', async () => {
+    const res = await request(app).get('/api/v1/sentiment/correlation').expect(200);
+    expect(store.getSentimentOnChainHourly).toHaveBeenCalledWith(168);
+    expect(res.body.hours).toBe(168);
+    expect(res.body.data.correlations).toHaveLength(6);
+    expect(res.body.data.shocks).toEqual([]);
+  });
+
+  it('rejects a correlation window under a day', async () => {
+    await request(app).get('/api/v1/sentiment/correlation?hours=6').expect(400);
+    expect(store.getSentimentOnChainHourly).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/v1/health', () => {
+  it('reports ok from cheap checks only', async () => {
+    const res = await request(app).get('/api/v1/health').expect(200);
+
+    expect(res.body.status).toBe('ok');
+    expect(res.body.collection).toEqual({
+      last_successful_collection: expect.any(String),
+      current_gap: null,
+      stale: false,
+    });
+    expect(res.body.stats).toBeUndefined();
+    // No table counts or bucket scans on the probe path
+    expect(store.getDatabaseStats).not.toHaveBeenCalled();
+    expect(store.getRetentionReclaimable).not.toHaveBeenCalled();
+    expect(store.getCoverageByDay).not.toHaveBeenCalled();
+    expect(store.getDataGaps).not.toHaveBeenCalled();
+  });
+
+  it('adds stats, coverage and reclaimable rows with details=true', async () => {
+    const res = await request(app).get('/api/v1/health?details=true').expect(200);
+
+    expect(res.body.stats.total_data_points).toBe('288');
+    expect(res.body.collection).toMatchObject({ coverage_24h_percent: 100, current_gap: null, stale: false });
+    expect(res.body.retention).toEqual([{ policy: 'sentiment', rows: 12, estimated_bytes: 4096 }]);
+  });
+
+  it('returns 503 when nothing has been collected recently', async () => {
+    const lastBucket = Math.floor(Date.now() / 300000) * 300000 - 300000;
+    store.getLastCollection.mockResolvedValue({
+      last_successful_collection: new Date(lastBucket - 2 * 60 * 60 * 1000),
+      last_error: 'All RPC endpoints failed',
+    });
+
+    const res = await request(app).get('/api/v1/health').expect(503);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.collection).toMatchObject({
+      current_gap: {
+        since: new Date(lastBucket - 2 * 60 * 60 * 1000 + 300000).toISOString(),
+        minutes: 120,
+        last_error: 'All RPC endpoints failed',
+      },
+      stale: true,
+    });
+  });
+
+  it('returns 503 when nothing was ever collected', async () => {
+    store.getLastCollection.mockResolvedValue({ last_successful_collection: null, last_error: null });
+
+    const res = await request(app).get('/api/v1/health').expect(503);
+    expect(res.body.collection).toMatchObject({ last_successful_collection: null, stale: true });
+  });
+
+  it('returns 503 when the database is unhealthy', async () => {
+    healthCheck.mockResolvedValue({ status: 'unhealthy', error: 'connection refused' });
+    const res = await request(app).get('/api/v1/health?details=true').expect(503);
+    expect(res.body.status).toBe('degraded');
+    expect(store.getLastCollection).not.toHaveBeenCalled();
+    expect(store.getDatabaseStats).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown details value', async () => {
+    await request(app).get('/api/v1/health?details=yes').expect(400);
+  });
+});
+
+describe('jobs', () => {
+  let runJob;
+
+  beforeEach(() => {
+    runJob = jest.fn().mockResolvedValue({ candidates: [], inserted: [] });
+    store.getJobSummaries = jest.fn().mockResolvedValue([
+      { job_name: 'detect', last_status: 'success', last_duration_ms: 120, failures_24h: '0' },
+    ]);
+    store.getJobRuns = jest.fn().mockResolvedValue([{ id: 3, job_name: 'detect', status: 'success' }]);
+    store.startJobRun = jest.fn().mockResolvedValue({ run: { id: 4, job_name: 'detect', status: 'running' } });
+    store.finishJobRun = jest.fn().mockResolvedValue({});
+
+    const jobRunner = createJobRunner({
+      store,
+      jobs: [
+        { name: 'detect', description: 'Detector', schedule: '1-59/5 * * * *', enabled: true, run: runJob },
+        { name: 'analyze', description: 'Claude', schedule: '*/30 * * * *', enabled: false, run: jest.fn() },
+      ],
+    });
+    app = createApp({ store, healthCheck, jobRunner });
+  });
+
+  it('lists jobs with their last run', async () => {
+    const res = await request(app).get('/api/v1/jobs').expect(200);
+    expect(res.body.data).toEqual([
+      {
+        name: 'detect',
+        description: 'Detector',
+        schedule: '1-59/5 * * * *',
+        enabled: true,
+        last_run: expect.objectContaining({ last_status: 'success', last_duration_ms: 120 }),
+      },
+      { name: 'analyze', description: 'Claude', schedule: '*/30 * * * *', enabled: false, last_run: null },
+    ]);
+  });
+
+  it('returns run history', async () => {
+    await request(app).get('/api/v1/jobs/detect/runs?status=success&limit=5').expect(200);
+    expect(store.getJobRuns).toHaveBeenCalledWith({ job: 'detect', status: 'success', limit: 5 });
+  });
+
+  it('pages run history with a cursor', async () => {
+    store.getJobRuns.mockResolvedValue([{ id: 3, job_name: 'detect', started_at: '2024-06-01T10:00:00.000Z' }]);
+
+    const res = await request(app).get('/api/v1/jobs/detect/runs?limit=1').expect(200);
+    expect(res.body.next_cursor).toEqual(expect.any(String));
+
+    await request(app).get('/api/v1/jobs/detect/runs').query({ limit: 1, cursor: res.body.next_cursor }).expect(200);
+    expect(store.getJobRuns).toHaveBeenLastCalledWith({ job: 'detect', limit: 1, cursor: res.body.next_cursor });
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    await request(app).get('/api/v1/jobs/nope/runs').expect(404);
+    await request(app).post('/api/v1/jobs/nope/run').expect(404);
+  });
+
+  it('starts a manual run and answers 202', async () => {
+    const res = await request(app).post('/api/v1/jobs/detect/run').expect(202);
+    expect(res.body.data).toMatchObject({ id: 4, status: 'running' });
+    expect(store.startJobRun).toHaveBeenCalledWith('detect', 'manual', expect.any(Number));
+    expect(runJob).toHaveBeenCalled();
+  });
+
+  it('returns 409 while the job is running', async () => {
+    store.startJobRun.mockResolvedValue({ run: null, skipped: { id: 5 }, running: { id: 4 } });
+    const res = await request(app).post('/api/v1/jobs/detect/run').expect(409);
+    expect(res.body.error.message).toMatch('already running (run 4)');
+    expect(runJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('errors', () => {
+  it('returns 404 for unknown routes', async () => {
+    const res = await request(app).get('/api/v1/nope').expect(404);
+    expect(res.body.error.message).toMatch(/not found/);
+  });
+
+  it('returns 500 when a query fails', async () => {
+    store.getTopWhales.mockRejectedValue(new Error('connection reset'));
+    const res = await request(app).get('/api/v1/whales').expect(500);
+    expect(res.body.error.message).toBe('connection reset');
+  });
+});
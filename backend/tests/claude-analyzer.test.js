@@ -0,0 +1,374 @@
+/**
+ * Claude analyzer tests
+ * Runs the analysis against a stub messages.create and an in-memory store:
+ * schema-validation retries, run bookkeeping, duplicate skipping and cost.
+ * No API key, network or database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { createClaudeAnalyzer, getResponseText } = require('../src/analysis/claude-analyzer');
+const { estimateCost, getAnalysisCron, MODEL_PRICING } = require('../config/analysis');
+const { OPEN_STATUSES } = require('../src/analysis/anomaly-lifecycle');
+const { ClaudeError } = require('../src/utils/error-handler');
+
+const MODEL = 'claude-sonnet-4-20250514';
+
+const PEG_ANOMALY = {
+  anomaly_type: 'peg_deviation',
+  severity: 'HIGH',
+  confidence: 0.8,
+  title: 'eETH trading below peg',
+  description: 'The eETH/ETH ratio fell to 0.991 while withdrawals grew.',
+  recommendation: 'Watch the Curve pool balance.',
+  affected_metrics: ['peg_deviation_percent', 'withdrawal_queue_eth'],
+};
+
+const QUEUE_ANOMALY = {
+  anomaly_type: 'queue_spike',
+  severity: 'MEDIUM',
+  confidence: 0.6,
+  title: 'Withdrawal queue doubled',
+  description: 'The queue grew from 1,200 to 2,500 ETH in six hours.',
+  affected_metrics: ['withdrawal_queue_eth'],
+};
+
+const VALID_REPLY = JSON.stringify({ summary: 'Peg under pressure.', anomalies: [PEG_ANOMALY, QUEUE_ANOMALY] });
+
+/**
+ * A Messages API reply with the given text and token usage
+ */
+function reply(text, usage = { input_tokens: 1000, output_tokens: 200 }) {
+  return { content: [{ type: 'text', text }], usage };
+}
+
+/**
+ * Stub client whose messages.create returns (or throws) each given reply in turn
+ */
+function createClient(...replies) {
+  const create = jest.fn();
+  replies.forEach((next) => {
+    if (next instanceof Error) {
+      create.mockRejectedValueOnce(next);
+    } else {
+      create.mockResolvedValueOnce(next);
+    }
+  });
+  return { messages: { create } };
+}
+
+function createStore(overrides = {}) {
+  let nextId = 100;
+  return {
+    getBaselineStats: jest.fn().mockResolvedValue({ avg_tvl_usd: '1000000', stddev_tvl_usd: '5000' }),
+    getTimeSeriesData: jest.fn().mockResolvedValue([
+      { timestamp: '2024-06-01T12:00:00Z', tvl_eth: '1000', peg_deviation_percent: '0.9', collection_status: 'success' },
+    ]),
+    getRecentWhaleMovements: jest.fn().mockResolvedValue([]),
+    getSentimentStats: jest.fn().mockResolvedValue(null),
+    getCoverageByDay: jest.fn().mockResolvedValue([]),
+    getDataGaps: jest.fn().mockResolvedValue([]),
+    createAnalysisRun: jest.fn().mockResolvedValue({ id: 7, started_at: new Date() }),
+    completeAnalysisRun: jest.fn().mockResolvedValue({}),
+    getAnomalies: jest.fn().mockResolvedValue([]),
+    insertAnomaly: jest.fn(async () => ({ id: nextId++, detected_at: new Date() })),
+    ...overrides,
+  };
+}
+
+function createAnalyzer(client, store, options = {}) {
+  return createClaudeAnalyzer({ client, store, model: MODEL, maxAttempts: 3, maxTokens: 2048, ...options });
+}
+
+describe('runAnalysis', () => {
+  test('stores the anomalies of a valid reply and records a successful run', async () => {
+    const client = createClient(reply(VALID_REPLY));
+    const store = createStore();
+
+    const result = await createAnalyzer(client, store).runAnalysis();
+
+    expect(client.messages.create).toHaveBeenCalledTimes(1);
+    expect(client.messages.create).toHaveBeenCalledWith({
+      model: MODEL,
+      max_tokens: 2048,
+      system: expect.any(String),
+      messages: [{ role: 'user', content: expect.stringContaining('## Social sentiment (24h)') }],
+    });
+    expect(store.createAnalysisRun).toHaveBeenCalledWith(MODEL);
+
+    expect(store.insertAnomaly).toHaveBeenCalledTimes(2);
+    expect(store.insertAnomaly.mock.calls[0][0]).toMatchObject({
+      ...PEG_ANOMALY,
+      analysis_run_id: 7,
+      status: 'active',
+      baseline_data: { avg_tvl_usd: '1000000', stddev_tvl_usd: '5000' },
+      claude_prompt: client.messages.create.mock.calls[0][0].messages[0].content,
+      claude_response: JSON.parse(VALID_REPLY),
+    });
+    // The model may leave out the recommendation
+    expect(store.insertAnomaly.mock.calls[1][0].recommendation).toBeNull();
+
+    expect(store.completeAnalysisRun).toHaveBeenCalledTimes(1);
+    expect(store.completeAnalysisRun).toHaveBeenCalledWith(7, {
+      status: 'success',
+      attempts: 1,
+      anomalies_detected: 2,
+      input_tokens: 1000,
+      output_tokens: 200,
+      cost_usd: 0.006,
+      duration_ms: expect.any(Number),
+    });
+    expect(result).toMatchObject({
+      runId: 7,
+      summary: 'Peg under pressure.',
+      anomalies: [PEG_ANOMALY, QUEUE_ANOMALY],
+      usage: { input_tokens: 1000, output_tokens: 200 },
+      costUsd: 0.006,
+    });
+    expect(result.inserted.map(anomaly => anomaly.id)).toEqual([100, 101]);
+  });
+
+  test('accepts a reply wrapped in a json code fence', async () => {
+    const client = createClient(reply('```json\n' + VALID_REPLY + '\n```'));
+
+    const result = await createAnalyzer(client, createStore()).runAnalysis();
+
+    expect(result.anomalies).toHaveLength(2);
+  });
+
+  test('stores nothing on a dry run but still records the run', async () => {
+    const store = createStore();
+
+    const result = await createAnalyzer(createClient(reply(VALID_REPLY)), store).runAnalysis({ dryRun: true });
+
+    expect(result.inserted).toEqual([]);
+    expect(store.insertAnomaly).not.toHaveBeenCalled();
+    expect(store.getAnomalies).not.toHaveBeenCalled();
+    expect(store.completeAnalysisRun.mock.calls[0][1]).toMatchObject({ status: 'success', anomalies_detected: 0 });
+  });
+});
+
+describe('schema validation retries', () => {
+  test('sends the validation errors back and uses the corrected reply', async () => {
+    const invalid = JSON.stringify({
+      summary: 'Peg under pressure.',
+      anomalies: [{ ...PEG_ANOMALY, severity: 'SEVERE', confidence: 1.4 }],
+    });
+    const client = createClient(
+      reply(invalid, { input_tokens: 1000, output_tokens: 200 }),
+      reply(VALID_REPLY, { input_tokens: 1300, output_tokens: 250 })
+    );
+    const store = createStore();
+
+    const result = await createAnalyzer(client, store).runAnalysis();
+
+    expect(client.messages.create).toHaveBeenCalledTimes(2);
+    const [prompt, previous, correction] = client.messages.create.mock.calls[1][0].messages;
+    expect(prompt.role).toBe('user');
+    expect(previous).toEqual({ role: 'assistant', content: invalid });
+    expect(correction.role).toBe('user');
+    expect(correction.content).toMatch(/^Your reply did not match the required schema:\n- /);
+    expect(correction.content).toMatch(/severity/);
+    expect(correction.content).toMatch(/confidence/);
+    expect(correction.content).toMatch(/Reply again with only the corrected JSON object\.$/);
+
+    // Usage and cost cover both attempts
+    expect(result.usage).toEqual({ input_tokens: 2300, output_tokens: 450 });
+    expect(store.completeAnalysisRun).toHaveBeenCalledWith(7, expect.objectContaining({
+      status: 'success',
+      attempts: 2,
+      input_tokens: 2300,
+      output_tokens: 450,
+      cost_usd: estimateCost(MODEL, { input_tokens: 2300, output_tokens: 450 }),
+    }));
+  });
+
+  test('retries a reply that is not JSON at all, or empty', async () => {
+    const client = createClient(
+      reply('Here is my analysis: the peg looks fine.'),
+      { content: [], usage: { input_tokens: 900, output_tokens: 0 } },
+      reply(VALID_REPLY)
+    );
+
+    const result = await createAnalyzer(client, createStore()).runAnalysis();
+
+    expect(result.anomalies).toHaveLength(2);
+    const retries = client.messages.create.mock.calls.map(([request]) => request.messages);
+    expect(retries[1][2].content).toMatch(/Response is not valid JSON/);
+    expect(retries[2][3]).toEqual({ role: 'assistant', content: '(empty response)' });
+    expect(retries[2][4].content).toMatch(/Response is empty/);
+  });
+});
+
+describe('run bookkeeping', () => {
+  test('records invalid_response when every attempt fails validation', async () => {
+    const client = createClient(reply('{}'), reply('{}'), reply('{}'));
+    const store = createStore();
+
+    const error = await createAnalyzer(client, store).runAnalysis().catch(e => e);
+
+    expect(error).toBeInstanceOf(ClaudeError);
+    expect(error.message).toMatch(/^Claude returned an invalid response after 3 attempt\(s\): /);
+    expect(client.messages.create).toHaveBeenCalledTimes(3);
+    expect(store.insertAnomaly).not.toHaveBeenCalled();
+
+    // Completed once, as invalid_response and not also as failed
+    expect(store.completeAnalysisRun).toHaveBeenCalledTimes(1);
+    expect(store.completeAnalysisRun).toHaveBeenCalledWith(7, {
+      status: 'invalid_response',
+      attempts: 3,
+      error_message: expect.stringMatching(/summary/),
+      input_tokens: 3000,
+      output_tokens: 600,
+      cost_usd: estimateCost(MODEL, { input_tokens: 3000, output_tokens: 600 }),
+      duration_ms: expect.any(Number),
+    });
+  });
+
+  test('records a failed run with the usage so far when the API errors mid-run', async () => {
+    const client = createClient(reply('not json'), new Error('overloaded_error'));
+    const store = createStore();
+
+    const error = await createAnalyzer(client, store).runAnalysis().catch(e => e);
+
+    expect(error).toBeInstanceOf(ClaudeError);
+    expect(error.message).toBe('Claude API request failed: overloaded_error');
+    expect(store.completeAnalysisRun).toHaveBeenCalledTimes(1);
+    expect(store.completeAnalysisRun).toHaveBeenCalledWith(7, {
+      status: 'failed',
+      attempts: 2,
+      error_message: 'Claude API request failed: overloaded_error',
+      input_tokens: 1000,
+      output_tokens: 200,
+      cost_usd: 0.006,
+      duration_ms: expect.any(Number),
+    });
+  });
+
+  test('records a failed run without cost when loading the context fails', async () => {
+    const client = createClient();
+    const store = createStore({ getBaselineStats: jest.fn().mockRejectedValue(new Error('connection refused')) });
+
+    await expect(createAnalyzer(client, store).runAnalysis()).rejects.toThrow('connection refused');
+
+    expect(client.messages.create).not.toHaveBeenCalled();
+    expect(store.completeAnalysisRun).toHaveBeenCalledWith(7, {
+      status: 'failed',
+      attempts: 0,
+      error_message: 'connection refused',
+      cost_usd: null,
+      duration_ms: expect.any(Number),
+    });
+  });
+
+  test('refuses to run without a client or ANTHROPIC_API_KEY', async () => {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    const store = createStore();
+
+    try {
+      await expect(createAnalyzer(null, store).runAnalysis()).rejects.toThrow('ANTHROPIC_API_KEY is not set');
+      expect(store.createAnalysisRun).not.toHaveBeenCalled();
+    } finally {
+      if (apiKey !== undefined) process.env.ANTHROPIC_API_KEY = apiKey;
+    }
+  });
+});
+
+describe('duplicate skipping', () => {
+  test('skips an anomaly whose type and metrics are already open', async () => {
+    const store = createStore({
+      getAnomalies: jest.fn(async ({ type }) => (type === 'peg_deviation'
+        ? [{ id: 3, affected_metrics: ['withdrawal_queue_eth', 'peg_deviation_percent', 'tvl_eth'] }]
+        : [])),
+    });
+
+    const result = await createAnalyzer(createClient(reply(VALID_REPLY)), store).runAnalysis();
+
+    expect(store.getAnomalies).toHaveBeenCalledWith({
+      status: OPEN_STATUSES,
+      type: 'peg_deviation',
+      since: expect.any(Date),
+    });
+    expect(store.insertAnomaly).toHaveBeenCalledTimes(1);
+    expect(store.insertAnomaly.mock.calls[0][0].anomaly_type).toBe('queue_spike');
+    expect(result.inserted).toHaveLength(1);
+    expect(store.completeAnalysisRun.mock.calls[0][1].anomalies_detected).toBe(1);
+  });
+
+  test('stores an anomaly that only partly overlaps an open one', async () => {
+    const store = createStore({
+      getAnomalies: jest.fn().mockResolvedValue([{ id: 3, affected_metrics: ['peg_deviation_percent'] }]),
+    });
+
+    await createAnalyzer(createClient(reply(VALID_REPLY)), store).runAnalysis();
+
+    expect(store.insertAnomaly).toHaveBeenCalledTimes(2);
+  });
+
+  test('only looks back over the duplicate window', async () => {
+    const store = createStore();
+    const before = Date.now();
+
+    await createAnalyzer(createClient(reply(VALID_REPLY)), store).runAnalysis();
+
+    const { since } = store.getAnomalies.mock.calls[0][0];
+    const windowHours = (before - since.getTime()) / (60 * 60 * 1000);
+    expect(windowHours).toBeGreaterThan(5.99);
+    expect(windowHours).toBeLessThanOrEqual(6);
+  });
+});
+
+describe('estimateCost', () => {
+  test('prices input and output tokens per million', () => {
+    expect(estimateCost('claude-sonnet-4-20250514', { input_tokens: 1000000, output_tokens: 1000000 })).toBe(18);
+    expect(estimateCost('claude-3-5-haiku-20241022', { input_tokens: 2000, output_tokens: 500 })).toBeCloseTo(0.0036, 10);
+    expect(estimateCost('claude-opus-4-20250514', { input_tokens: 0, output_tokens: 0 })).toBe(0);
+  });
+
+  test('is null for a model without pricing, which the run records as such', async () => {
+    expect(estimateCost('claude-unknown', { input_tokens: 10, output_tokens: 10 })).toBeNull();
+
+    const store = createStore();
+    const result = await createAnalyzer(createClient(reply(VALID_REPLY)), store, { model: 'claude-unknown' })
+      .runAnalysis();
+
+    expect(result.costUsd).toBeNull();
+    expect(store.completeAnalysisRun.mock.calls[0][1].cost_usd).toBeNull();
+  });
+
+  test('has pricing for the default model', () => {
+    expect(MODEL_PRICING[MODEL]).toEqual({ input: 3, output: 15 });
+  });
+});
+
+describe('getAnalysisCron', () => {
+  test.each([
+    [30, '*/30 * * * *'],
+    [60, '0 */1 * * *'],
+    [120, '0 */2 * * *'],
+    [1440, '0 0 * * *'],
+  ])('schedules every %p minutes as %p', (minutes, expression) => {
+    expect(getAnalysisCron(minutes)).toBe(expression);
+  });
+
+  test.each([45, 90, 300, 2880, 0, NaN])('rejects %p minutes, which cannot be spaced evenly', (minutes) => {
+    expect(() => getAnalysisCron(minutes)).toThrow(expect.objectContaining({
+      name: 'ConfigError',
+      message: expect.stringContaining('ANALYSIS_INTERVAL_MINUTES'),
+    }));
+  });
+});
+
+describe('getResponseText', () => {
+  test('joins the text blocks and ignores the rest', () => {
+    expect(getResponseText({
+      content: [
+        { type: 'text', text: '{"summary": ' },
+        { type: 'tool_use', id: 'toolu_1', name: 'noop', input: {} },
+        { type: 'text', text: '"ok", "anomalies": []}' },
+      ],
+    })).toBe('{"summary": "ok", "anomalies": []}');
+    expect(getResponseText({})).toBe('');
+  });
+});
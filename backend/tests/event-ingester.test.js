@@ -0,0 +1,248 @@
+/**
+ * Event ingester tests
+ * Polls a local JSON-RPC stand-in chain into an in-memory chain store, then forks
+ * the chain at several depths and checks the rollback and re-ingest.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { ethers } = require('ethers');
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../config/contracts');
+const { createEventIngester, decodeLog } = require('../src/collectors/event-ingester');
+const { createStandInChain } = require('./helpers/json-rpc-stand-in');
+const { createChainStore } = require('./helpers/chain-store');
+
+const pool = new ethers.Interface(ETHERFI_ABIS.LIQUIDITY_POOL);
+const eeth = new ethers.Interface(ETHERFI_ABIS.EETH_TOKEN);
+const queue = new ethers.Interface(ETHERFI_ABIS.WITHDRAWAL_QUEUE);
+
+const ALICE = ethers.getAddress('0x' + '11'.repeat(20));
+const BOB = ethers.getAddress('0x' + '22'.repeat(20));
+const ETHER = 10n ** 18n;
+
+let chain;
+let provider;
+
+function emit(contractName, iface, eventName, args, blockNumber) {
+  chain.addLog({
+    address: ETHERFI_ADDRESSES[contractName],
+    ...iface.encodeEventLog(eventName, args),
+    blockNumber,
+  });
+}
+
+function createIngester(store, options = {}) {
+  return createEventIngester({ provider, store, startBlock: 100, chunkSize: 10, confirmations: 0, ...options });
+}
+
+function sortedEvents(store) {
+  return [...store.events.values()].sort((a, b) =>
+    a.block_number - b.block_number || a.log_index - b.log_index);
+}
+
+beforeEach(async () => {
+  chain = createStandInChain({ head: 200 });
+  // No response cache: a reorg must be visible to the very next request
+  provider = new ethers.JsonRpcProvider(await chain.listen(), 1, { staticNetwork: true, cacheTimeout: -1 });
+
+  emit('LIQUIDITY_POOL', pool, 'Deposit', [ALICE, 32n * ETHER, false], 120);
+  emit('LIQUIDITY_POOL', pool, 'Deposit', [BOB, 5n * ETHER, true], 150);
+  emit('EETH_TOKEN', eeth, 'TransferShares', [ALICE, BOB, ETHER], 170);
+  emit('WITHDRAWAL_QUEUE', queue, 'WithdrawalRequested', [ALICE, 2n * ETHER, 7n], 175);
+  emit('EETH_TOKEN', eeth, 'Transfer', [ALICE, BOB, ETHER], 185);
+  emit('LIQUIDITY_POOL', pool, 'Withdraw', [BOB, 3n * ETHER], 190);
+  emit('WITHDRAWAL_QUEUE', queue, 'WithdrawalProcessed', [7n, ALICE, 2n * ETHER], 198);
+  emit('LIQUIDITY_POOL', pool, 'Deposit', [ALICE, 4n * ETHER, false], 200);
+});
+
+afterEach(async () => {
+  provider.destroy();
+  await chain.close();
+});
+
+describe('pollOnce', () => {
+  test('ingests tracked events up to head minus confirmations and saves the cursor', async () => {
+    const store = createChainStore();
+
+    const result = await createIngester(store, { confirmations: 2 }).pollOnce();
+
+    expect(result).toEqual({ stream: 'etherfi_events', lastBlock: 198, inserted: 6 });
+    expect(sortedEvents(store).map(event => [event.block_number, event.event_name])).toEqual([
+      [120, 'Deposit'],
+      [150, 'Deposit'],
+      [175, 'WithdrawalRequested'],
+      [185, 'Transfer'],
+      [190, 'Withdraw'],
+      [198, 'WithdrawalProcessed'],
+    ]);
+    expect(store.states.get('etherfi_events')).toMatchObject({
+      last_block: '198',
+      last_block_hash: chain.getBlock(198).hash,
+      reorg_count: 0,
+    });
+  });
+
+  test('starts a new stream at the head when no start block is given', async () => {
+    const store = createChainStore();
+    const ingester = createIngester(store, { startBlock: undefined, confirmations: 2 });
+
+    expect(await ingester.pollOnce()).toEqual({ stream: 'etherfi_events', lastBlock: 198, inserted: 0 });
+    expect(store.events.size).toBe(0);
+    expect(store.states.get('etherfi_events')).toMatchObject({
+      last_block: '198',
+      last_block_hash: chain.getBlock(198).hash,
+    });
+
+    // Later polls continue from there
+    expect(await ingester.pollOnce()).toEqual({ stream: 'etherfi_events', lastBlock: 198, inserted: 0 });
+    chain.setHead(202);
+    expect(await ingester.pollOnce()).toEqual({ stream: 'etherfi_events', lastBlock: 200, inserted: 1 });
+  });
+
+  test('continues from the cursor without rolling back when the chain is unchanged', async () => {
+    const store = createChainStore();
+    const rollback = jest.spyOn(store, 'rollbackChainEvents');
+    const ingester = createIngester(store);
+    await ingester.pollOnce();
+
+    emit('LIQUIDITY_POOL', pool, 'Deposit', [BOB, ETHER, false], 203);
+    chain.setHead(205);
+    const result = await ingester.pollOnce();
+
+    expect(result).toEqual({ stream: 'etherfi_events', lastBlock: 205, inserted: 1 });
+    expect(rollback).not.toHaveBeenCalled();
+    expect(store.events.size).toBe(8);
+  });
+});
+
+describe('reorgs', () => {
+  test.each([1, 3, 12, 40])('rolls back and re-ingests a fork %i block(s) deep', async (depth) => {
+    const store = createChainStore();
+    const rollback = jest.spyOn(store, 'rollbackChainEvents');
+    const ingester = createIngester(store);
+    await ingester.pollOnce();
+    // Another stream's cursor past the fork, e.g. the holder index
+    store.states.set('eeth_holder_index', { stream_name: 'eeth_holder_index', last_block: '199', reorg_count: 0 });
+
+    const firstOrphan = 201 - depth;
+    const orphaned = sortedEvents(store).filter(event => event.block_number >= firstOrphan);
+
+    chain.reorg(firstOrphan);
+    emit('LIQUIDITY_POOL', pool, 'Deposit', [BOB, 9n * ETHER, false], firstOrphan);
+    chain.setHead(205);
+    await ingester.pollOnce();
+
+    // Rolled back to the newest stored block still on the canonical chain
+    const [streamName, forkBlock, forkHash] = rollback.mock.calls[0];
+    expect(rollback).toHaveBeenCalledTimes(1);
+    expect(streamName).toBe('etherfi_events');
+    expect(forkBlock).toBeLessThan(firstOrphan);
+    expect(forkBlock).toBeGreaterThanOrEqual(firstOrphan - 10);
+    expect(forkHash).toBe(chain.getBlock(forkBlock).hash);
+
+    // ingestion_state moved back, then forward on the new branch
+    expect(store.states.get('etherfi_events')).toMatchObject({
+      last_block: '205',
+      last_block_hash: chain.getBlock(205).hash,
+      reorg_count: 1,
+    });
+    // Only the ingesting stream is rewound
+    expect(store.states.get('eeth_holder_index')).toMatchObject({ last_block: '199', reorg_count: 0 });
+
+    // chain_blocks only holds canonical hashes
+    for (const block of store.blocks.values()) {
+      expect(block.block_hash).toBe(chain.getBlock(block.block_number).hash);
+    }
+
+    // chain_events lost the orphaned events and matches a fresh ingest of the new chain
+    const txHashes = new Set(sortedEvents(store).map(event => event.tx_hash));
+    orphaned.forEach(event => expect(txHashes.has(event.tx_hash)).toBe(false));
+
+    const fresh = createChainStore();
+    await createIngester(fresh).pollOnce();
+    expect(sortedEvents(store)).toEqual(sortedEvents(fresh));
+    expect(sortedEvents(store).find(event => event.block_number === firstOrphan)).toMatchObject({
+      event_name: 'Deposit',
+      amount_eth: '9.0',
+      block_hash: chain.getBlock(firstOrphan).hash,
+    });
+  });
+});
+
+describe('ingestRange', () => {
+  test('inserts a historical range in chunks without moving the cursor', async () => {
+    const store = createChainStore();
+    const getLogs = jest.spyOn(provider, 'getLogs');
+
+    const inserted = await createIngester(store).ingestRange(140, 189);
+
+    expect(inserted).toBe(3);
+    expect(getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock])).toEqual([
+      [140, 149], [150, 159], [160, 169], [170, 179], [180, 189],
+    ]);
+    expect(store.states.size).toBe(0);
+    expect(await createIngester(store).ingestRange(140, 189)).toBe(0);
+  });
+});
+
+describe('decodeLog', () => {
+  const BLOCK_HASH = ethers.id('block');
+  const TX_HASH = ethers.id('tx');
+
+  function rawLog(contractName, iface, eventName, args) {
+    return {
+      address: ETHERFI_ADDRESSES[contractName].toLowerCase(),
+      ...iface.encodeEventLog(eventName, args),
+      transactionHash: TX_HASH,
+      index: 3,
+      blockNumber: 150,
+      blockHash: BLOCK_HASH,
+    };
+  }
+
+  test('decodes a deposit into a chain_events row', () => {
+    const row = decodeLog(rawLog('LIQUIDITY_POOL', pool, 'Deposit', [ALICE, 32n * ETHER, true]), 1700001800);
+
+    expect(row).toEqual({
+      tx_hash: TX_HASH,
+      log_index: 3,
+      block_number: 150,
+      block_hash: BLOCK_HASH,
+      block_timestamp: new Date(1700001800 * 1000),
+      contract_name: 'LIQUIDITY_POOL',
+      contract_address: ETHERFI_ADDRESSES.LIQUIDITY_POOL,
+      event_name: 'Deposit',
+      args: { sender: ALICE, amount: (32n * ETHER).toString(), isRestake: true },
+      from_address: ALICE,
+      to_address: null,
+      amount_eth: '32.0',
+    });
+  });
+
+  test.each([
+    ['EETH_TOKEN', 'Transfer', eeth, [ALICE, BOB, ETHER], { from_address: ALICE, to_address: BOB, amount_eth: '1.0' }],
+    ['LIQUIDITY_POOL', 'Withdraw', pool, [BOB, 2n * ETHER], { from_address: null, to_address: BOB, amount_eth: '2.0' }],
+    ['WITHDRAWAL_QUEUE', 'WithdrawalRequested', queue, [ALICE, ETHER / 2n, 9n],
+      { from_address: ALICE, to_address: null, amount_eth: '0.5' }],
+    ['WITHDRAWAL_QUEUE', 'WithdrawalProcessed', queue, [9n, BOB, ETHER / 2n],
+      { from_address: null, to_address: BOB, amount_eth: '0.5' }],
+  ])('maps the parties and amount of %s %s', (contractName, eventName, iface, args, expected) => {
+    const row = decodeLog(rawLog(contractName, iface, eventName, args), 1700001800);
+
+    expect(row).toMatchObject({ contract_name: contractName, event_name: eventName, ...expected });
+  });
+
+  test('serializes uint arguments as strings', () => {
+    const row = decodeLog(rawLog('WITHDRAWAL_QUEUE', queue, 'WithdrawalProcessed', [9n, BOB, ETHER]), 1700001800);
+
+    expect(row.args).toEqual({ requestId: '9', recipient: BOB, amount: ETHER.toString() });
+  });
+
+  test('ignores untracked events on tracked contracts and logs from other contracts', () => {
+    expect(decodeLog(rawLog('EETH_TOKEN', eeth, 'TransferShares', [ALICE, BOB, ETHER]), 1700001800)).toBeNull();
+    expect(decodeLog({
+      ...rawLog('EETH_TOKEN', eeth, 'Transfer', [ALICE, BOB, ETHER]),
+      address: ethers.getAddress('0x' + '99'.repeat(20)),
+    }, 1700001800)).toBeNull();
+  });
+});
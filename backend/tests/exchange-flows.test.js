@@ -0,0 +1,108 @@
+/**
+ * Exchange flow analyzer tests
+ * Detection runs on rows shaped like the exchange flow queries; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const {
+  detectWhaleExchangeTransfers,
+  runExchangeFlowDetection,
+} = require('../src/analysis/exchange-flows');
+
+const BINANCE = '0x28c6c06298d514db089934071355e5743bf21d60';
+
+function transfer(overrides = {}) {
+  return {
+    tx_hash: '0x' + 'aa'.repeat(32),
+    log_index: 3,
+    block_number: '19000000',
+    block_timestamp: new Date('2024-03-01T10:42:00Z'),
+    whale_address: '0x' + '11'.repeat(20),
+    whale_label: null,
+    rank_position: 4,
+    exchange_address: BINANCE,
+    exchange_label: 'Binance 14',
+    amount_eeth: '3000.0',
+    balance_before_eeth: '10000.0',
+    balance_from_snapshot: true,
+    ...overrides,
+  };
+}
+
+const FLOWS = [{
+  hour: new Date('2024-03-01T10:00:00Z'),
+  exchange_address: BINANCE,
+  exchange_label: 'Binance 14',
+  inflow_eeth: '3500.0',
+  outflow_eeth: '200.0',
+  net_flow_eeth: '3300.0',
+  transfer_count: '4',
+}];
+
+describe('detectWhaleExchangeTransfers', () => {
+  it('flags a transfer above the share threshold with the tx, counterparty and amount', () => {
+    const [candidate] = detectWhaleExchangeTransfers([transfer()], FLOWS);
+
+    expect(candidate).toMatchObject({
+      anomaly_type: 'whale_movement',
+      severity: 'MEDIUM',
+      confidence: 0.9,
+      title: 'Whale sent 3,000 eETH to Binance 14',
+      status: 'active',
+    });
+    expect(candidate.recent_data).toMatchObject({
+      tx_hash: '0x' + 'aa'.repeat(32),
+      log_index: 3,
+      block_number: 19000000,
+      counterparty_address: BINANCE,
+      counterparty_label: 'Binance 14',
+      amount_eeth: '3000.0',
+      share_of_balance: 0.3,
+      rank_position: 4,
+      exchange_hour: { net_flow_eeth: '3300.0' },
+    });
+  });
+
+  it('ignores transfers below the configured share', () => {
+    expect(detectWhaleExchangeTransfers([transfer({ amount_eeth: '500.0' })])).toEqual([]);
+    expect(detectWhaleExchangeTransfers(
+      [transfer({ amount_eeth: '500.0' })], [], { minShareOfBalance: 0.05 }
+    )).toHaveLength(1);
+  });
+
+  it('grades severity by share and lowers confidence for estimated balances', () => {
+    const candidates = detectWhaleExchangeTransfers([
+      transfer({ amount_eeth: '6000.0' }),
+      transfer({ amount_eeth: '12000.0', balance_from_snapshot: false }),
+      transfer({ amount_eeth: '1500.0' }),
+    ]);
+
+    expect(candidates.map(candidate => candidate.severity)).toEqual(['HIGH', 'CRITICAL', 'LOW']);
+    expect(candidates[1].confidence).toBe(0.7);
+    expect(candidates[1].recent_data.share_of_balance).toBe(1);
+    expect(candidates[0].recent_data.exchange_hour).toBeNull();
+  });
+
+  it('skips rows without a usable balance', () => {
+    expect(detectWhaleExchangeTransfers([transfer({ balance_before_eeth: '0' })])).toEqual([]);
+  });
+});
+
+describe('runExchangeFlowDetection', () => {
+  it('stores each candidate unless it is a dry run', async () => {
+    const store = {
+      getExchangeFlowsHourly: jest.fn().mockResolvedValue(FLOWS),
+      getUnflaggedWhaleExchangeTransfers: jest.fn().mockResolvedValue([transfer()]),
+      insertAnomaly: jest.fn().mockResolvedValue({ id: 11, detected_at: '2024-03-01T10:45:00Z' }),
+    };
+
+    const dryRun = await runExchangeFlowDetection({ store, hours: 6, dryRun: true });
+    expect(dryRun.candidates).toHaveLength(1);
+    expect(store.insertAnomaly).not.toHaveBeenCalled();
+    expect(store.getUnflaggedWhaleExchangeTransfers).toHaveBeenCalledWith(6);
+
+    const { inserted } = await runExchangeFlowDetection({ store, hours: 6 });
+    expect(inserted).toEqual([expect.objectContaining({ id: 11, anomaly_type: 'whale_movement' })]);
+  });
+});
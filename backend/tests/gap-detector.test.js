@@ -0,0 +1,270 @@
+/**
+ * Data gap detector tests
+ * Detection runs on rows shaped like getDataGaps and getCoverageByDay, with a fake
+ * provider and loader for backfills; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const {
+  detectDataGaps,
+  runGapDetection,
+  getBaselineCoverage,
+} = require('../src/analysis/gap-detector');
+const { buildAnalysisPrompt } = require('../src/analysis/prompt-builder');
+
+const NOW = new Date('2024-03-01T12:07:30Z');
+const LAST_BUCKET = new Date('2024-03-01T12:00:00Z');
+const WINDOW_START = new Date('2024-02-29T12:05:00Z');
+
+function gap(start, end, overrides = {}) {
+  const buckets = (new Date(end) - new Date(start)) / 300000 + 1;
+  return {
+    gap_start: new Date(start),
+    gap_end: new Date(end),
+    buckets: String(buckets),
+    missing_buckets: String(buckets),
+    failed_buckets: '0',
+    last_error: null,
+    ...overrides,
+  };
+}
+
+function day(date, expected, collected) {
+  return {
+    day: date,
+    expected_buckets: String(expected),
+    collected_buckets: String(collected),
+    failed_buckets: '0',
+    missing_buckets: String(expected - collected),
+    coverage_percent: ((100 * collected) / expected).toFixed(2),
+  };
+}
+
+const FULL_COVERAGE = [day('2024-02-29', 143, 143), day('2024-03-01', 145, 145)];
+
+function createStore({ gaps = [], coverage = FULL_COVERAGE, anomalies = [] } = {}) {
+  const inserted = [];
+  return {
+    inserted,
+    getDataGaps: jest.fn().mockResolvedValue(gaps),
+    getCoverageByDay: jest.fn().mockResolvedValue(coverage),
+    getAnomalies: jest.fn().mockResolvedValue(anomalies),
+    insertAnomaly: jest.fn(async (anomaly) => {
+      inserted.push(anomaly);
+      return { id: inserted.length, detected_at: NOW };
+    }),
+  };
+}
+
+describe('detectDataGaps', () => {
+  const scan = gaps => ({ gaps, coverage: FULL_COVERAGE, windowStart: WINDOW_START, lastBucket: LAST_BUCKET });
+
+  it('raises a data_gap for each gap at least the minimum length, with severity by duration', () => {
+    const candidates = detectDataGaps(scan([
+      gap('2024-03-01T02:00:00Z', '2024-03-01T03:55:00Z', {
+        missing_buckets: '20',
+        failed_buckets: '4',
+        last_error: 'All RPC endpoints failed',
+      }),
+      gap('2024-03-01T06:00:00Z', '2024-03-01T06:05:00Z'),
+    ]));
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({
+      anomaly_type: 'data_gap',
+      severity: 'MEDIUM',
+      confidence: 1,
+      title: '2h gap in metrics collection',
+      affected_metrics: ['collection_coverage'],
+      recent_data: {
+        kind: 'gap',
+        gap_start: '2024-03-01T02:00:00.000Z',
+        gap_end: '2024-03-01T03:55:00.000Z',
+        buckets: 24,
+        missing_buckets: 20,
+        failed_buckets: 4,
+        last_error: 'All RPC endpoints failed',
+        ongoing: false,
+      },
+    });
+    expect(candidates[0].description).toContain('from 2024-03-01T02:00:00.000Z to 2024-03-01T04:00:00.000Z');
+    expect(candidates[0].description).toContain('4 of 24 collections failed (last error: All RPC endpoints failed)');
+  });
+
+  it('marks a gap that reaches the last bucket as ongoing', () => {
+    const [candidate] = detectDataGaps(scan([gap('2024-03-01T07:00:00Z', '2024-03-01T12:00:00Z')]));
+
+    expect(candidate.severity).toBe('HIGH');
+    expect(candidate.title).toBe('No metrics collected since 2024-03-01T07:00:00.000Z');
+    expect(candidate.recent_data.ongoing).toBe(true);
+  });
+
+  it('skips gaps that began before the scanned window', () => {
+    expect(detectDataGaps(scan([gap(WINDOW_START, '2024-02-29T14:00:00Z')]))).toEqual([]);
+  });
+
+  it('raises a coverage anomaly below the minimum coverage', () => {
+    const candidates = detectDataGaps({
+      gaps: [],
+      coverage: [day('2024-02-29', 143, 143), day('2024-03-01', 145, 115)],
+      windowStart: WINDOW_START,
+      lastBucket: LAST_BUCKET,
+    });
+
+    expect(candidates).toEqual([expect.objectContaining({
+      anomaly_type: 'data_gap',
+      severity: 'MEDIUM',
+      title: 'Metrics coverage 89.58% over the last 24h',
+      recent_data: expect.objectContaining({
+        kind: 'coverage',
+        expected_buckets: 288,
+        collected_buckets: 258,
+        missing_buckets: 30,
+        coverage_percent: 89.58,
+      }),
+    })]);
+  });
+});
+
+describe('runGapDetection', () => {
+  it('scans the window up to the last completed bucket', async () => {
+    const store = createStore();
+    await runGapDetection({ store, now: NOW });
+
+    expect(store.getDataGaps).toHaveBeenCalledWith(WINDOW_START, LAST_BUCKET, 300);
+    expect(store.getCoverageByDay).toHaveBeenCalledWith(WINDOW_START, LAST_BUCKET, 300);
+  });
+
+  it('stores each gap once', async () => {
+    const gaps = [
+      gap('2024-03-01T02:00:00Z', '2024-03-01T03:55:00Z'),
+      gap('2024-03-01T07:00:00Z', '2024-03-01T12:00:00Z'),
+    ];
+    const store = createStore({
+      gaps,
+      anomalies: [{
+        anomaly_type: 'data_gap',
+        status: 'resolved',
+        detected_at: new Date('2024-03-01T04:10:00Z'),
+        recent_data: { kind: 'gap', gap_start: '2024-03-01T02:00:00.000Z' },
+      }],
+    });
+
+    const { candidates, inserted } = await runGapDetection({ store, now: NOW, backfill: false });
+
+    expect(candidates).toHaveLength(2);
+    expect(inserted.map(anomaly => anomaly.recent_data.gap_start)).toEqual(['2024-03-01T07:00:00.000Z']);
+  });
+
+  it("doesn't store or backfill in a dry run", async () => {
+    const store = createStore({ gaps: [gap('2024-03-01T02:00:00Z', '2024-03-01T03:55:00Z')] });
+    const createLoader = jest.fn();
+
+    const { candidates, inserted, backfilled } = await runGapDetection({
+      store,
+      now: NOW,
+      dryRun: true,
+      backfill: true,
+      backfillOptions: { createLoader, provider: {} },
+    });
+
+    expect(candidates).toHaveLength(1);
+    expect(inserted).toEqual([]);
+    expect(backfilled).toEqual([]);
+    expect(store.insertAnomaly).not.toHaveBeenCalled();
+    expect(createLoader).not.toHaveBeenCalled();
+  });
+
+  it('backfills closed gaps through the historical loader', async () => {
+    const store = createStore({
+      gaps: [
+        gap('2024-03-01T02:00:00Z', '2024-03-01T03:55:00Z'),
+        gap('2024-03-01T05:00:00Z', '2024-03-01T05:10:00Z'),
+        gap('2024-03-01T07:00:00Z', '2024-03-01T12:00:00Z'),
+      ],
+    });
+    const latestTimestamp = Math.floor(NOW.getTime() / 1000);
+    const provider = { getBlock: jest.fn().mockResolvedValue({ number: 1000000, timestamp: latestTimestamp }) };
+    const loaders = [];
+    const createLoader = jest.fn(({ jobName }) => {
+      const loader = {
+        jobName,
+        // One block every 12 seconds ending at the latest block
+        findBlockAtOrBefore: jest.fn(async timestamp => ({
+          number: 1000000 - Math.ceil((latestTimestamp - timestamp) / 12),
+        })),
+        run: jest.fn(async () => {
+          if (jobName.startsWith('gap_2024-03-01T05')) throw new Error('RPC timeout');
+          return { snapshotsWritten: 24 };
+        }),
+      };
+      loaders.push(loader);
+      return loader;
+    });
+
+    const { backfilled } = await runGapDetection({
+      store,
+      now: NOW,
+      backfill: true,
+      backfillOptions: { createLoader, provider },
+    });
+
+    // The open gap isn't backfilled
+    expect(loaders.map(loader => loader.jobName)).toEqual([
+      'gap_2024-03-01T02:00:00.000Z',
+      'gap_2024-03-01T05:00:00.000Z',
+    ]);
+
+    // From the block before the first missing bucket to the last block before the bucket after the gap
+    const gapStart = Date.parse('2024-03-01T02:00:00Z') / 1000;
+    const afterGap = Date.parse('2024-03-01T04:00:00Z') / 1000;
+    expect(loaders[0].findBlockAtOrBefore.mock.calls.map(call => call[0])).toEqual([gapStart - 1, afterGap - 1]);
+    expect(loaders[0].run).toHaveBeenCalledWith({
+      fromBlock: 1000000 - Math.ceil((latestTimestamp - gapStart + 1) / 12),
+      toBlock: 1000000 - Math.ceil((latestTimestamp - afterGap + 1) / 12),
+    });
+
+    // A failed backfill doesn't stop the others
+    expect(backfilled).toEqual([
+      expect.objectContaining({ snapshots_written: 24 }),
+      expect.objectContaining({ error: 'RPC timeout' }),
+    ]);
+  });
+});
+
+describe('baseline coverage', () => {
+  it('flags an incomplete baseline and lists the largest gaps', async () => {
+    const store = createStore({
+      coverage: [day('2024-02-28', 288, 288), day('2024-02-29', 288, 240)],
+      gaps: [
+        gap('2024-02-29T01:00:00Z', '2024-02-29T01:05:00Z'),
+        gap('2024-02-29T03:00:00Z', '2024-02-29T06:55:00Z'),
+      ],
+    });
+
+    const coverage = await getBaselineCoverage({ store, now: NOW, days: 30 });
+
+    expect(store.getCoverageByDay).toHaveBeenCalledWith(new Date('2024-01-31T12:05:00Z'), LAST_BUCKET, 300);
+    expect(coverage).toMatchObject({
+      expected_buckets: 576,
+      collected_buckets: 528,
+      coverage_percent: 91.67,
+      days: 30,
+      incomplete: true,
+      gaps: [{ gap_start: '2024-02-29T03:00:00.000Z', gap_end: '2024-02-29T06:55:00.000Z', minutes: 240 }],
+    });
+  });
+
+  it('warns the AI analysis when the baseline is incomplete', async () => {
+    const store = createStore({ coverage: [day('2024-02-29', 288, 240)] });
+    const coverage = await getBaselineCoverage({ store, now: NOW });
+
+    const { prompt } = buildAnalysisPrompt({ timeSeries: [], candidates: [], coverage });
+    expect(prompt).toContain('## Data completeness\nWARNING: the baseline is incomplete.');
+
+    const complete = buildAnalysisPrompt({ timeSeries: [], candidates: [], coverage: { ...coverage, incomplete: false } });
+    expect(complete.prompt).toContain('## Data completeness\n- 240 of 288 5-minute snapshots collected over 30 days');
+    expect(complete.prompt).not.toContain('WARNING');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * In-memory chain store
+ * Stands in for the chain_events, chain_blocks and ingestion_state queries used by
+ * the event ingester, with the same duplicate, pruning and rollback rules as SQL.
+ */
+
+/**
+ * Create an empty store; pass it as `store` to createEventIngester
+ * @returns {Object} Query overrides plus the events, blocks and states maps
+ */
+function createChainStore() {
+  const events = new Map(); // `${tx_hash}:${log_index}` -> row
+  const blocks = new Map(); // block_number -> row
+  const states = new Map(); // stream_name -> row
+
+  function insertChainEvents(rows) {
+    let inserted = 0;
+    for (const row of rows) {
+      const key = `${row.tx_hash}:${row.log_index}`;
+      if (!events.has(key)) {
+        events.set(key, { ...row });
+        inserted++;
+      }
+    }
+    return inserted;
+  }
+
+  return {
+    events,
+    blocks,
+    states,
+
+    insertChainEvents: async rows => insertChainEvents(rows),
+
+    getIngestionState: async streamName => (states.has(streamName) ? { ...states.get(streamName) } : null),
+
+    saveIngestedRange: async ({ streamName, events: rows, blocks: headers, lastBlock, lastBlockHash }) => {
+      const inserted = insertChainEvents(rows);
+      for (const header of headers) {
+        blocks.set(header.block_number, { ...header });
+      }
+
+      const previous = states.get(streamName) || { reorg_count: 0, last_reorg_at: null };
+      states.set(streamName, {
+        ...previous,
+        stream_name: streamName,
+        last_block: String(lastBlock),
+        last_block_hash: lastBlockHash,
+      });
+
+      for (const blockNumber of blocks.keys()) {
+        if (blockNumber < lastBlock - 1000) blocks.delete(blockNumber);
+      }
+      return inserted;
+    },
+
+    getRecentChainBlocks: async (beforeBlock, limit = 128) => [...blocks.values()]
+      .filter(block => block.block_number <= beforeBlock)
+      .sort((a, b) => b.block_number - a.block_number)
+      .slice(0, limit)
+      .map(block => ({ ...block, block_number: String(block.block_number) })),
+
+    rollbackChainEvents: async (streamName, forkBlock, forkBlockHash) => {
+      let deleted = 0;
+      for (const [key, row] of events) {
+        if (row.block_number > forkBlock) {
+          events.delete(key);
+          deleted++;
+        }
+      }
+      for (const blockNumber of blocks.keys()) {
+        if (blockNumber > forkBlock) blocks.delete(blockNumber);
+      }
+      const state = states.get(streamName);
+      if (state && Number(state.last_block) > forkBlock) {
+        state.last_block = String(forkBlock);
+        state.last_block_hash = forkBlockHash;
+        state.reorg_count++;
+        state.last_reorg_at = new Date();
+      }
+      return deleted;
+    },
+  };
+}
+
+module.exports = {
+  createChainStore,
+};
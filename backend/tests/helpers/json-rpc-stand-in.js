@@ -0,0 +1,244 @@
+/**
+ * JSON-RPC stand-in
+ * A deterministic chain served over HTTP on 127.0.0.1 for the provider, ingester
+ * and loader tests: one block every 12 seconds, scripted eth_call results and logs,
+ * reorgs and endpoint failures on demand. No network access needed.
+ *
+ * Usage:
+ *   const chain = createStandInChain({ head: 500, call: (tx, blockNumber) => '0x...' });
+ *   const url = await chain.listen();
+ *   ...
+ *   await chain.close();
+ */
+
+const http = require('http');
+const { ethers } = require('ethers');
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../../config/contracts');
+
+const GENESIS_TIMESTAMP = 1700000000;
+const SECONDS_PER_BLOCK = 12;
+
+/**
+ * Create a stand-in chain
+ * @param {Object} options
+ * @param {number} options.head - Latest block number
+ * @param {Function} options.call - (tx, blockNumber) => hex result, or null to revert
+ * @returns {Object} Chain with listen(), close(), addLog(), reorg(), fail() and requests
+ */
+function createStandInChain(options = {}) {
+  let head = options.head ?? 100;
+  const call = options.call || (() => null);
+  const logs = [];
+  const forks = [];
+  const requests = [];
+  let failure = null;
+  let server = null;
+
+  function blockHash(number) {
+    const salt = forks.filter(fork => number >= fork).join(':');
+    return ethers.id(`stand-in block ${number} ${salt}`);
+  }
+
+  function formatBlock(number) {
+    if (number < 0 || number > head) return null;
+    return {
+      number: ethers.toQuantity(number),
+      hash: blockHash(number),
+      parentHash: number === 0 ? ethers.ZeroHash : blockHash(number - 1),
+      timestamp: ethers.toQuantity(GENESIS_TIMESTAMP + number * SECONDS_PER_BLOCK),
+      nonce: '0x0000000000000000',
+      difficulty: '0x0',
+      gasLimit: ethers.toQuantity(30000000),
+      gasUsed: '0x0',
+      miner: ethers.ZeroAddress,
+      extraData: '0x',
+      baseFeePerGas: ethers.toQuantity(1000000000),
+      transactions: [],
+    };
+  }
+
+  function resolveBlockTag(tag) {
+    if (tag === undefined || tag === 'latest' || tag === 'safe' || tag === 'finalized') return head;
+    if (tag === 'earliest') return 0;
+    return Number(tag);
+  }
+
+  function getLogs({ address, topics = [], fromBlock, toBlock }) {
+    const from = resolveBlockTag(fromBlock);
+    const to = resolveBlockTag(toBlock);
+    const addresses = address === undefined ? null : [].concat(address).map(a => a.toLowerCase());
+    const topic0 = topics[0] === undefined || topics[0] === null ? null : [].concat(topics[0]);
+
+    return logs
+      .filter(log => log.blockNumber >= from && log.blockNumber <= to)
+      .filter(log => !addresses || addresses.includes(log.address.toLowerCase()))
+      .filter(log => !topic0 || topic0.includes(log.topics[0]))
+      .map(log => ({
+        address: log.address,
+        topics: log.topics,
+        data: log.data,
+        blockNumber: ethers.toQuantity(log.blockNumber),
+        blockHash: blockHash(log.blockNumber),
+        transactionHash: log.transactionHash,
+        transactionIndex: '0x0',
+        logIndex: ethers.toQuantity(log.logIndex),
+        removed: false,
+      }));
+  }
+
+  const methods = {
+    eth_chainId: () => '0x1',
+    eth_blockNumber: () => ethers.toQuantity(head),
+    eth_getBlockByNumber: ([tag]) => formatBlock(resolveBlockTag(tag)),
+    eth_getLogs: ([filter]) => getLogs(filter),
+    eth_call: ([tx, tag]) => {
+      const result = call(tx, resolveBlockTag(tag));
+      if (result === null || result === undefined) {
+        throw Object.assign(new Error('execution reverted'), { code: 3, data: '0x' });
+      }
+      return result;
+    },
+  };
+
+  function respond(request) {
+    const { id, method, params = [] } = request;
+    requests.push({ method, params, at: Date.now() });
+
+    if (failure && failure.code !== undefined) {
+      const { code, message } = failure;
+      if (--failure.remaining <= 0) failure = null;
+      return { jsonrpc: '2.0', id, error: { code, message } };
+    }
+
+    if (!methods[method]) {
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `method ${method} not found` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id, result: methods[method](params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id, error: { code: error.code, message: error.message, data: error.data } };
+    }
+  }
+
+  function handle(req, res) {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+
+      if (failure && failure.status !== undefined) {
+        const { status } = failure;
+        if (--failure.remaining <= 0) failure = null;
+        requests.push({ method: payload.method, params: payload.params, at: Date.now() });
+        res.writeHead(status);
+        res.end();
+        return;
+      }
+
+      const response = Array.isArray(payload) ? payload.map(respond) : respond(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  }
+
+  return {
+    requests,
+
+    /**
+     * Start serving; resolves with the endpoint URL
+     */
+    listen() {
+      server = http.createServer(handle);
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    close() {
+      if (!server) return Promise.resolve();
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+
+    setHead(block) {
+      head = block;
+    },
+
+    getHead: () => head,
+
+    getBlock: formatBlock,
+
+    timestampOf: number => GENESIS_TIMESTAMP + number * SECONDS_PER_BLOCK,
+
+    /**
+     * Emit an event log; encode topics and data with the contract's Interface
+     */
+    addLog({ address, topics, data, blockNumber, transactionHash }) {
+      const logIndex = logs.filter(log => log.blockNumber === blockNumber).length;
+      logs.push({
+        address,
+        topics,
+        data,
+        blockNumber,
+        logIndex,
+        transactionHash: transactionHash || ethers.id(`stand-in tx ${blockNumber} ${logIndex} ${forks.length}`),
+      });
+    },
+
+    /**
+     * Replace every block from fromBlock on with a new branch that has no logs yet
+     */
+    reorg(fromBlock) {
+      forks.push(fromBlock);
+      for (let i = logs.length - 1; i >= 0; i--) {
+        if (logs[i].blockNumber >= fromBlock) logs.splice(i, 1);
+      }
+    },
+
+    /**
+     * Fail the next requests
+     * @param {Object} error - { code, message } for a JSON-RPC error or { status } for an HTTP error
+     * @param {number} times - Requests to fail (default: until fail(null))
+     */
+    fail(error, times = Infinity) {
+      failure = error ? { ...error, remaining: times } : null;
+    },
+  };
+}
+
+/**
+ * Build a `call` option that answers the protocol state reads in readProtocolState
+ * @param {Function} stateAt - blockNumber => { pooledEther, totalSupply, queuedEth, requests };
+ *   a missing field reverts, as a function that didn't exist yet at that block would
+ */
+function createProtocolCall(stateAt) {
+  const contracts = {
+    [ETHERFI_ADDRESSES.LIQUIDITY_POOL.toLowerCase()]: {
+      iface: new ethers.Interface(ETHERFI_ABIS.LIQUIDITY_POOL),
+      fields: { getTotalPooledEther: 'pooledEther' },
+    },
+    [ETHERFI_ADDRESSES.EETH_TOKEN.toLowerCase()]: {
+      iface: new ethers.Interface(ETHERFI_ABIS.EETH_TOKEN),
+      fields: { totalSupply: 'totalSupply' },
+    },
+    [ETHERFI_ADDRESSES.WITHDRAWAL_QUEUE.toLowerCase()]: {
+      iface: new ethers.Interface(ETHERFI_ABIS.WITHDRAWAL_QUEUE),
+      fields: { totalQueuedWithdrawals: 'queuedEth', getWithdrawalRequests: 'requests' },
+    },
+  };
+
+  return (tx, blockNumber) => {
+    const contract = contracts[tx.to.toLowerCase()];
+    const fn = contract && contract.iface.parseTransaction({ data: tx.data });
+    const value = fn ? stateAt(blockNumber)[contract.fields[fn.name]] : undefined;
+    return value === undefined ? null : contract.iface.encodeFunctionResult(fn.name, [value]);
+  };
+}
+
+module.exports = {
+  createStandInChain,
+  createProtocolCall,
+  GENESIS_TIMESTAMP,
+  SECONDS_PER_BLOCK,
+};
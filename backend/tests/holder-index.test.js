@@ -0,0 +1,193 @@
+/**
+ * Holder index tests
+ * Replays synthetic eETH logs from a stand-in provider into an in-memory store;
+ * no RPC endpoint or database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { ethers } = require('ethers');
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../config/contracts');
+const { createHolderIndex, sharesToAmount } = require('../src/collectors/holder-index');
+
+const eeth = new ethers.Interface(ETHERFI_ABIS.EETH_TOKEN);
+const pool = new ethers.Interface(ETHERFI_ABIS.LIQUIDITY_POOL);
+
+const ALICE = ethers.getAddress('0x' + '11'.repeat(20));
+const BOB = ethers.getAddress('0x' + '22'.repeat(20));
+const CAROL = ethers.getAddress('0x' + '33'.repeat(20));
+const ETHER = 10n ** 18n;
+
+/**
+ * Provider stand-in: logs by block, a 1.1 ETH-per-share rate and a sharesForAmount
+ * rate of 2 shares per wei for Transfers that have no TransferShares
+ */
+function createProvider() {
+  const logs = [];
+  let head = 100;
+
+  function addLog(blockNumber, txHash, eventName, args) {
+    const { data, topics } = eeth.encodeEventLog(eventName, args);
+    logs.push({
+      address: ETHERFI_ADDRESSES.EETH_TOKEN,
+      blockNumber,
+      transactionHash: txHash,
+      index: logs.length,
+      topics,
+      data,
+      removed: false,
+    });
+  }
+
+  return {
+    logs,
+    addLog,
+    setHead: (block) => { head = block; },
+    getBlockNumber: async () => head,
+    getCode: async address => (address === BOB.toLowerCase() ? '0x6080' : '0x'),
+    getBlock: async number => ({ number, hash: ethers.zeroPadValue(ethers.toBeHex(number), 32), timestamp: 1700000000 + number * 12 }),
+    getLogs: async ({ fromBlock, toBlock }) =>
+      logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock),
+    call: async (tx) => {
+      const iface = tx.to.toLowerCase() === ETHERFI_ADDRESSES.LIQUIDITY_POOL.toLowerCase() ? pool : eeth;
+      const call = iface.parseTransaction({ data: tx.data });
+      const results = {
+        getTotalPooledEther: () => [110n * ETHER],
+        totalShares: () => [100n * ETHER],
+        sharesForAmount: () => [call.args[0] * 2n],
+      };
+      return iface.encodeFunctionResult(call.name, results[call.name]());
+    },
+  };
+}
+
+function createStore() {
+  const holders = new Map();
+  const whales = new Map();
+  const rankEvents = [];
+  const contractChecks = new Map();
+  let state = null;
+
+  return {
+    holders,
+    whales,
+    rankEvents,
+    contractChecks,
+    getIngestionState: async () => state,
+    applyHolderShareChanges: async ({ changes, lastBlock, lastBlockHash }) => {
+      for (const change of changes) {
+        const holder = holders.get(change.address) || { address: change.address, shares: 0n };
+        holder.shares += BigInt(change.delta);
+        holders.set(change.address, holder);
+      }
+      state = { last_block: String(lastBlock), last_block_hash: lastBlockHash };
+      return changes.length;
+    },
+    getTopHolders: async limit => [...holders.values()]
+      .filter(holder => holder.shares > 0n)
+      .sort((a, b) => (b.shares > a.shares ? 1 : b.shares < a.shares ? -1 : 0))
+      .slice(0, limit)
+      .map(holder => ({ address: holder.address, shares: holder.shares.toString() })),
+    getHolderBalances: async addresses => addresses
+      .filter(address => holders.has(address))
+      .map(address => ({ address, shares: holders.get(address).shares.toString() })),
+    getNegativeHolderBalances: async () => [...holders.values()].filter(holder => holder.shares < 0n),
+    getRankedWhales: async () => [...whales.values()]
+      .filter(whale => whale.rank_position !== null)
+      .map(whale => ({ address: whale.address, rank_position: whale.rank_position })),
+    upsertWhaleWallet: async (data) => {
+      whales.set(data.address, { ...whales.get(data.address), ...data });
+    },
+    getAddressLabelsFor: async () => [],
+    saveContractChecks: async (checks) => {
+      checks.forEach(check => contractChecks.set(check.address, check.is_contract));
+      return checks.length;
+    },
+    recordWhaleRankChanges: async (events) => {
+      rankEvents.push(...events);
+      events
+        .filter(event => event.event_type === 'exited')
+        .forEach((event) => { whales.get(event.address).rank_position = null; });
+      return events;
+    },
+  };
+}
+
+let provider;
+let store;
+let index;
+
+beforeEach(() => {
+  provider = createProvider();
+  store = createStore();
+  index = createHolderIndex({ provider, store, topN: 2, startBlock: 10, chunkSize: 25, confirmations: 5 });
+});
+
+describe('sharesToAmount', () => {
+  it('converts with the pooled ether per share', () => {
+    expect(sharesToAmount(10n * ETHER, 110n * ETHER, 100n * ETHER)).toBe(11n * ETHER);
+    expect(sharesToAmount(1n, 0n, 0n)).toBe(0n);
+  });
+});
+
+describe('holder index', () => {
+  it('applies TransferShares and skips the Transfer emitted with it', async () => {
+    // Mint: eETH emits Transfer with the amount and TransferShares with the shares
+    provider.addLog(12, '0xa1', 'Transfer', [ethers.ZeroAddress, ALICE, 11n * ETHER]);
+    provider.addLog(12, '0xa1', 'TransferShares', [ethers.ZeroAddress, ALICE, 10n * ETHER]);
+    provider.addLog(40, '0xa2', 'TransferShares', [ALICE, BOB, 4n * ETHER]);
+    provider.addLog(40, '0xa2', 'Transfer', [ALICE, BOB, 44n * ETHER / 10n]);
+
+    const result = await index.syncOnce();
+
+    expect(result.lastBlock).toBe(95);
+    expect(store.holders.get(ALICE).shares).toBe(6n * ETHER);
+    expect(store.holders.get(BOB).shares).toBe(4n * ETHER);
+    expect(store.holders.has(ethers.ZeroAddress)).toBe(false);
+  });
+
+  it('converts a Transfer without a TransferShares at its block', async () => {
+    provider.addLog(12, '0xb1', 'Transfer', [ethers.ZeroAddress, CAROL, 3n * ETHER]);
+    await index.syncOnce();
+    expect(store.holders.get(CAROL).shares).toBe(6n * ETHER);
+  });
+
+  it('ranks by shares, converts balances and records entries and exits', async () => {
+    provider.addLog(12, '0xc1', 'TransferShares', [ethers.ZeroAddress, ALICE, 10n * ETHER]);
+    provider.addLog(12, '0xc2', 'TransferShares', [ethers.ZeroAddress, BOB, 5n * ETHER]);
+    provider.addLog(13, '0xc3', 'TransferShares', [ethers.ZeroAddress, CAROL, 1n * ETHER]);
+
+    const first = await index.runCycle();
+    expect(first.whales.map(whale => [whale.address, whale.rank, whale.balance_eeth])).toEqual([
+      [ALICE, 1, '11.0'],
+      [BOB, 2, '5.5'],
+    ]);
+    expect(first.events.map(event => [event.address, event.event_type])).toEqual([
+      [ALICE, 'entered'],
+      [BOB, 'entered'],
+    ]);
+    expect(store.whales.get(ALICE)).toMatchObject({ rank_position: 1, block_number: 95 });
+    expect(Object.fromEntries(store.contractChecks)).toEqual({
+      [ALICE.toLowerCase()]: false,
+      [BOB.toLowerCase()]: true,
+    });
+
+    // Carol overtakes Bob
+    provider.addLog(120, '0xc4', 'TransferShares', [ethers.ZeroAddress, CAROL, 9n * ETHER]);
+    provider.setHead(130);
+
+    const second = await index.runCycle();
+    expect(second.whales.map(whale => whale.address)).toEqual([ALICE, CAROL]);
+    expect(second.events).toEqual([
+      expect.objectContaining({ address: CAROL, event_type: 'entered', rank_position: 2 }),
+      expect.objectContaining({ address: BOB, event_type: 'exited', previous_rank: 2, balance_eeth: '5.5' }),
+    ]);
+    expect(store.whales.get(BOB).rank_position).toBeNull();
+  });
+
+  it('does nothing before the start block is confirmed', async () => {
+    provider.setHead(12);
+    const result = await index.runCycle();
+    expect(result).toMatchObject({ lastBlock: 9, whales: [], events: [] });
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Job runner tests
+ * Jobs run against an in-memory job_runs store with the same claim rules as
+ * startJobRun (one running row per job) and heartbeatJobRun; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const cron = require('node-cron');
+const { DEFAULT_SCHEDULES, getJobSchedules } = require('../config/jobs');
+const { createJobDefinitions } = require('../src/jobs/job-definitions');
+const { createJobRunner } = require('../src/jobs/job-runner');
+
+/**
+ * In-memory version of the job_runs queries
+ */
+function createStore() {
+  const runs = [];
+  const heartbeats = [];
+  const failedCollections = [];
+
+  return {
+    runs,
+    heartbeats,
+    failedCollections,
+    startJobRun: async (jobName, trigger) => {
+      const running = runs.find(run => run.job_name === jobName && run.status === 'running') || null;
+      const run = {
+        id: runs.length + 1,
+        job_name: jobName,
+        trigger,
+        status: running ? 'skipped' : 'running',
+        started_at: new Date('2024-03-01T12:07:30Z'),
+      };
+      runs.push(run);
+      return running
+        ? { run: null, skipped: run, running, abandoned: 0 }
+        : { run, skipped: null, running: null, abandoned: 0 };
+    },
+    heartbeatJobRun: async (id) => {
+      heartbeats.push(id);
+      return runs[id - 1].status === 'running';
+    },
+    finishJobRun: async (id, data) => {
+      Object.assign(runs[id - 1], data);
+      return runs[id - 1];
+    },
+    insertFailedCollection: async (data) => {
+      failedCollections.push(data);
+      return { id: 1, timestamp: data.timestamp };
+    },
+  };
+}
+
+/**
+ * A job whose run resolves or rejects when the test says so
+ */
+function createControlledJob(name, extra = {}) {
+  const pending = [];
+  return {
+    pending,
+    job: {
+      name,
+      description: `${name} job`,
+      schedule: '*/5 * * * *',
+      enabled: true,
+      run: () => new Promise((resolve, reject) => pending.push({ resolve, reject })),
+      ...extra,
+    },
+  };
+}
+
+describe('job runner', () => {
+  it('records a successful run with its summary and duration', async () => {
+    const store = createStore();
+    const runner = createJobRunner({
+      store,
+      jobs: [{
+        name: 'detect',
+        schedule: '* * * * *',
+        enabled: true,
+        run: async () => ({ candidates: [1, 2], inserted: [1] }),
+        summarize: result => ({ candidates: result.candidates.length, inserted: result.inserted.length }),
+      }],
+    });
+
+    const outcome = await runner.runJob('detect', 'cli');
+
+    expect(outcome).toMatchObject({ status: 'success', result: { candidates: 2, inserted: 1 } });
+    expect(store.runs).toEqual([expect.objectContaining({
+      job_name: 'detect',
+      trigger: 'cli',
+      status: 'success',
+      duration_ms: expect.any(Number),
+      result: { candidates: 2, inserted: 1 },
+    })]);
+  });
+
+  it("doesn't overlap a run that is still in progress", async () => {
+    const store = createStore();
+    const { job, pending } = createControlledJob('collect-metrics');
+    const runner = createJobRunner({ store, jobs: [job] });
+
+    const first = await runner.startJob('collect-metrics', 'schedule');
+    expect(first.run.status).toBe('running');
+
+    const second = await runner.runJob('collect-metrics', 'manual');
+    expect(second).toMatchObject({ status: 'skipped', running: { id: first.run.id } });
+    expect(pending).toHaveLength(1);
+
+    pending[0].resolve();
+    await first.done;
+
+    const third = await runner.startJob('collect-metrics', 'schedule');
+    expect(third.run).toBeTruthy();
+    pending[1].resolve();
+    await third.done;
+
+    expect(store.runs.map(run => [run.trigger, run.status]))
+      .toEqual([['schedule', 'success'], ['manual', 'skipped'], ['schedule', 'success']]);
+  });
+
+  it('keeps a long run alive with heartbeats until it finishes', async () => {
+    jest.useFakeTimers();
+    try {
+      const store = createStore();
+      const { job, pending } = createControlledJob('holder-index');
+      const runner = createJobRunner({ store, jobs: [job], heartbeatSeconds: 60 });
+
+      const started = await runner.startJob('holder-index', 'schedule');
+      // Well past the staleness threshold, but the run is still working
+      await jest.advanceTimersByTimeAsync(90 * 60 * 1000);
+      expect(store.heartbeats).toHaveLength(90);
+      expect(new Set(store.heartbeats)).toEqual(new Set([started.run.id]));
+
+      pending[0].resolve();
+      await started.done;
+      await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+      expect(store.heartbeats).toHaveLength(90);
+      expect(store.runs[0].status).toBe('success');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('records failures and calls the failure handler', async () => {
+    const store = createStore();
+    const onFailure = jest.fn().mockRejectedValue(new Error('database down'));
+    const runner = createJobRunner({
+      store,
+      jobs: [{
+        name: 'validators',
+        schedule: '* * * * *',
+        enabled: true,
+        run: async () => { throw new Error('Beacon genesis failed: HTTP 503'); },
+        onFailure,
+      }],
+    });
+
+    const outcome = await runner.runJob('validators');
+
+    expect(outcome.status).toBe('failed');
+    expect(onFailure).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Beacon genesis failed: HTTP 503' }),
+      expect.objectContaining({ startedAt: new Date('2024-03-01T12:07:30Z') })
+    );
+    // A failing handler doesn't stop the run from being recorded
+    expect(store.runs[0]).toMatchObject({ status: 'failed', error_message: 'Beacon genesis failed: HTTP 503' });
+  });
+
+  it('rejects unknown jobs', async () => {
+    const runner = createJobRunner({ store: createStore(), jobs: [] });
+    await expect(runner.runJob('nope')).rejects.toThrow('Unknown job "nope"');
+  });
+
+  it('schedules only enabled jobs', () => {
+    const schedule = jest.spyOn(cron, 'schedule').mockReturnValue({ stop: jest.fn() });
+    const runner = createJobRunner({
+      store: createStore(),
+      jobs: [
+        { name: 'a', schedule: '*/5 * * * *', enabled: true, run: async () => {} },
+        { name: 'b', schedule: '0 * * * *', enabled: false, run: async () => {} },
+      ],
+    });
+
+    runner.start();
+    runner.stop();
+
+    expect(schedule).toHaveBeenCalledTimes(1);
+    expect(schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function));
+    schedule.mockRestore();
+  });
+});
+
+describe('job definitions', () => {
+  it('defines every scheduled job with its schedule', () => {
+    const jobs = createJobDefinitions({ schedules: DEFAULT_SCHEDULES, disabled: ['analyze'] });
+
+    expect(jobs.map(job => job.name)).toEqual(Object.keys(DEFAULT_SCHEDULES));
+    expect(jobs.find(job => job.name === 'analyze').enabled).toBe(false);
+    expect(jobs.find(job => job.name === 'detect')).toMatchObject({ schedule: '1-59/5 * * * *', enabled: true });
+  });
+
+  it('stores a failed collection row for the snapshot slot when collection fails', async () => {
+    const store = createStore();
+    const collect = createJobDefinitions({ schedules: DEFAULT_SCHEDULES, disabled: [] })
+      .find(job => job.name === 'collect-metrics');
+    const runner = createJobRunner({ store, jobs: [{ ...collect, run: async () => { throw new Error('All RPC endpoints failed'); } }] });
+
+    await runner.runJob('collect-metrics', 'schedule');
+
+    expect(store.failedCollections).toEqual([{
+      timestamp: new Date('2024-03-01T12:05:00Z'),
+      error_message: 'All RPC endpoints failed',
+    }]);
+    expect(store.runs[0].status).toBe('failed');
+  });
+
+  it('builds the analyze schedule from ANALYSIS_INTERVAL_MINUTES', () => {
+    expect(getJobSchedules().analyze).toBe('*/30 * * * *');
+  });
+
+  it('rejects an analysis interval that cannot be spaced evenly unless JOB_ANALYZE_CRON is set', () => {
+    process.env.ANALYSIS_INTERVAL_MINUTES = '45';
+    try {
+      jest.isolateModules(() => {
+        const jobsConfig = require('../config/jobs');
+        expect(() => jobsConfig.getJobSchedules()).toThrow(expect.objectContaining({
+          name: 'ConfigError',
+          failures: [{ name: 'analyze', error: expect.stringContaining('ANALYSIS_INTERVAL_MINUTES') }],
+        }));
+
+        process.env.JOB_ANALYZE_CRON = '0 */3 * * *';
+        expect(jobsConfig.getJobSchedules().analyze).toBe('0 */3 * * *');
+      });
+    } finally {
+      delete process.env.ANALYSIS_INTERVAL_MINUTES;
+      delete process.env.JOB_ANALYZE_CRON;
+    }
+  });
+
+  it('rejects a staleness threshold that a single missed heartbeat would cross', () => {
+    process.env.JOB_STALE_AFTER_MINUTES = '1';
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../config/jobs').getJobSchedules()).toThrow(expect.objectContaining({
+          name: 'ConfigError',
+          failures: [{ name: 'heartbeat', error: expect.stringContaining('JOB_STALE_AFTER_MINUTES') }],
+        }));
+      });
+    } finally {
+      delete process.env.JOB_STALE_AFTER_MINUTES;
+    }
+  });
+
+  it('rejects invalid schedules from the environment', () => {
+    process.env.JOB_EXCHANGE_FLOWS_CRON = 'every hour';
+    try {
+      expect(() => getJobSchedules()).toThrow(expect.objectContaining({
+        name: 'ConfigError',
+        failures: [{ name: 'exchange-flows', error: expect.stringContaining('JOB_EXCHANGE_FLOWS_CRON') }],
+      }));
+    } finally {
+      delete process.env.JOB_EXCHANGE_FLOWS_CRON;
+    }
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Address label tests
+ * Parsing, validation and the label service against an in-memory label store and
+ * a stand-in getCode provider. No database or RPC endpoint needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { ethers } = require('ethers');
+const {
+  createLabelService,
+  parseCsv,
+  parseLabelFile,
+  toCsv,
+  validateLabels,
+} = require('../src/labels/address-labels');
+const { ConfigError } = require('../src/utils/error-handler');
+
+const EXCHANGE = '0x28C6c06298d514Db089934071355E5743bf21d60';
+const WALLET = ethers.getAddress('0x' + 'ab'.repeat(20));
+const CONTRACT = ethers.getAddress('0x' + 'cd'.repeat(20));
+
+function createStore() {
+  const labels = new Map();
+
+  return {
+    labels,
+    upsertAddressLabels: async (rows, source) => {
+      rows.forEach((row) => {
+        const existing = labels.get(row.address);
+        if (source === 'builtin' && existing?.source === 'import') return;
+        labels.set(row.address, { is_contract: null, code_checked_at: null, ...existing, ...row, source });
+      });
+      return rows.length;
+    },
+    getAddressLabelsFor: async addresses => addresses
+      .map(address => labels.get(address.toLowerCase()))
+      .filter(Boolean),
+    getAddressLabels: async ({ category } = {}) => [...labels.values()]
+      .filter(row => row.label && (!category || row.category === category))
+      .sort((a, b) => a.address.localeCompare(b.address)),
+    saveContractChecks: async (checks) => {
+      checks.forEach((check) => {
+        labels.set(check.address, {
+          address: check.address,
+          label: null,
+          category: null,
+          ...labels.get(check.address),
+          is_contract: check.is_contract,
+          code_checked_at: new Date(),
+        });
+      });
+      return checks.length;
+    },
+  };
+}
+
+function createProvider() {
+  const calls = [];
+  return {
+    calls,
+    getCode: async (address) => {
+      calls.push(address);
+      return address === CONTRACT.toLowerCase() ? '0x6080604052' : '0x';
+    },
+  };
+}
+
+describe('label parsing', () => {
+  it('parses quoted CSV fields and skips blank lines', () => {
+    const csv = '\uFEFFAddress,Label,Category,Notes\r\n'
+      + `${EXCHANGE},"Binance, Hot ""14""",exchange,\r\n`
+      + '\r\n'
+      + `${WALLET},Fund wallet,fund,"two\nlines"\n`;
+
+    expect(parseCsv(csv)).toEqual([
+      { address: EXCHANGE, label: 'Binance, Hot "14"', category: 'exchange', notes: '' },
+      { address: WALLET, label: 'Fund wallet', category: 'fund', notes: 'two\nlines' },
+    ]);
+  });
+
+  it('rejects CSV without an address and label header', () => {
+    expect(() => parseCsv(`${EXCHANGE},Binance\n`)).toThrow(ConfigError);
+  });
+
+  it('round-trips through CSV', () => {
+    const rows = [{ address: EXCHANGE.toLowerCase(), label: 'Binance, 14', category: 'exchange', notes: null }];
+    const csv = toCsv(rows);
+
+    expect(csv).toBe(`address,label,category,notes\n${EXCHANGE},"Binance, 14",exchange,\n`);
+    expect(validateLabels(parseCsv(csv)).labels).toEqual(rows);
+  });
+
+  it('picks the parser from the file extension', () => {
+    expect(parseLabelFile(JSON.stringify([{ address: WALLET, label: 'A' }]), 'labels.JSON')).toHaveLength(1);
+    expect(() => parseLabelFile('{}', 'labels.json')).toThrow('JSON array');
+    expect(() => parseLabelFile('', 'labels.txt')).toThrow('Unsupported');
+  });
+});
+
+describe('validateLabels', () => {
+  it('lowercases addresses, defaults the category and keeps the last duplicate', () => {
+    const { labels, failures } = validateLabels([
+      { address: WALLET, label: 'First' },
+      { address: WALLET.toUpperCase().replace('0X', '0x'), label: ' Second ', category: 'FUND' },
+    ]);
+
+    expect(failures).toEqual([]);
+    expect(labels).toEqual([{ address: WALLET.toLowerCase(), label: 'Second', category: 'fund', notes: null }]);
+  });
+
+  it('reports every invalid row by number', () => {
+    const badChecksum = EXCHANGE.replace('C6c', 'c6C');
+    const { failures } = validateLabels([
+      { address: WALLET, label: 'ok' },
+      { address: badChecksum, label: 'bad checksum' },
+      { address: WALLET, label: '' },
+      { address: WALLET, label: 'x', category: 'whale' },
+      { address: "0x1' OR 1=1 --", label: 'x' },
+    ]);
+
+    expect(failures.map(failure => failure.row)).toEqual([2, 3, 4, 5]);
+  });
+});
+
+describe('label service', () => {
+  let store;
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    store = createStore();
+    provider = createProvider();
+    service = createLabelService({ store, provider });
+  });
+
+  it('imports nothing when any record is invalid', async () => {
+    await expect(service.importLabels([
+      { address: WALLET, label: 'ok' },
+      { address: 'not-an-address', label: 'bad' },
+    ])).rejects.toMatchObject({ name: 'ConfigError', failures: [{ row: 2 }] });
+    expect(store.labels.size).toBe(0);
+  });
+
+  it('resolves regardless of address casing', async () => {
+    await service.importLabels([{ address: EXCHANGE, label: 'Binance 14', category: 'exchange' }]);
+
+    expect(await service.resolve(EXCHANGE.toUpperCase().replace('0X', '0x'))).toMatchObject({
+      label: 'Binance 14',
+      category: 'exchange',
+    });
+    expect(await service.resolve(WALLET)).toBeNull();
+  });
+
+  it('seeds built-in labels without overwriting imported ones', async () => {
+    await service.importLabels([{ address: EXCHANGE.toLowerCase(), label: 'Our Binance label', category: 'exchange' }]);
+    await service.seedBuiltinLabels();
+
+    expect((await service.resolve(EXCHANGE)).label).toBe('Our Binance label');
+    expect((await service.resolve('0x308861a430be4cce5502d0a12724771fc6daf216')).category).toBe('protocol');
+  });
+
+  it('exports checksummed JSON filtered by category', async () => {
+    await service.importLabels([
+      { address: EXCHANGE, label: 'Binance 14', category: 'exchange' },
+      { address: WALLET, label: 'Fund', category: 'fund', notes: 'OTC desk' },
+    ]);
+
+    expect(JSON.parse(await service.exportLabels('json', { category: 'fund' }))).toEqual([
+      { address: WALLET, label: 'Fund', category: 'fund', notes: 'OTC desk' },
+    ]);
+  });
+
+  it('checks code once and skips fresh results', async () => {
+    const first = await service.checkContracts([WALLET, CONTRACT, CONTRACT.toLowerCase()]);
+
+    expect(Object.fromEntries(first)).toEqual({
+      [WALLET.toLowerCase()]: false,
+      [CONTRACT.toLowerCase()]: true,
+    });
+    expect(provider.calls).toHaveLength(2);
+
+    await service.checkContracts([WALLET, CONTRACT]);
+    expect(provider.calls).toHaveLength(2);
+
+    await service.checkContracts([WALLET], { force: true });
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  it('rechecks addresses that were EOAs a week ago', async () => {
+    await service.checkContracts([WALLET, CONTRACT]);
+    for (const row of store.labels.values()) {
+      row.code_checked_at = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+    }
+
+    await service.checkContracts([WALLET, CONTRACT]);
+    expect(provider.calls).toEqual([WALLET.toLowerCase(), CONTRACT.toLowerCase(), WALLET.toLowerCase()]);
+  });
+});
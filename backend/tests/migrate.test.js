@@ -0,0 +1,116 @@
+/**
+ * Migration runner tests
+ * Runs migrate up/down against a stand-in schema_migrations table: the advisory
+ * lock, and the step count of a rollback; no database needed.
+ */
+
+jest.mock('../src/database/db-connection', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+  transaction: jest.fn(),
+  closePool: jest.fn(),
+}));
+
+const db = require('../src/database/db-connection');
+const { loadMigrations, migrateUp, migrateDown, main } = require('../src/database/migrate');
+
+const MIGRATIONS = loadMigrations();
+
+let applied;
+let lockClient;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  applied = MIGRATIONS.map(({ version, name, checksum }) => ({ version, name, checksum }));
+  lockClient = {
+    query: jest.fn(async () => ({ rows: [{ locked: true }] })),
+    release: jest.fn(),
+  };
+  db.getClient.mockResolvedValue(lockClient);
+  db.query.mockImplementation(async sql => ({
+    rows: /SELECT \* FROM schema_migrations/.test(sql) ? applied : [],
+  }));
+  db.transaction.mockImplementation(async (callback) => {
+    const client = {
+      query: jest.fn(async (sql, values) => {
+        if (/DELETE FROM schema_migrations/.test(sql)) {
+          applied = applied.filter(row => row.version !== values[0]);
+        }
+        return { rows: [] };
+      }),
+    };
+    return callback(client);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.exitCode = undefined;
+});
+
+async function runCli(...args) {
+  const argv = process.argv;
+  process.argv = ['node', 'migrate.js', ...args];
+  try {
+    await main();
+  } finally {
+    process.argv = argv;
+  }
+}
+
+describe('migrateDown', () => {
+  test('rolls back the latest migrations under the advisory lock', async () => {
+    const rolledBack = await migrateDown(2);
+
+    expect(rolledBack.map(row => row.version)).toEqual(
+      MIGRATIONS.slice(-2).reverse().map(migration => migration.version)
+    );
+    expect(applied).toHaveLength(MIGRATIONS.length - 2);
+    expect(lockClient.query.mock.calls.map(([sql]) => sql)).toEqual([
+      'SELECT pg_try_advisory_lock($1) AS locked',
+      'SELECT pg_advisory_unlock($1)',
+    ]);
+    expect(lockClient.release).toHaveBeenCalled();
+  });
+
+  test.each([0, -1, 1.5, NaN])('refuses %p steps without touching the schema', async (steps) => {
+    await expect(migrateDown(steps)).rejects.toThrow('Steps must be a positive integer');
+
+    expect(db.transaction).not.toHaveBeenCalled();
+    expect(applied).toHaveLength(MIGRATIONS.length);
+  });
+});
+
+describe('migrateUp', () => {
+  test('waits for the lock when another run holds it', async () => {
+    applied = applied.slice(0, -1);
+    lockClient.query.mockImplementationOnce(async () => ({ rows: [{ locked: false }] }));
+
+    const migrated = await migrateUp();
+
+    expect(migrated.map(migration => migration.version)).toEqual([MIGRATIONS[MIGRATIONS.length - 1].version]);
+    expect(lockClient.query.mock.calls[1][0]).toBe('SELECT pg_advisory_lock($1)');
+  });
+});
+
+describe('command line', () => {
+  test('down 0 rolls back nothing', async () => {
+    await runCli('down', '0');
+
+    expect(process.exitCode).toBe(1);
+    expect(console.error).toHaveBeenCalledWith('Invalid argument "0": expected a positive integer');
+    expect(db.transaction).not.toHaveBeenCalled();
+    expect(applied).toHaveLength(MIGRATIONS.length);
+    expect(db.closePool).toHaveBeenCalled();
+  });
+
+  test('down without a count rolls back one migration', async () => {
+    await runCli('down');
+
+    expect(process.exitCode).toBeUndefined();
+    expect(applied).toHaveLength(MIGRATIONS.length - 1);
+  });
+});
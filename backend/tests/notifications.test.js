@@ -0,0 +1,397 @@
+/**
+ * Alert notification tests
+ * Sinks are exercised against local HTTP and SMTP stand-ins; the dispatcher runs
+ * against an in-memory delivery store. No database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const http = require('http');
+const net = require('net');
+const { createSinks, signPayload } = require('../src/notifications/sinks');
+const { getDedupKey, getRoutes, matchesRule } = require('../src/notifications/routing');
+const { createNotificationDispatcher } = require('../src/notifications/dispatcher');
+
+const ANOMALY = {
+  id: 1,
+  anomaly_type: 'peg_deviation',
+  severity: 'CRITICAL',
+  confidence: '0.95',
+  title: 'eETH depegged on Curve',
+  description: 'eETH/ETH fell to 0.97 on the Curve pool.',
+  recommendation: 'Check pool liquidity',
+  affected_metrics: ['eeth_eth_price'],
+  detected_at: '2024-01-01T00:00:00Z',
+  claude_prompt: 'large prompt',
+};
+
+/**
+ * HTTP stand-in recording every request; answers with the next queued status (default 200)
+ */
+async function startHttpServer() {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, statuses, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+/**
+ * Minimal SMTP stand-in that accepts every message
+ */
+async function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let data = '';
+    socket.write('220 localhost ESMTP test\r\n');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            messages.push(data);
+            data = '';
+            socket.write('250 OK queued\r\n');
+          } else {
+            data += `${line}\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^DATA/i.test(line)) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, messages, port: server.address().port };
+}
+
+/**
+ * In-memory version of the notification queries
+ * Anomalies are read the way getAnomaliesAfter does: in (txid, id) order, and
+ * only from transactions older than every one still open. An anomaly's txid
+ * defaults to its id.
+ */
+function createStore(anomalies) {
+  const deliveries = [];
+  const attempts = [];
+  const open = new Set();
+  let cursor = 0;
+
+  const txidOf = anomaly => anomaly.txid ?? anomaly.id;
+  const byCommitOrder = (a, b) => txidOf(a) - txidOf(b) || a.id - b.id;
+
+  const copy = row => ({ ...row });
+
+  return {
+    deliveries,
+    attempts,
+    open,
+    getNotificationCursor: async () => cursor,
+    saveNotificationCursor: async (name, id) => { cursor = id; },
+    getAnomaliesAfter: async (afterId, limit) => {
+      const after = anomalies.find(anomaly => anomaly.id === afterId);
+      return anomalies
+        .filter(anomaly => txidOf(anomaly) < Math.min(Infinity, ...open))
+        .filter(anomaly => (after ? byCommitOrder(anomaly, after) > 0 : anomaly.id > afterId))
+        .sort(byCommitOrder)
+        .slice(0, limit);
+    },
+    getAnomaliesByIds: async ids => anomalies.filter(anomaly => ids.includes(anomaly.id)),
+    createNotificationDelivery: async (data) => {
+      const delivery = { id: deliveries.length + 1, attempts: 0, created_at: new Date(), ...data };
+      deliveries.push(delivery);
+      return copy(delivery);
+    },
+    countRuleDeliveries: async (ruleName, sinkName) => deliveries.filter(delivery =>
+      delivery.rule_name === ruleName && delivery.sink_name === sinkName
+      && ['pending', 'retrying', 'sent', 'failed'].includes(delivery.status)).length,
+    findDuplicateDelivery: async (ruleName, sinkName, dedupKey) => deliveries.find(delivery =>
+      delivery.rule_name === ruleName && delivery.sink_name === sinkName && delivery.dedup_key === dedupKey
+      && ['pending', 'retrying', 'sent'].includes(delivery.status)) || null,
+    claimDueNotificationDeliveries: async (limit) => {
+      const due = deliveries
+        .filter(delivery => ['pending', 'retrying'].includes(delivery.status) && delivery.next_attempt_at <= new Date())
+        .slice(0, limit);
+      due.forEach((delivery) => { delivery.next_attempt_at = new Date(Date.now() + 60000); });
+      return due.map(copy);
+    },
+    recordNotificationAttempt: async (id, data) => {
+      attempts.push({ delivery_id: id, ...data });
+      const delivery = deliveries.find(row => row.id === id);
+      Object.assign(delivery, {
+        status: data.status,
+        attempts: data.attempt,
+        next_attempt_at: data.next_attempt_at || null,
+        last_error: data.error_message || null,
+      });
+      return copy(delivery);
+    },
+    createDigestDelivery: async (ruleName, sinkName) => {
+      const pending = deliveries.filter(delivery =>
+        delivery.rule_name === ruleName && delivery.sink_name === sinkName && delivery.status === 'digest_pending');
+      if (pending.length === 0) return null;
+
+      const digest = {
+        id: deliveries.length + 1,
+        anomaly_ids: pending.flatMap(delivery => delivery.anomaly_ids),
+        rule_name: ruleName,
+        sink_name: sinkName,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(),
+      };
+      deliveries.push(digest);
+      pending.forEach((delivery) => {
+        delivery.status = 'digested';
+        delivery.digest_delivery_id = digest.id;
+      });
+      return copy(digest);
+    },
+  };
+}
+
+/**
+ * Sink stand-in that fails the first `failures` sends
+ */
+function createStubSink(name, failures = 0) {
+  const sent = [];
+  return {
+    name,
+    sent,
+    async send(message) {
+      if (failures > 0) {
+        failures--;
+        const error = new Error('Request failed with status code 503');
+        error.response = { status: 503 };
+        throw error;
+      }
+      sent.push(message);
+      return { responseStatus: 200 };
+    },
+  };
+}
+
+describe('routing', () => {
+  const rules = [
+    { name: 'critical', match: { severity: ['CRITICAL'] }, sinks: ['webhook', 'slack'] },
+    { name: 'high', match: { minSeverity: 'HIGH' }, sinks: ['slack', 'email'] },
+  ];
+
+  it('matches severity lists, minimum severity and anomaly types', () => {
+    expect(matchesRule({ match: { minSeverity: 'HIGH' } }, { severity: 'CRITICAL' })).toBe(true);
+    expect(matchesRule({ match: { minSeverity: 'HIGH' } }, { severity: 'MEDIUM' })).toBe(false);
+    expect(matchesRule({ match: { anomalyType: ['tvl_change'] } }, ANOMALY)).toBe(false);
+    expect(matchesRule({}, ANOMALY)).toBe(true);
+  });
+
+  it('sends to each enabled sink once, first matching rule wins', () => {
+    const routes = getRoutes(rules, ANOMALY, new Set(['webhook', 'slack', 'email']));
+    expect(routes.map(route => [route.rule.name, route.sinkName])).toEqual([
+      ['critical', 'webhook'],
+      ['critical', 'slack'],
+      ['high', 'email'],
+    ]);
+    expect(getRoutes(rules, ANOMALY, new Set(['email']))).toHaveLength(1);
+  });
+
+  it('builds the dedup key from the type and sorted metrics', () => {
+    expect(getDedupKey({ anomaly_type: 'tvl_change', affected_metrics: ['b', 'a'] })).toBe('tvl_change:a,b');
+  });
+});
+
+describe('sinks', () => {
+  let httpStandIn;
+
+  beforeEach(async () => {
+    httpStandIn = await startHttpServer();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => httpStandIn.server.close(resolve));
+  });
+
+  it('signs webhook bodies with HMAC-SHA256 over the timestamp and body', async () => {
+    const sinks = createSinks({ webhook: { type: 'webhook', url: httpStandIn.url, secret: 's3cret' } });
+    const result = await sinks.get('webhook').send({ ruleName: 'critical', digest: false, anomalies: [ANOMALY] });
+
+    expect(result.responseStatus).toBe(200);
+    const [{ headers, body }] = httpStandIn.requests;
+    const timestamp = headers['x-etherfi-timestamp'];
+    expect(headers['x-etherfi-signature']).toBe(`sha256=${signPayload('s3cret', timestamp, body)}`);
+
+    const payload = JSON.parse(body);
+    expect(payload).toMatchObject({ event: 'anomaly.detected', rule: 'critical' });
+    expect(payload.anomalies[0].title).toBe(ANOMALY.title);
+    expect(payload.anomalies[0].claude_prompt).toBeUndefined();
+  });
+
+  it('rejects with the response status when the endpoint fails', async () => {
+    httpStandIn.statuses.push(500);
+    const sinks = createSinks({ webhook: { type: 'webhook', url: httpStandIn.url } });
+    await expect(sinks.get('webhook').send({ ruleName: 'r', anomalies: [ANOMALY] }))
+      .rejects.toMatchObject({ response: { status: 500 } });
+    expect(httpStandIn.requests[0].headers['x-etherfi-signature']).toBeUndefined();
+  });
+
+  it('posts Slack-formatted payloads', async () => {
+    const sinks = createSinks({ slack: { type: 'slack', url: httpStandIn.url } });
+    await sinks.get('slack').send({ ruleName: 'critical', digest: false, anomalies: [ANOMALY] });
+
+    const payload = JSON.parse(httpStandIn.requests[0].body);
+    expect(payload.text).toBe(`[CRITICAL] ${ANOMALY.title}`);
+    expect(payload.blocks[0].type).toBe('section');
+    expect(payload.blocks[0].text.text).toMatch(/\*CRITICAL\*/);
+  });
+
+  it('sends email over SMTP', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      const sinks = createSinks({
+        email: { type: 'smtp', host: '127.0.0.1', port: smtp.port, secure: false, from: 'alerts@test', to: 'ops@test' },
+      });
+      await sinks.get('email').send({ ruleName: 'digest', digest: true, anomalies: [ANOMALY, { ...ANOMALY, id: 2 }] });
+
+      expect(smtp.messages).toHaveLength(1);
+      expect(smtp.messages[0]).toMatch(/Subject: EtherFi anomaly digest: 2 anomaly\(ies\)/);
+      expect(smtp.messages[0]).toMatch(/Recommendation: Check pool liquidity/);
+    } finally {
+      await new Promise(resolve => smtp.server.close(resolve));
+    }
+  });
+
+  it('skips disabled sinks and rejects unknown types', () => {
+    expect(createSinks({ slack: { type: 'slack', enabled: false } }).size).toBe(0);
+    expect(() => createSinks({ pager: { type: 'pager' } })).toThrow(/Unknown notification sink type/);
+  });
+});
+
+describe('dispatcher', () => {
+  const anomaly = (id, overrides = {}) => ({ ...ANOMALY, id, ...overrides });
+
+  function setup(anomalies, rules, sinks) {
+    const store = createStore(anomalies);
+    const dispatcher = createNotificationDispatcher({
+      store,
+      rules,
+      sinks: new Map(sinks.map(sink => [sink.name, sink])),
+      retryDelaysMinutes: [0, 0],
+    });
+    return { store, dispatcher };
+  }
+
+  it('sends new anomalies and advances the cursor', async () => {
+    const slack = createStubSink('slack');
+    const { store, dispatcher } = setup(
+      [anomaly(1), anomaly(2, { severity: 'LOW' })],
+      [{ name: 'critical', match: { severity: ['CRITICAL'] }, sinks: ['slack'] }],
+      [slack]
+    );
+
+    await dispatcher.tick();
+    expect(slack.sent.map(message => message.anomalies[0].id)).toEqual([1]);
+    expect(store.deliveries[0]).toMatchObject({ status: 'sent', attempts: 1 });
+
+    await dispatcher.tick();
+    expect(slack.sent).toHaveLength(1);
+  });
+
+  it('routes an anomaly that commits after a higher id was routed', async () => {
+    const slack = createStubSink('slack');
+    // Anomaly 1 took its id first, but its transaction is still open when 2 commits
+    const { store, dispatcher } = setup(
+      [anomaly(1, { txid: 12 }), anomaly(2, { txid: 11, affected_metrics: ['tvl_eth'] })],
+      [{ name: 'critical', sinks: ['slack'] }],
+      [slack]
+    );
+    store.open.add(12);
+
+    await dispatcher.tick();
+    expect(slack.sent.map(message => message.anomalies[0].id)).toEqual([2]);
+
+    store.open.delete(12);
+    await dispatcher.tick();
+    expect(slack.sent.map(message => message.anomalies[0].id)).toEqual([2, 1]);
+  });
+
+  it('suppresses duplicates and rate-limited deliveries', async () => {
+    const slack = createStubSink('slack');
+    const { store, dispatcher } = setup(
+      [anomaly(1), anomaly(2), anomaly(3, { affected_metrics: ['tvl_eth'] }), anomaly(4, { affected_metrics: ['x'] })],
+      [{ name: 'critical', sinks: ['slack'], dedupMinutes: 30, rateLimit: { max: 2, windowMinutes: 60 } }],
+      [slack]
+    );
+
+    await dispatcher.tick();
+    expect(store.deliveries.map(delivery => delivery.status)).toEqual(['sent', 'duplicate', 'sent', 'rate_limited']);
+    expect(slack.sent).toHaveLength(2);
+  });
+
+  it('retries failed sends and logs every attempt', async () => {
+    const webhook = createStubSink('webhook', 1);
+    const { store, dispatcher } = setup([anomaly(1)], [{ name: 'all', sinks: ['webhook'] }], [webhook]);
+
+    await dispatcher.tick();
+    expect(store.deliveries[0]).toMatchObject({ status: 'retrying', attempts: 1, last_error: 'HTTP 503 from sink' });
+
+    await dispatcher.tick();
+    expect(store.deliveries[0]).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(store.attempts.map(attempt => [attempt.success, attempt.response_status])).toEqual([
+      [false, 503],
+      [true, 200],
+    ]);
+  });
+
+  it('marks the delivery failed once retries run out', async () => {
+    const webhook = createStubSink('webhook', 10);
+    const { store, dispatcher } = setup([anomaly(1)], [{ name: 'all', sinks: ['webhook'] }], [webhook]);
+
+    for (let i = 0; i < 4; i++) {
+      await dispatcher.tick();
+    }
+    expect(store.deliveries[0]).toMatchObject({ status: 'failed', attempts: 3 });
+    expect(store.attempts).toHaveLength(3);
+  });
+
+  it('holds digest matches and sends them together', async () => {
+    const email = createStubSink('email');
+    const { store, dispatcher } = setup(
+      [anomaly(1, { severity: 'LOW' }), anomaly(2, { severity: 'LOW' })],
+      [{ name: 'daily-digest', match: { severity: ['LOW'] }, sinks: ['email'], digest: true }],
+      [email]
+    );
+
+    await dispatcher.tick();
+    expect(email.sent).toHaveLength(0);
+
+    const [digest] = await dispatcher.sendDigest();
+    expect(digest.anomaly_ids).toEqual([1, 2]);
+    expect(email.sent).toHaveLength(1);
+    expect(email.sent[0]).toMatchObject({ digest: true, ruleName: 'daily-digest' });
+    expect(store.deliveries.slice(0, 2).map(delivery => delivery.status)).toEqual(['digested', 'digested']);
+
+    expect(await dispatcher.sendDigest()).toEqual([]);
+  });
+});
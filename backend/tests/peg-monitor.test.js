@@ -0,0 +1,148 @@
+/**
+ * Peg monitor tests
+ * Pools are served by a stand-in provider that answers eth_call from fixed
+ * prices and reserves; no RPC endpoint needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const { ethers } = require('ethers');
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../config/contracts');
+const { validatePools } = require('../config/peg-pools');
+const { combinePoolPrices, readPegState, DEX_ABIS } = require('../src/collectors/peg-monitor');
+
+const ETHER = 10n ** 18n;
+const CURVE = '0x' + 'c1'.repeat(20);
+const UNI_V2 = '0x' + 'c2'.repeat(20);
+const UNI_V3 = '0x' + 'c3'.repeat(20);
+const BROKEN = '0x' + 'c4'.repeat(20);
+const WETH = '0x' + 'e1'.repeat(20);
+const EETH = '0x' + 'e2'.repeat(20);
+
+const interfaces = {
+  [ETHERFI_ADDRESSES.LIQUIDITY_POOL.toLowerCase()]: new ethers.Interface(ETHERFI_ABIS.LIQUIDITY_POOL),
+  [CURVE]: new ethers.Interface(DEX_ABIS.curve),
+  [UNI_V2]: new ethers.Interface(DEX_ABIS.uniswap_v2),
+  [UNI_V3]: new ethers.Interface(DEX_ABIS.uniswap_v3),
+  [WETH]: new ethers.Interface(DEX_ABIS.erc20),
+  [EETH]: new ethers.Interface(DEX_ABIS.erc20),
+};
+
+// sqrtPriceX96 for token0 priced at 0.998 token1
+const SQRT_PRICE = BigInt(Math.floor(Math.sqrt(0.998) * 2 ** 96));
+
+const RESULTS = {
+  [ETHERFI_ADDRESSES.LIQUIDITY_POOL.toLowerCase()]: { amountForShare: () => [106n * ETHER / 100n] },
+  // 1 weETH -> 1.05 ETH; 4000 weETH and 1000 ETH in the pool
+  [CURVE]: {
+    get_dy: () => [105n * ETHER / 100n],
+    balances: args => [args[0] === 0n ? 4000n * ETHER : 1000n * ETHER],
+  },
+  // 99 ETH for 100 eETH (token1)
+  [UNI_V2]: { getReserves: () => [99n * ETHER, 100n * ETHER, 0] },
+  [UNI_V3]: {
+    slot0: () => [SQRT_PRICE, 0, 0, 0, 0, 0, true],
+    token0: () => [EETH],
+    token1: () => [WETH],
+  },
+  [EETH]: { balanceOf: () => [500n * ETHER] },
+  [WETH]: { balanceOf: () => [300n * ETHER] },
+};
+
+const provider = {
+  call: async (tx) => {
+    const to = tx.to.toLowerCase();
+    if (!interfaces[to]) {
+      throw new Error('execution reverted');
+    }
+    const call = interfaces[to].parseTransaction({ data: tx.data });
+    return interfaces[to].encodeFunctionResult(call.name, RESULTS[to][call.name]([...call.args]));
+  },
+};
+
+const POOLS = validatePools([
+  { name: 'Curve weETH/WETH', type: 'curve', address: CURVE, token: 'weETH', tokenIndex: 0 },
+  { name: 'Uni v2 eETH/WETH', type: 'uniswap_v2', address: UNI_V2, token: 'eETH', tokenIndex: 1 },
+  { name: 'Uni v3 eETH/WETH', type: 'uniswap_v3', address: UNI_V3, token: 'eETH', tokenIndex: 0 },
+  { name: 'Broken', type: 'uniswap_v2', address: BROKEN, token: 'eETH', tokenIndex: 0 },
+]);
+
+describe('validatePools', () => {
+  it('defaults ethIndex to the other coin', () => {
+    expect(POOLS[0].ethIndex).toBe(1);
+  });
+
+  it('lists every invalid pool', () => {
+    expect(() => validatePools([
+      { name: 'a', type: 'balancer', address: CURVE, token: 'eETH', tokenIndex: 0 },
+      { name: 'b', type: 'uniswap_v3', address: '0x1234', token: 'stETH', tokenIndex: 2 },
+    ])).toThrow(expect.objectContaining({
+      name: 'ConfigError',
+      failures: [
+        { name: 'a', error: expect.stringContaining('type') },
+        { name: 'b', error: expect.stringContaining('address') },
+        { name: 'b', error: expect.stringContaining('token') },
+        { name: 'b', error: 'tokenIndex must be 0 or 1' },
+      ],
+    }));
+  });
+});
+
+describe('combinePoolPrices', () => {
+  it("doesn't let a thin pool move the result", () => {
+    const peg = combinePoolPrices([
+      { ratio: 0.999, liquidity_eth: 5000 },
+      { ratio: 1.0005, liquidity_eth: 3000 },
+      { ratio: 0.8, liquidity_eth: 900 },
+      { ratio: 0.5, liquidity_eth: 50 },
+    ], { minLiquidityEth: 100 });
+
+    expect(peg).toEqual({
+      eeth_eth_price_ratio: 0.999,
+      peg_deviation_percent: -0.1,
+      pools_used: 3,
+      liquidity_eth: 8900,
+    });
+  });
+
+  it('averages the two middle pools on an exact split', () => {
+    const peg = combinePoolPrices([
+      { ratio: 0.99, liquidity_eth: 1000 },
+      { ratio: 1.01, liquidity_eth: 1000 },
+    ], { minLiquidityEth: 0 });
+    expect(peg.eeth_eth_price_ratio).toBe(1);
+  });
+
+  it('returns nulls without usable pools', () => {
+    expect(combinePoolPrices([{ error: 'reverted' }])).toMatchObject({
+      eeth_eth_price_ratio: null,
+      peg_deviation_percent: null,
+      pools_used: 0,
+    });
+  });
+});
+
+describe('readPegState', () => {
+  it('prices each pool type against the protocol rate and skips pools that fail', async () => {
+    const peg = await readPegState(provider, 123, { pools: POOLS, minLiquidityEth: 100 });
+    const byName = Object.fromEntries(peg.readings.map(reading => [reading.name, reading]));
+
+    // weETH at 1.05 ETH with a 1.06 share rate
+    expect(byName['Curve weETH/WETH'].ratio).toBeCloseTo(1.05 / 1.06, 10);
+    expect(byName['Curve weETH/WETH'].liquidity_eth).toBeCloseTo(4000 * 1.05 + 1000, 6);
+    expect(byName['Uni v2 eETH/WETH']).toMatchObject({ ratio: 0.99, liquidity_eth: 198 });
+    expect(byName['Uni v3 eETH/WETH'].ratio).toBeCloseTo(0.998, 10);
+    expect(byName['Uni v3 eETH/WETH'].liquidity_eth).toBeCloseTo(500 * 0.998 + 300, 6);
+    expect(byName.Broken.error).toMatch('reverted');
+
+    // Curve holds most of the liquidity
+    expect(peg.pools_used).toBe(3);
+    expect(peg.eeth_eth_price_ratio).toBeCloseTo(0.99056604, 8);
+    expect(peg.peg_deviation_percent).toBe(-0.9434);
+  });
+
+  it('returns nulls when no pools are configured', async () => {
+    const peg = await readPegState(provider, 'latest', { pools: [] });
+    expect(peg).toMatchObject({ eeth_eth_price_ratio: null, readings: [] });
+  });
+});
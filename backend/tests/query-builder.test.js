@@ -0,0 +1,488 @@
+/**
+ * Query builder tests
+ * Fires malicious and malformed input at every query function against a mocked
+ * connection: numbers, ids, dates and cursors must be rejected before anything
+ * reaches the database, and strings must only ever travel as bound values.
+ */
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/database/db-connection', () => {
+  const client = { query: jest.fn() };
+  return {
+    client,
+    query: jest.fn(),
+    transaction: jest.fn(callback => callback(client)),
+  };
+});
+
+const db = require('../src/database/db-connection');
+const queries = require('../src/database/queries');
+const { QueryParameterError } = require('../src/utils/error-handler');
+const {
+  MAX_INTERVAL,
+  createQuery,
+  decodeCursor,
+  encodeCursor,
+  nextCursor,
+} = require('../src/database/query-builder');
+
+const INJECTION = "1; DROP TABLE anomalies; --";
+const NOW = new Date('2024-06-15T13:45:00Z');
+
+const cursorOf = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Counts, windows, limits and block numbers
+const NUMBER_ATTACKS = [
+  INJECTION,
+  "24 hours'; DELETE FROM anomalies; --",
+  '1 OR 1=1',
+  '24 hours',
+  '0x10',
+  '1e3',
+  -1,
+  1.5,
+  NaN,
+  Infinity,
+  {},
+  [24],
+  true,
+];
+
+const ID_ATTACKS = [INJECTION, '7 OR 1=1', '-1', -1, 1.5, '0x10', '99999999999999999999', NaN, {}, ['7']];
+
+const DATE_ATTACKS = [INJECTION, "2024-01-01'; DROP TABLE anomalies; --", 'yesterday', NaN, Infinity, {}, [], true];
+
+const CURSOR_ATTACKS = [
+  INJECTION,
+  'not-a-cursor',
+  cursorOf(['2024-01-01T00:00:00.000Z', '1 OR 1=1']),
+  cursorOf(["2024-01-01'; DROP TABLE anomalies; --", '1']),
+  cursorOf({ timestamp: '2024-01-01T00:00:00.000Z', id: '1' }),
+  42,
+  {},
+];
+
+const IDS_ATTACKS = [INJECTION, [INJECTION], [1, '2 OR 1=1'], [1, -2], {}];
+
+const IDENTIFIER_ATTACKS = ['anomalies; DROP TABLE anomalies', 'job_runs"--', 'Anomalies', '', 42];
+
+const POLICY = { name: 'sentiment', table: 'twitter_sentiment', timestampColumn: 'timestamp', statuses: null, days: 60 };
+
+/**
+ * Calls per function that put an attack value in one argument; each attack must
+ * throw a QueryParameterError without a query being sent
+ */
+const CHECKED_ARGUMENTS = {
+  getTimeSeriesData: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+    limit: [NUMBER_ATTACKS, v => [24, v]],
+  },
+  getBaselineStats: {
+    days: [NUMBER_ATTACKS, v => [v]],
+  },
+  getTimeSeriesHistory: {
+    hours: [NUMBER_ATTACKS, v => [v, { resolution: 'hour' }]],
+    'raw hours': [NUMBER_ATTACKS, v => [v, { resolution: 'raw' }]],
+    limit: [NUMBER_ATTACKS, v => [720, { resolution: 'day', limit: v }]],
+  },
+  getCoverageByDay: {
+    since: [DATE_ATTACKS, v => [v, NOW, 300]],
+    until: [DATE_ATTACKS, v => [NOW, v, 300]],
+    intervalSeconds: [NUMBER_ATTACKS, v => [NOW, NOW, v]],
+  },
+  getDataGaps: {
+    since: [DATE_ATTACKS, v => [v, NOW, 300]],
+    until: [DATE_ATTACKS, v => [NOW, v, 300]],
+    intervalSeconds: [NUMBER_ATTACKS, v => [NOW, NOW, v]],
+  },
+  getTopWhales: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  getWhaleBalanceHistory: {
+    from: [DATE_ATTACKS, v => ['0xabc', v, NOW]],
+    to: [DATE_ATTACKS, v => ['0xabc', NOW, v]],
+    limit: [NUMBER_ATTACKS, v => ['0xabc', NOW, NOW, v]],
+  },
+  getTopHolders: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  getWhaleRankEvents: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  getExchangeFlowsHourly: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+  },
+  getUnflaggedWhaleExchangeTransfers: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+  },
+  getAnomalies: {
+    since: [DATE_ATTACKS, v => [{ since: v }]],
+    limit: [NUMBER_ATTACKS, v => [{ limit: v }]],
+    cursor: [CURSOR_ATTACKS, v => [{ cursor: v, limit: 50 }]],
+  },
+  getAnomalyById: {
+    id: [ID_ATTACKS, v => [v]],
+  },
+  transitionAnomaly: {
+    id: [ID_ATTACKS, v => [v, 'resolve', { actor: 'api' }]],
+  },
+  acknowledgeAnomaly: {
+    id: [ID_ATTACKS, v => [v, { actor: 'api' }]],
+  },
+  resolveAnomaly: {
+    id: [ID_ATTACKS, v => [v, { actor: 'api' }]],
+  },
+  markAnomalyFalsePositive: {
+    id: [ID_ATTACKS, v => [v, { actor: 'api' }]],
+  },
+  reopenAnomaly: {
+    id: [ID_ATTACKS, v => [v, { actor: 'api' }]],
+  },
+  getAnomalyEvents: {
+    anomalyId: [ID_ATTACKS, v => [v]],
+  },
+  completeAnalysisRun: {
+    id: [ID_ATTACKS, v => [v, { status: 'success' }]],
+  },
+  getAnalysisRuns: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  getAnalysisCostSummary: {
+    days: [NUMBER_ATTACKS, v => [v]],
+  },
+  getSentimentRiskFeed: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+    limit: [NUMBER_ATTACKS, v => [24, v]],
+  },
+  getSentimentStats: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+  },
+  getSentimentOnChainHourly: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+  },
+  getLatestValidatorMetrics: {
+    maxAgeHours: [NUMBER_ATTACKS, v => [v]],
+  },
+  saveIngestedRange: {
+    lastBlock: [NUMBER_ATTACKS, v => [{ streamName: 'pool', events: [], blocks: [], lastBlock: v, lastBlockHash: '0x1' }]],
+  },
+  getRecentChainBlocks: {
+    beforeBlock: [NUMBER_ATTACKS, v => [v]],
+    limit: [NUMBER_ATTACKS, v => [100, v]],
+  },
+  rollbackChainEvents: {
+    forkBlock: [NUMBER_ATTACKS, v => ['etherfi_events', v, '0x1']],
+  },
+  getEventAggregates: {
+    hours: [NUMBER_ATTACKS, v => [v, NOW]],
+    asOf: [DATE_ATTACKS, v => [24, v]],
+  },
+  syncWithdrawalRequests: {
+    reorgDepth: [NUMBER_ATTACKS, v => [v]],
+  },
+  getWithdrawalQueueStats: {
+    asOf: [DATE_ATTACKS, v => [v, 168]],
+    windowHours: [NUMBER_ATTACKS, v => [NOW, v]],
+  },
+  getPendingWithdrawals: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  getRealtimeEvents: {
+    afterId: [ID_ATTACKS, v => [v]],
+    limit: [NUMBER_ATTACKS, v => [0, v]],
+  },
+  pruneRealtimeEvents: {
+    hours: [NUMBER_ATTACKS, v => [v]],
+  },
+  saveNotificationCursor: {
+    lastAnomalyId: [ID_ATTACKS, v => ['webhooks', v]],
+  },
+  getAnomaliesAfter: {
+    afterId: [ID_ATTACKS, v => [v]],
+    limit: [NUMBER_ATTACKS, v => [0, v]],
+  },
+  getAnomaliesByIds: {
+    ids: [IDS_ATTACKS, v => [v]],
+  },
+  countRuleDeliveries: {
+    minutes: [NUMBER_ATTACKS, v => ['rule', 'sink', v]],
+  },
+  findDuplicateDelivery: {
+    minutes: [NUMBER_ATTACKS, v => ['rule', 'sink', 'key', v]],
+  },
+  claimDueNotificationDeliveries: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+    leaseMinutes: [NUMBER_ATTACKS, v => [20, v]],
+  },
+  recordNotificationAttempt: {
+    deliveryId: [ID_ATTACKS, v => [v, { attempt: 1, success: true, status: 'sent' }]],
+  },
+  getNotificationDeliveries: {
+    limit: [NUMBER_ATTACKS, v => [v]],
+  },
+  startJobRun: {
+    staleAfterMinutes: [NUMBER_ATTACKS, v => ['collect', 'cli', v]],
+  },
+  heartbeatJobRun: {
+    id: [ID_ATTACKS, v => [v]],
+  },
+  finishJobRun: {
+    id: [ID_ATTACKS, v => [v, { status: 'success' }]],
+  },
+  getJobRuns: {
+    limit: [NUMBER_ATTACKS, v => [{ job: 'collect', limit: v }]],
+    cursor: [CURSOR_ATTACKS, v => [{ job: 'collect', cursor: v }]],
+  },
+  countExpiredRows: {
+    cutoff: [DATE_ATTACKS, v => [POLICY, v]],
+    table: [IDENTIFIER_ATTACKS, v => [{ ...POLICY, table: v }, NOW]],
+  },
+  getExpiredRows: {
+    cutoff: [DATE_ATTACKS, v => [POLICY, v, 0, 100]],
+    timestampColumn: [IDENTIFIER_ATTACKS, v => [{ ...POLICY, timestampColumn: v }, NOW, 0, 100]],
+    afterId: [ID_ATTACKS, v => [POLICY, NOW, v, 100]],
+    limit: [NUMBER_ATTACKS, v => [POLICY, NOW, 0, v]],
+  },
+  deleteExpiredRows: {
+    cutoff: [DATE_ATTACKS, v => [POLICY, v]],
+    table: [IDENTIFIER_ATTACKS, v => [{ ...POLICY, table: v }, NOW]],
+    ids: [IDS_ATTACKS, v => [POLICY, NOW, v]],
+  },
+  refreshTimeSeriesRollups: {
+    since: [DATE_ATTACKS, v => [v, NOW]],
+    until: [DATE_ATTACKS, v => [NOW, v]],
+  },
+};
+
+/**
+ * Calls per function with caller strings in every text argument; they must be
+ * bound, never spliced into the statement
+ */
+const BOUND_STRINGS = {
+  insertTimeSeriesData: () => [{ timestamp: NOW, data_source: INJECTION, collection_status: INJECTION }],
+  insertFailedCollection: () => [{ timestamp: NOW, data_source: INJECTION, error_message: INJECTION }],
+  getWhaleBalanceHistory: () => [INJECTION, NOW, NOW],
+  upsertWhaleWallet: () => [{ address: INJECTION, balance_eeth: '10', label: INJECTION }],
+  applyHolderShareChanges: () => [{
+    streamName: INJECTION,
+    changes: [{ address: INJECTION, delta: '1', transfers: 1, blockNumber: 1, txHash: INJECTION }],
+    lastBlock: 1,
+    lastBlockHash: INJECTION,
+  }],
+  getHolderBalances: () => [[INJECTION]],
+  recordWhaleRankChanges: () => [[{ address: INJECTION, event_type: INJECTION, rank: 1, previous_rank: null, balance_eeth: '1' }]],
+  upsertAddressLabels: () => [[{ address: INJECTION, label: INJECTION, category: INJECTION }], INJECTION],
+  getAddressLabelsFor: () => [[INJECTION]],
+  getAddressLabels: () => [{ category: INJECTION }],
+  saveContractChecks: () => [[{ address: INJECTION, is_contract: false }]],
+  insertAnomaly: () => [{ anomaly_type: INJECTION, severity: INJECTION, confidence: 0.5, title: INJECTION, description: INJECTION }],
+  getAnomalies: () => [{ status: [INJECTION], severity: INJECTION, type: INJECTION }],
+  transitionAnomaly: () => [7, 'acknowledge', { actor: INJECTION, note: INJECTION }],
+  createAnalysisRun: () => [INJECTION],
+  completeAnalysisRun: () => [7, { status: INJECTION, error_message: INJECTION }],
+  insertTwitterSentiment: () => [{ tweet_id: INJECTION, text: INJECTION, author: INJECTION, timestamp: NOW }],
+  insertValidatorMetrics: () => [{ timestamp: NOW, total_validators: INJECTION, epoch: INJECTION }],
+  upsertValidatorStatuses: () => [[{ validator_index: 1, pubkey: INJECTION, status: INJECTION }]],
+  insertChainEvents: () => [[{ block_number: 1, tx_hash: INJECTION, log_index: 0, contract_name: INJECTION, event_name: INJECTION, args: { x: INJECTION } }]],
+  getIngestionState: () => [INJECTION],
+  saveIngestedRange: () => [{ streamName: INJECTION, events: [], blocks: [], lastBlock: 100, lastBlockHash: INJECTION }],
+  rollbackChainEvents: () => [INJECTION, 100, INJECTION],
+  getNotificationCursor: () => [INJECTION],
+  saveNotificationCursor: () => [INJECTION, 5],
+  createNotificationDelivery: () => [{ anomaly_id: 7, rule_name: INJECTION, sink_name: INJECTION, dedup_key: INJECTION, status: INJECTION }],
+  countRuleDeliveries: () => [INJECTION, INJECTION, 60],
+  findDuplicateDelivery: () => [INJECTION, INJECTION, INJECTION, 60],
+  recordNotificationAttempt: () => [7, { attempt: 1, success: false, status: INJECTION, error_message: INJECTION }],
+  createDigestDelivery: () => [INJECTION, INJECTION],
+  getBackfillCheckpoint: () => [INJECTION],
+  saveBackfillCheckpoint: () => [{ job_name: INJECTION, status: INJECTION }],
+  deleteBackfillCheckpoint: () => [INJECTION],
+  startJobRun: () => [INJECTION, INJECTION],
+  finishJobRun: () => [7, { status: INJECTION, error_message: INJECTION }],
+  getJobRuns: () => [{ job: INJECTION, status: INJECTION }],
+  countExpiredRows: () => [{ ...POLICY, statuses: [INJECTION] }, NOW],
+};
+
+// Functions that take no caller input for SQL (getRetentionReclaimable only passes
+// computed cutoffs to countExpiredRows; chooseResolution is plain JS)
+const NO_CALLER_INPUT = [
+  'getLatestMetrics',
+  'getLastCollection',
+  'chooseResolution',
+  'getRecentWhaleMovements',
+  'getNegativeHolderBalances',
+  'getRankedWhales',
+  'getActiveAnomalies',
+  'getLatestSentimentTimestamps',
+  'getRealtimeEventBounds',
+  'getJobSummaries',
+  'getRetentionReclaimable',
+  'getDatabaseStats',
+];
+
+/**
+ * Every statement sent, from pool queries and transactions
+ */
+function sentStatements() {
+  return [...db.query.mock.calls, ...db.client.query.mock.calls]
+    .map(([sql, values = []]) => ({ sql, values }));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue({ rows: [{}], rowCount: 0 });
+  db.client.query.mockResolvedValue({ rows: [{}], rowCount: 0 });
+});
+
+describe('query functions', () => {
+  it('are all covered by these tests', () => {
+    const covered = new Set([...Object.keys(CHECKED_ARGUMENTS), ...Object.keys(BOUND_STRINGS), ...NO_CALLER_INPUT]);
+    const exported = Object.keys(queries).filter(name => typeof queries[name] === 'function');
+
+    expect(exported.filter(name => !covered.has(name))).toEqual([]);
+    expect([...covered].filter(name => !exported.includes(name))).toEqual([]);
+  });
+
+  describe.each(Object.entries(CHECKED_ARGUMENTS))('%s', (name, argumentsByName) => {
+    it.each(Object.entries(argumentsByName))('rejects a malicious %s before querying', async (argument, [attacks, args]) => {
+      for (const attack of attacks) {
+        await expect(queries[name](...args(attack))).rejects.toThrow(QueryParameterError);
+      }
+      expect(db.query).not.toHaveBeenCalled();
+      expect(db.client.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe.each(Object.entries(BOUND_STRINGS))('%s', (name, args) => {
+    it('binds caller strings as values', async () => {
+      if (name === 'transitionAnomaly') {
+        db.client.query.mockResolvedValueOnce({ rows: [{ status: 'active' }] });
+      }
+
+      await queries[name](...args());
+
+      const statements = sentStatements();
+      expect(statements.length).toBeGreaterThan(0);
+      for (const { sql } of statements) {
+        expect(sql).not.toMatch(/drop table/i);
+      }
+      expect(statements.some(({ values }) => JSON.stringify(values).toLowerCase().includes(INJECTION.toLowerCase()))).toBe(true);
+    });
+  });
+
+  it('binds time windows through make_interval', async () => {
+    await queries.getSentimentStats(48);
+
+    const [sql, values] = db.query.mock.calls[0];
+    expect(sql).toContain('make_interval(hours => $1)');
+    expect(sql).not.toMatch(/INTERVAL '\d/);
+    expect(values).toEqual([48]);
+  });
+
+  it('accepts digit strings for numbers and BIGSERIAL ids', async () => {
+    await queries.getAnomaliesAfter('9007199254740993', '25');
+
+    expect(db.query.mock.calls[0][1]).toEqual(['9007199254740993', 25]);
+  });
+});
+
+describe('createQuery', () => {
+  it('numbers placeholders in the order fragments are added', () => {
+    const q = createQuery();
+    const sql = `${q.bind('peg_deviation')} ${q.interval('hours', 24)} ${q.limit(10)}`;
+
+    expect(sql).toBe('$1 make_interval(hours => $2) LIMIT $3');
+    expect(q.values).toEqual(['peg_deviation', 24, 10]);
+  });
+
+  it('bounds intervals and limits', () => {
+    const q = createQuery();
+
+    expect(q.interval('secs', 0.5)).toBe('make_interval(secs => $1)');
+    expect(() => q.interval('hours', MAX_INTERVAL.hours + 1)).toThrow('hours must be between 0 and 87600');
+    expect(() => q.interval('mins', 1.5)).toThrow(QueryParameterError);
+    expect(() => q.limit(0)).toThrow('limit must be between 1 and 100000');
+    expect(() => q.interval('weeks', 1)).toThrow('Unsupported interval unit: weeks');
+    expect(q.values).toEqual([0.5]);
+  });
+
+  it('names the rejected parameter', () => {
+    let error;
+    try {
+      createQuery().interval('hours', '24 hours', 'window');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(QueryParameterError);
+    expect(error.statusCode).toBe(400);
+    expect(error.parameter).toBe('window');
+    expect(error.message).toBe('window must be an integer, got "24 hours"');
+  });
+
+  it('only quotes plain identifiers', () => {
+    const q = createQuery();
+
+    expect(q.identifier('time_series_hourly')).toBe('"time_series_hourly"');
+    for (const name of IDENTIFIER_ATTACKS) {
+      expect(() => q.identifier(name)).toThrow(QueryParameterError);
+    }
+  });
+
+  it('pages newest first from a cursor', () => {
+    const cursor = encodeCursor(new Date('2024-06-01T10:00:00.123Z'), 42);
+    const q = createQuery();
+    const page = q.page('detected_at', { cursor, limit: 50 });
+
+    // The raw column, so idx_anomaly_detected_at serves both the condition and the order
+    expect(page.where).toBe('("detected_at", id) < ($1::timestamptz, $2::bigint)');
+    expect(page.orderBy).toBe('ORDER BY "detected_at" DESC, id DESC');
+    expect(page.limit).toBe('LIMIT $3');
+    expect(page.position).toBe(
+      'to_char("detected_at" AT TIME ZONE \'UTC\', \'YYYY-MM-DD"T"HH24:MI:SS.US"Z"\') AS page_position'
+    );
+    expect(q.values).toEqual(['2024-06-01T10:00:00.123Z', '42', 50]);
+
+    expect(createQuery().page('started_at')).toMatchObject({ where: 'TRUE', limit: '' });
+  });
+});
+
+describe('cursors', () => {
+  it('round-trip a row position', () => {
+    const cursor = encodeCursor('2024-06-01T10:00:00.123Z', '9007199254740993');
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ timestamp: '2024-06-01T10:00:00.123Z', id: '9007199254740993' });
+  });
+
+  it('keep the microseconds of a page position', () => {
+    const cursor = encodeCursor('2024-06-01T10:00:00.123456Z', 42);
+
+    expect(decodeCursor(cursor)).toEqual({ timestamp: '2024-06-01T10:00:00.123456Z', id: '42' });
+    expect(createQuery().page('detected_at', { cursor }).where).toBe('("detected_at", id) < ($1::timestamptz, $2::bigint)');
+  });
+
+  it('reject an impossible date', () => {
+    expect(() => decodeCursor(cursorOf(['2024-02-30T10:00:00.123Z', '1']))).toThrow('cursor is not a valid page cursor');
+    expect(() => decodeCursor(cursorOf(['2024-13-01T10:00:00.123456Z', '1']))).toThrow('cursor is not a valid page cursor');
+  });
+
+  it('rejects anything encodeCursor did not make', () => {
+    for (const cursor of CURSOR_ATTACKS) {
+      expect(() => decodeCursor(cursor)).toThrow('cursor is not a valid page cursor');
+    }
+  });
+
+  it('continue only after a full page', () => {
+    const rows = [
+      { id: 9, detected_at: new Date('2024-06-02T00:00:00Z') },
+      { id: 8, detected_at: new Date('2024-06-01T00:00:00Z') },
+    ];
+
+    expect(decodeCursor(nextCursor(rows, 2, 'detected_at'))).toEqual({ timestamp: '2024-06-01T00:00:00.000Z', id: '8' });
+    rows[1].page_position = '2024-06-01T00:00:00.000250Z';
+    expect(decodeCursor(nextCursor(rows, 2, 'detected_at'))).toEqual({ timestamp: '2024-06-01T00:00:00.000250Z', id: '8' });
+    expect(nextCursor(rows, 3, 'detected_at')).toBeNull();
+    expect(nextCursor([], 2, 'detected_at')).toBeNull();
+  });
+});
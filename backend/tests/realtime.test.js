@@ -0,0 +1,308 @@
+/**
+ * WebSocket push channel tests
+ * Uses an in-memory change feed and a stub notification listener; no database needed.
+ * The feed reads events the way getRealtimeEvents does: in (txid, id) order, and
+ * only from transactions older than every open one.
+ */
+
+jest.mock('../src/utils/logger');
+
+const http = require('http');
+const WebSocket = require('ws');
+const { createRealtimeServer, parseTopic } = require('../src/api/realtime');
+
+function createFeed() {
+  const events = [];
+  const open = new Set();
+  let nextTxid = 100;
+
+  const insert = (txid, topic, payload) => {
+    events.push({ id: String(events.length + 1), txid, topic, payload });
+  };
+  const byCommitOrder = (a, b) => a.txid - b.txid || Number(a.id) - Number(b.id);
+  const settled = () => events
+    .filter(event => event.txid < Math.min(nextTxid, ...open))
+    .sort(byCommitOrder);
+  const toRow = event => ({ ...event, txid: String(event.txid) });
+
+  return {
+    events,
+    // An event in a transaction of its own
+    add(topic, payload) {
+      insert(nextTxid++, topic, payload);
+    },
+    // A transaction that stays open until commit()
+    begin() {
+      const txid = nextTxid++;
+      open.add(txid);
+      return {
+        add: (topic, payload) => insert(txid, topic, payload),
+        commit: () => open.delete(txid),
+      };
+    },
+    store: {
+      getRealtimeEventBounds: async () => {
+        const visible = events.filter(event => !open.has(event.txid));
+        const last = settled().pop();
+        return {
+          min_id: visible.length ? visible[0].id : null,
+          max_id: visible.length ? visible[visible.length - 1].id : null,
+          last_id: last ? last.id : null,
+          last_txid: last ? String(last.txid) : null,
+        };
+      },
+      getRealtimeEvents: async (afterId, limit) => {
+        const after = events.find(event => event.id === String(afterId) && !open.has(event.txid));
+        return settled()
+          .filter(event => (after ? byCommitOrder(event, after) > 0 : Number(event.id) > Number(afterId)))
+          .slice(0, limit)
+          .map(toRow);
+      },
+      pruneRealtimeEvents: async () => 0,
+    },
+  };
+}
+
+function connect(port) {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/ws`);
+  ws.messages = [];
+  ws.on('message', raw => ws.messages.push(JSON.parse(raw)));
+  return new Promise(resolve => ws.on('open', () => resolve(ws)));
+}
+
+async function waitFor(ws, predicate) {
+  for (let i = 0; i < 50; i++) {
+    if (predicate(ws.messages)) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Timed out, received ${JSON.stringify(ws.messages)}`);
+}
+
+const events = messages => messages.filter(message => message.type === 'event');
+
+let feed;
+let notify;
+let server;
+let realtime;
+let port;
+const sockets = [];
+
+async function open() {
+  const ws = await connect(port);
+  sockets.push(ws);
+  await waitFor(ws, messages => messages.some(message => message.type === 'welcome'));
+  return ws;
+}
+
+beforeEach(async () => {
+  feed = createFeed();
+  server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+
+  realtime = await createRealtimeServer({
+    server,
+    store: feed.store,
+    createListener: ({ onNotification }) => {
+      notify = onNotification;
+      return { start: async () => {}, stop: async () => {} };
+    },
+  });
+});
+
+afterEach(async () => {
+  sockets.splice(0).forEach(ws => ws.terminate());
+  await realtime.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('parseTopic', () => {
+  it('accepts base topics and anomaly severity filters', () => {
+    expect(parseTopic('metrics')).toEqual({ topic: 'metrics', minSeverity: null });
+    expect(parseTopic('anomalies:severity>=HIGH')).toEqual({ topic: 'anomalies', minSeverity: 'HIGH' });
+  });
+
+  it('rejects unknown topics and filters on other topics', () => {
+    expect(parseTopic('prices')).toBeNull();
+    expect(parseTopic('whales:severity>=HIGH')).toBeNull();
+    expect(parseTopic('anomalies:severity>=SEVERE')).toBeNull();
+  });
+});
+
+describe('subscriptions', () => {
+  it('pushes only events matching the subscribed topics', async () => {
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['metrics', 'anomalies:severity>=HIGH'] }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'subscribed'));
+
+    feed.add('metrics', { id: 1, tvl_eth: 100 });
+    feed.add('anomalies', { id: 1, severity: 'LOW' });
+    feed.add('anomalies', { id: 2, severity: 'CRITICAL' });
+    feed.add('whales', { id: 1 });
+    await notify('4');
+
+    await waitFor(ws, messages => events(messages).length === 2);
+    expect(events(ws.messages).map(message => [message.topic, message.resumeToken])).toEqual([
+      ['metrics', '1'],
+      ['anomalies', '3'],
+    ]);
+  });
+
+  it('reports unknown topics', async () => {
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['metrics', 'prices'] }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'error'));
+    expect(ws.messages.find(message => message.type === 'error').message).toMatch(/prices/);
+  });
+});
+
+describe('resume tokens', () => {
+  it('replays missed events before live ones', async () => {
+    const first = await open();
+    first.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'] }));
+    await waitFor(first, messages => messages.some(message => message.type === 'subscribed'));
+
+    feed.add('metrics', { id: 1 });
+    await notify('1');
+    await waitFor(first, messages => events(messages).length === 1);
+    first.terminate();
+
+    feed.add('metrics', { id: 2 });
+    feed.add('metrics', { id: 3 });
+    await notify('3');
+
+    const second = await open();
+    second.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'], resumeToken: '1' }));
+    await waitFor(second, messages => events(messages).length === 2);
+
+    feed.add('metrics', { id: 4 });
+    await notify('4');
+    await waitFor(second, messages => events(messages).length === 3);
+
+    expect(events(second.messages).map(message => message.resumeToken)).toEqual(['2', '3', '4']);
+  });
+
+  it('resumes past events that committed out of id order', async () => {
+    const first = await open();
+    first.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'] }));
+    await waitFor(first, messages => messages.some(message => message.type === 'subscribed'));
+
+    // The older transaction takes the higher id and commits first
+    const older = feed.begin();
+    const newer = feed.begin();
+    newer.add('metrics', { id: 1 });
+    older.add('metrics', { id: 2 });
+    older.commit();
+    await notify('2');
+    await waitFor(first, messages => events(messages).length === 1);
+    first.terminate();
+
+    newer.commit();
+    await notify('1');
+
+    const second = await open();
+    second.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'], resumeToken: '2' }));
+    await waitFor(second, messages => events(messages).length === 1);
+    expect(events(second.messages).map(message => message.resumeToken)).toEqual(['1']);
+  });
+
+  it('asks for a resync when the token predates retained history', async () => {
+    feed.add('metrics', { id: 1 });
+    feed.events[0].id = '50';
+
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'], resumeToken: '10' }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'resync_required'));
+  });
+});
+
+describe('commit order', () => {
+  async function subscribed() {
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'] }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'subscribed'));
+    return ws;
+  }
+
+  it('holds a committed event back until older transactions end', async () => {
+    const ws = await subscribed();
+
+    // A takes id 1, B takes id 2 and commits first
+    const a = feed.begin();
+    const b = feed.begin();
+    a.add('metrics', { id: 1 });
+    b.add('metrics', { id: 2 });
+    b.commit();
+    await notify('2');
+    expect(events(ws.messages)).toHaveLength(0);
+
+    a.commit();
+    await notify('1');
+    await waitFor(ws, messages => events(messages).length === 2);
+    expect(events(ws.messages).map(message => message.resumeToken)).toEqual(['1', '2']);
+  });
+
+  it('delivers a lower id committed after a higher one was sent', async () => {
+    const ws = await subscribed();
+
+    const older = feed.begin();
+    const newer = feed.begin();
+    newer.add('metrics', { id: 1 });
+    older.add('metrics', { id: 2 });
+    older.commit();
+    await notify('2');
+    await waitFor(ws, messages => events(messages).length === 1);
+
+    newer.commit();
+    await notify('1');
+    await waitFor(ws, messages => events(messages).length === 2);
+    expect(events(ws.messages).map(message => message.resumeToken)).toEqual(['2', '1']);
+  });
+
+  it('sweeps up events held back by a transaction that published nothing', async () => {
+    await realtime.close();
+    realtime = await createRealtimeServer({
+      server,
+      store: feed.store,
+      catchUpIntervalMs: 20,
+      createListener: ({ onNotification }) => {
+        notify = onNotification;
+        return { start: async () => {}, stop: async () => {} };
+      },
+    });
+    const ws = await subscribed();
+
+    const unrelated = feed.begin();
+    feed.add('metrics', { id: 1 });
+    await notify('1');
+    expect(events(ws.messages)).toHaveLength(0);
+
+    unrelated.commit();
+    await waitFor(ws, messages => events(messages).length === 1);
+  });
+});
+
+describe('connection handling', () => {
+  it('answers application pings', async () => {
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'ping' }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'pong'));
+  });
+
+  it('disconnects clients whose send buffer is over the limit', async () => {
+    const ws = await open();
+    ws.send(JSON.stringify({ type: 'subscribe', topics: ['metrics'] }));
+    await waitFor(ws, messages => messages.some(message => message.type === 'subscribed'));
+    const closed = new Promise(resolve => ws.on('close', resolve));
+
+    // Simulate a client that stopped reading
+    const [serverSocket] = realtime.wss.clients;
+    Object.defineProperty(serverSocket, 'bufferedAmount', { get: () => 64 * 1024 * 1024 });
+
+    feed.add('metrics', { id: 1 });
+    await notify('1');
+
+    await closed;
+    expect(events(ws.messages)).toHaveLength(0);
+  });
+});
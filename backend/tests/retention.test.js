@@ -0,0 +1,218 @@
+/**
+ * Data retention tests
+ * Policies run against an in-memory table with the same expiry rules as the
+ * retention queries, archiving into a temporary directory; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { ConfigError } = require('../src/utils/error-handler');
+const { getRetentionPolicies, retentionCutoff } = require('../config/retention');
+const { runRetention } = require('../src/database/retention');
+
+const NOW = new Date('2024-06-15T13:45:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SENTIMENT = { name: 'sentiment', table: 'twitter_sentiment', timestampColumn: 'timestamp', statuses: null, days: 60, rollups: false };
+const ANOMALIES = {
+  name: 'closed_anomalies',
+  table: 'anomalies',
+  timestampColumn: 'resolved_at',
+  statuses: ['resolved', 'false_positive'],
+  days: 90,
+  rollups: false,
+};
+const TIME_SERIES = { name: 'time_series', table: 'time_series_data', timestampColumn: 'timestamp', statuses: null, days: 90, rollups: true };
+
+/**
+ * In-memory tables keyed by name, with the retention queries over them
+ */
+function createStore(tables) {
+  const expired = (policy, cutoff) => tables[policy.table].filter(row =>
+    row[policy.timestampColumn] < cutoff && (!policy.statuses || policy.statuses.includes(row.status)));
+
+  return {
+    tables,
+    countExpiredRows: jest.fn(async (policy, cutoff) => {
+      const rows = expired(policy, cutoff);
+      return {
+        rows: String(rows.length),
+        oldest: rows.length > 0 ? rows[0][policy.timestampColumn] : null,
+        newest: rows.length > 0 ? rows[rows.length - 1][policy.timestampColumn] : null,
+      };
+    }),
+    getExpiredRows: jest.fn(async (policy, cutoff, afterId, limit) =>
+      expired(policy, cutoff).filter(row => row.id > afterId).slice(0, limit)),
+    deleteExpiredRows: jest.fn(async (policy, cutoff, ids = null) => {
+      const doomed = expired(policy, cutoff).filter(row => !ids || ids.includes(row.id));
+      tables[policy.table] = tables[policy.table].filter(row => !doomed.includes(row));
+      return doomed.length;
+    }),
+    refreshTimeSeriesRollups: jest.fn().mockResolvedValue(undefined),
+  };
+}
+
+function daysAgo(days) {
+  return new Date(NOW.getTime() - days * DAY_MS);
+}
+
+function readArchive(file) {
+  return zlib.gunzipSync(fs.readFileSync(file)).toString('utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+describe('retention config', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_SENTIMENT_DAYS;
+  });
+
+  it('resolves every policy with its default age', () => {
+    const policies = getRetentionPolicies();
+    expect(policies.map(policy => policy.name))
+      .toEqual(['time_series', 'sentiment', 'closed_anomalies', 'validator_metrics', 'job_runs']);
+    expect(policies.find(policy => policy.name === 'sentiment')).toMatchObject({ table: 'twitter_sentiment', days: 60, statuses: null });
+  });
+
+  it('takes a policy age from RETENTION_<NAME>_DAYS and rejects bad values', () => {
+    process.env.RETENTION_SENTIMENT_DAYS = '14';
+    expect(getRetentionPolicies().find(policy => policy.name === 'sentiment').days).toBe(14);
+
+    process.env.RETENTION_SENTIMENT_DAYS = '0';
+    expect(() => getRetentionPolicies()).toThrow(ConfigError);
+    process.env.RETENTION_SENTIMENT_DAYS = '7.5';
+    expect(() => getRetentionPolicies()).toThrow(/RETENTION_SENTIMENT_DAYS/);
+  });
+
+  it('cuts rollup policies at a UTC midnight', () => {
+    expect(retentionCutoff(SENTIMENT, NOW)).toEqual(new Date('2024-04-16T13:45:00Z'));
+    expect(retentionCutoff(TIME_SERIES, NOW)).toEqual(new Date('2024-03-17T00:00:00Z'));
+  });
+});
+
+describe('runRetention', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function sentimentRows() {
+    return [
+      { id: 1, timestamp: daysAgo(75), text: 'old' },
+      { id: 2, timestamp: daysAgo(70), text: 'older than 60 days' },
+      { id: 3, timestamp: daysAgo(61), text: 'just expired' },
+      { id: 4, timestamp: daysAgo(10), text: 'recent' },
+    ];
+  }
+
+  it('archives expired rows to gzipped NDJSON and deletes them by id in batches', async () => {
+    const store = createStore({ twitter_sentiment: sentimentRows() });
+
+    const result = await runRetention({ store, dir, policies: [SENTIMENT], now: NOW, batchSize: 2, archive: true });
+    const [applied] = result.policies;
+
+    expect(applied).toMatchObject({ policy: 'sentiment', table: 'twitter_sentiment', rows: 3, deleted: 3 });
+    expect(path.dirname(applied.archive_file)).toBe(path.join(dir, 'twitter_sentiment'));
+    expect(path.basename(applied.archive_file)).toBe('twitter_sentiment_before_20240416T134500Z_20240615T134500Z.ndjson.gz');
+    expect(readArchive(applied.archive_file).map(row => [row.id, row.text]))
+      .toEqual([[1, 'old'], [2, 'older than 60 days'], [3, 'just expired']]);
+    expect(fs.readdirSync(path.join(dir, 'twitter_sentiment'))).toHaveLength(1);
+
+    expect(store.getExpiredRows.mock.calls.map(call => call[2])).toEqual([0, 2]);
+    expect(store.deleteExpiredRows.mock.calls.map(call => call[2])).toEqual([[1, 2], [3]]);
+    expect(store.tables.twitter_sentiment.map(row => row.id)).toEqual([4]);
+  });
+
+  it('only counts rows on a dry run', async () => {
+    const store = createStore({ twitter_sentiment: sentimentRows() });
+
+    const result = await runRetention({ store, dir, policies: [SENTIMENT], now: NOW, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.policies[0]).toMatchObject({ rows: 3, deleted: 0, archive_file: null });
+    expect(store.getExpiredRows).not.toHaveBeenCalled();
+    expect(store.deleteExpiredRows).not.toHaveBeenCalled();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  it('only expires rows with a closing status', async () => {
+    const store = createStore({
+      anomalies: [
+        { id: 1, resolved_at: daysAgo(120), status: 'resolved' },
+        { id: 2, resolved_at: daysAgo(100), status: 'active' },
+        { id: 3, resolved_at: daysAgo(95), status: 'false_positive' },
+      ],
+    });
+
+    const result = await runRetention({ store, dir, policies: [ANOMALIES], now: NOW, archive: false });
+
+    expect(result.policies[0]).toMatchObject({ rows: 2, deleted: 2, archive_file: null });
+    expect(store.deleteExpiredRows).toHaveBeenCalledWith(ANOMALIES, expect.any(Date));
+    expect(store.tables.anomalies.map(row => row.id)).toEqual([2]);
+  });
+
+  it('refreshes the rollups before deleting time series rows', async () => {
+    const store = createStore({
+      time_series_data: [
+        { id: 1, timestamp: new Date('2024-03-10T05:00:00Z') },
+        { id: 2, timestamp: new Date('2024-03-17T05:00:00Z') },
+      ],
+    });
+
+    await runRetention({ store, dir, policies: [TIME_SERIES], now: NOW, archive: false });
+
+    expect(store.refreshTimeSeriesRollups).toHaveBeenCalledWith(new Date('2024-03-10T05:00:00Z'), new Date('2024-03-17T00:00:00Z'));
+    expect(store.refreshTimeSeriesRollups.mock.invocationCallOrder[0])
+      .toBeLessThan(store.deleteExpiredRows.mock.invocationCallOrder[0]);
+    expect(store.tables.time_series_data.map(row => row.id)).toEqual([2]);
+  });
+
+  it('keeps rows and removes the partial file when archiving fails', async () => {
+    const store = createStore({ twitter_sentiment: sentimentRows() });
+    store.getExpiredRows
+      .mockImplementationOnce(async () => [{ id: 1, timestamp: daysAgo(75) }, { id: 2, timestamp: daysAgo(70) }])
+      .mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(runRetention({ store, dir, policies: [SENTIMENT], now: NOW, batchSize: 2, archive: true }))
+      .rejects.toThrow('All retention policies failed: sentiment: connection lost');
+    expect(store.deleteExpiredRows).not.toHaveBeenCalled();
+    expect(fs.readdirSync(path.join(dir, 'twitter_sentiment'))).toEqual([]);
+  });
+
+  it('reports a failing policy and still applies the others', async () => {
+    const store = createStore({ twitter_sentiment: sentimentRows(), anomalies: [] });
+    store.countExpiredRows.mockImplementation(async (policy, cutoff) => {
+      if (policy.table === 'anomalies') {
+        throw new Error('relation "anomalies" does not exist');
+      }
+      return { rows: '3', oldest: daysAgo(75) };
+    });
+
+    const result = await runRetention({ store, dir, policies: [ANOMALIES, SENTIMENT], now: NOW, archive: false });
+
+    expect(result.errors).toEqual([{ policy: 'closed_anomalies', error: 'relation "anomalies" does not exist' }]);
+    expect(result.policies).toHaveLength(1);
+    expect(result.policies[0]).toMatchObject({ policy: 'sentiment', deleted: 3 });
+  });
+
+  it('applies only the named policies and rejects unknown names', async () => {
+    const store = createStore({ twitter_sentiment: sentimentRows(), anomalies: [] });
+
+    const result = await runRetention({ store, dir, policies: [ANOMALIES, SENTIMENT], only: ['sentiment'], now: NOW, dryRun: true });
+    expect(result.policies.map(policy => policy.policy)).toEqual(['sentiment']);
+
+    await expect(runRetention({ store, dir, policies: [SENTIMENT], only: ['tweets'], now: NOW }))
+      .rejects.toThrow('Unknown retention policy: tweets');
+  });
+});
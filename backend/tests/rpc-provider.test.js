@@ -0,0 +1,303 @@
+/**
+ * RPC provider tests
+ * Drives EtherFiProvider against local JSON-RPC stand-ins: endpoint failover,
+ * per-endpoint rate limiting, and record/replay matching. The replay suite reads
+ * the committed fixtures in tests/fixtures/rpc/provider; regenerate them with
+ * RECORD_FIXTURES=1 npx jest tests/rpc-provider.test.js
+ */
+
+jest.mock('../src/utils/logger');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ETHERFI_ADDRESSES, ETHERFI_ABIS } = require('../config/contracts');
+const { EtherFiProvider, getFixturePath } = require('../src/collectors/rpc-provider');
+const { readProtocolState } = require('../src/collectors/metrics-collector');
+const { BlockchainError } = require('../src/utils/error-handler');
+const { createStandInChain, createProtocolCall } = require('./helpers/json-rpc-stand-in');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures/rpc/provider');
+const ETHER = 10n ** 18n;
+const REQUESTER = ethers.getAddress('0x' + '44'.repeat(20));
+
+// The withdrawal queue functions only exist from block 150
+const protocolCall = createProtocolCall(blockNumber => ({
+  pooledEther: 1000n * ETHER + BigInt(blockNumber) * ETHER,
+  totalSupply: 990n * ETHER + BigInt(blockNumber) * ETHER,
+  ...(blockNumber >= 150 && {
+    queuedEth: 5n * ETHER,
+    requests: [[REQUESTER, 5n * ETHER, 1700001800n]],
+  }),
+}));
+
+const chains = [];
+const providers = [];
+
+async function startChain(options = {}) {
+  const chain = createStandInChain({ head: 300, call: protocolCall, ...options });
+  chain.url = await chain.listen();
+  chains.push(chain);
+  return chain;
+}
+
+function createTestProvider(options) {
+  const provider = new EtherFiProvider({ retry: { maxAttempts: 1, delayMs: 1 }, ...options });
+  providers.push(provider);
+  return provider;
+}
+
+function endpointsFor(...list) {
+  return list.map((chain, i) => ({ url: chain.url, name: `rpc${i}`, rateLimit: 0 }));
+}
+
+afterEach(async () => {
+  providers.splice(0).forEach(provider => provider.destroy());
+  await Promise.all(chains.splice(0).map(chain => chain.close()));
+});
+
+describe('failover', () => {
+  test('moves to the next endpoint on a rate-limit error and cools the failing one down', async () => {
+    const primary = await startChain();
+    const backup = await startChain();
+    primary.fail({ code: 429, message: 'Too Many Requests' });
+    const provider = createTestProvider({ endpoints: endpointsFor(primary, backup) });
+
+    await expect(provider.getBlockNumber()).resolves.toBe(300);
+    expect(primary.requests).toHaveLength(1);
+    expect(backup.requests).toHaveLength(1);
+    expect(provider.getEndpointStatus()).toEqual([
+      expect.objectContaining({ name: 'rpc0', healthy: false, consecutive_failures: 1 }),
+      expect.objectContaining({ name: 'rpc1', healthy: true, consecutive_failures: 0 }),
+    ]);
+
+    // The cooling endpoint is skipped even once it would answer again
+    primary.fail(null);
+    await provider.getBlock(10);
+    expect(primary.requests).toHaveLength(1);
+    expect(backup.requests).toHaveLength(2);
+  });
+
+  test('fails over on HTTP errors and internal errors', async () => {
+    const down = await startChain();
+    const broken = await startChain();
+    const healthy = await startChain();
+    down.fail({ status: 503 });
+    broken.fail({ code: -32603, message: 'internal error' });
+    const provider = createTestProvider({ endpoints: endpointsFor(down, broken, healthy) });
+
+    const block = await provider.getBlock(42);
+
+    expect(block.hash).toBe(healthy.getBlock(42).hash);
+    expect(provider.getEndpointStatus().map(status => status.healthy)).toEqual([false, false, true]);
+  });
+
+  test('returns request errors such as reverts without failing over', async () => {
+    const primary = await startChain();
+    const backup = await startChain();
+    const provider = createTestProvider({ endpoints: endpointsFor(primary, backup) });
+    const queue = new ethers.Contract(
+      ETHERFI_ADDRESSES.WITHDRAWAL_QUEUE, ETHERFI_ABIS.WITHDRAWAL_QUEUE, provider
+    );
+
+    await expect(queue.totalQueuedWithdrawals({ blockTag: 100 })).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(backup.requests).toHaveLength(0);
+    expect(provider.getEndpointStatus()[0].healthy).toBe(true);
+  });
+
+  test('retries the whole pass, then throws a BlockchainError when every endpoint fails', async () => {
+    const primary = await startChain();
+    const backup = await startChain();
+    primary.fail({ code: 429, message: 'Too Many Requests' });
+    backup.fail({ code: -32005, message: 'limit exceeded' });
+    const provider = createTestProvider({
+      endpoints: endpointsFor(primary, backup),
+      retry: { maxAttempts: 2, delayMs: 1 },
+    });
+
+    const error = await provider._send({ id: 1, jsonrpc: '2.0', method: 'eth_blockNumber', params: [] })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(BlockchainError);
+    expect(error.message).toMatch(/eth_blockNumber failed on all endpoints: -32005: limit exceeded/);
+    // Both endpoints are cooling down, so the retry tries them all again
+    expect(primary.requests).toHaveLength(2);
+    expect(backup.requests).toHaveLength(2);
+  });
+
+  test('recovers on a later attempt once an endpoint answers again', async () => {
+    const only = await startChain();
+    only.fail({ code: 429, message: 'Too Many Requests' }, 1);
+    const provider = createTestProvider({
+      endpoints: endpointsFor(only),
+      retry: { maxAttempts: 3, delayMs: 1 },
+    });
+
+    await expect(provider.getBlockNumber()).resolves.toBe(300);
+    expect(only.requests).toHaveLength(2);
+    expect(provider.getEndpointStatus()[0].consecutive_failures).toBe(0);
+  });
+});
+
+describe('rate limiting', () => {
+  test('spaces requests to one endpoint evenly at its configured rate', async () => {
+    const chain = await startChain();
+    const provider = createTestProvider({ endpoints: [{ url: chain.url, rateLimit: 20 }] });
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => provider.getBlock(n)));
+
+    const times = chain.requests.map(request => request.at);
+    expect(times).toHaveLength(5);
+    for (let i = 1; i < times.length; i++) {
+      // 20 requests per second is one every 50ms; allow for timer jitter
+      expect(times[i] - times[i - 1]).toBeGreaterThanOrEqual(40);
+    }
+  });
+
+  test('limits each endpoint independently', async () => {
+    const slow = await startChain();
+    const fast = await startChain();
+    const provider = createTestProvider({
+      endpoints: [{ url: slow.url, rateLimit: 2 }, { url: fast.url, rateLimit: 0 }],
+    });
+
+    await provider.getBlock(1);
+    slow.fail({ code: 429, message: 'Too Many Requests' }, 1);
+    await provider.getBlock(2);
+
+    const started = Date.now();
+    await Promise.all([3, 4, 5].map(n => provider.getBlock(n)));
+
+    // The slow endpoint is cooling down; the unlimited one serves the rest at once
+    expect(Date.now() - started).toBeLessThan(400);
+    expect(fast.requests.map(request => request.params[0])).toEqual(['0x2', '0x3', '0x4', '0x5']);
+  });
+});
+
+describe('record and replay', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records one fixture per request, keyed by method and params', async () => {
+    const chain = await startChain();
+    const recorder = createTestProvider({ endpoints: endpointsFor(chain), mode: 'record', fixturesDir: dir });
+
+    await recorder.getBlock(7);
+
+    const fixturePath = getFixturePath(dir, 'eth_getBlockByNumber', ['0x7', false]);
+    expect(fs.readdirSync(dir)).toEqual([path.basename(fixturePath)]);
+    expect(JSON.parse(fs.readFileSync(fixturePath, 'utf8'))).toEqual({
+      method: 'eth_getBlockByNumber',
+      params: ['0x7', false],
+      response: { result: chain.getBlock(7) },
+    });
+  });
+
+  test('replays recorded responses without endpoints, whatever the request ids or order', async () => {
+    const chain = await startChain();
+    const pool = new ethers.Interface(ETHERFI_ABIS.LIQUIDITY_POOL);
+    chain.addLog({
+      address: ETHERFI_ADDRESSES.LIQUIDITY_POOL,
+      ...pool.encodeEventLog('Withdraw', [REQUESTER, ETHER]),
+      blockNumber: 20,
+    });
+    const recorder = createTestProvider({ endpoints: endpointsFor(chain), mode: 'record', fixturesDir: dir });
+    const filter = { address: ETHERFI_ADDRESSES.LIQUIDITY_POOL, fromBlock: 10, toBlock: 30 };
+
+    const recorded = {
+      logs: await recorder.getLogs(filter),
+      block: await recorder.getBlock(20),
+      state: await readProtocolState(recorder, 200),
+    };
+
+    const replayer = createTestProvider({ mode: 'replay', fixturesDir: dir });
+    const replayed = {
+      state: await readProtocolState(replayer, 200),
+      block: await replayer.getBlock(20),
+      logs: await replayer.getLogs(filter),
+    };
+
+    expect(replayed.state).toEqual(recorded.state);
+    expect(replayed.block.toJSON()).toEqual(recorded.block.toJSON());
+    expect(replayed.logs.map(log => log.toJSON())).toEqual(recorded.logs.map(log => log.toJSON()));
+    expect(replayed.logs).toHaveLength(1);
+  });
+
+  test('replays recorded reverts as reverts', async () => {
+    const chain = await startChain();
+    const recorder = createTestProvider({ endpoints: endpointsFor(chain), mode: 'record', fixturesDir: dir });
+    const recorded = await readProtocolState(recorder, 100);
+
+    const replayer = createTestProvider({ mode: 'replay', fixturesDir: dir });
+
+    expect(recorded.withdrawal_queue_eth).toBeNull();
+    await expect(readProtocolState(replayer, 100)).resolves.toEqual(recorded);
+  });
+
+  test('refuses requests whose params were never recorded', async () => {
+    const chain = await startChain();
+    const recorder = createTestProvider({ endpoints: endpointsFor(chain), mode: 'record', fixturesDir: dir });
+    await recorder.getBlock(7);
+
+    const replayer = createTestProvider({ mode: 'replay', fixturesDir: dir });
+
+    await expect(replayer.getBlock(8)).rejects.toThrow(/No recorded fixture for eth_getBlockByNumber \["0x8",false\]/);
+    expect(chain.requests).toHaveLength(1);
+  });
+});
+
+describe('committed fixtures', () => {
+  async function recordInto(fixturesDir) {
+    const chain = await startChain();
+    const recorder = createTestProvider({ endpoints: endpointsFor(chain), mode: 'record', fixturesDir });
+    await readProtocolState(recorder, 100);
+    await readProtocolState(recorder, 200);
+  }
+
+  beforeAll(async () => {
+    if (process.env.RECORD_FIXTURES) {
+      fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+      await recordInto(FIXTURES_DIR);
+    }
+  });
+
+  test('replay protocol state reads before and after the withdrawal queue existed', async () => {
+    const provider = createTestProvider({ mode: 'replay', fixturesDir: FIXTURES_DIR });
+
+    await expect(readProtocolState(provider, 100)).resolves.toEqual({
+      tvl_eth: '1100.0',
+      eeth_total_supply: '1090.0',
+      withdrawal_queue_size: null,
+      withdrawal_queue_eth: null,
+    });
+    await expect(readProtocolState(provider, 200)).resolves.toEqual({
+      tvl_eth: '1200.0',
+      eeth_total_supply: '1190.0',
+      withdrawal_queue_size: 1,
+      withdrawal_queue_eth: '5.0',
+    });
+  });
+
+  test('match what the stand-in records today', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rpc-fixtures-'));
+    try {
+      await recordInto(dir);
+      const read = (base, name) => fs.readFileSync(path.join(base, name), 'utf8');
+
+      expect(fs.readdirSync(FIXTURES_DIR).sort()).toEqual(fs.readdirSync(dir).sort());
+      for (const name of fs.readdirSync(dir)) {
+        expect(read(FIXTURES_DIR, name)).toBe(read(dir, name));
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
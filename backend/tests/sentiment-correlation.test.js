@@ -0,0 +1,260 @@
+/**
+ * Sentiment / on-chain correlation tests
+ * Analysis runs on rows shaped like getSentimentOnChainHourly; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/database/db-connection', () => ({
+  query: jest.fn(async () => ({ rows: [{ id: 12, detected_at: new Date() }] })),
+  transaction: jest.fn(),
+}));
+
+const db = require('../src/database/db-connection');
+const { insertAnomaly } = require('../src/database/queries');
+const { correlation } = require('../src/analysis/statistics');
+const {
+  buildHourlySeries,
+  crossCorrelation,
+  correlateSentimentOnChain,
+  detectSentimentShocks,
+  analyzeSentimentCorrelation,
+  runSentimentCorrelation,
+} = require('../src/analysis/sentiment-correlation');
+
+const START = Date.parse('2024-03-01T00:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// A deterministic wobble so baselines have some spread
+function noise(index) {
+  return [0, 1, 2, 1, 0, 2, 1, 0][index % 8];
+}
+
+/**
+ * Hourly rows with a quiet baseline; overrides by hour index
+ */
+function hourlyRows(count, overrides = {}) {
+  let queue = 1000;
+  return Array.from({ length: count }, (_, index) => {
+    const override = overrides[index] || {};
+    queue += override.queueGrowth ?? noise(index) * 5;
+    return {
+      hour: new Date(START + index * HOUR_MS),
+      posts: '10',
+      avg_sentiment: '0.1',
+      negative_posts: String(noise(index)),
+      influential_negative_posts: '0',
+      withdrawal_queue_size: '120',
+      withdrawal_queue_eth: String(queue),
+      peg_deviation_percent: '0.05',
+      whale_outflow_eeth: String(noise(index + 3) * 10),
+      ...override.row,
+    };
+  });
+}
+
+describe('correlation', () => {
+  it('is 1 for series that move together, -1 for opposite and null for a constant one', () => {
+    expect(correlation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1);
+    expect(correlation([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1);
+    expect(correlation([1, 2, 3, 4], [5, 5, 5, 5])).toBeNull();
+    expect(correlation([1, 2], [1, 2])).toBeNull();
+  });
+});
+
+describe('buildHourlySeries', () => {
+  it('converts numeric strings and derives sentiment drop and queue growth', () => {
+    const series = buildHourlySeries([
+      { hour: '2024-03-01T00:00:00Z', posts: '4', avg_sentiment: '0.3', negative_posts: '1', influential_negative_posts: '0',
+        withdrawal_queue_eth: '100', peg_deviation_percent: '0.1', whale_outflow_eeth: '0' },
+      { hour: '2024-03-01T01:00:00Z', posts: '6', avg_sentiment: '-0.2', negative_posts: '4', influential_negative_posts: '1',
+        withdrawal_queue_eth: '160', peg_deviation_percent: null, whale_outflow_eeth: '50.5' },
+      { hour: '2024-03-01T02:00:00Z', posts: '0', avg_sentiment: null, negative_posts: '0', influential_negative_posts: '0',
+        withdrawal_queue_eth: null, peg_deviation_percent: null, whale_outflow_eeth: '0' },
+    ]);
+
+    expect(series[0]).toMatchObject({ sentiment_drop: null, queue_growth_eth: null, posts: 4 });
+    expect(series[1]).toMatchObject({ negative_posts: 4, whale_outflow_eeth: 50.5, queue_growth_eth: 60 });
+    expect(series[1].sentiment_drop).toBeCloseTo(0.5);
+    expect(series[2]).toMatchObject({ avg_sentiment: null, sentiment_drop: null, queue_growth_eth: null });
+  });
+});
+
+describe('crossCorrelation', () => {
+  const signal = Array.from({ length: 60 }, (_, index) => noise(index * 3) + (index % 5));
+  // The target repeats the signal two hours later
+  const target = [0, 0, ...signal.slice(0, -2)];
+
+  it('finds the lag at which the target follows the signal', () => {
+    const lags = crossCorrelation(signal, target, { maxLagHours: 4, minPairs: 24 });
+    expect(lags.map(lag => lag.lag)).toEqual([-4, -3, -2, -1, 0, 1, 2, 3, 4]);
+    expect(lags.find(lag => lag.lag === 2).r).toBeCloseTo(1);
+    expect(lags.find(lag => lag.lag === 2).pairs).toBe(58);
+  });
+
+  it('skips nulls and needs minPairs pairs', () => {
+    const sparse = signal.map((value, index) => (index % 2 === 0 ? value : null));
+    const lags = crossCorrelation(sparse, target, { maxLagHours: 0, minPairs: 31 });
+    expect(lags).toEqual([{ lag: 0, r: null, pairs: 30 }]);
+  });
+});
+
+describe('correlateSentimentOnChain', () => {
+  it('reports sentiment as leading when negative posts come before queue growth', () => {
+    const overrides = {};
+    for (let index = 0; index < 96; index++) {
+      const burst = index % 12 === 0 ? 20 : noise(index);
+      overrides[index] = { row: { negative_posts: String(burst) } };
+      // Three hours after each burst the queue jumps
+      if (index >= 3 && (index - 3) % 12 === 0) {
+        overrides[index].queueGrowth = 400;
+      }
+    }
+
+    const results = correlateSentimentOnChain(buildHourlySeries(hourlyRows(96, overrides)), { maxLagHours: 6 });
+    const queue = results.find(item => item.signal === 'negative_posts' && item.target === 'queue_growth_eth');
+
+    expect(results).toHaveLength(6);
+    expect(queue).toMatchObject({ best_lag_hours: 3, leader: 'sentiment' });
+    expect(queue.r).toBeGreaterThan(0.8);
+    expect(queue.lags).toHaveLength(13);
+  });
+
+  it('has no leader without enough data', () => {
+    const results = correlateSentimentOnChain(buildHourlySeries(hourlyRows(10)));
+    expect(results.every(item => item.leader === null && item.r === null)).toBe(true);
+  });
+});
+
+describe('detectSentimentShocks', () => {
+  it('merges consecutive shock hours and confirms them with queue growth in the next hours', () => {
+    const series = buildHourlySeries(hourlyRows(60, {
+      40: { row: { negative_posts: '15', influential_negative_posts: '2' } },
+      41: { row: { negative_posts: '12' } },
+      43: { queueGrowth: 500 },
+    }));
+
+    const [shock, ...rest] = detectSentimentShocks(series);
+
+    expect(rest).toHaveLength(0);
+    expect(shock).toMatchObject({
+      window_start: new Date(START + 40 * HOUR_MS),
+      window_end: new Date(START + 41 * HOUR_MS),
+      negative_posts: 27,
+      influential_negative_posts: 2,
+      peak_negative_posts: 15,
+      confirmed: true,
+      lead_hours: 3,
+    });
+    expect(shock.queue.above).toBe(true);
+    expect(shock.outflows.above).toBe(false);
+    expect(shock.peak_z).toBeGreaterThan(2.5);
+  });
+
+  it('leaves a shock unconfirmed when nothing moves on-chain', () => {
+    const series = buildHourlySeries(hourlyRows(60, { 40: { row: { negative_posts: '15' } } }));
+    const [shock] = detectSentimentShocks(series);
+    expect(shock.confirmed).toBe(false);
+    expect(shock.lead_hours).toBeNull();
+  });
+
+  it('ignores bursts below minNegativePosts and hours without a baseline', () => {
+    const series = buildHourlySeries(hourlyRows(60, {
+      10: { row: { negative_posts: '30' } },
+      40: { row: { negative_posts: '4' } },
+    }));
+    expect(detectSentimentShocks(series)).toEqual([]);
+  });
+
+  it('treats any rise over a flat baseline as above it', () => {
+    const rows = hourlyRows(40, { 30: { row: { negative_posts: '6', whale_outflow_eeth: '900' } } })
+      .map((row, index) => (index === 30 ? row : { ...row, negative_posts: '0', whale_outflow_eeth: '0' }));
+
+    const [shock] = detectSentimentShocks(buildHourlySeries(rows));
+    expect(shock).toMatchObject({ peak_z: null, confirmed: true, lead_hours: 0 });
+    expect(shock.outflows).toMatchObject({ above: true, z: null, total: 900 });
+  });
+});
+
+describe('analyzeSentimentCorrelation', () => {
+  it('builds a combined sentiment_shock anomaly for a confirmed shock', () => {
+    const { candidates } = analyzeSentimentCorrelation(hourlyRows(60, {
+      40: { row: { negative_posts: '15', influential_negative_posts: '2', whale_outflow_eeth: '2500' } },
+      41: { queueGrowth: 500 },
+    }));
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0]).toMatchObject({
+      anomaly_type: 'sentiment_shock',
+      severity: 'HIGH',
+      confidence: 0.9,
+      title: 'Sentiment shock: 15 negative posts in an hour as the withdrawal queue and whale outflows rose',
+      affected_metrics: ['negative_posts', 'withdrawal_queue_eth', 'whale_outflow_eeth'],
+      status: 'active',
+    });
+    expect(candidates[0].recent_data).toMatchObject({
+      window_start: '2024-03-02T16:00:00.000Z',
+      negative_posts: 15,
+      max_queue_growth_eth: 500,
+      lead_hours: 0,
+    });
+    expect(candidates[0].statistical_significance).toBeGreaterThan(2.5);
+  });
+
+  it('is CRITICAL when the peg is also off', () => {
+    const { candidates } = analyzeSentimentCorrelation(hourlyRows(60, {
+      40: { row: { negative_posts: '15', peg_deviation_percent: '1.4' } },
+      42: { queueGrowth: 500 },
+    }));
+    expect(candidates[0]).toMatchObject({ severity: 'CRITICAL', affected_metrics: ['negative_posts', 'withdrawal_queue_eth'] });
+    expect(candidates[0].recent_data.max_peg_deviation_percent).toBe(1.4);
+  });
+});
+
+describe('runSentimentCorrelation', () => {
+  const rows = hourlyRows(60, { 40: { row: { negative_posts: '15' } }, 41: { queueGrowth: 500 } });
+
+  function createStore(existing = []) {
+    return {
+      getSentimentOnChainHourly: jest.fn().mockResolvedValue(rows),
+      getAnomalies: jest.fn().mockResolvedValue(existing),
+      insertAnomaly: jest.fn(async candidate => ({ id: 11, detected_at: new Date(), ...candidate })),
+    };
+  }
+
+  it('stores new shocks', async () => {
+    const store = createStore();
+    const result = await runSentimentCorrelation({ store, hours: 60 });
+
+    expect(store.getSentimentOnChainHourly).toHaveBeenCalledWith(60);
+    expect(store.getAnomalies).toHaveBeenCalledWith({ type: 'sentiment_shock', since: new Date(START) });
+    expect(store.insertAnomaly).toHaveBeenCalledTimes(1);
+    expect(result.inserted[0].id).toBe(11);
+    expect(result.correlations).toHaveLength(6);
+  });
+
+  it('skips shocks already recorded and inserts nothing on a dry run', async () => {
+    const recorded = createStore([{ recent_data: { window_start: '2024-03-02T16:00:00.000Z' } }]);
+    expect((await runSentimentCorrelation({ store: recorded })).candidates).toHaveLength(0);
+    expect(recorded.insertAnomaly).not.toHaveBeenCalled();
+
+    const dryRun = createStore();
+    const result = await runSentimentCorrelation({ store: dryRun, dryRun: true });
+    expect(result.candidates).toHaveLength(1);
+    expect(result.inserted).toHaveLength(0);
+    expect(dryRun.insertAnomaly).not.toHaveBeenCalled();
+  });
+
+  it('stores the z of an extreme shock clamped to the column range', async () => {
+    const store = createStore();
+    store.getSentimentOnChainHourly.mockResolvedValue(hourlyRows(60, {
+      40: { row: { negative_posts: '20000' } },
+      41: { queueGrowth: 500 },
+    }));
+    store.insertAnomaly = insertAnomaly;
+
+    const { candidates } = await runSentimentCorrelation({ store });
+
+    expect(candidates[0].statistical_significance).toBeGreaterThan(10000);
+    expect(db.query.mock.calls[0][1][9]).toBe(9999.999999);
+  });
+});
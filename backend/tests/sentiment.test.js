@@ -0,0 +1,370 @@
+/**
+ * Sentiment collector tests
+ * A mock server answers Twitter API v2 search and serves RSS, Atom and JSON feeds;
+ * an in-memory store replaces the sentiment queries.
+ */
+
+jest.mock('../src/utils/logger');
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { scorePost, tokenize } = require('../src/sentiment/scorer');
+const {
+  createTwitterSource,
+  createFeedSource,
+  createFixtureSource,
+  parseFeed,
+} = require('../src/sentiment/sources');
+const { createSentimentCollector } = require('../src/sentiment/sentiment-collector');
+
+const TWEET_PAGES = [
+  {
+    data: [{
+      id: '1001',
+      text: 'Massive exploit rumours around eETH, is this a depeg?',
+      author_id: '1',
+      created_at: '2024-03-01T10:00:00.000Z',
+      public_metrics: { retweet_count: 40, reply_count: 12, like_count: 300, quote_count: 2 },
+    }],
+    includes: { users: [{ id: '1', username: 'defi_watch', public_metrics: { followers_count: 52000 } }] },
+    meta: { result_count: 1, next_token: 'page2' },
+  },
+  {
+    data: [{
+      id: '1002',
+      text: 'Staked more ETH with @ether_fi today, great rewards',
+      author_id: '2',
+      created_at: '2024-03-01T10:05:00.000Z',
+      public_metrics: { retweet_count: 0, reply_count: 0, like_count: 3, quote_count: 0 },
+    }],
+    includes: { users: [{ id: '2', username: 'small_staker', public_metrics: { followers_count: 150 } }] },
+    meta: { result_count: 1 },
+  },
+];
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/"><channel>
+  <item>
+    <title>EtherFi paused withdrawals after exploit report</title>
+    <link>https://news.example/etherfi-paused</link>
+    <guid>news-1</guid>
+    <description><![CDATA[<p>The protocol said funds are <b>safe</b> &amp; under review.</p>]]></description>
+    <dc:creator>Jane Reporter</dc:creator>
+    <pubDate>Fri, 01 Mar 2024 11:00:00 GMT</pubDate>
+  </item>
+  <item>
+    <title>Bitcoin hits a new all-time high</title>
+    <link>https://news.example/btc</link>
+    <pubDate>Fri, 01 Mar 2024 11:30:00 GMT</pubDate>
+  </item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <entry>
+    <id>tag:blog.example,2024:weeth</id>
+    <title>weETH adoption keeps growing</title>
+    <link rel="alternate" href="https://blog.example/weeth"/>
+    <summary>Strong inflows this week.</summary>
+    <author><name>Blog Team</name></author>
+    <updated>2024-03-01T09:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  items: [{
+    id: 'j1',
+    url: 'https://forum.example/t/1',
+    title: 'Is eETH safe?',
+    content_text: 'No depeg, no drama.',
+    authors: [{ name: 'forum_user' }],
+    date_published: '2024-03-01T08:00:00Z',
+  }],
+};
+
+async function startServer() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams), auth: req.headers.authorization });
+
+    if (url.pathname === '/2/tweets/search/recent') {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.headers.authorization !== 'Bearer test-token') {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ title: 'Unauthorized', detail: 'Unauthorized', status: 401 }));
+      }
+      const page = url.searchParams.get('next_token') === 'page2' ? 1 : 0;
+      return res.end(JSON.stringify(TWEET_PAGES[page]));
+    }
+
+    if (url.pathname === '/rss.xml') {
+      res.setHeader('Content-Type', 'application/rss+xml');
+      return res.end(RSS);
+    }
+    if (url.pathname === '/atom.xml') {
+      res.setHeader('Content-Type', 'application/atom+xml');
+      return res.end(ATOM);
+    }
+    if (url.pathname === '/feed.json') {
+      res.setHeader('Content-Type', 'application/feed+json');
+      return res.end(JSON.stringify(JSON_FEED));
+    }
+
+    res.statusCode = 503;
+    return res.end('Service Unavailable');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * In-memory version of the sentiment queries
+ */
+function createStore(latest = {}) {
+  const rows = new Map();
+  return {
+    rows,
+    getLatestSentimentTimestamps: jest.fn().mockResolvedValue(latest),
+    insertTwitterSentiment: jest.fn(async (row) => {
+      rows.set(row.tweet_id, { ...rows.get(row.tweet_id), ...row });
+      return { id: rows.size };
+    }),
+  };
+}
+
+describe('scorePost', () => {
+  it('scores crypto risk terms strongly negative', () => {
+    const result = scorePost('Looks like a rug pull: eETH depegged and the pool was drained');
+
+    expect(result.sentiment_label).toBe('negative');
+    expect(result.sentiment_score).toBeLessThan(-0.9);
+    expect(result.keywords).toEqual(['eeth', 'rugpull', 'depeg', 'drained']);
+    expect(result.risk_keywords).toEqual(['rugpull', 'depeg', 'drained']);
+    expect(result.mentions_project).toBe(true);
+    expect(result.confidence).toBe(1);
+  });
+
+  it('flips negated terms and boosts intensified ones', () => {
+    expect(scorePost('ether.fi is not a scam').sentiment_label).toBe('positive');
+    expect(scorePost('very good').sentiment_score).toBeGreaterThan(scorePost('good').sentiment_score);
+  });
+
+  it('is neutral with low confidence when nothing matches', () => {
+    expect(scorePost('Restaked my ETH this morning')).toEqual({
+      sentiment_score: 0,
+      sentiment_label: 'neutral',
+      confidence: 0.2,
+      keywords: [],
+      mentions_project: false,
+      risk_keywords: [],
+    });
+  });
+
+  it('is deterministic', () => {
+    const text = 'Huge gains on weETH, but worried about the withdrawal delay';
+    expect(scorePost(text)).toEqual(scorePost(text));
+  });
+
+  it('keeps project handles and domains as words', () => {
+    expect(tokenize('Thanks @ether_fi! See https://ether.fi/app. #eETH $ETHFI'))
+      .toEqual(['thanks', 'ether_fi', 'see', 'https', 'ether.fi', 'app', 'eeth', 'ethfi']);
+  });
+});
+
+describe('sources', () => {
+  let mock;
+
+  beforeEach(async () => {
+    mock = await startServer();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  it('pages through Twitter recent search with author metrics', async () => {
+    const source = createTwitterSource({ baseUrl: mock.url, bearerToken: 'test-token', query: 'etherfi', maxPages: 5 });
+    const since = new Date(Date.now() - 60 * 60 * 1000);
+
+    const posts = await source.fetchPosts({ since });
+
+    expect(posts).toEqual([
+      expect.objectContaining({
+        id: '1001',
+        author_username: 'defi_watch',
+        author_followers: 52000,
+        retweet_count: 40,
+        like_count: 300,
+        reply_count: 12,
+        url: 'https://twitter.com/defi_watch/status/1001',
+        timestamp: new Date('2024-03-01T10:00:00.000Z'),
+      }),
+      expect.objectContaining({ id: '1002', author_followers: 150 }),
+    ]);
+    expect(mock.requests.map(request => request.params.next_token)).toEqual([undefined, 'page2']);
+    expect(mock.requests[0].params).toMatchObject({
+      query: 'etherfi',
+      max_results: '100',
+      start_time: since.toISOString(),
+      expansions: 'author_id',
+    });
+  });
+
+  it('starts Twitter search no earlier than its 7-day window', async () => {
+    const source = createTwitterSource({ baseUrl: mock.url, bearerToken: 'test-token', query: 'etherfi', maxPages: 1 });
+    await source.fetchPosts({ since: new Date('2020-01-01T00:00:00Z') });
+
+    const startTime = Date.parse(mock.requests[0].params.start_time);
+    expect(Date.now() - startTime).toBeLessThan(7 * 24 * 60 * 60 * 1000);
+  });
+
+  it('reports Twitter errors with the HTTP status', async () => {
+    const source = createTwitterSource({ baseUrl: mock.url, bearerToken: 'wrong', query: 'etherfi', maxPages: 1 });
+    await expect(source.fetchPosts({ since: new Date() }))
+      .rejects.toThrow('Twitter search failed: HTTP 401: Unauthorized');
+  });
+
+  it('reads RSS, Atom and JSON feeds', async () => {
+    const source = createFeedSource({ urls: [`${mock.url}/rss.xml`, `${mock.url}/atom.xml`, `${mock.url}/feed.json`] });
+    const posts = await source.fetchPosts({ since: new Date('2024-03-01T00:00:00Z') });
+
+    expect(posts.map(post => post.text)).toEqual([
+      'EtherFi paused withdrawals after exploit report. The protocol said funds are safe & under review.',
+      'Bitcoin hits a new all-time high',
+      'weETH adoption keeps growing. Strong inflows this week.',
+      'Is eETH safe?. No depeg, no drama.',
+    ]);
+    expect(posts[0]).toMatchObject({
+      author_username: 'Jane Reporter',
+      url: 'https://news.example/etherfi-paused',
+      timestamp: new Date('2024-03-01T11:00:00Z'),
+      author_followers: null,
+    });
+    expect(posts[0].id).toMatch(/^feed:[0-9a-f]{40}$/);
+    expect(posts[2]).toMatchObject({ author_username: 'Blog Team', url: 'https://blog.example/weeth' });
+    expect(posts[3].author_username).toBe('forum_user');
+  });
+
+  it('gives feed items ids that are stable per feed', () => {
+    const [first] = parseFeed('https://a.example/rss', RSS);
+    expect(parseFeed('https://a.example/rss', RSS)[0].id).toBe(first.id);
+    expect(parseFeed('https://b.example/rss', RSS)[0].id).not.toBe(first.id);
+  });
+
+  it('reads a fixture file of posts or a saved search response', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sentiment-'));
+    const postsFile = path.join(dir, 'posts.json');
+    const searchFile = path.join(dir, 'search.json');
+    fs.writeFileSync(postsFile, JSON.stringify([
+      { id: 'f1', text: 'eETH looks solid', timestamp: '2024-03-01T10:00:00Z' },
+      { id: 'f0', text: 'old', timestamp: '2024-02-01T10:00:00Z' },
+    ]));
+    fs.writeFileSync(searchFile, JSON.stringify(TWEET_PAGES[0]));
+
+    try {
+      const since = new Date('2024-03-01T00:00:00Z');
+      expect((await createFixtureSource({ file: postsFile }).fetchPosts({ since })).map(post => post.id)).toEqual(['f1']);
+      expect((await createFixtureSource({ file: searchFile }).fetchPosts({ since }))[0].author_username).toBe('defi_watch');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('sentiment collector', () => {
+  // The mock feeds were published on 2024-03-01
+  const FEEDS_SEEN = { feed: new Date('2024-03-01T00:00:00Z') };
+  let mock;
+
+  beforeEach(async () => {
+    mock = await startServer();
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => mock.server.close(resolve));
+  });
+
+  it('scores and stores posts, marks influential authors and flags risk posts', async () => {
+    const store = createStore(FEEDS_SEEN);
+    const collector = createSentimentCollector({
+      store,
+      influentialFollowers: 10000,
+      sources: [
+        createTwitterSource({ baseUrl: mock.url, bearerToken: 'test-token', query: 'etherfi', maxPages: 5 }),
+        createFeedSource({ urls: [`${mock.url}/rss.xml`] }),
+      ],
+    });
+
+    const result = await collector.collectOnce();
+
+    // The Bitcoin headline doesn't mention EtherFi, so the feed source drops it
+    expect(result).toMatchObject({ fetched: 4, stored: 3, skipped: 1, errors: [] });
+    expect(store.rows.get('1001')).toMatchObject({
+      source: 'twitter',
+      sentiment_label: 'negative',
+      is_influential: true,
+      risk_flagged: true,
+      keywords: ['eeth', 'exploit', 'depeg'],
+    });
+    expect(store.rows.get('1002')).toMatchObject({
+      sentiment_label: 'positive',
+      is_influential: false,
+      risk_flagged: false,
+    });
+
+    expect(result.riskPosts.map(post => [post.tweet_id.slice(0, 5), post.risk_keywords])).toEqual([
+      ['1001', ['exploit', 'depeg']],
+      ['feed:', ['paused', 'exploit']],
+    ]);
+  });
+
+  it('resumes each source from its newest stored post', async () => {
+    const fetchPosts = jest.fn().mockResolvedValue([]);
+    const store = createStore({ twitter: new Date('2024-03-01T10:00:00Z') });
+    const collector = createSentimentCollector({
+      store,
+      lookbackHours: 6,
+      sources: [{ name: 'twitter', fetchPosts }, { name: 'feed', requireMention: true, fetchPosts }],
+    });
+
+    const before = Date.now();
+    await collector.collectOnce();
+
+    expect(fetchPosts.mock.calls[0][0].since).toEqual(new Date('2024-03-01T10:00:00Z'));
+    expect(fetchPosts.mock.calls[1][0].since.getTime()).toBeGreaterThanOrEqual(before - 6 * 60 * 60 * 1000);
+  });
+
+  it('carries on past a failing source and fails when all sources fail', async () => {
+    const store = createStore(FEEDS_SEEN);
+    const broken = createFeedSource({ urls: [`${mock.url}/missing.xml`] });
+
+    const partial = await createSentimentCollector({
+      store,
+      sources: [broken, createFeedSource({ urls: [`${mock.url}/atom.xml`] })],
+    }).collectOnce();
+    expect(partial.stored).toBe(1);
+    expect(partial.errors).toEqual([
+      { source: 'feed', error: `Feed ${mock.url}/missing.xml failed: HTTP 503: Request failed with status code 503` },
+    ]);
+
+    await expect(createSentimentCollector({ store, sources: [broken] }).collectOnce())
+      .rejects.toThrow('All sentiment sources failed');
+  });
+
+  it("doesn't store in a dry run", async () => {
+    const store = createStore(FEEDS_SEEN);
+    const result = await createSentimentCollector({
+      store,
+      sources: [createFeedSource({ urls: [`${mock.url}/feed.json`] })],
+    }).collectOnce({ dryRun: true });
+
+    expect(result.stored).toBe(1);
+    expect(store.insertTwitterSentiment).not.toHaveBeenCalled();
+  });
+});
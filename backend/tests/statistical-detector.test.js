@@ -0,0 +1,186 @@
+/**
+ * Statistical detector tests
+ * The z-score path of detectAnomalies() on synthetic series, and the range of
+ * statistical_significance once a candidate is stored; no database needed.
+ */
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/database/db-connection', () => ({
+  query: jest.fn(async () => ({ rows: [{ id: 1, detected_at: new Date() }] })),
+  transaction: jest.fn(),
+}));
+
+const db = require('../src/database/db-connection');
+const { insertAnomaly } = require('../src/database/queries');
+const { detectAnomalies, evaluateMetric } = require('../src/analysis/statistical-detector');
+const { toNumber, round, mean, stddev, zScore, rollingZScore } = require('../src/analysis/statistics');
+const { getMetricThresholds } = require('../config/detection');
+
+const START = Date.parse('2024-06-01T00:00:00Z');
+
+/**
+ * time_series_data rows 5 minutes apart, values as pg returns NUMERIC (strings)
+ */
+function rowsOf(values, metric = 'tvl_eth') {
+  return values.map((value, i) => ({
+    timestamp: new Date(START + i * 5 * 60 * 1000).toISOString(),
+    collection_status: 'success',
+    [metric]: value === null ? null : String(value),
+  }));
+}
+
+// 47 points alternating between 1000 and 1001
+const STEADY = Array.from({ length: 47 }, (_, i) => 1000 + (i % 2));
+
+describe('row values', () => {
+  test('convert NUMERIC strings to numbers and anything else to null', () => {
+    expect(toNumber('1000.25')).toBe(1000.25);
+    expect(toNumber(0)).toBe(0);
+    expect(toNumber(null)).toBeNull();
+    expect(toNumber(undefined)).toBeNull();
+    expect(toNumber('NaN')).toBeNull();
+    expect(toNumber('not a number')).toBeNull();
+  });
+
+  test('round to six digits unless told otherwise', () => {
+    expect(round(18.8220954321)).toBe(18.822095);
+    expect(round(18.8220954321, 3)).toBe(18.822);
+    expect(round(null)).toBeNull();
+    expect(round(undefined)).toBeNull();
+    expect(round('12.3456', 2)).toBe(12.35);
+    expect(round(NaN)).toBeNull();
+    expect(round(Infinity)).toBeNull();
+  });
+});
+
+describe('z-scores', () => {
+  test('measure the distance from the mean in standard deviations', () => {
+    expect(zScore(1010, 1000, 2)).toBe(5);
+    expect(zScore(990, 1000, 2)).toBe(-5);
+  });
+
+  test('are undefined without a spread', () => {
+    expect(zScore(1010, 1000, 0)).toBeNull();
+    expect(zScore(1010, 1000, null)).toBeNull();
+    expect(zScore(null, 1000, 2)).toBeNull();
+  });
+
+  test('leave the latest point out of its own rolling window', () => {
+    const rolling = rollingZScore([...STEADY, 1010], 288);
+
+    expect(rolling.points).toBe(47);
+    expect(rolling.mean).toBeCloseTo(mean(STEADY), 10);
+    expect(rolling.z).toBeCloseTo((1010 - mean(STEADY)) / stddev(STEADY), 10);
+  });
+});
+
+describe('evaluateMetric', () => {
+  const settings = getMetricThresholds().tvl_usd;
+
+  test('scores against the baseline row when it has a spread', () => {
+    const evaluation = evaluateMetric([...STEADY, 1010], { avg_tvl_usd: '1000', stddev_tvl_usd: '4' }, settings);
+
+    expect(evaluation.baselineMean).toBe(1000);
+    expect(evaluation.tests[0]).toMatchObject({ test: 'baseline_zscore', value: 2.5, triggered: false });
+  });
+
+  test('falls back to the series when the baseline has no spread', () => {
+    const values = [...STEADY, 1010];
+    const evaluation = evaluateMetric(values, { avg_tvl_usd: '1000', stddev_tvl_usd: '0' }, settings);
+
+    expect(evaluation.baselineMean).toBeCloseTo(mean(values), 10);
+    expect(evaluation.tests[0].value).toBeCloseTo(zScore(1010, mean(values), stddev(values)), 6);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('finds nothing in a steady series or an empty one', () => {
+    expect(detectAnomalies(rowsOf([...STEADY, 1000]))).toEqual([]);
+    expect(detectAnomalies([])).toEqual([]);
+  });
+
+  test('flags a spike with the largest triggered |z| as its significance', () => {
+    const [candidate] = detectAnomalies(rowsOf([...STEADY, 1010]));
+    const tests = Object.fromEntries(candidate.recent_data.tests.map(test => [test.test, test]));
+
+    expect(candidate).toMatchObject({
+      anomaly_type: 'tvl_change',
+      severity: 'CRITICAL',
+      title: 'TVL (ETH) above expected range',
+      affected_metrics: ['tvl_eth'],
+      status: 'active',
+    });
+    expect(tests.baseline_zscore.triggered).toBe(true);
+    expect(tests.rolling_zscore.triggered).toBe(true);
+    expect(tests.rate_of_change.triggered).toBe(false);
+    expect(candidate.statistical_significance).toBe(tests.rolling_zscore.value);
+    expect(candidate.statistical_significance).toBeCloseTo((1010 - mean(STEADY)) / stddev(STEADY), 5);
+  });
+
+  test('uses |z| for a drop, and grades severity by it', () => {
+    const [drop] = detectAnomalies(rowsOf([...STEADY, 990]));
+    const [mild] = detectAnomalies(rowsOf([...STEADY, 1002.3]), null, {
+      thresholds: { tvl_eth: { zScore: 1, rollingZScore: 3.5, ewmaLimit: 100 } },
+    });
+
+    expect(drop.title).toBe('TVL (ETH) below expected range');
+    expect(drop.statistical_significance).toBeGreaterThan(6);
+    expect(mild.statistical_significance).toBeGreaterThanOrEqual(3.5);
+    expect(mild.statistical_significance).toBeLessThan(4.5);
+    expect(mild.severity).toBe('MEDIUM');
+  });
+
+  test('evaluates successful rows in time order', () => {
+    const rows = rowsOf([...STEADY, 1010]);
+    const failed = {
+      timestamp: new Date(START + 48 * 5 * 60 * 1000).toISOString(),
+      collection_status: 'failed',
+      tvl_eth: '1000',
+    };
+
+    const candidates = detectAnomalies([failed, ...rows.reverse()]);
+
+    expect(candidates).toHaveLength(1);
+    expect(candidates[0].recent_data.latest_value).toBe(1010);
+  });
+
+  test('skips a metric that has too few points or no latest value', () => {
+    expect(detectAnomalies(rowsOf([1000, 1001, 1000, 1010]))).toEqual([]);
+    expect(detectAnomalies(rowsOf([...STEADY, 1010, null]))).toEqual([]);
+  });
+
+  test('keeps the raw z of a near-constant baseline in the candidate', () => {
+    const flat = Array.from({ length: 47 }, (_, i) => 1000 + (i % 2) * 1e-7);
+
+    const [candidate] = detectAnomalies(rowsOf([...flat, 1001]));
+
+    expect(candidate.statistical_significance).toBeGreaterThan(1e6);
+  });
+});
+
+describe('storing statistical_significance', () => {
+  beforeEach(() => db.query.mockClear());
+
+  const stored = () => db.query.mock.calls[0][1][9];
+
+  test('clamps an extreme z-score to the NUMERIC(10, 6) range instead of failing the insert', async () => {
+    const flat = Array.from({ length: 47 }, (_, i) => 1000 + (i % 2) * 1e-7);
+    const [candidate] = detectAnomalies(rowsOf([...flat, 1001]));
+
+    await insertAnomaly(candidate);
+
+    expect(stored()).toBe(9999.999999);
+  });
+
+  test.each([
+    [18.822095, 18.822095],
+    [-25000, -9999.999999],
+    [Infinity, 9999.999999],
+    [null, null],
+    [undefined, null],
+  ])('stores %p as %p', async (value, expected) => {
+    await insertAnomaly({ anomaly_type: 'tvl_change', severity: 'LOW', statistical_significance: value });
+
+    expect(stored()).toBe(expected);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Validator collector tests
+ * A mock beacon node serves the standard eth/v1 endpoints from an in-memory
+ * validator set, and an in-memory store replaces the validator queries.
+ */
+
+jest.mock('../src/utils/logger');
+
+const http = require('http');
+const { validateValidatorIds } = require('../config/beacon');
+const { createBeaconClient } = require('../src/collectors/beacon-client');
+const { createValidatorCollector, EPOCHS_PER_YEAR } = require('../src/collectors/validator-collector');
+
+const GENESIS_TIME = 1606824023;
+const PENDING_PUBKEY = '0x' + 'ab'.repeat(48);
+
+function pubkeyFor(index) {
+  return '0x' + index.toString(16).padStart(2, '0').repeat(48);
+}
+
+function validatorRecord(index, status, overrides = {}) {
+  return {
+    index: String(index),
+    balance: '32001000000',
+    status,
+    validator: {
+      pubkey: overrides.pubkey || pubkeyFor(index),
+      effective_balance: '32000000000',
+      slashed: false,
+      ...overrides.validator,
+    },
+  };
+}
+
+function initialState() {
+  return {
+    finalizedSlot: 3200, // epoch 100
+    failRewards: null,
+    validators: [
+      validatorRecord(0, 'active_ongoing'),
+      validatorRecord(1, 'active_ongoing'),
+      validatorRecord(2, 'active_ongoing'),
+      validatorRecord(3, 'exited_slashed', { validator: { slashed: true } }),
+      validatorRecord(4, 'pending_queued', { pubkey: PENDING_PUBKEY }),
+    ],
+    rewards: {
+      0: { head: '2000', target: '4000', source: '2000', inactivity: '0' },
+      1: { head: '0', target: '4000', source: '2000', inactivity: '0' },
+      2: { head: '0', target: '-4000', source: '-2000', inactivity: '0' },
+    },
+  };
+}
+
+/**
+ * Mock beacon node for the endpoints the client uses
+ */
+async function startBeaconServer(state) {
+  const requests = [];
+
+  const send = (res, status, body) => {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams.get('id'), body });
+
+      if (req.method === 'GET' && url.pathname === '/eth/v1/beacon/genesis') {
+        return send(res, 200, { data: { genesis_time: String(GENESIS_TIME) } });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/eth/v1/beacon/headers/finalized') {
+        return send(res, 200, { data: { header: { message: { slot: String(state.finalizedSlot) } } } });
+      }
+
+      if (req.method === 'GET' && url.pathname === '/eth/v1/beacon/states/head/validators') {
+        const ids = url.searchParams.get('id').split(',');
+        const data = state.validators.filter(record =>
+          ids.includes(record.index) || ids.includes(record.validator.pubkey));
+        return send(res, 200, { execution_optimistic: false, finalized: false, data });
+      }
+
+      const rewardsMatch = url.pathname.match(/^\/eth\/v1\/beacon\/rewards\/attestations\/(\d+)$/);
+      if (req.method === 'POST' && rewardsMatch) {
+        if (state.failRewards) {
+          return send(res, state.failRewards, { code: state.failRewards, message: 'Node is syncing' });
+        }
+        const indices = JSON.parse(body);
+        return send(res, 200, {
+          data: {
+            ideal_rewards: [
+              { effective_balance: '32000000000', head: '2000', target: '4000', source: '2000', inactivity: '0' },
+            ],
+            total_rewards: indices.map(index => ({ validator_index: index, ...state.rewards[index] })),
+          },
+        });
+      }
+
+      return send(res, 404, { code: 404, message: `No route for ${req.method} ${url.pathname}` });
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * In-memory version of the validator queries
+ */
+function createStore() {
+  const metrics = [];
+  const anomalies = [];
+  const statuses = new Map();
+
+  return {
+    metrics,
+    anomalies,
+    statuses,
+    insertValidatorMetrics: async (row) => { metrics.push(row); return { id: metrics.length }; },
+    upsertValidatorStatuses: async (rows) => {
+      const slashed = [];
+      for (const row of rows) {
+        const previous = statuses.get(row.validator_index);
+        if (previous && row.slashed && !previous.slashed) {
+          slashed.push({ ...row, previous_status: previous.status });
+        }
+        statuses.set(row.validator_index, row);
+      }
+      return slashed;
+    },
+    insertAnomaly: async (anomaly) => {
+      anomalies.push(anomaly);
+      return { id: anomalies.length, detected_at: new Date() };
+    },
+  };
+}
+
+describe('validateValidatorIds', () => {
+  it('accepts indices and public keys and drops duplicates', () => {
+    expect(validateValidatorIds(['12', PENDING_PUBKEY.replace(/ab/g, 'AB'), '12']))
+      .toEqual(['12', PENDING_PUBKEY]);
+  });
+
+  it('lists every invalid id', () => {
+    expect(() => validateValidatorIds(['12', '0x1234', 'abc'])).toThrow(expect.objectContaining({
+      name: 'ConfigError',
+      failures: [
+        { id: '0x1234', error: expect.any(String) },
+        { id: 'abc', error: expect.any(String) },
+      ],
+    }));
+  });
+});
+
+describe('validator collector', () => {
+  let beacon;
+  let state;
+  let store;
+  let collector;
+
+  beforeEach(async () => {
+    state = initialState();
+    beacon = await startBeaconServer(state);
+    store = createStore();
+    collector = createValidatorCollector({
+      client: createBeaconClient({ baseUrl: beacon.url, batchSize: 2 }),
+      store,
+      validatorIds: ['0', '1', '2', '3', PENDING_PUBKEY],
+      networkAvgApr: null,
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => beacon.server.close(resolve));
+  });
+
+  it('computes counts, effectiveness, rewards and APR for the last finalized epoch', async () => {
+    const { metrics, anomalies, missing } = await collector.collectOnce();
+
+    expect(metrics).toMatchObject({
+      epoch: 99,
+      timestamp: new Date((GENESIS_TIME + 99 * 384) * 1000),
+      total_validators: 5,
+      active_validators: 3,
+      exited_validators: 1,
+      slashed_validators: 1,
+      // 1, 0.75 and a missed epoch clamped to 0
+      avg_effectiveness: 0.5833,
+      total_rewards_eth: '0.000014',
+      total_penalties_eth: '0.000006',
+      net_rewards_eth: '0.000008',
+    });
+
+    // 8000 gwei net over 96 ETH active, against 8000 gwei ideal over 32 ETH
+    const apr = (8000 / 96e9) * EPOCHS_PER_YEAR * 100;
+    const networkApr = (8000 / 32e9) * EPOCHS_PER_YEAR * 100;
+    expect(metrics.estimated_apr).toBeCloseTo(apr, 4);
+    expect(metrics.etherfi_apr).toBe(metrics.estimated_apr);
+    expect(metrics.estimated_apy).toBeGreaterThan(metrics.estimated_apr);
+    expect(metrics.network_avg_apr).toBeCloseTo(networkApr, 4);
+    expect(metrics.apr_vs_network).toBeCloseTo(apr - networkApr, 3);
+
+    expect(anomalies).toEqual([]);
+    expect(missing).toBe(0);
+    expect(store.metrics).toEqual([metrics]);
+  });
+
+  it('batches validator lookups and only asks rewards for active validators', async () => {
+    await collector.collectOnce();
+
+    const lookups = beacon.requests.filter(request => request.path.endsWith('/validators'));
+    expect(lookups.map(request => request.query)).toEqual(['0,1', '2,3', PENDING_PUBKEY]);
+
+    const rewards = beacon.requests.filter(request => request.method === 'POST');
+    expect(rewards.map(request => request.path)).toEqual([
+      '/eth/v1/beacon/rewards/attestations/99',
+      '/eth/v1/beacon/rewards/attestations/99',
+    ]);
+    expect(rewards.map(request => JSON.parse(request.body))).toEqual([['0', '1'], ['2']]);
+  });
+
+  it('uses the configured network APR when set', async () => {
+    collector = createValidatorCollector({
+      client: createBeaconClient({ baseUrl: beacon.url }),
+      store,
+      validatorIds: ['0'],
+      networkAvgApr: 3.1,
+    });
+
+    const { metrics } = await collector.collectOnce();
+    expect(metrics.network_avg_apr).toBe(3.1);
+  });
+
+  it('raises validator_slashed once per newly slashed validator', async () => {
+    // First sight: validator 3 was already slashed and isn't reported
+    await collector.collectOnce();
+    expect(store.anomalies).toEqual([]);
+
+    state.validators[1].status = 'active_slashed';
+    state.validators[1].validator.slashed = true;
+    const { anomalies } = await collector.collectOnce();
+
+    expect(anomalies).toEqual([expect.objectContaining({
+      anomaly_type: 'validator_slashed',
+      severity: 'HIGH',
+      confidence: 1,
+      affected_metrics: ['slashed_validators'],
+      baseline_data: { previous_status: 'active_ongoing' },
+      recent_data: expect.objectContaining({
+        validator_index: 1,
+        pubkey: pubkeyFor(1),
+        status: 'active_slashed',
+        effective_balance_eth: '32.0',
+        slashed_in_cycle: 1,
+      }),
+    })]);
+
+    // Still slashed on the next cycle: nothing new
+    expect((await collector.collectOnce()).anomalies).toEqual([]);
+    expect(store.anomalies).toHaveLength(1);
+  });
+
+  it('marks slashings in the same cycle as CRITICAL', async () => {
+    await collector.collectOnce();
+
+    for (const index of [0, 2]) {
+      state.validators[index].status = 'active_slashed';
+      state.validators[index].validator.slashed = true;
+    }
+    const { anomalies } = await collector.collectOnce();
+
+    expect(anomalies.map(anomaly => [anomaly.recent_data.validator_index, anomaly.severity]))
+      .toEqual([[0, 'CRITICAL'], [2, 'CRITICAL']]);
+    expect(anomalies[0].recent_data.slashed_in_cycle).toBe(2);
+  });
+
+  it('reports validators the beacon node does not know', async () => {
+    collector = createValidatorCollector({
+      client: createBeaconClient({ baseUrl: beacon.url }),
+      store,
+      validatorIds: ['0', '999'],
+      networkAvgApr: null,
+    });
+
+    const { metrics, missing } = await collector.collectOnce();
+    expect(missing).toBe(1);
+    expect(metrics.total_validators).toBe(1);
+  });
+
+  it('fails with a BlockchainError when the beacon node errors', async () => {
+    state.failRewards = 503;
+
+    await expect(collector.collectOnce()).rejects.toMatchObject({
+      name: 'BlockchainError',
+      message: expect.stringContaining('HTTP 503: Node is syncing'),
+    });
+    expect(store.metrics).toEqual([]);
+  });
+
+  it('does nothing without configured validators', async () => {
+    collector = createValidatorCollector({
+      client: createBeaconClient({ baseUrl: beacon.url }),
+      store,
+      validatorIds: [],
+    });
+
+    expect(await collector.collectOnce()).toBeNull();
+    expect(beacon.requests).toEqual([]);
+  });
+});